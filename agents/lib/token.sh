@@ -0,0 +1,9 @@
+# Sourced by the agent scripts; sets auth_header to the curl arguments for the
+# gateway bearer token, or to nothing when there is no token file.
+# The token is read from a file so no token sits in the environment.
+
+token_file="${BLACKROAD_GATEWAY_TOKEN_FILE:-$HOME/.blackroad/gateway.token}"
+auth_header=()
+if [ -r "$token_file" ]; then
+  auth_header=(-H "Authorization: Bearer $(tr -d '[:space:]' < "$token_file")")
+fi
@@ -64,6 +64,9 @@ done
 
 gateway_url="${BLACKROAD_GATEWAY_URL:-http://127.0.0.1:8787}"
 
+# Gateway bearer token, if there is one (sets auth_header)
+source "$(dirname "${BASH_SOURCE[0]}")/lib/token.sh"
+
 request="$(
   BR_AGENT_INPUT="$input" \
   BR_AGENT_INTENT="$intent" \
@@ -96,6 +99,7 @@ response="$(
   curl -sS --fail \
     -X POST "${gateway_url}/v1/agent" \
     -H 'Content-Type: application/json' \
+    ${auth_header[@]+"${auth_header[@]}"} \
     -d "$request"
 )" || {
   echo 'Error: BlackRoad Gateway unavailable' >&2
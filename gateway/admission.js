@@ -0,0 +1,166 @@
+'use strict'
+
+/**
+ * Concurrency admission for the BlackRoad Gateway
+ *
+ * Requests run while both the global limit (max_concurrent) and the agent's
+ * own limit allow it; the rest wait in per-agent FIFO queues. Freed slots go
+ * round-robin to the agent served least recently, so one agent's burst
+ * cannot starve the others. Waiters give up after timeout_ms, and new
+ * requests are refused once max_depth requests are already waiting.
+ */
+
+const DEFAULT_OPTIONS = {
+  max_concurrent: 20,
+  max_depth: 100,
+  timeout_ms: 15000
+}
+
+function queueError(message, code, waitedMs) {
+  const error = new Error(message)
+  error.code = code
+  error.waitedMs = waitedMs
+  return error
+}
+
+class AdmissionQueue {
+  constructor(options = {}, now = Date.now) {
+    this.options = { ...DEFAULT_OPTIONS, ...options }
+    this.now = now
+    this.active = 0
+    this.activeByAgent = new Map()
+    // agent -> waiters; insertion order is the round-robin order
+    this.waiting = new Map()
+    this.queued = 0
+  }
+
+  // Applies policy global.max_concurrent_requests and global.admission_queue
+  configure(options) {
+    this.options = { ...DEFAULT_OPTIONS, ...(options || {}) }
+    this._drain()
+  }
+
+  /**
+   * Resolves with { release, waitedMs } once the request may run. Rejects
+   * with code QUEUE_FULL or QUEUE_TIMEOUT, or with the signal's reason when
+   * the client goes away while waiting.
+   */
+  acquire(agent, { limit = 0, signal } = {}) {
+    if (signal && signal.aborted) {
+      return Promise.reject(signal.reason)
+    }
+    if (!this.waiting.has(agent) && this._canRun(agent, limit)) {
+      return Promise.resolve({ release: this._admit(agent), waitedMs: 0 })
+    }
+    if (this.queued >= this.options.max_depth) {
+      return Promise.reject(queueError('Gateway busy: admission queue full', 'QUEUE_FULL', 0))
+    }
+
+    return new Promise((resolve, reject) => {
+      const waiter = { agent, limit, enqueuedAt: this.now(), resolve, reject }
+      const fail = (error) => {
+        this._remove(waiter)
+        reject(error)
+      }
+      if (this.options.timeout_ms > 0) {
+        waiter.timer = setTimeout(() => {
+          const waitedMs = this.now() - waiter.enqueuedAt
+          fail(queueError(`Queue timeout after ${waitedMs}ms`, 'QUEUE_TIMEOUT', waitedMs))
+        }, this.options.timeout_ms)
+      }
+      if (signal) {
+        waiter.signal = signal
+        waiter.onAbort = () => fail(signal.reason)
+        signal.addEventListener('abort', waiter.onAbort, { once: true })
+      }
+      if (!this.waiting.has(agent)) {
+        this.waiting.set(agent, [])
+      }
+      this.waiting.get(agent).push(waiter)
+      this.queued++
+    })
+  }
+
+  _canRun(agent, limit) {
+    const { max_concurrent: max } = this.options
+    if (max > 0 && this.active >= max) return false
+    return !(limit > 0 && (this.activeByAgent.get(agent) || 0) >= limit)
+  }
+
+  // Takes a slot; the returned release gives it back exactly once
+  _admit(agent) {
+    this.active++
+    this.activeByAgent.set(agent, (this.activeByAgent.get(agent) || 0) + 1)
+    let released = false
+    return () => {
+      if (released) return
+      released = true
+      this.active--
+      const remaining = this.activeByAgent.get(agent) - 1
+      if (remaining > 0) this.activeByAgent.set(agent, remaining)
+      else this.activeByAgent.delete(agent)
+      this._drain()
+    }
+  }
+
+  _drain() {
+    let admitted = true
+    while (admitted) {
+      admitted = false
+      for (const [agent, queue] of this.waiting) {
+        const waiter = queue[0]
+        if (!this._canRun(agent, waiter.limit)) continue
+        this._remove(waiter)
+        // Served agents go to the back of the rotation
+        if (this.waiting.has(agent)) {
+          this.waiting.delete(agent)
+          this.waiting.set(agent, queue)
+        }
+        waiter.resolve({
+          release: this._admit(agent),
+          waitedMs: this.now() - waiter.enqueuedAt
+        })
+        admitted = true
+        break
+      }
+    }
+  }
+
+  _remove(waiter) {
+    clearTimeout(waiter.timer)
+    if (waiter.signal) {
+      waiter.signal.removeEventListener('abort', waiter.onAbort)
+    }
+    const queue = this.waiting.get(waiter.agent)
+    const index = queue ? queue.indexOf(waiter) : -1
+    if (index === -1) return
+    queue.splice(index, 1)
+    this.queued--
+    if (queue.length === 0) {
+      this.waiting.delete(waiter.agent)
+    }
+  }
+
+  snapshot() {
+    const byAgent = {}
+    for (const [agent, active] of this.activeByAgent) {
+      byAgent[agent] = { active, queued: 0 }
+    }
+    for (const [agent, queue] of this.waiting) {
+      byAgent[agent] = { active: 0, ...byAgent[agent], queued: queue.length }
+    }
+    return {
+      max_concurrent: this.options.max_concurrent,
+      max_depth: this.options.max_depth,
+      timeout_ms: this.options.timeout_ms,
+      active: this.active,
+      queued: this.queued,
+      by_agent: byAgent
+    }
+  }
+}
+
+module.exports = {
+  AdmissionQueue,
+  DEFAULT_OPTIONS
+}
@@ -0,0 +1,95 @@
+'use strict'
+
+/**
+ * Request attachments for the BlackRoad Gateway
+ * A v3 request may carry up to 8 attachments, each with a mime_type and its
+ * content as text, base64 data, or a path to a file under the gateway's
+ * attachmentDir. Text attachments are inlined into the prompt; images and
+ * PDFs go to the provider in its native multimodal format, and only
+ * providers whose model accepts the type are tried.
+ */
+
+const fs = require('fs/promises')
+const path = require('path')
+const { ValidationError } = require('./errors')
+
+// Attachments the gateway can pass on as prompt text
+const TEXT_MIME_PATTERN = /^text\/|^application\/(json|xml|yaml|x-yaml)$/
+
+// Attachments passed to providers as media
+const MEDIA_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp', 'application/pdf']
+
+function isTextAttachment(attachment) {
+  return attachment.text !== undefined || TEXT_MIME_PATTERN.test(attachment.mime_type)
+}
+
+function isSupportedType(mimeType) {
+  return TEXT_MIME_PATTERN.test(mimeType) || MEDIA_TYPES.includes(mimeType)
+}
+
+function isInside(root, file) {
+  const relative = path.relative(root, file)
+  return !relative.startsWith('..') && !path.isAbsolute(relative)
+}
+
+/**
+ * Reads path attachments into base64 data. Paths are relative to dir and may
+ * not leave it (symlinks included); without a dir, path attachments are
+ * refused. Other attachments are returned unchanged.
+ */
+async function resolveAttachments(attachments, { dir = null, maxBytes } = {}) {
+  if (!attachments || !attachments.some((attachment) => attachment.path !== undefined)) {
+    return attachments
+  }
+  if (!dir) {
+    throw new ValidationError(
+      'File attachments are not enabled on this gateway',
+      'ATTACHMENT_NOT_ALLOWED'
+    )
+  }
+  const root = await fs.realpath(dir)
+  return Promise.all(attachments.map(async (attachment, i) => {
+    if (attachment.path === undefined) return attachment
+    const refuse = (message, code, status, problem) => new ValidationError(
+      `${message}: ${attachment.path}`,
+      code,
+      status,
+      { details: [{ path: `attachments[${i}].path`, message: problem }] }
+    )
+    const outside = () => refuse('Attachment outside the attachment directory',
+      'ATTACHMENT_NOT_ALLOWED', 400, 'must be inside the attachment directory')
+    // Checked before touching the file system, so whether a file outside
+    // exists never shows
+    const requested = path.resolve(root, attachment.path)
+    if (!isInside(root, requested)) throw outside()
+    let file
+    try {
+      file = await fs.realpath(requested)
+    } catch {
+      throw refuse('Attachment not found', 'ATTACHMENT_NOT_FOUND', 400, 'does not exist')
+    }
+    // A symlink out of the directory
+    if (!isInside(root, file)) throw outside()
+    const stat = await fs.stat(file)
+    if (!stat.isFile()) {
+      throw refuse('Attachment is not a file', 'ATTACHMENT_NOT_FOUND', 400, 'is not a file')
+    }
+    if (maxBytes && stat.size > maxBytes) {
+      throw refuse('Attachment too large', 'ATTACHMENT_TOO_LARGE', 413, `exceeds ${maxBytes} bytes`)
+    }
+    const { path: reference, ...rest } = attachment
+    return {
+      name: path.basename(reference),
+      ...rest,
+      data: (await fs.readFile(file)).toString('base64')
+    }
+  }))
+}
+
+module.exports = {
+  TEXT_MIME_PATTERN,
+  MEDIA_TYPES,
+  isTextAttachment,
+  isSupportedType,
+  resolveAttachments
+}
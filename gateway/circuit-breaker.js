@@ -0,0 +1,150 @@
+'use strict'
+
+/**
+ * Per-provider circuit breakers for the BlackRoad Gateway
+ *
+ * closed    — calls go through; outcomes are kept in a rolling window
+ * open      — the failure rate crossed the threshold; calls are skipped
+ *             until the cooldown has passed
+ * half_open — one probe call is let through; success closes the circuit,
+ *             failure opens it again for another cooldown
+ */
+
+const DEFAULT_OPTIONS = {
+  window_size: 20,
+  minimum_requests: 5,
+  failure_rate_threshold: 0.5,
+  cooldown_ms: 30000
+}
+
+class CircuitBreaker {
+  constructor(options = {}, now = Date.now) {
+    this.options = { ...DEFAULT_OPTIONS, ...options }
+    this.now = now
+    this.state = 'closed'
+    this.outcomes = []
+    this.openedAt = null
+    this.probing = false
+  }
+
+  // Whether a call may be attempted now; claims the probe slot when half-open
+  canAttempt() {
+    if (this.state === 'open') {
+      if (this.now() - this.openedAt < this.options.cooldown_ms) {
+        return false
+      }
+      this.state = 'half_open'
+      this.probing = false
+    }
+    if (this.state === 'half_open') {
+      if (this.probing) return false
+      this.probing = true
+    }
+    return true
+  }
+
+  recordSuccess() {
+    if (this.state === 'half_open') {
+      this._close()
+      return
+    }
+    this._push(true)
+  }
+
+  recordFailure() {
+    if (this.state === 'half_open') {
+      this._open()
+      return
+    }
+    this._push(false)
+    const failures = this.outcomes.filter((ok) => !ok).length
+    if (
+      this.outcomes.length >= this.options.minimum_requests &&
+      failures / this.outcomes.length >= this.options.failure_rate_threshold
+    ) {
+      this._open()
+    }
+  }
+
+  // Gives back a half-open probe slot without recording an outcome
+  release() {
+    this.probing = false
+  }
+
+  _push(ok) {
+    this.outcomes.push(ok)
+    while (this.outcomes.length > this.options.window_size) {
+      this.outcomes.shift()
+    }
+  }
+
+  _open() {
+    this.state = 'open'
+    this.openedAt = this.now()
+    this.probing = false
+  }
+
+  _close() {
+    this.state = 'closed'
+    this.outcomes = []
+    this.openedAt = null
+    this.probing = false
+  }
+
+  // Milliseconds until an open circuit lets a probe through
+  retryAfterMs() {
+    if (this.state !== 'open') return 0
+    return Math.max(0, this.openedAt + this.options.cooldown_ms - this.now())
+  }
+
+  snapshot() {
+    const failures = this.outcomes.filter((ok) => !ok).length
+    return {
+      state: this.state,
+      window_requests: this.outcomes.length,
+      window_failures: failures,
+      failure_rate: this.outcomes.length ? failures / this.outcomes.length : 0,
+      opened_at: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+      retry_at: this.state === 'open'
+        ? new Date(this.openedAt + this.options.cooldown_ms).toISOString()
+        : null
+    }
+  }
+}
+
+class CircuitBreakers {
+  constructor(options = {}, now = Date.now) {
+    this.options = { ...options }
+    this.now = now
+    this.breakers = new Map()
+  }
+
+  // Applies policy `global.circuit_breaker` settings to every breaker
+  configure(options) {
+    this.options = { ...(options || {}) }
+    for (const breaker of this.breakers.values()) {
+      breaker.options = { ...DEFAULT_OPTIONS, ...this.options }
+    }
+  }
+
+  get(provider) {
+    if (!this.breakers.has(provider)) {
+      this.breakers.set(provider, new CircuitBreaker(this.options, this.now))
+    }
+    return this.breakers.get(provider)
+  }
+
+  snapshot() {
+    const result = {}
+    for (const [provider, breaker] of this.breakers) {
+      result[provider] = breaker.snapshot()
+    }
+    return result
+  }
+}
+
+module.exports = {
+  CircuitBreaker,
+  CircuitBreakers,
+  DEFAULT_OPTIONS
+}
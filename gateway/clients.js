@@ -0,0 +1,232 @@
+#!/usr/bin/env node
+'use strict'
+
+/**
+ * Client registry for the BlackRoad Gateway
+ * Remote callers (mesh nodes) identify with an X-BlackRoad-Key header of
+ * the form "<client id>:<secret>". Each registered client has a salted
+ * SHA-256 hash of its secret, the source networks it may call from and the
+ * agents it may use:
+ *
+ *   {
+ *     "clients": {
+ *       "octavia-pi": {
+ *         "credential": "sha256$<salt>$<hash>",
+ *         "cidrs": ["192.168.4.38/32"],
+ *         "agents": ["planner", "cipher"]
+ *       }
+ *     }
+ *   }
+ *
+ * Secrets are random 256-bit values, so a salted hash is enough to keep the
+ * registry file from being a credential store. Manage it with:
+ *
+ *   node gateway/clients.js add <id> --cidrs 192.168.4.0/24 [--agents planner,cipher]
+ *   node gateway/clients.js remove <id>
+ *   node gateway/clients.js list
+ */
+
+const crypto = require('crypto')
+const fs = require('fs/promises')
+const net = require('net')
+const path = require('path')
+
+const DEFAULT_CLIENTS_PATH = path.join(__dirname, 'clients.json')
+const CLIENT_ID_PATTERN = /^[a-z0-9][a-z0-9-]{0,63}$/
+
+// Loopback callers are trusted as this client
+const LOCAL_CLIENT = { id: 'local', agents: '*' }
+
+function hashCredential(secret, salt = crypto.randomBytes(16).toString('hex')) {
+  const hash = crypto.createHash('sha256').update(`${salt}:${secret}`).digest('hex')
+  return `sha256$${salt}$${hash}`
+}
+
+function verifyCredential(stored, secret) {
+  const [scheme, salt, hash] = String(stored).split('$')
+  if (scheme !== 'sha256' || !salt || !hash) return false
+  const expected = Buffer.from(hash, 'hex')
+  const actual = Buffer.from(hashCredential(secret, salt).split('$')[2], 'hex')
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual)
+}
+
+function generateSecret() {
+  return crypto.randomBytes(32).toString('base64url')
+}
+
+// IPv4-mapped IPv6 addresses ("::ffff:10.0.0.5") are matched as IPv4
+function normalizeAddress(address) {
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address || '')
+  return mapped ? mapped[1] : address
+}
+
+function buildNetworks(id, cidrs) {
+  const networks = new net.BlockList()
+  for (const cidr of cidrs) {
+    const [address, prefix] = String(cidr).split('/')
+    const family = net.isIP(address)
+    const bits = prefix === undefined ? (family === 6 ? 128 : 32) : Number(prefix)
+    if (!family || !Number.isInteger(bits) || bits < 0 || bits > (family === 6 ? 128 : 32)) {
+      throw new Error(`clients.${id}.cidrs: invalid CIDR "${cidr}"`)
+    }
+    networks.addSubnet(address, bits, family === 6 ? 'ipv6' : 'ipv4')
+  }
+  return networks
+}
+
+function clientPermits(client, agent) {
+  const agents = client.agents
+  return agents === '*' || (Array.isArray(agents) && (agents.includes('*') || agents.includes(agent)))
+}
+
+class ClientRegistry {
+  constructor(clients = {}) {
+    this.clients = new Map()
+    for (const [id, entry] of Object.entries(clients)) {
+      if (!CLIENT_ID_PATTERN.test(id)) {
+        throw new Error(`clients.${id}: id must be lowercase letters, digits and dashes`)
+      }
+      if (!entry || typeof entry.credential !== 'string' || !entry.credential.startsWith('sha256$')) {
+        throw new Error(`clients.${id}.credential: expected a sha256$<salt>$<hash> credential`)
+      }
+      if (!Array.isArray(entry.cidrs) || entry.cidrs.length === 0) {
+        throw new Error(`clients.${id}.cidrs: at least one CIDR is required`)
+      }
+      this.clients.set(id, {
+        id,
+        description: entry.description || '',
+        credential: entry.credential,
+        cidrs: entry.cidrs,
+        agents: entry.agents === undefined ? '*' : entry.agents,
+        networks: buildNetworks(id, entry.cidrs)
+      })
+    }
+  }
+
+  // A missing registry file means no remote clients
+  static async load(filePath) {
+    let data
+    try {
+      data = JSON.parse(await fs.readFile(filePath, 'utf8'))
+    } catch (error) {
+      if (error.code === 'ENOENT') return new ClientRegistry()
+      throw new Error(`Client registry ${filePath}: ${error.message}`)
+    }
+    return new ClientRegistry((data && data.clients) || {})
+  }
+
+  get size() {
+    return this.clients.size
+  }
+
+  // Returns { client } or { error } for an X-BlackRoad-Key header value
+  authenticate(header, remoteAddress) {
+    if (!header) {
+      return { error: 'Remote access denied: client credential required' }
+    }
+    const separator = header.indexOf(':')
+    const id = separator > 0 ? header.slice(0, separator) : ''
+    const client = this.clients.get(id)
+    if (!client || !verifyCredential(client.credential, header.slice(separator + 1))) {
+      return { error: 'Invalid client credential' }
+    }
+    const address = normalizeAddress(remoteAddress)
+    const family = net.isIP(address)
+    if (!family || !client.networks.check(address, family === 6 ? 'ipv6' : 'ipv4')) {
+      return { error: `Client ${id} is not allowed from ${remoteAddress}` }
+    }
+    return { client }
+  }
+
+  list() {
+    return [...this.clients.values()].map(({ id, description, cidrs, agents }) => ({
+      id,
+      description,
+      cidrs,
+      agents
+    }))
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Command line
+// ---------------------------------------------------------------------------
+async function readRegistryFile(filePath) {
+  try {
+    return JSON.parse(await fs.readFile(filePath, 'utf8'))
+  } catch (error) {
+    if (error.code === 'ENOENT') return { clients: {} }
+    throw error
+  }
+}
+
+async function main(argv) {
+  const positional = []
+  const options = {}
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) {
+      options[argv[i].slice(2)] = argv[++i]
+    } else {
+      positional.push(argv[i])
+    }
+  }
+  const [command, id] = positional
+  const filePath = path.resolve(options.file || DEFAULT_CLIENTS_PATH)
+  const data = await readRegistryFile(filePath)
+  data.clients = data.clients || {}
+
+  if (command === 'list') {
+    for (const client of new ClientRegistry(data.clients).list()) {
+      const agents = Array.isArray(client.agents) ? client.agents.join(',') : client.agents
+      console.log(`${client.id}\t${client.cidrs.join(',')}\t${agents}`)
+    }
+    return 0
+  }
+  if (command === 'add' && id && options.cidrs) {
+    const secret = generateSecret()
+    data.clients[id] = {
+      ...(options.description && { description: options.description }),
+      credential: hashCredential(secret),
+      cidrs: options.cidrs.split(','),
+      agents: options.agents ? options.agents.split(',') : '*'
+    }
+    new ClientRegistry(data.clients) // validates before writing
+    await fs.writeFile(filePath, `${JSON.stringify(data, null, 2)}\n`, { mode: 0o600 })
+    console.log(`X-BlackRoad-Key: ${id}:${secret}`)
+    console.error(`Added ${id} to ${filePath}; the key is shown only once.`)
+    return 0
+  }
+  if (command === 'remove' && id) {
+    if (!data.clients[id]) {
+      console.error(`No client ${id} in ${filePath}`)
+      return 1
+    }
+    delete data.clients[id]
+    await fs.writeFile(filePath, `${JSON.stringify(data, null, 2)}\n`, { mode: 0o600 })
+    console.error(`Removed ${id} from ${filePath}`)
+    return 0
+  }
+  console.error('Usage: clients.js add <id> --cidrs <cidr,...> [--agents a,b] [--description text]')
+  console.error('       clients.js remove <id> | list   (all accept --file <clients.json>)')
+  return 1
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2))
+    .then((code) => {
+      process.exitCode = code
+    })
+    .catch((error) => {
+      console.error(`clients: ${error.message}`)
+      process.exitCode = 1
+    })
+}
+
+module.exports = {
+  ClientRegistry,
+  LOCAL_CLIENT,
+  clientPermits,
+  hashCredential,
+  verifyCredential,
+  generateSecret
+}
@@ -0,0 +1,64 @@
+'use strict'
+
+/**
+ * Token cost estimation for the BlackRoad Gateway
+ * Prices come from the policy's `pricing` table in USD per million tokens:
+ *
+ *   "pricing": {
+ *     "<provider>": {
+ *       "default": { "input_per_mtok": 0.15, "output_per_mtok": 0.6 },
+ *       "<model>": { ... }
+ *     }
+ *   }
+ *
+ * A model entry also matches dated variants ("gpt-4o" covers
+ * "gpt-4o-2024-08-06"); the longest matching name wins.
+ *
+ * A cost tier (`cost_tiers.<tier>.pricing`, same shape) prices the agents
+ * whose `cost_tier` names it; whatever the tier leaves out falls back to the
+ * top-level table.
+ */
+
+const PROVIDER_ALIASES = { anthropic: 'claude' }
+
+function priceFor(pricing, provider, model) {
+  if (!pricing || !provider) return null
+  const table = pricing[provider] || pricing[PROVIDER_ALIASES[provider]]
+  if (!table) return null
+  if (model) {
+    if (table[model]) return table[model]
+    const prefix = Object.keys(table)
+      .filter((name) => name !== 'default' && model.startsWith(name))
+      .sort((a, b) => b.length - a.length)[0]
+    if (prefix) return table[prefix]
+  }
+  return table.default || null
+}
+
+// Estimated USD cost of one call, or null when the price is unknown
+function estimateCost(pricing, provider, usage, tier = null) {
+  if (!usage) return null
+  const price =
+    (tier && priceFor(tier.pricing, provider, usage.model)) ||
+    priceFor(pricing, provider, usage.model)
+  if (!price) return null
+  const cost =
+    (usage.prompt_tokens * (price.input_per_mtok || 0) +
+      usage.completion_tokens * (price.output_per_mtok || 0)) /
+    1e6
+  return Math.round(cost * 1e6) / 1e6
+}
+
+// Policy cost targets are written as "$0" or "$1.50"; numbers pass through
+function parseCostTarget(target) {
+  if (typeof target === 'number') return target
+  if (typeof target !== 'string') return null
+  const value = Number(target.replace(/^\$/, ''))
+  return Number.isFinite(value) ? value : null
+}
+
+module.exports = {
+  priceFor,
+  estimateCost,
+  parseCostTarget
+}
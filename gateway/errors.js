@@ -0,0 +1,122 @@
+'use strict'
+
+/**
+ * Error taxonomy for the BlackRoad Gateway
+ * Mirrors src/protocol/errors.ts: every failure the gateway reports carries
+ * a stable machine code and the HTTP status to answer with, plus an optional
+ * Retry-After (seconds), field-level details and extra response metadata.
+ *
+ * ProviderError marks whether trying the next provider in the fallback
+ * chain can help (retryable); PolicyError and ValidationError never fall
+ * back, the request itself is the problem.
+ */
+
+class GatewayError extends Error {
+  constructor(message, code, status, { retryAfter, details, metadata, cause } = {}) {
+    super(message, cause ? { cause } : undefined)
+    this.name = 'GatewayError'
+    this.code = code
+    this.status = status
+    if (retryAfter !== undefined) this.retryAfter = retryAfter
+    if (details !== undefined) this.details = details
+    if (metadata !== undefined) this.metadata = metadata
+  }
+
+  toJSON() {
+    return { error: { code: this.code, message: this.message, status: this.status } }
+  }
+}
+
+class ProviderError extends GatewayError {
+  constructor(message, code = 'PROVIDER_REQUEST_FAILED', status = 502, options = {}) {
+    super(message, code, status, options)
+    this.name = 'ProviderError'
+    this.provider = options.provider || null
+    this.retryable = options.retryable !== false
+  }
+}
+
+class PolicyError extends GatewayError {
+  constructor(message, code = 'POLICY_DENIED', status = 403, options = {}) {
+    super(message, code, status, options)
+    this.name = 'PolicyError'
+  }
+}
+
+class ValidationError extends GatewayError {
+  constructor(message, code = 'VALIDATION_FAILED', status = 400, options = {}) {
+    super(message, code, status, options)
+    this.name = 'ValidationError'
+  }
+}
+
+// Retry-After is either delay seconds or an HTTP date
+function parseRetryAfter(value, now = Date.now()) {
+  if (!value) return undefined
+  if (/^\d+$/.test(value.trim())) return Number(value)
+  const at = Date.parse(value)
+  return Number.isNaN(at) ? undefined : Math.max(0, Math.ceil((at - now) / 1000))
+}
+
+/**
+ * Maps a failed upstream HTTP response onto a ProviderError. Upstream 400s
+ * mean the request itself was refused, so they do not fall back; auth
+ * failures, rate limits and outages do.
+ */
+function upstreamError(label, response, detail) {
+  const status = response.status
+  const message = detail ? `${label} error ${status}: ${detail}` : `${label} error ${status}`
+  if (status === 401 || status === 403) {
+    return new ProviderError(message, 'PROVIDER_AUTH_FAILED', 502)
+  }
+  if (status === 429) {
+    const retryAfter = parseRetryAfter(response.headers && response.headers.get('retry-after'))
+    return new ProviderError(message, 'PROVIDER_RATE_LIMITED', 503, { retryAfter })
+  }
+  if (status === 408 || status >= 500) {
+    return new ProviderError(message, 'PROVIDER_UNAVAILABLE', 502)
+  }
+  if (status === 400 || status === 413 || status === 422) {
+    return new ProviderError(message, 'PROVIDER_BAD_REQUEST', 502, { retryable: false })
+  }
+  if (status >= 400) {
+    return new ProviderError(message, 'PROVIDER_REJECTED', 502)
+  }
+  return new ProviderError(message, 'PROVIDER_REQUEST_FAILED', 502)
+}
+
+function notConfigured(variable) {
+  return new ProviderError(`Missing ${variable}`, 'PROVIDER_NOT_CONFIGURED', 502)
+}
+
+// Wraps whatever an adapter threw (fetch and parse errors included); the
+// provider name is filled in here since adapters serve several names
+function toProviderError(err, provider = null) {
+  if (err instanceof ProviderError) {
+    if (!err.provider) err.provider = provider
+    return err
+  }
+  const message = (err && err.message) || 'Provider request failed'
+  const options = { provider, cause: err }
+  if (err && (err.name === 'TimeoutError' || err.name === 'AbortError')) {
+    return new ProviderError(message, 'PROVIDER_TIMEOUT', 504, options)
+  }
+  if (err instanceof SyntaxError) {
+    return new ProviderError(message, 'PROVIDER_MALFORMED_RESPONSE', 502, options)
+  }
+  if (/fetch failed|ECONNREFUSED|ECONNRESET|ENOTFOUND|EHOSTUNREACH|unreachable/i.test(message)) {
+    return new ProviderError(message, 'PROVIDER_UNREACHABLE', 502, options)
+  }
+  return new ProviderError(message, 'PROVIDER_REQUEST_FAILED', 502, options)
+}
+
+module.exports = {
+  GatewayError,
+  ProviderError,
+  PolicyError,
+  ValidationError,
+  parseRetryAfter,
+  upstreamError,
+  notConfigured,
+  toProviderError
+}
@@ -1,66 +1,365 @@
+/**
+ * Event bus for the BlackRoad Gateway
+ * Publishes to NATS when it is reachable and always emits locally as well.
+ * While NATS is down, messages wait in a bounded outbox (kept on disk when
+ * outboxPath is set) and go out in publish order once the bus reconnects;
+ * reconnects back off exponentially up to reconnectMaxMs. Delivery is at
+ * least once: a crash between a flush and the outbox rewrite sends those
+ * messages again. Without the nats package nothing can be sent, so once
+ * connect() finds it missing the bus only emits locally and queues nothing.
+ *
+ * When the outbox is full, overflow decides: drop_oldest (default) makes
+ * room, drop_newest discards the new message, reject throws OUTBOX_FULL from
+ * publish(). Dropped messages are counted and reported with a 'dropped' event.
+ */
+
 const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+
+const OVERFLOW_POLICIES = ['drop_oldest', 'drop_newest', 'reject'];
+
+const DEFAULT_OPTIONS = {
+  outboxPath: null,
+  outboxMax: 10000,
+  overflow: 'drop_oldest',
+  reconnectInitialMs: 500,
+  reconnectMaxMs: 30000,
+  // Messages sent per round trip while flushing the outbox
+  flushBatch: 500,
+  // Outbox rewrites after flushes and drops are batched this long
+  persistDelayMs: 1000,
+};
+
+// The nats package is an optional dependency; throws when it is missing
+function loadNats() {
+  return require('nats').connect;
+}
 
 class EventBus extends EventEmitter {
   constructor(opts = {}) {
     super();
+    this.options = { ...DEFAULT_OPTIONS, ...opts };
+    if (!OVERFLOW_POLICIES.includes(this.options.overflow)) {
+      throw new Error('overflow must be one of ' + OVERFLOW_POLICIES.join(', '));
+    }
     this.natsUrl = opts.natsUrl || process.env.NATS_URL || 'nats://localhost:4222';
+    // connect(options) resolves with a NATS connection; swappable for tests,
+    // as is loadNats, which finds it in the nats package
+    this.connectNats = opts.connect || null;
+    this.loadNats = opts.loadNats || loadNats;
     this.connected = false;
-    this.queue = [];
+    this.closing = false;
+    // Set once the client library turns out to be missing: nothing will
+    // ever be sent, so nothing is queued
+    this.unavailable = false;
+    this.outbox = [];
+    this.seq = 0;
+    this.dropped = 0;
+    // subject -> Set of handlers, all served by one NATS subscription
     this.subjects = new Map();
+    // subject -> that subscription, while connected
+    this.subscriptions = new Map();
+    this.reconnectAttempts = 0;
+    this._reconnectTimer = null;
+    this._flushing = null;
+    this._persistTimer = null;
+    // Highest seq the last outbox rewrite included
+    this._persistedSeq = 0;
+    this._writes = Promise.resolve();
+    this._loadOutbox();
   }
 
+  /**
+   * Connects to NATS, flushes the outbox and subscribes the registered
+   * subjects. A failed attempt schedules the next one; resolves with whether
+   * this attempt connected.
+   */
   async connect() {
+    clearTimeout(this._reconnectTimer);
+    this._reconnectTimer = null;
+    this.closing = false;
+    let connect;
+    try {
+      connect = this.connectNats || this.loadNats();
+    } catch (err) {
+      // Without the client library there is nothing to retry, and the
+      // outbox file is left for a process that can send it
+      console.warn('[EventBus] NATS client unavailable (' + err.message + '), local events only');
+      this.unavailable = true;
+      this.outbox = [];
+      clearTimeout(this._persistTimer);
+      this._persistTimer = null;
+      return false;
+    }
     try {
-      const { connect } = require('nats');
       this.nc = await connect({ servers: this.natsUrl });
-      this.connected = true;
-      console.log('[EventBus] Connected to NATS at ' + this.natsUrl);
-      for (const { subject, data } of this.queue) {
-        this.nc.publish(subject, JSON.stringify(data));
-      }
-      this.queue = [];
-      for (const [subject, handler] of this.subjects) {
-        const sub = this.nc.subscribe(subject);
-        (async () => {
-          for await (const msg of sub) {
-            handler(JSON.parse(msg.data.toString()), msg);
-          }
-        })();
-      }
-      this.emit('connected');
     } catch (err) {
-      console.warn('[EventBus] NATS unavailable (' + err.message + '), using local events');
       this.connected = false;
+      this._scheduleReconnect(err);
+      return false;
     }
+    this.connected = true;
+    this.reconnectAttempts = 0;
+    console.log('[EventBus] Connected to NATS at ' + this.natsUrl);
+    for (const subject of this.subjects.keys()) {
+      this._natsSubscribe(subject);
+    }
+    this._watchClose(this.nc);
+    this.emit('connected');
+    await this.flush();
+    return true;
   }
 
   publish(subject, data) {
-    if (this.connected && this.nc) {
-      this.nc.publish(subject, JSON.stringify(data));
-    } else {
-      this.queue.push({ subject, data });
+    if (this.unavailable) {
+      this.emit(subject, data);
+      return;
+    }
+    if (this.connected && this.nc && this.outbox.length === 0) {
+      try {
+        this.nc.publish(subject, JSON.stringify(data));
+        this.emit(subject, data);
+        return;
+      } catch (err) {
+        // The connection went away under us; the message waits in the outbox
+        this._disconnected(err);
+      }
     }
+    this._enqueue(subject, data);
+    if (this.connected) this.flush();
     this.emit(subject, data);
   }
 
+  /**
+   * Registers handler(data, msg) for subject; any number of handlers may
+   * share a subject. Returns a function that removes the handler, and the
+   * NATS subscription along with the subject's last handler.
+   */
   subscribe(subject, handler) {
-    this.subjects.set(subject, handler);
+    const isNew = !this.subjects.has(subject);
+    if (isNew) this.subjects.set(subject, new Set());
+    this.subjects.get(subject).add(handler);
     this.on(subject, handler);
-    if (this.connected && this.nc) {
-      const sub = this.nc.subscribe(subject);
-      (async () => {
-        for await (const msg of sub) {
-          handler(JSON.parse(msg.data.toString()), msg);
-        }
-      })();
+    if (isNew && this.connected && this.nc) {
+      this._natsSubscribe(subject);
+    }
+    return () => {
+      const handlers = this.subjects.get(subject);
+      this.removeListener(subject, handler);
+      if (!handlers || !handlers.delete(handler) || handlers.size > 0) return;
+      this.subjects.delete(subject);
+      const sub = this.subscriptions.get(subject);
+      if (!sub) return;
+      this.subscriptions.delete(subject);
+      try {
+        sub.unsubscribe();
+      } catch (err) {
+        console.warn('[EventBus] Could not unsubscribe from ' + subject + ': ' + err.message);
+      }
+    };
+  }
+
+  // Sends the outbox in publish order; resolves once it is empty or the
+  // connection is lost
+  flush() {
+    if (!this._flushing) {
+      this._flushing = this._flush().finally(() => {
+        this._flushing = null;
+      });
     }
+    return this._flushing;
   }
 
   async close() {
+    this.closing = true;
+    clearTimeout(this._reconnectTimer);
+    this._reconnectTimer = null;
+    if (this.connected) await this.flush();
+    this.connected = false;
     if (this.nc) await this.nc.close();
+    this.nc = null;
+    this.subscriptions.clear();
+    clearTimeout(this._persistTimer);
+    this._persist();
+    await this._writes;
+  }
+
+  async _flush() {
+    while (this.connected && this.nc && this.outbox.length > 0) {
+      const batch = this.outbox.slice(0, this.options.flushBatch);
+      try {
+        for (const { subject, data } of batch) {
+          this.nc.publish(subject, JSON.stringify(data));
+        }
+        // The server has them once the round trip completes
+        await this.nc.flush();
+      } catch (err) {
+        this._disconnected(err);
+        return;
+      }
+      // Drops while the batch was out may have shifted the outbox
+      const last = batch[batch.length - 1].seq;
+      this.outbox = this.outbox.filter((message) => message.seq > last);
+      this._schedulePersist();
+    }
+  }
+
+  _enqueue(subject, data) {
+    const { outboxMax, overflow } = this.options;
+    if (this.outbox.length >= outboxMax) {
+      if (overflow === 'reject') {
+        const err = new Error('Event outbox full (' + outboxMax + ' messages)');
+        err.code = 'OUTBOX_FULL';
+        throw err;
+      }
+      this.dropped++;
+      if (overflow === 'drop_newest') {
+        this.emit('dropped', { subject, reason: overflow });
+        return;
+      }
+      const oldest = this.outbox.shift();
+      this.emit('dropped', { subject: oldest.subject, reason: overflow });
+      this._schedulePersist();
+    }
+    const message = { seq: ++this.seq, subject, data };
+    this.outbox.push(message);
+    this._append(message);
+  }
+
+  _natsSubscribe(subject) {
+    const sub = this.nc.subscribe(subject);
+    this.subscriptions.set(subject, sub);
+    (async () => {
+      for await (const msg of sub) {
+        let data;
+        try {
+          data = JSON.parse(Buffer.from(msg.data).toString('utf8'));
+        } catch (err) {
+          console.warn('[EventBus] Ignoring malformed message on ' + subject + ': ' + err.message);
+          continue;
+        }
+        for (const handler of this.subjects.get(subject) || []) {
+          // One failing handler neither stops the others nor the loop
+          Promise.resolve()
+            .then(() => handler(data, msg))
+            .catch((err) => {
+              console.warn('[EventBus] Handler for ' + subject + ' failed: ' + err.message);
+            });
+        }
+      }
+    })().catch((err) => {
+      console.warn('[EventBus] Subscription to ' + subject + ' ended: ' + err.message);
+    });
+  }
+
+  _watchClose(nc) {
+    if (typeof nc.closed !== 'function') return;
+    nc.closed().then((err) => {
+      if (this.nc !== nc || this.closing) return;
+      this._disconnected(err || new Error('connection closed'));
+    });
+  }
+
+  _disconnected(err) {
+    if (!this.connected) return;
     this.connected = false;
+    this.nc = null;
+    // They went with the connection; connect() subscribes again
+    this.subscriptions.clear();
+    this.emit('disconnected');
+    this._scheduleReconnect(err);
+  }
+
+  _scheduleReconnect(err) {
+    if (this.closing || this._reconnectTimer) return;
+    const { reconnectInitialMs, reconnectMaxMs } = this.options;
+    const delay = Math.min(reconnectInitialMs * 2 ** this.reconnectAttempts, reconnectMaxMs);
+    this.reconnectAttempts++;
+    console.warn('[EventBus] NATS unavailable (' + (err && err.message) + '), retrying in ' +
+      delay + 'ms; ' + this.outbox.length + ' message(s) waiting');
+    this._reconnectTimer = setTimeout(() => {
+      this._reconnectTimer = null;
+      this.connect();
+    }, delay);
+    this._reconnectTimer.unref();
+  }
+
+  // Outbox file: one JSON message per line, appended as they are queued and
+  // rewritten once flushed or dropped messages have left
+  _loadOutbox() {
+    const file = this.options.outboxPath;
+    if (!file) return;
+    let lines;
+    try {
+      lines = fs.readFileSync(file, 'utf8').split('\n');
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        console.warn('[EventBus] Could not read outbox ' + file + ': ' + err.message);
+      }
+      return;
+    }
+    for (const line of lines) {
+      if (!line.trim()) continue;
+      try {
+        const { subject, data } = JSON.parse(line);
+        this.outbox.push({ seq: ++this.seq, subject, data });
+      } catch {
+        // A line cut short by a crash
+      }
+    }
+    const excess = this.outbox.length - this.options.outboxMax;
+    if (excess > 0) {
+      this.outbox.splice(0, excess);
+      this.dropped += excess;
+    }
+    this._schedulePersist();
+  }
+
+  _append(message) {
+    const file = this.options.outboxPath;
+    if (!file) return;
+    const line = JSON.stringify({ subject: message.subject, data: message.data }) + '\n';
+    this._write(async () => {
+      // A rewrite that ran first has written it already
+      if (message.seq <= this._persistedSeq) return;
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.appendFile(file, line);
+    });
+  }
+
+  _schedulePersist() {
+    if (!this.options.outboxPath || this._persistTimer) return;
+    this._persistTimer = setTimeout(() => {
+      this._persistTimer = null;
+      this._persist();
+    }, this.options.persistDelayMs);
+    this._persistTimer.unref();
+  }
+
+  _persist() {
+    const file = this.options.outboxPath;
+    if (!file || this.unavailable) return;
+    this._write(async () => {
+      // Snapshot at write time, so appends queued before this are included
+      const data = this.outbox
+        .map(({ subject, data }) => JSON.stringify({ subject, data }) + '\n')
+        .join('');
+      this._persistedSeq = this.seq;
+      const temp = file + '.' + process.pid + '.tmp';
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.writeFile(temp, data);
+      await fs.promises.rename(temp, file);
+    });
+  }
+
+  // Outbox writes go one at a time
+  _write(fn) {
+    this._writes = this._writes.then(fn).catch((err) => {
+      console.warn('[EventBus] Could not write outbox: ' + err.message);
+    });
   }
 }
 
 const bus = new EventBus();
-module.exports = { EventBus, bus };
+module.exports = { EventBus, OVERFLOW_POLICIES, loadNats, bus };
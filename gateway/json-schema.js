@@ -0,0 +1,284 @@
+'use strict'
+
+/**
+ * Minimal JSON Schema (draft-07 subset) validator
+ * Supports type, enum, const, anyOf, allOf, oneOf, not, properties,
+ * required, additionalProperties, patternProperties, minProperties,
+ * maxProperties, items, minItems, maxItems, uniqueItems, minLength,
+ * maxLength, pattern, minimum, maximum, exclusiveMinimum, exclusiveMaximum,
+ * multipleOf and local $ref ("#/definitions/..."). validateSchema skips
+ * keywords it does not know, so schemas from clients go through
+ * schemaIssues first, which reports them.
+ * Both return a list of { path, message } issues; an empty list means valid.
+ */
+
+// Keywords that only describe; they never fail a value
+const ANNOTATIONS = ['$schema', '$id', '$comment', 'title', 'description', 'default', 'examples', 'definitions']
+
+// Keywords that hold a subschema, a list of them, or a map of them
+const SUBSCHEMA = ['not', 'items', 'additionalProperties']
+const SUBSCHEMA_LISTS = ['anyOf', 'allOf', 'oneOf']
+const SUBSCHEMA_MAPS = ['properties', 'patternProperties', 'definitions']
+
+const KEYWORDS = new Set([
+  ...ANNOTATIONS,
+  ...SUBSCHEMA,
+  ...SUBSCHEMA_LISTS,
+  ...SUBSCHEMA_MAPS,
+  '$ref', 'type', 'enum', 'const', 'required', 'minProperties', 'maxProperties',
+  'minItems', 'maxItems', 'uniqueItems', 'minLength', 'maxLength', 'pattern',
+  'minimum', 'maximum', 'exclusiveMinimum', 'exclusiveMaximum', 'multipleOf'
+])
+
+const hasOwn = (object, key) => Object.prototype.hasOwnProperty.call(object, key)
+
+function typeOf(value) {
+  if (value === null) return 'null'
+  if (Array.isArray(value)) return 'array'
+  if (Number.isInteger(value)) return 'integer'
+  return typeof value
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value)
+  if (type === 'number') return actual === 'number' || actual === 'integer'
+  return actual === type
+}
+
+// "agents.cipher.fallback_chain[2]"; keys that are not identifiers are quoted
+function joinPath(base, key) {
+  if (typeof key === 'number') return `${base}[${key}]`
+  const segment = /^[A-Za-z_$][\w$-]*$/.test(key) ? key : JSON.stringify(key)
+  return base ? `${base}.${segment}` : segment
+}
+
+function resolveRef(root, ref) {
+  if (!ref.startsWith('#/')) {
+    throw new Error(`Unsupported $ref: ${ref}`)
+  }
+  return ref
+    .slice(2)
+    .split('/')
+    .reduce((node, part) => node && node[part.replace(/~1/g, '/').replace(/~0/g, '~')], root)
+}
+
+function validateSchema(schema, value, { root = schema, path = '' } = {}) {
+  const issues = []
+  const at = path || '(root)'
+  const fail = (message) => issues.push({ path: at, message })
+
+  if (schema.$ref) {
+    const target = resolveRef(root, schema.$ref)
+    if (!target) throw new Error(`Unresolved $ref: ${schema.$ref}`)
+    return validateSchema(target, value, { root, path })
+  }
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type]
+    if (!types.some((type) => matchesType(value, type))) {
+      fail(`must be ${types.join(' or ')}, got ${typeOf(value)}`)
+      return issues
+    }
+  }
+  if (schema.enum && !schema.enum.some((option) => option === value)) {
+    fail(`must be one of ${schema.enum.map((option) => JSON.stringify(option)).join(', ')}`)
+  }
+  if (schema.const !== undefined && schema.const !== value) {
+    fail(`must be ${JSON.stringify(schema.const)}`)
+  }
+  if (schema.anyOf) {
+    const branches = schema.anyOf.map((branch) => validateSchema(branch, value, { root, path }))
+    if (branches.every((branchIssues) => branchIssues.length > 0)) {
+      const reasons = branches.map((branchIssues) =>
+        branchIssues.map((issue) => `${issue.path} ${issue.message}`).join(', '))
+      fail(`must match one of: ${reasons.join('; or ')}`)
+    }
+  }
+  if (schema.oneOf) {
+    const matches = schema.oneOf
+      .filter((branch) => validateSchema(branch, value, { root, path }).length === 0).length
+    if (matches !== 1) {
+      fail(`must match exactly one of ${schema.oneOf.length} schemas, matched ${matches}`)
+    }
+  }
+  for (const branch of schema.allOf || []) {
+    issues.push(...validateSchema(branch, value, { root, path }))
+  }
+  if (schema.not && validateSchema(schema.not, value, { root, path }).length === 0) {
+    fail('must not match the schema in not')
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      fail(`must be at least ${schema.minLength} characters`)
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      fail(`must be at most ${schema.maxLength} characters`)
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      fail(`must match ${schema.pattern}`)
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      fail(`must be >= ${schema.minimum}`)
+    }
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+      fail(`must be > ${schema.exclusiveMinimum}`)
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      fail(`must be <= ${schema.maximum}`)
+    }
+    if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) {
+      fail(`must be < ${schema.exclusiveMaximum}`)
+    }
+    if (schema.multipleOf !== undefined) {
+      // Within float error of a whole number of steps
+      const steps = value / schema.multipleOf
+      if (Math.abs(steps - Math.round(steps)) > 1e-9) {
+        fail(`must be a multiple of ${schema.multipleOf}`)
+      }
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      fail(`must have at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}`)
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      fail(`must have at most ${schema.maxItems} item${schema.maxItems === 1 ? '' : 's'}`)
+    }
+    if (schema.uniqueItems) {
+      const seen = new Set()
+      value.forEach((item, index) => {
+        const key = JSON.stringify(item)
+        if (seen.has(key)) {
+          issues.push({ path: joinPath(path, index), message: `duplicate item ${key}` })
+        }
+        seen.add(key)
+      })
+    }
+    if (schema.items) {
+      value.forEach((item, index) => {
+        issues.push(...validateSchema(schema.items, item, { root, path: joinPath(path, index) }))
+      })
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    for (const key of schema.required || []) {
+      if (!hasOwn(value, key)) {
+        issues.push({ path: joinPath(path, key), message: 'is required' })
+      }
+    }
+    const count = Object.keys(value).length
+    if (schema.minProperties !== undefined && count < schema.minProperties) {
+      fail(`must have at least ${schema.minProperties} propert${schema.minProperties === 1 ? 'y' : 'ies'}`)
+    }
+    if (schema.maxProperties !== undefined && count > schema.maxProperties) {
+      fail(`must have at most ${schema.maxProperties} propert${schema.maxProperties === 1 ? 'y' : 'ies'}`)
+    }
+    const properties = schema.properties || {}
+    const patterns = Object.entries(schema.patternProperties || {})
+    for (const [key, child] of Object.entries(value)) {
+      const childPath = joinPath(path, key)
+      let matched = false
+      if (hasOwn(properties, key)) {
+        matched = true
+        issues.push(...validateSchema(properties[key], child, { root, path: childPath }))
+      }
+      for (const [pattern, childSchema] of patterns) {
+        if (new RegExp(pattern).test(key)) {
+          matched = true
+          issues.push(...validateSchema(childSchema, child, { root, path: childPath }))
+        }
+      }
+      if (matched || schema.additionalProperties === undefined) continue
+      if (schema.additionalProperties === false) {
+        issues.push({ path: childPath, message: 'is not an allowed property' })
+      } else if (typeof schema.additionalProperties === 'object') {
+        issues.push(...validateSchema(schema.additionalProperties, child, { root, path: childPath }))
+      }
+    }
+  }
+
+  return issues
+}
+
+/**
+ * Checks a schema before it is used: every keyword must be one
+ * validateSchema applies or an annotation, patterns must compile and $refs
+ * must resolve. Returns a list of { path, message } issues.
+ */
+function schemaIssues(schema, { root = schema, path = '' } = {}) {
+  const at = path || '(root)'
+  if (typeof schema === 'boolean') {
+    return [{ path: at, message: 'boolean schemas are not supported' }]
+  }
+  if (typeOf(schema) !== 'object') {
+    return [{ path: at, message: 'must be a schema object' }]
+  }
+  const issues = []
+  const fail = (message) => issues.push({ path: at, message })
+  for (const key of Object.keys(schema)) {
+    if (!KEYWORDS.has(key)) fail(`unsupported keyword "${key}"`)
+  }
+  if (schema.$ref !== undefined) {
+    try {
+      if (!resolveRef(root, String(schema.$ref))) fail(`unresolved $ref ${schema.$ref}`)
+    } catch (err) {
+      fail(err.message)
+    }
+  }
+  const patterns = [
+    ...(typeof schema.pattern === 'string' ? [schema.pattern] : []),
+    ...Object.keys(typeOf(schema.patternProperties) === 'object' ? schema.patternProperties : {})
+  ]
+  for (const pattern of patterns) {
+    try {
+      new RegExp(pattern)
+    } catch {
+      fail(`invalid pattern ${JSON.stringify(pattern)}`)
+    }
+  }
+  if (schema.multipleOf !== undefined && !(typeof schema.multipleOf === 'number' && schema.multipleOf > 0)) {
+    fail('multipleOf must be a number greater than 0')
+  }
+
+  for (const key of SUBSCHEMA) {
+    const child = schema[key]
+    if (child === undefined || (key === 'additionalProperties' && typeof child === 'boolean')) continue
+    if (key === 'items' && Array.isArray(child)) {
+      fail('tuple items (an array of schemas) are not supported')
+      continue
+    }
+    issues.push(...schemaIssues(child, { root, path: joinPath(path, key) }))
+  }
+  for (const key of SUBSCHEMA_LISTS) {
+    if (schema[key] === undefined) continue
+    if (!Array.isArray(schema[key]) || schema[key].length === 0) {
+      fail(`${key} must be a non-empty array of schemas`)
+      continue
+    }
+    schema[key].forEach((child, index) => {
+      issues.push(...schemaIssues(child, { root, path: joinPath(joinPath(path, key), index) }))
+    })
+  }
+  for (const key of SUBSCHEMA_MAPS) {
+    if (schema[key] === undefined) continue
+    if (typeOf(schema[key]) !== 'object') {
+      fail(`${key} must be an object of schemas`)
+      continue
+    }
+    for (const [name, child] of Object.entries(schema[key])) {
+      issues.push(...schemaIssues(child, { root, path: joinPath(joinPath(path, key), name) }))
+    }
+  }
+  return issues
+}
+
+module.exports = {
+  validateSchema,
+  schemaIssues
+}
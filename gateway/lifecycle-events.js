@@ -0,0 +1,99 @@
+'use strict'
+
+/**
+ * Gateway lifecycle events
+ * What happens to agent calls is published on the EventBus so other services
+ * on the mesh can react to it:
+ *
+ *   accepted          the request passed validation, policy and rate limits
+ *   provider_attempt  a provider is about to be called
+ *   provider_failed   a provider call failed (the fallback chain may go on)
+ *   fallback          a fallback provider answered instead of the primary
+ *   completed         the request finished: ok, error (denials included) or
+ *                     cancelled
+ *   rate_limited      the agent's rate limit turned the request away
+ *   verify_verdict    /v1/verify reached a verdict
+ *
+ * Subjects come from a pattern with {agent} and {event} placeholders. Payload
+ * fields that carry request or answer content are replaced with "[redacted]"
+ * unless the policy's event_redaction (the agent's, else the global one)
+ * leaves them out.
+ */
+
+const LIFECYCLE_EVENTS = [
+  'accepted',
+  'provider_attempt',
+  'provider_failed',
+  'fallback',
+  'completed',
+  'rate_limited',
+  'verify_verdict'
+]
+
+const DEFAULT_SUBJECT_PATTERN = 'blackroad.gateway.agent.{agent}.{event}'
+
+// Redacted when the policy says nothing
+const CONTENT_FIELDS = ['input', 'context', 'output', 'tool_calls', 'claim', 'reasoning']
+
+const REDACTED = '[redacted]'
+
+// NATS splits subjects on dots and treats * and > as wildcards
+function subjectToken(value) {
+  return String(value ?? 'unknown').replace(/[^A-Za-z0-9_-]/g, '_') || '_'
+}
+
+function eventSubject(pattern, event, agent) {
+  return pattern.replace(/\{(agent|event)\}/g, (_, name) =>
+    subjectToken(name === 'agent' ? agent : event))
+}
+
+function redactedFields(policy, agentPolicy) {
+  if (agentPolicy && agentPolicy.event_redaction) return agentPolicy.event_redaction
+  if (policy && policy.global && policy.global.event_redaction) return policy.global.event_redaction
+  return CONTENT_FIELDS
+}
+
+function redact(data, fields) {
+  const copy = { ...data }
+  for (const field of fields) {
+    if (copy[field] !== undefined && copy[field] !== null) copy[field] = REDACTED
+  }
+  return copy
+}
+
+class LifecycleEvents {
+  // bus: an EventBus, or null to publish nothing
+  constructor(bus, { subjectPattern = DEFAULT_SUBJECT_PATTERN, now = Date.now } = {}) {
+    this.bus = bus
+    this.subjectPattern = subjectPattern
+    this.now = now
+  }
+
+  /**
+   * Publishes event for data.agent; policy and agentPolicy decide what is
+   * redacted. A bus failure is logged, never thrown into the request.
+   */
+  publish(event, data, { policy = null, agentPolicy = null } = {}) {
+    if (!this.bus) return
+    const payload = {
+      event,
+      timestamp: new Date(this.now()).toISOString(),
+      ...redact(data, redactedFields(policy, agentPolicy))
+    }
+    try {
+      this.bus.publish(eventSubject(this.subjectPattern, event, data.agent), payload)
+    } catch (error) {
+      console.warn(`[events] could not publish ${event}: ${error.message}`)
+    }
+  }
+}
+
+module.exports = {
+  LIFECYCLE_EVENTS,
+  DEFAULT_SUBJECT_PATTERN,
+  CONTENT_FIELDS,
+  eventSubject,
+  redactedFields,
+  redact,
+  LifecycleEvents
+}
@@ -3,6 +3,10 @@
 /**
  * BlackRoad Gateway Memory System
  * PS-SHA∞ hash-chain journal for gateway interactions
+ *
+ * The journal is stored as rotated segments (journal/segment-NNNNNN.jsonl)
+ * with a small index.json holding per-segment entry counts, first/last
+ * hashes and time ranges. The chain runs unbroken across segment boundaries.
  */
 
 const crypto = require('crypto')
@@ -10,30 +14,142 @@ const fs = require('fs/promises')
 const path = require('path')
 
 const MEMORY_DIR = path.join(process.env.HOME || '/tmp', '.blackroad', 'gateway-memory')
-const JOURNAL_PATH = path.join(MEMORY_DIR, 'journal.jsonl')
+const LEGACY_JOURNAL_PATH = path.join(MEMORY_DIR, 'journal.jsonl')
+const JOURNAL_DIR = path.join(MEMORY_DIR, 'journal')
+const INDEX_PATH = path.join(JOURNAL_DIR, 'index.json')
 const CONTEXT_PATH = path.join(MEMORY_DIR, 'context.json')
+const SESSIONS_DIR = path.join(MEMORY_DIR, 'sessions')
+const SESSION_ID_PATTERN = /^[A-Za-z0-9_-]{1,128}$/
+
+// Hex digits kept from the SHA-256 digest. "short" is the original format;
+// verify() tells the two apart by length. A journal may start short and go
+// full, never back: once an entry is full every later one must be too.
+const HASH_LENGTHS = { short: 16, full: 64 }
+
+const DEFAULT_SEGMENT_MAX_ENTRIES = 10000
+const DEFAULT_SEGMENT_MAX_BYTES = 8 * 1024 * 1024
+const TAIL_CHUNK_BYTES = 64 * 1024
+
+function chainHash(prev, data, length) {
+  return crypto
+    .createHash('sha256')
+    .update(prev + JSON.stringify(data))
+    .digest('hex')
+    .slice(0, length)
+}
+
+function segmentName(seq) {
+  return `segment-${String(seq).padStart(6, '0')}.jsonl`
+}
+
+function emptySegment(file) {
+  return {
+    file,
+    entries: 0,
+    bytes: 0,
+    first_hash: null,
+    last_hash: null,
+    first_ts: null,
+    last_ts: null
+  }
+}
+
+// Rebuilds one segment's index entry from its contents
+async function scanSegment(file) {
+  const segment = emptySegment(file)
+  const content = await fs.readFile(path.join(JOURNAL_DIR, file), 'utf8')
+  segment.bytes = Buffer.byteLength(content)
+  for (const line of content.split('\n')) {
+    if (!line) continue
+    segment.entries++
+    try {
+      const entry = JSON.parse(line)
+      if (!segment.first_hash) {
+        segment.first_hash = entry.hash
+        segment.first_ts = entry.ts
+      }
+      segment.last_hash = entry.hash
+      segment.last_ts = entry.ts
+    } catch { /* left for verify() to report */ }
+  }
+  return segment
+}
+
+// Reads the last `count` lines of a file backwards, chunk by chunk
+async function readTailLines(filePath, count) {
+  if (count <= 0) return []
+  let handle
+  try {
+    handle = await fs.open(filePath, 'r')
+  } catch (err) {
+    if (err.code === 'ENOENT') return []
+    throw err
+  }
+  try {
+    const { size } = await handle.stat()
+    let position = size
+    let tail = Buffer.alloc(0)
+    let lines = []
+    while (position > 0) {
+      const length = Math.min(TAIL_CHUNK_BYTES, position)
+      position -= length
+      const chunk = Buffer.alloc(length)
+      await handle.read(chunk, 0, length, position)
+      tail = Buffer.concat([chunk, tail])
+      lines = tail.toString('utf8').split('\n').filter(Boolean)
+      // The first line may be cut mid-way, so only stop with one to spare
+      if (lines.length > count) break
+    }
+    return lines.slice(-count)
+  } finally {
+    await handle.close()
+  }
+}
 
 class GatewayMemory {
   constructor() {
     this.lastHash = 'GENESIS'
+    this.hashMode = 'short'
+    this.segmentMaxEntries = DEFAULT_SEGMENT_MAX_ENTRIES
+    this.segmentMaxBytes = DEFAULT_SEGMENT_MAX_BYTES
+    this.index = { version: 1, total_entries: 0, segments: [] }
     this.context = {}
     this.sessionCounts = new Map()
     this._initialized = false
+    this._initPromise = null
+    // Journal appends are chained so lines land in hash-chain order
+    this._writes = Promise.resolve()
+    // Session id -> tail of that session's chained read-modify-writes
+    this._sessionWrites = new Map()
+  }
+
+  configure({ hashMode, segmentMaxEntries, segmentMaxBytes } = {}) {
+    if (hashMode !== undefined) {
+      if (!HASH_LENGTHS[hashMode]) {
+        throw new Error(`Unknown memory hash mode: ${hashMode}`)
+      }
+      this.hashMode = hashMode
+    }
+    if (segmentMaxEntries > 0) this.segmentMaxEntries = segmentMaxEntries
+    if (segmentMaxBytes > 0) this.segmentMaxBytes = segmentMaxBytes
   }
 
   async init() {
     if (this._initialized) return
+    if (!this._initPromise) {
+      this._initPromise = this._load().finally(() => {
+        this._initPromise = null
+      })
+    }
+    await this._initPromise
+  }
+
+  async _load() {
     try {
-      await fs.mkdir(MEMORY_DIR, { recursive: true })
-      // Load last hash from journal tail
-      try {
-        const journal = await fs.readFile(JOURNAL_PATH, 'utf8')
-        const lines = journal.trim().split('\n').filter(Boolean)
-        if (lines.length > 0) {
-          const last = JSON.parse(lines[lines.length - 1])
-          this.lastHash = last.hash
-        }
-      } catch { /* first run */ }
+      await fs.mkdir(JOURNAL_DIR, { recursive: true })
+      this.index = await this._loadIndex()
+      const last = this.index.segments[this.index.segments.length - 1]
+      this.lastHash = (last && last.last_hash) || 'GENESIS'
       // Load context
       try {
         const ctx = await fs.readFile(CONTEXT_PATH, 'utf8')
@@ -45,34 +161,185 @@ class GatewayMemory {
     }
   }
 
+  async _loadIndex() {
+    let index = null
+    try {
+      index = JSON.parse(await fs.readFile(INDEX_PATH, 'utf8'))
+    } catch { /* missing or half-written: rebuilt below */ }
+
+    if (!index || !Array.isArray(index.segments)) {
+      const listSegments = async () => (await fs.readdir(JOURNAL_DIR))
+        .filter((file) => /^segment-\d+\.jsonl$/.test(file))
+        .sort()
+      let files = await listSegments()
+      if (files.length === 0) {
+        // A pre-segment journal becomes the first segment
+        try {
+          await fs.rename(LEGACY_JOURNAL_PATH, path.join(JOURNAL_DIR, segmentName(1)))
+          files = await listSegments()
+        } catch { /* nothing to migrate */ }
+      }
+      index = { version: 1, total_entries: 0, segments: [] }
+      for (const file of files) {
+        index.segments.push(await scanSegment(file))
+      }
+    } else if (index.segments.length > 0) {
+      // The index is written after each append; a crash in between leaves
+      // the active segment ahead of it
+      const last = index.segments.length - 1
+      try {
+        index.segments[last] = await scanSegment(index.segments[last].file)
+      } catch { /* segment missing: verify() reports it */ }
+    }
+
+    index.total_entries = index.segments.reduce((sum, segment) => sum + segment.entries, 0)
+    await this._writeIndex(index)
+    return index
+  }
+
+  async _writeIndex(index = this.index) {
+    const tmpPath = `${INDEX_PATH}.tmp`
+    await fs.writeFile(tmpPath, JSON.stringify(index, null, 2))
+    await fs.rename(tmpPath, INDEX_PATH)
+  }
+
+  // Writes one entry; the chain head only moves once it is on disk
+  async _append(record, line) {
+    const bytes = Buffer.byteLength(line)
+    let segment = this.index.segments[this.index.segments.length - 1]
+    let rotated = false
+    if (
+      !segment ||
+      segment.entries >= this.segmentMaxEntries ||
+      (segment.entries > 0 && segment.bytes + bytes > this.segmentMaxBytes)
+    ) {
+      segment = emptySegment(segmentName(this.index.segments.length + 1))
+      this.index.segments.push(segment)
+      rotated = true
+    }
+    try {
+      await fs.appendFile(path.join(JOURNAL_DIR, segment.file), line)
+    } catch (err) {
+      if (rotated) this.index.segments.pop()
+      throw err
+    }
+    this.lastHash = record.hash
+    segment.entries++
+    segment.bytes += bytes
+    if (!segment.first_hash) {
+      segment.first_hash = record.hash
+      segment.first_ts = record.ts
+    }
+    segment.last_hash = record.hash
+    segment.last_ts = record.ts
+    this.index.total_entries++
+    await this._writeIndex()
+  }
+
   _hash(data) {
-    return crypto
-      .createHash('sha256')
-      .update(this.lastHash + JSON.stringify(data))
-      .digest('hex')
-      .slice(0, 16)
+    // Switching back to short mode keeps a full chain full
+    const length = this.lastHash.length === HASH_LENGTHS.full
+      ? HASH_LENGTHS.full
+      : HASH_LENGTHS[this.hashMode]
+    return chainHash(this.lastHash, data, length)
   }
 
+  // Resolves with the entry's hash once it is in the journal; rejects when
+  // the write fails, leaving the chain head on the last entry written
   async record(entry) {
     await this.init()
-    const record = {
-      ts: new Date().toISOString(),
-      prev: this.lastHash,
-      ...entry
-    }
-    record.hash = this._hash(record)
-    this.lastHash = record.hash
+    const ts = new Date().toISOString()
+    // Hashed when its turn comes, so it links to the entry actually before it
+    const write = this._writes.then(async () => {
+      const record = { ts, prev: this.lastHash, ...entry }
+      record.hash = this._hash(record)
+      await this._append(record, JSON.stringify(record) + '\n')
+      return record.hash
+    })
+    this._writes = write.catch(() => { /* the caller gets the error */ })
+    const hash = await write
 
     // Track session counts
     if (entry.agent) {
       const count = (this.sessionCounts.get(entry.agent) || 0) + 1
       this.sessionCounts.set(entry.agent, count)
     }
+    return hash
+  }
 
-    try {
-      await fs.appendFile(JOURNAL_PATH, JSON.stringify(record) + '\n')
-    } catch { /* non-fatal */ }
-    return record.hash
+  /**
+   * Walks the hash chain from GENESIS through every segment and reports the
+   * first broken link. Each entry must name the previous entry's hash as
+   * `prev` and carry a hash that matches its own contents, full once any
+   * earlier entry was; each segment must agree with its index entry.
+   */
+  async verify() {
+    await this.init()
+    await this._writes
+    let prev = 'GENESIS'
+    let entries = 0
+    const fail = (broken) => ({ ok: false, entries, last_hash: prev, broken })
+
+    for (const segment of this.index.segments) {
+      let content
+      try {
+        content = await fs.readFile(path.join(JOURNAL_DIR, segment.file), 'utf8')
+      } catch (err) {
+        if (err.code !== 'ENOENT') throw err
+        return fail({ segment: segment.file, line: null, reason: 'segment file missing' })
+      }
+      const lines = content.split('\n')
+      let count = 0
+      for (let i = 0; i < lines.length; i++) {
+        if (!lines[i]) continue
+        const line = i + 1
+        let entry
+        try {
+          entry = JSON.parse(lines[i])
+        } catch {
+          return fail({ segment: segment.file, line, reason: 'unparseable entry' })
+        }
+        const { hash, ...data } = entry
+        if (data.prev !== prev) {
+          return fail({
+            segment: segment.file,
+            line,
+            reason: 'prev does not match previous hash',
+            expected: prev,
+            actual: data.prev
+          })
+        }
+        const length = typeof hash === 'string' ? hash.length : 0
+        if (prev.length === HASH_LENGTHS.full && length !== HASH_LENGTHS.full) {
+          return fail({
+            segment: segment.file,
+            line,
+            reason: 'short hash after full-hash entries',
+            expected: `${HASH_LENGTHS.full} hex digits`,
+            actual: hash
+          })
+        }
+        const expected = length === HASH_LENGTHS.short || length === HASH_LENGTHS.full
+          ? chainHash(prev, data, length)
+          : null
+        if (hash !== expected) {
+          return fail({
+            segment: segment.file,
+            line,
+            reason: 'hash does not match entry contents',
+            expected,
+            actual: hash
+          })
+        }
+        prev = hash
+        entries++
+        count++
+      }
+      if (count !== segment.entries || (count > 0 && segment.last_hash !== prev)) {
+        return fail({ segment: segment.file, line: null, reason: 'index does not match segment' })
+      }
+    }
+    return { ok: true, entries, last_hash: prev, broken: null }
   }
 
   async updateContext(key, value) {
@@ -88,15 +355,120 @@ class GatewayMemory {
     return this.context[key]?.value ?? null
   }
 
-  async stats() {
+  // -------------------------------------------------------------------------
+  // Conversation sessions — one JSON file per session, ordered messages
+  // -------------------------------------------------------------------------
+  isValidSessionId(id) {
+    return typeof id === 'string' && SESSION_ID_PATTERN.test(id)
+  }
+
+  _sessionPath(id) {
+    if (!this.isValidSessionId(id)) {
+      throw new Error('Invalid session id')
+    }
+    return path.join(SESSIONS_DIR, `${id}.json`)
+  }
+
+  async getSession(id) {
     await this.init()
-    let lineCount = 0
     try {
-      const journal = await fs.readFile(JOURNAL_PATH, 'utf8')
-      lineCount = journal.trim().split('\n').filter(Boolean).length
-    } catch { /* empty */ }
+      return JSON.parse(await fs.readFile(this._sessionPath(id), 'utf8'))
+    } catch (err) {
+      if (err.code === 'ENOENT') return null
+      throw err
+    }
+  }
+
+  // Changes to one session run one at a time so concurrent turns aren't lost
+  // and a delete does not race a write.
+  _writeSession(id, change) {
+    const previous = this._sessionWrites.get(id) || Promise.resolve()
+    const write = previous
+      .catch(() => { /* the earlier caller saw its own error */ })
+      .then(change)
+    this._sessionWrites.set(id, write)
+    const clear = () => {
+      if (this._sessionWrites.get(id) === write) this._sessionWrites.delete(id)
+    }
+    write.then(clear, clear)
+    return write
+  }
+
+  // Appends one user/assistant exchange, keeping at most `maxTurns` exchanges.
+  // The first exchange records the owner.
+  appendSessionTurn(id, turn, maxTurns) {
+    return this._writeSession(id, () => this._appendSessionTurn(id, turn, maxTurns))
+  }
+
+  async _appendSessionTurn(id, { agent, owner = null, intent, input, output, provider }, maxTurns) {
+    const now = new Date().toISOString()
+    const session = (await this.getSession(id)) || {
+      id,
+      agent,
+      owner,
+      created: now,
+      messages: []
+    }
+    session.messages.push(
+      { role: 'user', content: input, intent, ts: now },
+      { role: 'assistant', content: output, provider, ts: now }
+    )
+    if (maxTurns > 0 && session.messages.length > maxTurns * 2) {
+      session.messages = session.messages.slice(-maxTurns * 2)
+    }
+    session.updated = now
+    await fs.mkdir(SESSIONS_DIR, { recursive: true })
+    // Readers never see a half-written file
+    const sessionPath = this._sessionPath(id)
+    const tmpPath = `${sessionPath}.${process.pid}.tmp`
+    await fs.writeFile(tmpPath, JSON.stringify(session, null, 2))
+    await fs.rename(tmpPath, sessionPath)
+    return session
+  }
+
+  async listSessions({ agent } = {}) {
+    await this.init()
+    let files = []
+    try {
+      files = await fs.readdir(SESSIONS_DIR)
+    } catch { return [] }
+    const sessions = []
+    for (const file of files) {
+      if (!file.endsWith('.json')) continue
+      try {
+        const session = JSON.parse(await fs.readFile(path.join(SESSIONS_DIR, file), 'utf8'))
+        if (agent && session.agent !== agent) continue
+        sessions.push({
+          id: session.id,
+          agent: session.agent,
+          owner: session.owner ?? null,
+          turns: Math.floor(session.messages.length / 2),
+          created: session.created,
+          updated: session.updated
+        })
+      } catch { /* skip unreadable session */ }
+    }
+    return sessions.sort((a, b) => (a.updated < b.updated ? 1 : -1))
+  }
+
+  deleteSession(id) {
+    return this._writeSession(id, async () => {
+      await this.init()
+      try {
+        await fs.unlink(this._sessionPath(id))
+        return true
+      } catch (err) {
+        if (err.code === 'ENOENT') return false
+        throw err
+      }
+    })
+  }
+
+  async stats() {
+    await this.init()
     return {
-      journal_entries: lineCount,
+      journal_entries: this.index.total_entries,
+      journal_segments: this.index.segments.length,
       last_hash: this.lastHash,
       context_keys: Object.keys(this.context).length,
       session_calls: Object.fromEntries(this.sessionCounts),
@@ -104,13 +476,21 @@ class GatewayMemory {
     }
   }
 
+  // Newest first, read backwards from the tail of the newest segments
   async recent(limit = 10) {
     await this.init()
+    await this._writes
+    const entries = []
     try {
-      const journal = await fs.readFile(JOURNAL_PATH, 'utf8')
-      const lines = journal.trim().split('\n').filter(Boolean)
-      return lines.slice(-limit).map(l => JSON.parse(l)).reverse()
-    } catch { return [] }
+      for (let i = this.index.segments.length - 1; i >= 0 && entries.length < limit; i--) {
+        const file = path.join(JOURNAL_DIR, this.index.segments[i].file)
+        const lines = await readTailLines(file, limit - entries.length)
+        for (let j = lines.length - 1; j >= 0; j--) {
+          entries.push(JSON.parse(lines[j]))
+        }
+      }
+    } catch { /* return what was readable */ }
+    return entries
   }
 }
 
@@ -1,57 +1,189 @@
 const crypto = require('crypto');
 
-const JWT_SECRET = process.env.JWT_SECRET || 'blackroad-dev-secret';
+// Agent-scoped HS256 bearer tokens.
+//
+// Keys come from JWT_KEYS ("kid1:secret1,kid2:secret2") or JWT_SECRET (kid
+// "default"). The first key, or JWT_ACTIVE_KID, signs new tokens; every
+// listed key still verifies, so a key can be rotated out gradually.
+// The built-in dev secret is only accepted when NODE_ENV is development or
+// test.
+//
+// Claims: sub (caller), agents / intents / providers (lists, "*" for any;
+// a missing claim allows everything) and admin (admin endpoints).
+
+const DEV_SECRET = 'blackroad-dev-secret';
 const TOKEN_EXPIRY = 3600;
+const CLOCK_SKEW_SECONDS = 60;
 
 function base64url(str) {
   return Buffer.from(str).toString('base64url');
 }
 
-function sign(payload) {
-  const header = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+function isDevMode(env = process.env) {
+  return env.NODE_ENV === 'development' || env.NODE_ENV === 'test';
+}
+
+function loadKeyring(env = process.env) {
+  const keys = new Map();
+  if (env.JWT_KEYS) {
+    for (const entry of env.JWT_KEYS.split(',')) {
+      const separator = entry.indexOf(':');
+      const kid = entry.slice(0, separator).trim();
+      const secret = entry.slice(separator + 1).trim();
+      if (separator <= 0 || !secret) {
+        throw new Error('JWT_KEYS must be a comma-separated list of kid:secret pairs');
+      }
+      keys.set(kid, secret);
+    }
+  } else if (env.JWT_SECRET) {
+    keys.set('default', env.JWT_SECRET);
+  } else if (isDevMode(env)) {
+    keys.set('dev', DEV_SECRET);
+  } else {
+    throw new Error('JWT_SECRET or JWT_KEYS must be set outside dev mode (NODE_ENV=development)');
+  }
+
+  if (!isDevMode(env) && [...keys.values()].includes(DEV_SECRET)) {
+    throw new Error('Refusing the built-in dev JWT secret outside dev mode');
+  }
+  const activeKid = env.JWT_ACTIVE_KID || keys.keys().next().value;
+  if (!keys.has(activeKid)) {
+    throw new Error(`JWT_ACTIVE_KID "${activeKid}" is not in JWT_KEYS`);
+  }
+  return { keys, activeKid };
+}
+
+let envKeyring = null;
+
+function defaultKeyring() {
+  if (!envKeyring) envKeyring = loadKeyring();
+  return envKeyring;
+}
+
+function hmac(secret, data) {
+  return crypto.createHmac('sha256', secret).update(data).digest();
+}
+
+function sign(payload, options = {}) {
+  const keyring = options.keyring || defaultKeyring();
+  const kid = options.kid || keyring.activeKid;
+  const secret = keyring.keys.get(kid);
+  if (!secret) throw new Error(`Unknown signing key: ${kid}`);
+  const now = options.now || Math.floor(Date.now() / 1000);
+  const header = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT', kid }));
   const body = base64url(JSON.stringify({
     ...payload,
-    iat: Math.floor(Date.now() / 1000),
-    exp: Math.floor(Date.now() / 1000) + TOKEN_EXPIRY
+    iat: now,
+    exp: now + (options.expiresIn || TOKEN_EXPIRY)
   }));
-  const signature = crypto
-    .createHmac('sha256', JWT_SECRET)
-    .update(`${header}.${body}`)
-    .digest('base64url');
+  const signature = hmac(secret, `${header}.${body}`).toString('base64url');
   return `${header}.${body}.${signature}`;
 }
 
-function verify(token) {
-  const parts = token.split('.');
-  if (parts.length !== 3) return null;
+function parseSegment(segment) {
+  try {
+    const value = JSON.parse(Buffer.from(segment, 'base64url').toString());
+    return value && typeof value === 'object' ? value : null;
+  } catch {
+    return null;
+  }
+}
+
+// Returns { payload } or { error } with the reason the token was refused
+function verifyToken(token, options = {}) {
+  const keyring = options.keyring || defaultKeyring();
+  const skew = options.skewSeconds ?? CLOCK_SKEW_SECONDS;
+  const now = options.now || Math.floor(Date.now() / 1000);
+
+  const parts = typeof token === 'string' ? token.split('.') : [];
+  if (parts.length !== 3) return { error: 'Malformed token' };
   const [header, body, signature] = parts;
-  const expected = crypto
-    .createHmac('sha256', JWT_SECRET)
-    .update(`${header}.${body}`)
-    .digest('base64url');
-  if (signature !== expected) return null;
-  const payload = JSON.parse(Buffer.from(body, 'base64url').toString());
-  if (payload.exp && payload.exp < Math.floor(Date.now() / 1000)) return null;
-  return payload;
+  const decodedHeader = parseSegment(header);
+  if (!decodedHeader || decodedHeader.alg !== 'HS256') {
+    return { error: 'Unsupported token algorithm' };
+  }
+  // Tokens minted before key ids existed verify against the active key
+  const secret = keyring.keys.get(decodedHeader.kid || keyring.activeKid);
+  if (!secret) return { error: 'Unknown signing key' };
+
+  const expected = hmac(secret, `${header}.${body}`);
+  const actual = Buffer.from(signature, 'base64url');
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+    return { error: 'Invalid token signature' };
+  }
+
+  const payload = parseSegment(body);
+  if (!payload) return { error: 'Malformed token' };
+  // A token without an expiry would be good forever
+  if (typeof payload.exp !== 'number' || !Number.isFinite(payload.exp)) {
+    return { error: 'Token has no expiry' };
+  }
+  if (payload.exp + skew < now) {
+    return { error: 'Token expired' };
+  }
+  if (typeof payload.nbf === 'number' && payload.nbf - skew > now) {
+    return { error: 'Token not yet valid' };
+  }
+  return { payload };
+}
+
+function verify(token, options) {
+  return verifyToken(token, options).payload || null;
+}
+
+function permits(claim, value) {
+  if (claim === undefined || claim === '*') return true;
+  return Array.isArray(claim) && (claim.includes('*') || claim.includes(value));
+}
+
+// Checks a request against the token's agent, intent and provider claims;
+// returns the refusal message, or null when the call is allowed
+function authorize(claims, { agent, intent, provider } = {}) {
+  if (agent !== undefined && !permits(claims.agents, agent)) {
+    return `Token does not permit agent ${agent}`;
+  }
+  if (intent !== undefined && !permits(claims.intents, intent)) {
+    return `Token does not permit intent ${intent}`;
+  }
+  if (provider !== undefined && !permits(claims.providers, provider)) {
+    return `Token does not permit provider ${provider}`;
+  }
+  return null;
+}
+
+function bearerToken(req) {
+  const authHeader = req.headers.authorization;
+  if (!authHeader || !authHeader.startsWith('Bearer ')) return null;
+  return authHeader.slice(7).trim();
 }
 
 function authMiddleware(req, res, next) {
   if (req.url === '/health' || req.url === '/ready') return next();
-  const authHeader = req.headers.authorization;
-  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+  const token = bearerToken(req);
+  if (!token) {
     res.writeHead(401, { 'Content-Type': 'application/json' });
     res.end(JSON.stringify({ error: 'Missing or invalid authorization header' }));
     return;
   }
-  const token = authHeader.slice(7);
-  const payload = verify(token);
+  const { payload, error } = verifyToken(token);
   if (!payload) {
     res.writeHead(401, { 'Content-Type': 'application/json' });
-    res.end(JSON.stringify({ error: 'Invalid or expired token' }));
+    res.end(JSON.stringify({ error }));
     return;
   }
   req.user = payload;
   next();
 }
 
-module.exports = { sign, verify, authMiddleware };
+module.exports = {
+  CLOCK_SKEW_SECONDS,
+  isDevMode,
+  loadKeyring,
+  sign,
+  verify,
+  verifyToken,
+  permits,
+  authorize,
+  bearerToken,
+  authMiddleware
+};
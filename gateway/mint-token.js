@@ -0,0 +1,69 @@
+#!/usr/bin/env node
+'use strict'
+
+/**
+ * Mints a gateway bearer token with the keys from JWT_KEYS / JWT_SECRET
+ *
+ *   node gateway/mint-token.js --sub ci-bot --agents planner,prism \
+ *     [--intents plan,analyze] [--providers ollama] [--ttl 3600] [--kid 2026-10] [--admin]
+ *
+ * Omitted agents / intents / providers claims allow everything.
+ */
+
+const { sign, loadKeyring } = require('./middleware/auth')
+
+const LIST_FLAGS = ['agents', 'intents', 'providers']
+
+function parseArgs(argv) {
+  const options = { claims: {} }
+  for (let i = 0; i < argv.length; i++) {
+    const flag = argv[i]
+    const value = argv[i + 1]
+    if (flag === '--admin') {
+      options.claims.admin = true
+      continue
+    }
+    if (!flag.startsWith('--') || value === undefined) {
+      throw new Error(`Unexpected argument: ${flag}`)
+    }
+    const name = flag.slice(2)
+    i++
+    if (LIST_FLAGS.includes(name)) {
+      options.claims[name] = value.split(',').map((item) => item.trim()).filter(Boolean)
+    } else if (name === 'sub') {
+      options.claims.sub = value
+    } else if (name === 'ttl') {
+      options.expiresIn = Number(value)
+      if (!Number.isInteger(options.expiresIn) || options.expiresIn <= 0) {
+        throw new Error('--ttl must be a positive number of seconds')
+      }
+    } else if (name === 'kid') {
+      options.kid = value
+    } else {
+      throw new Error(`Unknown option: ${flag}`)
+    }
+  }
+  if (!options.claims.sub) {
+    throw new Error('--sub is required')
+  }
+  return options
+}
+
+function main(argv) {
+  try {
+    const { claims, expiresIn, kid } = parseArgs(argv)
+    console.log(sign(claims, { keyring: loadKeyring(), kid, expiresIn }))
+    return 0
+  } catch (error) {
+    console.error(`mint-token: ${error.message}`)
+    return 1
+  }
+}
+
+if (require.main === module) {
+  process.exitCode = main(process.argv.slice(2))
+}
+
+module.exports = {
+  parseArgs
+}
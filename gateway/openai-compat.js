@@ -0,0 +1,266 @@
+'use strict'
+
+/**
+ * OpenAI chat-completions facade for the BlackRoad Gateway
+ * Translates /v1/chat/completions requests onto the agent protocol and
+ * renders gateway results back in OpenAI's wire format.
+ *
+ * Model names select the agent and intent: "octavia:architect", or just
+ * "octavia" for the agent's first allowed intent.
+ *
+ * temperature, top_p, max_tokens (or max_completion_tokens) and stop become
+ * the request's generation settings, and response_format its structured
+ * output format. Chat turns carry no tool results, so the agent's tools are
+ * not offered here; tools, functions and options the gateway cannot honour
+ * (n > 1, logprobs, penalties, logit_bias) are refused with a 400 naming
+ * the parameter instead of being dropped.
+ */
+
+// Agent protocol version chat requests are translated to
+const CHAT_PROTOCOL_VERSION = 3
+
+const TOOL_PARAMETERS = ['tools', 'tool_choice', 'functions', 'function_call']
+
+function parseModel(model, policy) {
+  if (typeof model !== 'string' || !model) return null
+  const [agent, intent] = model.split(':')
+  const agentPolicy = policy.agents[agent]
+  if (!agentPolicy) return { agent, intent: intent || null }
+  return {
+    agent,
+    intent: intent || (agentPolicy.allowed_intents && agentPolicy.allowed_intents[0]) || null
+  }
+}
+
+// Content may be a plain string or an array of typed parts
+function contentText(content) {
+  if (typeof content === 'string') return content
+  if (Array.isArray(content)) {
+    return content
+      .filter((part) => part && part.type === 'text' && typeof part.text === 'string')
+      .map((part) => part.text)
+      .join('\n')
+  }
+  return null
+}
+
+// Name of the first parameter set to something the facade cannot honour
+function unsupportedParameter(body) {
+  const set = (field) => body[field] !== undefined && body[field] !== null
+  const toolField = TOOL_PARAMETERS.find(set)
+  if (toolField) return toolField
+  if (set('n') && body.n !== 1) return 'n'
+  for (const field of ['logprobs', 'top_logprobs', 'frequency_penalty', 'presence_penalty']) {
+    if (set(field) && body[field] !== false && body[field] !== 0) return field
+  }
+  if (set('logit_bias') && Object.keys(body.logit_bias).length > 0) return 'logit_bias'
+  return null
+}
+
+function toGeneration(body) {
+  const generation = {}
+  if (body.temperature !== undefined && body.temperature !== null) generation.temperature = body.temperature
+  if (body.top_p !== undefined && body.top_p !== null) generation.top_p = body.top_p
+  const maxTokens = body.max_completion_tokens ?? body.max_tokens
+  if (maxTokens !== undefined && maxTokens !== null) generation.max_tokens = maxTokens
+  if (body.stop !== undefined && body.stop !== null) {
+    generation.stop = Array.isArray(body.stop) ? body.stop : [body.stop]
+  }
+  return generation
+}
+
+// OpenAI's response_format as the gateway's: { format } or { error }
+function toResponseFormat(format) {
+  if (format === undefined || format === null || (format && format.type === 'text')) return {}
+  if (format && format.type === 'json_object') return { format: { type: 'json_object' } }
+  if (format && format.type === 'json_schema' && format.json_schema && format.json_schema.schema) {
+    return { format: { type: 'json_schema', schema: format.json_schema.schema } }
+  }
+  return { error: 'response_format must be text, json_object, or json_schema with json_schema.schema' }
+}
+
+/**
+ * Builds an agent request from a chat-completions body.
+ * Returns { error } or { payload, history, system, includeUsage } where
+ * payload is a regular /v1/agent request, history holds the earlier turns
+ * and system holds any client-supplied system messages.
+ */
+function toAgentRequest(body, policy) {
+  if (!body || typeof body !== 'object') {
+    return { error: 'Invalid JSON payload' }
+  }
+  const target = parseModel(body.model, policy)
+  if (!target) {
+    return { error: 'Missing model' }
+  }
+  if (!Array.isArray(body.messages) || body.messages.length === 0) {
+    return { error: 'messages must be a non-empty array' }
+  }
+  const unsupported = unsupportedParameter(body)
+  if (unsupported) {
+    return {
+      error: `${unsupported} is not supported on /v1/chat/completions` +
+        (TOOL_PARAMETERS.includes(unsupported)
+          ? '; agents offer their own tools on /v1/agent (protocol_version 3)'
+          : '')
+    }
+  }
+  const responseFormat = toResponseFormat(body.response_format)
+  if (responseFormat.error) {
+    return { error: responseFormat.error }
+  }
+
+  const system = []
+  const turns = []
+  for (const message of body.messages) {
+    const text = contentText(message && message.content)
+    if (text === null) {
+      return { error: 'Message content must be a string or text parts' }
+    }
+    if (message.role === 'system' || message.role === 'developer') {
+      system.push(text)
+    } else if (message.role === 'user' || message.role === 'assistant') {
+      turns.push({ role: message.role, content: text })
+    } else {
+      return { error: `Unsupported message role: ${message.role}` }
+    }
+  }
+
+  const last = turns.pop()
+  if (!last || last.role !== 'user') {
+    return { error: 'Last message must have role user' }
+  }
+
+  const generation = toGeneration(body)
+  return {
+    payload: {
+      protocol_version: CHAT_PROTOCOL_VERSION,
+      agent: target.agent,
+      intent: target.intent,
+      input: last.content,
+      stream: body.stream === true,
+      tool_choice: 'none',
+      ...(Object.keys(generation).length > 0 && { generation }),
+      ...(responseFormat.format && { response_format: responseFormat.format })
+    },
+    history: turns,
+    system: system.join('\n\n'),
+    includeUsage: Boolean(body.stream_options && body.stream_options.include_usage)
+  }
+}
+
+function listModels(policy) {
+  const data = []
+  for (const [agent, agentPolicy] of Object.entries(policy.agents)) {
+    data.push({ id: agent, object: 'model', created: 0, owned_by: 'blackroad' })
+    for (const intent of agentPolicy.allowed_intents || []) {
+      data.push({ id: `${agent}:${intent}`, object: 'model', created: 0, owned_by: 'blackroad' })
+    }
+  }
+  return { object: 'list', data }
+}
+
+function completionId(requestId) {
+  return `chatcmpl-${requestId}`
+}
+
+function formatUsage(usage) {
+  if (!usage) return undefined
+  return {
+    prompt_tokens: usage.prompt_tokens,
+    completion_tokens: usage.completion_tokens,
+    total_tokens: usage.total_tokens
+  }
+}
+
+function formatCompletion(payload, model, created) {
+  return {
+    id: completionId(payload.request_id),
+    object: 'chat.completion',
+    created,
+    model,
+    choices: [
+      {
+        index: 0,
+        message: { role: 'assistant', content: payload.output },
+        finish_reason: 'stop'
+      }
+    ],
+    usage: formatUsage(payload.metadata && payload.metadata.usage),
+    blackroad: {
+      provider: payload.provider,
+      request_id: payload.request_id,
+      metadata: payload.metadata
+    }
+  }
+}
+
+function errorType(code) {
+  if (code === 401) return 'authentication_error'
+  if (code === 403) return 'permission_error'
+  if (code === 404) return 'not_found_error'
+  if (code === 429) return 'rate_limit_error'
+  if (code >= 500) return 'server_error'
+  return 'invalid_request_error'
+}
+
+function formatError(payload, code) {
+  return {
+    error: {
+      message: payload.error || 'Gateway error',
+      type: errorType(code),
+      code: payload.code ? payload.code.toLowerCase() : null
+    }
+  }
+}
+
+function formatChunk(requestId, model, created, delta, finishReason = null) {
+  return {
+    id: completionId(requestId),
+    object: 'chat.completion.chunk',
+    created,
+    model,
+    choices: [{ index: 0, delta, finish_reason: finishReason }]
+  }
+}
+
+// Streams chunks in the same token/done/error shape as the agent SSE writer.
+// With includeUsage, a final choice-less chunk carries usage, as OpenAI's
+// stream_options.include_usage does.
+function chunkStream(res, requestId, model, created, { includeUsage = false } = {}) {
+  const write = (data) => {
+    res.write(`data: ${typeof data === 'string' ? data : JSON.stringify(data)}\n\n`)
+  }
+  let opened = false
+  return {
+    token(delta) {
+      if (!opened) {
+        opened = true
+        write(formatChunk(requestId, model, created, { role: 'assistant', content: '' }))
+      }
+      write(formatChunk(requestId, model, created, { content: delta }))
+    },
+    done(payload) {
+      write(formatChunk(requestId, model, created, {}, 'stop'))
+      const usage = formatUsage(payload && payload.metadata && payload.metadata.usage)
+      if (includeUsage && usage) {
+        write({ ...formatChunk(requestId, model, created, {}), choices: [], usage })
+      }
+      write('[DONE]')
+    },
+    error(payload) {
+      write(formatError(payload, 500))
+      write('[DONE]')
+    }
+  }
+}
+
+module.exports = {
+  parseModel,
+  toAgentRequest,
+  listModels,
+  formatCompletion,
+  formatError,
+  formatChunk,
+  chunkStream
+}
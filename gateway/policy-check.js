@@ -0,0 +1,182 @@
+#!/usr/bin/env node
+'use strict'
+
+/**
+ * Policy linter for the BlackRoad Gateway
+ * Validates agent-permissions.json against its JSON schema, then checks the
+ * references a schema cannot: provider names against the adapter registry,
+ * routes and fallbacks against each agent's allow-lists, cost tiers, tool
+ * names, and agents and intents against the system prompts.
+ *
+ *   node gateway/policy-check.js [policy.json] [--prompts system-prompts.json]
+ *
+ * Exits 1 when there are errors; warnings alone do not fail the check.
+ */
+
+const fs = require('fs')
+const path = require('path')
+const { listProviders } = require('./providers')
+const { validateSchema } = require('./json-schema')
+const policySchema = require('../policies/agent-permissions.schema.json')
+
+const DEFAULT_POLICY_PATH = path.join(__dirname, '..', 'policies', 'agent-permissions.json')
+const DEFAULT_PROMPT_PATH = path.join(__dirname, 'system-prompts.json')
+
+/**
+ * Returns { errors, warnings }, each a list of { path, message }.
+ * providers defaults to the adapter registry; prompt checks are skipped
+ * when no prompts are given.
+ */
+function checkPolicy(policy, { providers = listProviders(), prompts = null } = {}) {
+  const errors = validateSchema(policySchema, policy)
+  const warnings = []
+  const error = (at, message) => errors.push({ path: at, message })
+  const warn = (at, message) => warnings.push({ path: at, message })
+  if (!policy || typeof policy !== 'object' || !policy.agents || typeof policy.agents !== 'object') {
+    return { errors, warnings }
+  }
+
+  const known = new Set(providers)
+  const list = (value) => (Array.isArray(value) ? value : [])
+  const checkProvider = (at, name) => {
+    if (typeof name === 'string' && !known.has(name)) {
+      error(at, `unknown provider "${name}" (registered: ${[...known].join(', ')})`)
+      return false
+    }
+    return true
+  }
+
+  const global = policy.global || {}
+  if (global.preferred_provider) {
+    checkProvider('global.preferred_provider', global.preferred_provider)
+  }
+  for (const name of Object.keys(global.timeouts_ms || {})) {
+    if (name !== 'default' && !known.has(name)) {
+      warn(`global.timeouts_ms.${name}`, `timeout for unknown provider "${name}"`)
+    }
+  }
+  for (const name of Object.keys(policy.pricing || {})) {
+    if (!known.has(name)) {
+      warn(`pricing.${name}`, `price table for unknown provider "${name}"`)
+    }
+  }
+
+  for (const [agent, settings] of Object.entries(policy.agents)) {
+    if (!settings || typeof settings !== 'object') continue
+    const at = `agents.${agent}`
+    const intents = new Set(list(settings.allowed_intents))
+    const allowed = new Set(list(settings.allowed_providers))
+
+    list(settings.allowed_providers).forEach((name, i) => {
+      checkProvider(`${at}.allowed_providers[${i}]`, name)
+    })
+    if (
+      checkProvider(`${at}.default_provider`, settings.default_provider) &&
+      settings.default_provider &&
+      !allowed.has(settings.default_provider)
+    ) {
+      error(`${at}.default_provider`, `"${settings.default_provider}" is not in allowed_providers`)
+    }
+    list(settings.fallback_chain).forEach((name, i) => {
+      if (checkProvider(`${at}.fallback_chain[${i}]`, name) && !allowed.has(name)) {
+        error(`${at}.fallback_chain[${i}]`, `"${name}" is not in allowed_providers`)
+      }
+    })
+    for (const [intent, name] of Object.entries(settings.intent_routes || {})) {
+      const route = `${at}.intent_routes.${intent}`
+      if (!intents.has(intent)) {
+        error(route, `intent "${intent}" is not in allowed_intents`)
+      }
+      if (checkProvider(route, name) && !allowed.has(name)) {
+        error(route, `"${name}" is not in allowed_providers`)
+      }
+    }
+    for (const name of Object.keys(settings.timeouts_ms || {})) {
+      if (name !== 'default' && !allowed.has(name)) {
+        warn(`${at}.timeouts_ms.${name}`, `timeout for provider "${name}" outside allowed_providers`)
+      }
+    }
+    for (const name of Object.keys(settings.cache_ttl_seconds || {})) {
+      if (name !== 'default' && !intents.has(name)) {
+        warn(`${at}.cache_ttl_seconds.${name}`, `cache TTL for intent "${name}" outside allowed_intents`)
+      }
+    }
+    const toolNames = new Set()
+    list(settings.tools).forEach((tool, i) => {
+      if (tool && toolNames.has(tool.name)) {
+        error(`${at}.tools[${i}].name`, `duplicate tool "${tool.name}"`)
+      }
+      toolNames.add(tool && tool.name)
+    })
+    if (settings.cost_tier && !(policy.cost_tiers && policy.cost_tiers[settings.cost_tier])) {
+      warn(`${at}.cost_tier`, `cost tier "${settings.cost_tier}" is not defined in cost_tiers`)
+    }
+
+    if (prompts) {
+      if (!prompts.agents || typeof prompts.agents[agent] !== 'string') {
+        warn(at, `no system prompt (expected agents.${agent} in system-prompts.json)`)
+      }
+      list(settings.allowed_intents).forEach((intent, i) => {
+        if (!prompts.intents || typeof prompts.intents[intent] !== 'string') {
+          warn(`${at}.allowed_intents[${i}]`, `no system prompt for intent "${intent}"`)
+        }
+      })
+    }
+  }
+
+  return { errors, warnings }
+}
+
+function formatIssue(issue) {
+  return `${issue.path}: ${issue.message}`
+}
+
+function readJson(filePath) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'))
+  } catch (error) {
+    if (error instanceof SyntaxError) {
+      error.message = `${filePath}: invalid JSON: ${error.message}`
+    }
+    throw error
+  }
+}
+
+function main(argv) {
+  const args = [...argv]
+  let promptPath = DEFAULT_PROMPT_PATH
+  const promptFlag = args.indexOf('--prompts')
+  if (promptFlag !== -1) {
+    promptPath = args[promptFlag + 1]
+    args.splice(promptFlag, 2)
+  }
+  const policyPath = path.resolve(args[0] || DEFAULT_POLICY_PATH)
+
+  let policy
+  let prompts
+  try {
+    policy = readJson(policyPath)
+    prompts = promptPath ? readJson(path.resolve(promptPath)) : null
+  } catch (error) {
+    console.error(`error   ${error.message}`)
+    return 1
+  }
+
+  const { errors, warnings } = checkPolicy(policy, { prompts })
+  for (const issue of errors) console.log(`error   ${formatIssue(issue)}`)
+  for (const issue of warnings) console.log(`warning ${formatIssue(issue)}`)
+  const relative = path.relative(process.cwd(), policyPath)
+  const shown = relative && !relative.startsWith('..') ? relative : policyPath
+  console.log(`${shown}: ${errors.length} error${errors.length === 1 ? '' : 's'}, ` +
+    `${warnings.length} warning${warnings.length === 1 ? '' : 's'}`)
+  return errors.length > 0 ? 1 : 0
+}
+
+if (require.main === module) {
+  process.exitCode = main(process.argv.slice(2))
+}
+
+module.exports = {
+  checkPolicy,
+  formatIssue
+}
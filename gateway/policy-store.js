@@ -0,0 +1,142 @@
+'use strict'
+
+/**
+ * In-memory agent policy for the BlackRoad Gateway
+ *
+ * The policy file is parsed once and kept until it changes on disk, the
+ * process gets SIGHUP or an admin asks for a reload. Every new version goes
+ * through the policy linter before it is swapped in; a half-saved file or
+ * one with lint errors is reported and the last good policy stays active.
+ */
+
+const crypto = require('crypto')
+const fs = require('fs/promises')
+const fsSync = require('fs')
+const path = require('path')
+const { checkPolicy, formatIssue } = require('./policy-check')
+
+// Hash of the raw file, reported with the policy version
+const HASH_LENGTH = 16
+
+class PolicyStore {
+  // validate(policy) may be async and returns { errors, warnings } issues
+  constructor(filePath, { validate = checkPolicy, debounceMs = 100, logger = console } = {}) {
+    this.filePath = filePath
+    this.validate = validate
+    this.debounceMs = debounceMs
+    this.logger = logger
+    this.policy = null
+    this.hash = null
+    this.revision = 0
+    this.loadedAt = null
+    this.lastError = null
+    this.warnings = []
+    this.watcher = null
+    this._timer = null
+    this._reloads = Promise.resolve()
+  }
+
+  // Startup load: there is no previous policy to fall back on, so fail hard
+  async load() {
+    const result = await this.reload('startup')
+    if (!result.ok) {
+      throw new Error(`Policy ${this.filePath} rejected: ${result.error}`)
+    }
+    return this.policy
+  }
+
+  async get() {
+    if (!this.policy) {
+      await this.load()
+    }
+    return this.policy
+  }
+
+  // Reloads are serialized so a burst of file events swaps in order
+  reload(reason = 'manual') {
+    const next = this._reloads.then(() => this._reload(reason))
+    this._reloads = next.catch(() => {})
+    return next
+  }
+
+  async _reload(reason) {
+    let raw
+    try {
+      raw = await fs.readFile(this.filePath, 'utf8')
+    } catch (error) {
+      return this._reject(reason, error.code === 'ENOENT' ? 'file not found' : error.message)
+    }
+    const hash = crypto.createHash('sha256').update(raw).digest('hex').slice(0, HASH_LENGTH)
+    if (this.policy && hash === this.hash) {
+      this.lastError = null
+      return { ok: true, changed: false, ...this.info() }
+    }
+
+    let policy
+    try {
+      policy = JSON.parse(raw)
+    } catch (error) {
+      return this._reject(reason, `invalid JSON: ${error.message}`)
+    }
+    const { errors, warnings } = await this.validate(policy)
+    if (errors.length > 0) {
+      return this._reject(reason, errors.map(formatIssue).join('; '))
+    }
+
+    this.policy = policy
+    this.hash = hash
+    this.revision++
+    this.loadedAt = new Date().toISOString()
+    this.lastError = null
+    this.warnings = warnings
+    this.logger.log(`[policy] loaded version ${policy.version ?? '?'} (${hash}) on ${reason}`)
+    for (const issue of warnings) {
+      this.logger.warn(`[policy] warning ${formatIssue(issue)}`)
+    }
+    return { ok: true, changed: true, ...this.info() }
+  }
+
+  _reject(reason, message) {
+    this.lastError = { message, reason, at: new Date().toISOString() }
+    const kept = this.hash ? `keeping ${this.hash}` : 'no policy loaded'
+    this.logger.warn(`[policy] rejected ${this.filePath} on ${reason}: ${message} (${kept})`)
+    return { ok: false, error: message, ...this.info() }
+  }
+
+  // Watches the directory rather than the file: editors often save by
+  // writing a temp file and renaming it over the original
+  watch() {
+    if (this.watcher) return
+    const fileName = path.basename(this.filePath)
+    this.watcher = fsSync.watch(path.dirname(this.filePath), (event, changed) => {
+      if (changed && changed !== fileName) return
+      clearTimeout(this._timer)
+      this._timer = setTimeout(() => this.reload('file change'), this.debounceMs)
+      this._timer.unref()
+    })
+    this.watcher.unref()
+  }
+
+  close() {
+    clearTimeout(this._timer)
+    if (this.watcher) {
+      this.watcher.close()
+      this.watcher = null
+    }
+  }
+
+  info() {
+    return {
+      version: this.policy ? this.policy.version ?? null : null,
+      hash: this.hash,
+      revision: this.revision,
+      loaded_at: this.loadedAt,
+      warnings: this.warnings.length,
+      last_error: this.lastError
+    }
+  }
+}
+
+module.exports = {
+  PolicyStore
+}
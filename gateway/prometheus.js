@@ -0,0 +1,173 @@
+'use strict'
+
+/**
+ * Prometheus text exposition (format 0.0.4) for the BlackRoad Gateway
+ * Counters, gauges and histograms keep one series per label combination;
+ * Registry.render() produces the scrape body.
+ */
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8'
+
+// Request latencies in seconds, from fast local models to slow fallbacks
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120]
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"')
+}
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`)
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : ''
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf'
+  if (value === -Infinity) return '-Inf'
+  return Number.isNaN(value) ? 'NaN' : String(value)
+}
+
+class Metric {
+  constructor(type, name, help, labelNames = []) {
+    this.type = type
+    this.name = name
+    this.help = help
+    this.labelNames = labelNames
+    this.series = new Map()
+  }
+
+  // Missing labels export as "" so every series has the same label set
+  _entry(labels, create) {
+    const picked = {}
+    for (const name of this.labelNames) {
+      picked[name] = labels[name] ?? ''
+    }
+    const key = JSON.stringify(Object.values(picked))
+    if (!this.series.has(key)) {
+      this.series.set(key, { labels: picked, ...create() })
+    }
+    return this.series.get(key)
+  }
+
+  reset() {
+    this.series.clear()
+  }
+
+  collect() {
+    // An unlabelled counter or gauge is exported as 0 before its first update
+    if (this.labelNames.length === 0 && this.series.size === 0 && this.type !== 'histogram') {
+      this._entry({}, () => ({ value: 0 }))
+    }
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`]
+    for (const entry of this.series.values()) {
+      lines.push(...this._lines(entry))
+    }
+    return lines
+  }
+
+  _lines(entry) {
+    return [`${this.name}${formatLabels(entry.labels)} ${formatValue(entry.value)}`]
+  }
+}
+
+class Counter extends Metric {
+  constructor(name, help, labelNames) {
+    super('counter', name, help, labelNames)
+  }
+
+  inc(labels = {}, value = 1) {
+    this._entry(labels, () => ({ value: 0 })).value += value
+  }
+}
+
+class Gauge extends Metric {
+  constructor(name, help, labelNames) {
+    super('gauge', name, help, labelNames)
+  }
+
+  set(labels, value) {
+    this._entry(labels, () => ({ value: 0 })).value = value
+  }
+}
+
+class Histogram extends Metric {
+  constructor(name, help, labelNames, buckets = DEFAULT_BUCKETS) {
+    super('histogram', name, help, labelNames)
+    this.buckets = [...buckets].sort((a, b) => a - b)
+  }
+
+  observe(labels, value) {
+    const entry = this._entry(labels, () => ({
+      counts: this.buckets.map(() => 0),
+      sum: 0,
+      count: 0
+    }))
+    const index = this.buckets.findIndex((bound) => value <= bound)
+    if (index !== -1) entry.counts[index]++
+    entry.sum += value
+    entry.count++
+  }
+
+  // Bucket counts are stored per bucket and exported cumulatively
+  _lines(entry) {
+    const lines = []
+    let cumulative = 0
+    this.buckets.forEach((bound, i) => {
+      cumulative += entry.counts[i]
+      const labels = formatLabels({ ...entry.labels, le: formatValue(bound) })
+      lines.push(`${this.name}_bucket${labels} ${cumulative}`)
+    })
+    const base = formatLabels(entry.labels)
+    lines.push(`${this.name}_bucket${formatLabels({ ...entry.labels, le: '+Inf' })} ${entry.count}`)
+    lines.push(`${this.name}_sum${base} ${formatValue(entry.sum)}`)
+    lines.push(`${this.name}_count${base} ${entry.count}`)
+    return lines
+  }
+}
+
+class Registry {
+  constructor() {
+    this.metrics = []
+  }
+
+  counter(name, help, labelNames) {
+    return this._register(new Counter(name, help, labelNames))
+  }
+
+  gauge(name, help, labelNames) {
+    return this._register(new Gauge(name, help, labelNames))
+  }
+
+  histogram(name, help, labelNames, buckets) {
+    return this._register(new Histogram(name, help, labelNames, buckets))
+  }
+
+  _register(metric) {
+    this.metrics.push(metric)
+    return metric
+  }
+
+  reset() {
+    for (const metric of this.metrics) {
+      metric.reset()
+    }
+  }
+
+  render() {
+    return `${this.metrics.flatMap((metric) => metric.collect()).join('\n')}\n`
+  }
+}
+
+// Prometheus scrapers ask for text/plain or OpenMetrics; plain curl gets JSON
+function wantsPrometheus(acceptHeader) {
+  return /\b(text\/plain|application\/openmetrics-text)\b/.test(acceptHeader || '')
+}
+
+module.exports = {
+  CONTENT_TYPE,
+  DEFAULT_BUCKETS,
+  Counter,
+  Gauge,
+  Histogram,
+  Registry,
+  wantsPrometheus
+}
@@ -0,0 +1,199 @@
+'use strict'
+
+/**
+ * Versioned /v1/agent protocol
+ * Requests and responses are checked against the JSON schemas in protocol/.
+ * A request picks its version with a protocol_version field (or the
+ * X-BlackRoad-Protocol header); without either it is a v2 request.
+ *
+ * v3 adds a messages array, generation parameters, attachments and tool
+ * calling. It is normalized into the v2 shape the rest of the gateway works
+ * with, plus the conversation turns, generation settings and media
+ * attachments to hand to the provider. A tool loop continues by sending the assistant turn with its
+ * tool_calls and one tool message per result; such a request has no new
+ * user input.
+ */
+
+const { listProviders } = require('./providers')
+const { validateSchema } = require('./json-schema')
+const { MEDIA_TYPES, isTextAttachment, isSupportedType } = require('./attachments')
+
+const SCHEMAS = {
+  2: {
+    request: require('../protocol/request.json'),
+    response: require('../protocol/response.json')
+  },
+  3: {
+    request: require('../protocol/request.v3.json'),
+    response: require('../protocol/response.v3.json')
+  }
+}
+
+const SUPPORTED_VERSIONS = Object.keys(SCHEMAS).map(Number)
+const DEFAULT_VERSION = 2
+
+// Returns { version } or { error } for a request body and its headers
+function negotiateVersion(payload, headers = {}) {
+  let requested = payload && typeof payload === 'object' ? payload.protocol_version : undefined
+  if (requested === undefined && headers['x-blackroad-protocol'] !== undefined) {
+    requested = Number(headers['x-blackroad-protocol'])
+  }
+  if (requested === undefined) {
+    return { version: DEFAULT_VERSION }
+  }
+  if (!SUPPORTED_VERSIONS.includes(requested)) {
+    return {
+      error: `Unsupported protocol_version ${requested} ` +
+        `(supported: ${SUPPORTED_VERSIONS.join(', ')})`
+    }
+  }
+  return { version: requested }
+}
+
+function formatIssues(issues) {
+  return issues.map((issue) => `${issue.path} ${issue.message}`).join('; ')
+}
+
+// Returns a list of { path, message } issues; empty when the request is valid
+function validateRequest(payload, version = DEFAULT_VERSION) {
+  if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+    return [{ path: '(root)', message: 'must be a JSON object' }]
+  }
+  const issues = validateSchema(SCHEMAS[version].request, payload)
+  // The schemas cannot know which adapters are registered
+  if (typeof payload.provider === 'string' && payload.provider &&
+    !listProviders().includes(payload.provider.toLowerCase())) {
+    issues.push({ path: 'provider', message: `unknown provider "${payload.provider}"` })
+  }
+  const format = payload.response_format
+  if (format && format.type === 'json_schema' && !format.schema) {
+    issues.push({ path: 'response_format.schema', message: 'is required for json_schema' })
+  }
+  if (issues.length > 0 || version < 3) {
+    return issues
+  }
+
+  const messages = payload.messages || []
+  const last = messages[messages.length - 1]
+  if (payload.input === undefined && (!last || (last.role !== 'user' && last.role !== 'tool'))) {
+    issues.push({
+      path: `messages[${messages.length - 1}].role`,
+      message: 'must be "user" or "tool" for the last message when input is omitted'
+    })
+  }
+  const callIds = new Set()
+  for (const [i, message] of messages.entries()) {
+    if (message.tool_calls && message.role !== 'assistant') {
+      issues.push({ path: `messages[${i}].tool_calls`, message: 'is only allowed on assistant messages' })
+    }
+    for (const call of message.tool_calls || []) {
+      callIds.add(call.id)
+    }
+    if (message.role === 'tool' && !callIds.has(message.tool_call_id)) {
+      issues.push({
+        path: `messages[${i}].tool_call_id`,
+        message: 'must match a tool call in an earlier assistant message'
+      })
+    } else if (message.role !== 'tool' && message.tool_call_id !== undefined) {
+      issues.push({ path: `messages[${i}].tool_call_id`, message: 'is only allowed on tool messages' })
+    }
+  }
+  for (const [i, attachment] of (payload.attachments || []).entries()) {
+    if (!isTextAttachment(attachment) && !isSupportedType(attachment.mime_type)) {
+      issues.push({
+        path: `attachments[${i}].mime_type`,
+        message: `${attachment.mime_type} attachments are not supported ` +
+          `(send text or one of ${MEDIA_TYPES.join(', ')})`
+      })
+    }
+  }
+  return issues
+}
+
+function attachmentText(attachment) {
+  return attachment.text !== undefined
+    ? attachment.text
+    : Buffer.from(attachment.data, 'base64').toString('utf8')
+}
+
+/**
+ * Maps a validated request onto the gateway's v2 request shape.
+ * Returns { payload, history, system, generation, attachments }; history and
+ * system are null when the request carries no conversation of its own, and
+ * attachments lists the media ({ name, mime_type, data }) for the provider.
+ * Path attachments must already be read in (see resolveAttachments).
+ */
+function normalizeRequest(payload, version = DEFAULT_VERSION) {
+  if (version < 3) {
+    return { payload, history: null, system: null, generation: {}, attachments: [] }
+  }
+
+  const { messages, generation, attachments, ...rest } = payload
+  let history = null
+  let system = null
+  let input = payload.input
+  if (messages) {
+    const calls = new Map()
+    const turns = []
+    for (const message of messages) {
+      if (message.role === 'system') continue
+      const turn = { role: message.role, content: message.content }
+      if (message.tool_calls) {
+        turn.tool_calls = message.tool_calls
+        message.tool_calls.forEach((call) => calls.set(call.id, call))
+      }
+      // Some providers match results to calls by tool name
+      if (message.role === 'tool') {
+        turn.tool_call_id = message.tool_call_id
+        turn.name = calls.get(message.tool_call_id).name
+      }
+      turns.push(turn)
+    }
+    system = messages
+      .filter((message) => message.role === 'system')
+      .map((message) => message.content)
+      .join('\n\n')
+    if (input === undefined) {
+      input = turns[turns.length - 1].role === 'tool' ? '' : turns.pop().content
+    }
+    history = turns
+  }
+  const media = []
+  for (const attachment of attachments || []) {
+    if (!isTextAttachment(attachment)) {
+      const { name, mime_type, data } = attachment
+      media.push({ ...(name && { name }), mime_type, data })
+      continue
+    }
+    const label = attachment.name ? `${attachment.name} (${attachment.mime_type})` : attachment.mime_type
+    input += `\n\n[Attachment: ${label}]\n${attachmentText(attachment)}`
+  }
+
+  return {
+    payload: { ...rest, input },
+    history,
+    system,
+    generation: generation || {},
+    attachments: media
+  }
+}
+
+// v3 responses carry their protocol version; v2 responses are unchanged
+function formatResponse(payload, version = DEFAULT_VERSION) {
+  return version >= 3 ? { protocol_version: version, ...payload } : payload
+}
+
+function validateResponse(body, version = DEFAULT_VERSION) {
+  return validateSchema(SCHEMAS[version].response, body)
+}
+
+module.exports = {
+  SUPPORTED_VERSIONS,
+  DEFAULT_VERSION,
+  negotiateVersion,
+  validateRequest,
+  normalizeRequest,
+  formatResponse,
+  validateResponse,
+  formatIssues
+}
@@ -1,40 +1,85 @@
 'use strict'
 
+const { readSSE } = require('./stream')
+const { requestSignal } = require('./signal')
+const { reportUsage } = require('./usage')
+const { ProviderError, upstreamError, notConfigured } = require('../errors')
+const { definedOnly } = require('./generation')
+const {
+  anthropicTools,
+  anthropicMessages,
+  anthropicToolCalls,
+  reportToolCalls
+} = require('./tools')
+const { isImage, isPdf, anthropicAttachments } = require('./media')
+
 const DEFAULT_BASE_URL = 'https://api.anthropic.com/v1'
 const DEFAULT_MODEL = 'claude-sonnet-4-6'
 const DEFAULT_MAX_TOKENS = 4096
 
-async function invoke({ input, system }) {
+// Anthropic has no JSON mode; a response_format is met through the system
+// prompt the gateway builds, and checked afterwards
+
+// The model invoke() will call; also part of the response cache key
+function resolveModel() {
+  return process.env.BLACKROAD_ANTHROPIC_MODEL || DEFAULT_MODEL
+}
+
+// Every current Claude model reads images and PDFs
+function acceptsAttachment(mimeType) {
+  return isImage(mimeType) || isPdf(mimeType)
+}
+
+async function invoke({
+  input,
+  system,
+  history = [],
+  generation = {},
+  tools,
+  toolChoice,
+  attachments,
+  onToken,
+  onUsage,
+  onToolCalls,
+  signal,
+  timeoutMs
+}) {
   if (typeof fetch !== 'function') {
     throw new Error('Global fetch is not available')
   }
 
   const apiKey = process.env.BLACKROAD_ANTHROPIC_API_KEY
   if (!apiKey) {
-    throw new Error('Missing BLACKROAD_ANTHROPIC_API_KEY')
+    throw notConfigured('BLACKROAD_ANTHROPIC_API_KEY')
   }
 
   const baseUrl = process.env.BLACKROAD_ANTHROPIC_BASE_URL || DEFAULT_BASE_URL
-  const model = process.env.BLACKROAD_ANTHROPIC_MODEL || DEFAULT_MODEL
+  const model = resolveModel()
   const maxTokens = process.env.BLACKROAD_ANTHROPIC_MAX_TOKENS
     ? Number(process.env.BLACKROAD_ANTHROPIC_MAX_TOKENS)
     : DEFAULT_MAX_TOKENS
 
   const body = {
     model,
-    max_tokens: maxTokens,
-    messages: [
-      {
-        role: 'user',
-        content: input
-      }
-    ]
+    max_tokens: generation.max_tokens || maxTokens,
+    ...definedOnly({
+      temperature: generation.temperature,
+      top_p: generation.top_p,
+      stop_sequences: generation.stop
+    }),
+    messages: anthropicAttachments(anthropicMessages(history, input), attachments),
+    ...anthropicTools(tools, toolChoice)
   }
 
   if (system && system.trim()) {
     body.system = system
   }
 
+  const stream = typeof onToken === 'function'
+  if (stream) {
+    body.stream = true
+  }
+
   const response = await fetch(`${baseUrl}/messages`, {
     method: 'POST',
     headers: {
@@ -42,15 +87,43 @@ async function invoke({ input, system }) {
       'x-api-key': apiKey,
       'anthropic-version': '2023-06-01'
     },
-    body: JSON.stringify(body)
+    body: JSON.stringify(body),
+    signal: requestSignal(signal, timeoutMs)
   })
 
+  if (stream && response.ok) {
+    let output = ''
+    // Input tokens come with message_start, output tokens with message_delta
+    let inputTokens
+    let outputTokens
+    for await (const data of readSSE(response)) {
+      const event = JSON.parse(data)
+      if (event.type === 'error') {
+        throw new ProviderError(event.error?.message || 'Anthropic stream error')
+      }
+      if (event.type === 'message_start') {
+        inputTokens = event.message?.usage?.input_tokens
+      }
+      if (event.type === 'message_delta') {
+        outputTokens = event.usage?.output_tokens
+      }
+      if (event.type === 'content_block_delta' && event.delta?.type === 'text_delta') {
+        output += event.delta.text
+        onToken(event.delta.text)
+      }
+    }
+    reportUsage(onUsage, model, inputTokens, outputTokens)
+    return output
+  }
+
   const data = await response.json().catch(() => ({}))
   if (!response.ok) {
-    throw new Error(data.error?.message || `Anthropic error ${response.status}`)
+    throw upstreamError('Anthropic', response, data.error?.message)
   }
+  reportUsage(onUsage, data.model || model, data.usage?.input_tokens, data.usage?.output_tokens)
 
   const content = data.content || []
+  reportToolCalls(onToolCalls, anthropicToolCalls(content))
   const textBlock = content.find((block) => block.type === 'text')
   if (textBlock && typeof textBlock.text === 'string') {
     return textBlock.text
@@ -60,5 +133,7 @@ async function invoke({ input, system }) {
 }
 
 module.exports = {
-  invoke
+  invoke,
+  resolveModel,
+  acceptsAttachment
 }
@@ -1,13 +1,49 @@
 'use strict'
 
+const { collectChatCompletionStream } = require('./stream')
+const { requestSignal } = require('./signal')
+const { reportUsage } = require('./usage')
+const { upstreamError, notConfigured } = require('../errors')
+const { definedOnly, chatCompletionParams, jsonObjectMode } = require('./generation')
+const {
+  chatCompletionTools,
+  chatCompletionMessages,
+  chatCompletionToolCalls,
+  reportToolCalls
+} = require('./tools')
+
 /**
  * DeepSeek provider for BlackRoad Gateway
  * Compatible with OpenAI API format
  */
-async function chat({ model, messages, temperature, max_tokens, stream }, env) {
+function modelName(model) {
+  return model || 'deepseek-chat'
+}
+
+async function chat(
+  {
+    model,
+    messages,
+    temperature,
+    max_tokens,
+    top_p,
+    stop,
+    tools,
+    tool_choice,
+    response_format,
+    onToken,
+    onUsage,
+    onToolCalls,
+    signal,
+    timeoutMs
+  },
+  env
+) {
   const baseUrl = env.BLACKROAD_DEEPSEEK_URL || 'https://api.deepseek.com'
   const apiKey = env.BLACKROAD_DEEPSEEK_API_KEY
-  if (!apiKey) throw new Error('BLACKROAD_DEEPSEEK_API_KEY not set')
+  if (!apiKey) throw notConfigured('BLACKROAD_DEEPSEEK_API_KEY')
+  const stream = typeof onToken === 'function'
+  const deepseekModel = modelName(model)
 
   const resp = await fetch(`${baseUrl}/v1/chat/completions`, {
     method: 'POST',
@@ -16,19 +52,34 @@ async function chat({ model, messages, temperature, max_tokens, stream }, env) {
       'Authorization': `Bearer ${apiKey}`
     },
     body: JSON.stringify({
-      model: model || 'deepseek-chat',
+      model: deepseekModel,
       messages,
       temperature: temperature ?? 0.7,
       max_tokens: max_tokens || 4096,
-      stream: stream || false
-    })
+      ...definedOnly({ top_p, stop, tools, tool_choice, response_format }),
+      stream,
+      ...(stream ? { stream_options: { include_usage: true } } : {})
+    }),
+    signal: requestSignal(signal, timeoutMs)
   })
 
   if (!resp.ok) {
     const err = await resp.text()
-    throw new Error(`DeepSeek error ${resp.status}: ${err}`)
+    throw upstreamError('DeepSeek', resp, err)
+  }
+  if (stream) {
+    return await collectChatCompletionStream(resp, onToken, (usage) =>
+      reportUsage(onUsage, deepseekModel, usage.prompt_tokens, usage.completion_tokens)
+    )
   }
   const data = await resp.json()
+  reportUsage(
+    onUsage,
+    data.model || deepseekModel,
+    data.usage?.prompt_tokens,
+    data.usage?.completion_tokens
+  )
+  reportToolCalls(onToolCalls, chatCompletionToolCalls('DeepSeek', data.choices?.[0]?.message))
   return data.choices?.[0]?.message?.content ?? ''
 }
 
@@ -41,4 +92,40 @@ async function complete({ model, prompt, temperature, max_tokens }, env) {
   }, env)
 }
 
-module.exports = { chat, complete }
+async function invoke({
+  input,
+  system,
+  history = [],
+  generation,
+  tools,
+  toolChoice,
+  responseFormat,
+  onToken,
+  onUsage,
+  onToolCalls,
+  signal,
+  timeoutMs
+}) {
+  return chat(
+    {
+      model: process.env.BLACKROAD_DEEPSEEK_MODEL,
+      messages: chatCompletionMessages(system, history, input),
+      ...chatCompletionParams(generation),
+      ...chatCompletionTools(tools, toolChoice),
+      ...jsonObjectMode(responseFormat),
+      onToken,
+      onUsage,
+      onToolCalls,
+      signal,
+      timeoutMs
+    },
+    process.env
+  )
+}
+
+// The model invoke() will call; also part of the response cache key
+function resolveModel() {
+  return modelName(process.env.BLACKROAD_DEEPSEEK_MODEL)
+}
+
+module.exports = { invoke, chat, complete, resolveModel }
@@ -1,56 +1,135 @@
 'use strict'
 
+const { readSSE } = require('./stream')
+const { requestSignal } = require('./signal')
+const { reportUsage } = require('./usage')
+const { upstreamError, notConfigured } = require('../errors')
+const { definedOnly } = require('./generation')
+const {
+  endsWithToolResults,
+  geminiTools,
+  geminiContents,
+  geminiToolCalls,
+  reportToolCalls
+} = require('./tools')
+const { isImage, isPdf, geminiParts } = require('./media')
+
 const DEFAULT_MODEL = 'gemini-2.0-flash'
 
-async function invoke({ input, system }) {
+// The model invoke() will call; also part of the response cache key
+function resolveModel() {
+  return process.env.BLACKROAD_GEMINI_MODEL || DEFAULT_MODEL
+}
+
+// Gemini models read images and PDFs alike
+function acceptsAttachment(mimeType) {
+  return isImage(mimeType) || isPdf(mimeType)
+}
+
+async function invoke({
+  input,
+  system,
+  history = [],
+  generation = {},
+  tools,
+  toolChoice,
+  responseFormat,
+  attachments,
+  onToken,
+  onUsage,
+  onToolCalls,
+  signal,
+  timeoutMs
+}) {
   if (typeof fetch !== 'function') {
     throw new Error('Global fetch is not available')
   }
 
   const apiKey = process.env.BLACKROAD_GEMINI_API_KEY
   if (!apiKey) {
-    throw new Error('Missing BLACKROAD_GEMINI_API_KEY')
+    throw notConfigured('BLACKROAD_GEMINI_API_KEY')
   }
 
-  const model = process.env.BLACKROAD_GEMINI_MODEL || DEFAULT_MODEL
-  const url = `https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent?key=${apiKey}`
-
-  const contents = []
+  const model = resolveModel()
+  const stream = typeof onToken === 'function'
+  const url = stream
+    ? `https://generativelanguage.googleapis.com/v1beta/models/${model}:streamGenerateContent?alt=sse&key=${apiKey}`
+    : `https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent?key=${apiKey}`
 
-  if (system && system.trim()) {
-    contents.push({
-      role: 'user',
-      parts: [{ text: `[System Instructions]\n${system}\n\n[User Request]\n${input}` }]
-    })
-  } else {
-    contents.push({
-      role: 'user',
-      parts: [{ text: input }]
-    })
+  const contents = geminiContents(history)
+  // System instructions ride along with the new user turn; a follow-up that
+  // only carries tool results has none, so they go in systemInstruction
+  const followUp = endsWithToolResults(history, input)
+  if (!followUp) {
+    const text = system && system.trim()
+      ? `[System Instructions]\n${system}\n\n[User Request]\n${input}`
+      : input
+    contents.push({ role: 'user', parts: [{ text }] })
+  }
+  // The last turn is the user's: the new one or the tool results
+  if (attachments && attachments.length > 0) {
+    contents[contents.length - 1].parts.push(...geminiParts(attachments))
   }
 
   const body = {
     contents,
     generationConfig: {
-      maxOutputTokens: process.env.BLACKROAD_GEMINI_MAX_TOKENS
+      maxOutputTokens: generation.max_tokens || (process.env.BLACKROAD_GEMINI_MAX_TOKENS
         ? Number(process.env.BLACKROAD_GEMINI_MAX_TOKENS)
-        : 2048
-    }
+        : 2048),
+      ...definedOnly({
+        temperature: generation.temperature,
+        topP: generation.top_p,
+        stopSequences: generation.stop
+      }),
+      // Gemini's responseSchema takes only an OpenAPI subset, so the schema
+      // stays in the prompt and the gateway checks it
+      ...(responseFormat && { responseMimeType: 'application/json' })
+    },
+    ...geminiTools(tools, toolChoice)
+  }
+  if (followUp && system && system.trim()) {
+    body.systemInstruction = { parts: [{ text: system }] }
   }
 
   const response = await fetch(url, {
     method: 'POST',
     headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify(body)
+    body: JSON.stringify(body),
+    signal: requestSignal(signal, timeoutMs)
   })
 
+  if (stream && response.ok) {
+    let output = ''
+    // Each chunk carries cumulative usageMetadata; the last one is the total
+    let usage = null
+    for await (const data of readSSE(response)) {
+      const chunk = JSON.parse(data)
+      usage = chunk.usageMetadata || usage
+      for (const part of chunk.candidates?.[0]?.content?.parts || []) {
+        if (typeof part.text === 'string' && part.text) {
+          output += part.text
+          onToken(part.text)
+        }
+      }
+    }
+    reportUsage(onUsage, model, usage?.promptTokenCount, usage?.candidatesTokenCount)
+    return output
+  }
+
   const data = await response.json().catch(() => ({}))
   if (!response.ok) {
-    const msg = data.error?.message || `Gemini error ${response.status}`
-    throw new Error(msg)
+    throw upstreamError('Gemini', response, data.error?.message)
   }
+  reportUsage(
+    onUsage,
+    model,
+    data.usageMetadata?.promptTokenCount,
+    data.usageMetadata?.candidatesTokenCount
+  )
 
   const candidate = data.candidates?.[0]
+  reportToolCalls(onToolCalls, geminiToolCalls(candidate?.content?.parts))
   if (candidate?.content?.parts) {
     const textPart = candidate.content.parts.find((p) => typeof p.text === 'string')
     if (textPart) {
@@ -62,5 +141,7 @@ async function invoke({ input, system }) {
 }
 
 module.exports = {
-  invoke
+  invoke,
+  resolveModel,
+  acceptsAttachment
 }
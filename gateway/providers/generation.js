@@ -0,0 +1,45 @@
+'use strict'
+
+// Generation settings from a v3 request: { temperature, top_p, max_tokens,
+// stop }. Adapters map them onto their API's names; settings the request
+// leaves out are omitted so the provider (or adapter) default applies.
+function definedOnly(params) {
+  return Object.fromEntries(Object.entries(params).filter(([, value]) => value !== undefined))
+}
+
+// OpenAI chat-completions names, shared by the compatible APIs
+function chatCompletionParams(generation = {}) {
+  return definedOnly({
+    temperature: generation.temperature,
+    top_p: generation.top_p,
+    max_tokens: generation.max_tokens,
+    stop: generation.stop
+  })
+}
+
+// Native JSON modes for a request's response_format. OpenAI holds the
+// answer to the schema itself; the compatible APIs only promise JSON, so the
+// gateway checks the schema either way.
+function jsonSchemaMode(responseFormat) {
+  if (!responseFormat) return {}
+  if (responseFormat.type !== 'json_schema') {
+    return { response_format: { type: 'json_object' } }
+  }
+  return {
+    response_format: {
+      type: 'json_schema',
+      json_schema: { name: 'response', schema: responseFormat.schema }
+    }
+  }
+}
+
+function jsonObjectMode(responseFormat) {
+  return responseFormat ? { response_format: { type: 'json_object' } } : {}
+}
+
+module.exports = {
+  definedOnly,
+  chatCompletionParams,
+  jsonSchemaMode,
+  jsonObjectMode
+}
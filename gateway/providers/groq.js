@@ -1,5 +1,17 @@
 'use strict'
 
+const { collectChatCompletionStream } = require('./stream')
+const { requestSignal } = require('./signal')
+const { reportUsage } = require('./usage')
+const { upstreamError, notConfigured } = require('../errors')
+const { definedOnly, chatCompletionParams, jsonObjectMode } = require('./generation')
+const {
+  chatCompletionTools,
+  chatCompletionMessages,
+  chatCompletionToolCalls,
+  reportToolCalls
+} = require('./tools')
+
 /**
  * Groq provider for BlackRoad Gateway
  * Ultra-fast inference via Groq Cloud
@@ -12,11 +24,34 @@ const GROQ_MODELS = {
   'deepseek-r1': 'deepseek-r1-distill-llama-70b'
 }
 
-async function chat({ model, messages, temperature, max_tokens }, env) {
+function modelName(model) {
+  return GROQ_MODELS[model] || model || 'llama3-70b-8192'
+}
+
+async function chat(
+  {
+    model,
+    messages,
+    temperature,
+    max_tokens,
+    top_p,
+    stop,
+    tools,
+    tool_choice,
+    response_format,
+    onToken,
+    onUsage,
+    onToolCalls,
+    signal,
+    timeoutMs
+  },
+  env
+) {
   const apiKey = env.BLACKROAD_GROQ_API_KEY
-  if (!apiKey) throw new Error('BLACKROAD_GROQ_API_KEY not set')
+  if (!apiKey) throw notConfigured('BLACKROAD_GROQ_API_KEY')
+  const stream = typeof onToken === 'function'
 
-  const groqModel = GROQ_MODELS[model] || model || 'llama3-70b-8192'
+  const groqModel = modelName(model)
 
   const resp = await fetch('https://api.groq.com/openai/v1/chat/completions', {
     method: 'POST',
@@ -28,15 +63,30 @@ async function chat({ model, messages, temperature, max_tokens }, env) {
       model: groqModel,
       messages,
       temperature: temperature ?? 0.7,
-      max_tokens: max_tokens || 4096
-    })
+      max_tokens: max_tokens || 4096,
+      ...definedOnly({ top_p, stop, tools, tool_choice, response_format }),
+      stream
+    }),
+    signal: requestSignal(signal, timeoutMs)
   })
 
   if (!resp.ok) {
     const err = await resp.text()
-    throw new Error(`Groq error ${resp.status}: ${err}`)
+    throw upstreamError('Groq', resp, err)
+  }
+  if (stream) {
+    return await collectChatCompletionStream(resp, onToken, (usage) =>
+      reportUsage(onUsage, groqModel, usage.prompt_tokens, usage.completion_tokens)
+    )
   }
   const data = await resp.json()
+  reportUsage(
+    onUsage,
+    data.model || groqModel,
+    data.usage?.prompt_tokens,
+    data.usage?.completion_tokens
+  )
+  reportToolCalls(onToolCalls, chatCompletionToolCalls('Groq', data.choices?.[0]?.message))
   return data.choices?.[0]?.message?.content ?? ''
 }
 
@@ -44,4 +94,40 @@ async function complete({ model, prompt, temperature, max_tokens }, env) {
   return chat({ model, messages: [{ role: 'user', content: prompt }], temperature, max_tokens }, env)
 }
 
-module.exports = { chat, complete, GROQ_MODELS }
+async function invoke({
+  input,
+  system,
+  history = [],
+  generation,
+  tools,
+  toolChoice,
+  responseFormat,
+  onToken,
+  onUsage,
+  onToolCalls,
+  signal,
+  timeoutMs
+}) {
+  return chat(
+    {
+      model: process.env.BLACKROAD_GROQ_MODEL,
+      messages: chatCompletionMessages(system, history, input),
+      ...chatCompletionParams(generation),
+      ...chatCompletionTools(tools, toolChoice),
+      ...jsonObjectMode(responseFormat),
+      onToken,
+      onUsage,
+      onToolCalls,
+      signal,
+      timeoutMs
+    },
+    process.env
+  )
+}
+
+// The model invoke() will call; also part of the response cache key
+function resolveModel() {
+  return modelName(process.env.BLACKROAD_GROQ_MODEL)
+}
+
+module.exports = { invoke, chat, complete, resolveModel, GROQ_MODELS }
@@ -23,11 +23,27 @@ function getProvider(name) {
   return providers[name.toLowerCase()] || null
 }
 
+// The model a provider is configured to call, or null if it cannot say
+function providerModel(name) {
+  const provider = getProvider(name)
+  return provider && typeof provider.resolveModel === 'function' ? provider.resolveModel() : null
+}
+
+// Whether a provider's configured model takes an attachment of this type;
+// adapters without acceptsAttachment are text-only
+function providerAccepts(name, mimeType) {
+  const provider = getProvider(name)
+  return Boolean(provider && typeof provider.acceptsAttachment === 'function' &&
+    provider.acceptsAttachment(mimeType))
+}
+
 function listProviders() {
   return Object.keys(providers)
 }
 
 module.exports = {
   getProvider,
+  providerModel,
+  providerAccepts,
   listProviders
 }
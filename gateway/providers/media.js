@@ -0,0 +1,78 @@
+'use strict'
+
+/**
+ * Media attachments across providers
+ * The gateway hands adapters the request's images and PDFs as
+ * { name, mime_type, data } with base64 data. They ride along with the new
+ * user turn (or, for a follow-up that only carries tool results, with the
+ * last user turn). Adapters export acceptsAttachment(mimeType) for their
+ * configured model so the fallback chain can skip those that cannot see it.
+ */
+
+function isImage(mimeType) {
+  return mimeType.startsWith('image/')
+}
+
+function isPdf(mimeType) {
+  return mimeType === 'application/pdf'
+}
+
+// Appends parts to the last user message, or adds a user message for them
+function attachToUserTurn(messages, parts, textPart) {
+  const last = messages[messages.length - 1]
+  if (!last || last.role !== 'user') {
+    return [...messages, { role: 'user', content: parts }]
+  }
+  const content = typeof last.content === 'string'
+    ? (last.content ? [textPart(last.content)] : [])
+    : last.content
+  return [...messages.slice(0, -1), { ...last, content: [...content, ...parts] }]
+}
+
+// ---------------------------------------------------------------------------
+// OpenAI chat completions: image_url parts with data URLs
+// ---------------------------------------------------------------------------
+function chatCompletionAttachments(messages, attachments) {
+  if (!attachments || attachments.length === 0) return messages
+  const parts = attachments.map(({ mime_type, data }) => ({
+    type: 'image_url',
+    image_url: { url: `data:${mime_type};base64,${data}` }
+  }))
+  return attachToUserTurn(messages, parts, (text) => ({ type: 'text', text }))
+}
+
+// ---------------------------------------------------------------------------
+// Anthropic messages: image and document blocks
+// ---------------------------------------------------------------------------
+function anthropicAttachments(messages, attachments) {
+  if (!attachments || attachments.length === 0) return messages
+  const blocks = attachments.map(({ mime_type, data }) => ({
+    type: isPdf(mime_type) ? 'document' : 'image',
+    source: { type: 'base64', media_type: mime_type, data }
+  }))
+  return attachToUserTurn(messages, blocks, (text) => ({ type: 'text', text }))
+}
+
+// ---------------------------------------------------------------------------
+// Gemini: inline_data parts
+// ---------------------------------------------------------------------------
+function geminiParts(attachments) {
+  return (attachments || []).map(({ mime_type, data }) => ({ inline_data: { mime_type, data } }))
+}
+
+// ---------------------------------------------------------------------------
+// Ollama: a list of base64 images, on the request (generate API) or on the
+// user message (chat API)
+// ---------------------------------------------------------------------------
+function ollamaImages(attachments) {
+  return (attachments || []).map(({ data }) => data)
+}
+
+module.exports = {
+  isImage,
+  isPdf,
+  chatCompletionAttachments,
+  anthropicAttachments,
+  geminiParts,
+  ollamaImages
+}
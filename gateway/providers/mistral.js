@@ -1,5 +1,17 @@
 'use strict'
 
+const { collectChatCompletionStream } = require('./stream')
+const { requestSignal } = require('./signal')
+const { reportUsage } = require('./usage')
+const { upstreamError, notConfigured } = require('../errors')
+const { definedOnly, chatCompletionParams, jsonObjectMode } = require('./generation')
+const {
+  chatCompletionTools,
+  chatCompletionMessages,
+  chatCompletionToolCalls,
+  reportToolCalls
+} = require('./tools')
+
 /**
  * Mistral AI provider for BlackRoad Gateway
  */
@@ -13,11 +25,34 @@ const MISTRAL_MODELS = {
   'mixtral-8x22b': 'open-mixtral-8x22b'
 }
 
-async function chat({ model, messages, temperature, max_tokens }, env) {
+function modelName(model) {
+  return MISTRAL_MODELS[model] || model || 'mistral-small-latest'
+}
+
+async function chat(
+  {
+    model,
+    messages,
+    temperature,
+    max_tokens,
+    top_p,
+    stop,
+    tools,
+    tool_choice,
+    response_format,
+    onToken,
+    onUsage,
+    onToolCalls,
+    signal,
+    timeoutMs
+  },
+  env
+) {
   const apiKey = env.BLACKROAD_MISTRAL_API_KEY
-  if (!apiKey) throw new Error('BLACKROAD_MISTRAL_API_KEY not set')
+  if (!apiKey) throw notConfigured('BLACKROAD_MISTRAL_API_KEY')
+  const stream = typeof onToken === 'function'
 
-  const mistralModel = MISTRAL_MODELS[model] || model || 'mistral-small-latest'
+  const mistralModel = modelName(model)
 
   const resp = await fetch('https://api.mistral.ai/v1/chat/completions', {
     method: 'POST',
@@ -29,15 +64,30 @@ async function chat({ model, messages, temperature, max_tokens }, env) {
       model: mistralModel,
       messages,
       temperature: temperature ?? 0.7,
-      max_tokens: max_tokens || 4096
-    })
+      max_tokens: max_tokens || 4096,
+      ...definedOnly({ top_p, stop, tools, tool_choice, response_format }),
+      stream
+    }),
+    signal: requestSignal(signal, timeoutMs)
   })
 
   if (!resp.ok) {
     const err = await resp.text()
-    throw new Error(`Mistral error ${resp.status}: ${err}`)
+    throw upstreamError('Mistral', resp, err)
+  }
+  if (stream) {
+    return await collectChatCompletionStream(resp, onToken, (usage) =>
+      reportUsage(onUsage, mistralModel, usage.prompt_tokens, usage.completion_tokens)
+    )
   }
   const data = await resp.json()
+  reportUsage(
+    onUsage,
+    data.model || mistralModel,
+    data.usage?.prompt_tokens,
+    data.usage?.completion_tokens
+  )
+  reportToolCalls(onToolCalls, chatCompletionToolCalls('Mistral', data.choices?.[0]?.message))
   return data.choices?.[0]?.message?.content ?? ''
 }
 
@@ -45,4 +95,40 @@ async function complete({ model, prompt, temperature, max_tokens }, env) {
   return chat({ model, messages: [{ role: 'user', content: prompt }], temperature, max_tokens }, env)
 }
 
-module.exports = { chat, complete, MISTRAL_MODELS }
+async function invoke({
+  input,
+  system,
+  history = [],
+  generation,
+  tools,
+  toolChoice,
+  responseFormat,
+  onToken,
+  onUsage,
+  onToolCalls,
+  signal,
+  timeoutMs
+}) {
+  return chat(
+    {
+      model: process.env.BLACKROAD_MISTRAL_MODEL,
+      messages: chatCompletionMessages(system, history, input),
+      ...chatCompletionParams(generation),
+      ...chatCompletionTools(tools, toolChoice),
+      ...jsonObjectMode(responseFormat),
+      onToken,
+      onUsage,
+      onToolCalls,
+      signal,
+      timeoutMs
+    },
+    process.env
+  )
+}
+
+// The model invoke() will call; also part of the response cache key
+function resolveModel() {
+  return modelName(process.env.BLACKROAD_MISTRAL_MODEL)
+}
+
+module.exports = { invoke, chat, complete, resolveModel, MISTRAL_MODELS }
@@ -1,5 +1,18 @@
 'use strict'
 
+const { readNDJSON } = require('./stream')
+const { requestSignal } = require('./signal')
+const { reportUsage } = require('./usage')
+const { ProviderError, upstreamError } = require('../errors')
+const { definedOnly } = require('./generation')
+const {
+  chatCompletionTools,
+  chatCompletionToolCalls,
+  ollamaMessages,
+  reportToolCalls
+} = require('./tools')
+const { isImage, ollamaImages } = require('./media')
+
 // Ollama provider — routes to local Pi fleet first ($0 cost)
 // Primary: octavia Pi bridge  http://192.168.4.38:4010
 // Secondary: local Ollama     http://127.0.0.1:11434
@@ -9,6 +22,7 @@ const PI_BRIDGE_URL = 'http://192.168.4.38:4010'
 const LOCAL_OLLAMA_URL = 'http://127.0.0.1:11434'
 const DEFAULT_BASE_URL = PI_BRIDGE_URL
 const DEFAULT_MODEL = 'qwen2.5:3b'
+const DEFAULT_TIMEOUT_MS = 30000
 
 function buildPrompt(system, input) {
   if (system && system.trim()) {
@@ -17,14 +31,71 @@ function buildPrompt(system, input) {
   return input
 }
 
-async function invoke({ input, system }) {
+// Model families that take images; the default qwen2.5 is text-only
+const VISION_MODEL_PATTERN = /llava|vision|moondream|minicpm-v|gemma3|qwen2\.5vl|llama4/
+
+// The model invoke() will call; also part of the response cache key
+function resolveModel() {
+  return process.env.BLACKROAD_OLLAMA_MODEL || DEFAULT_MODEL
+}
+
+function acceptsAttachment(mimeType) {
+  return isImage(mimeType) && VISION_MODEL_PATTERN.test(resolveModel())
+}
+
+async function invoke({
+  input,
+  system,
+  history = [],
+  generation = {},
+  tools,
+  toolChoice,
+  responseFormat,
+  attachments,
+  onToken,
+  onUsage,
+  onToolCalls,
+  signal,
+  timeoutMs = DEFAULT_TIMEOUT_MS
+}) {
   if (typeof fetch !== 'function') {
     throw new Error('Global fetch is not available')
   }
 
   const requestedUrl = process.env.BLACKROAD_OLLAMA_URL || DEFAULT_BASE_URL
-  const model = process.env.BLACKROAD_OLLAMA_MODEL || DEFAULT_MODEL
-  const prompt = buildPrompt(system, input)
+  const model = resolveModel()
+  const stream = typeof onToken === 'function'
+
+  // Multi-turn and tool requests use the chat API so prior turns keep their
+  // roles; Ollama takes the tool definitions but not tool_choice
+  const useChat = history.length > 0 || Boolean(tools && tools.length > 0)
+  const endpoint = useChat ? '/api/chat' : '/api/generate'
+  const requestBody = useChat
+    ? { model, messages: ollamaMessages(system, history, input), stream }
+    : { model, prompt: buildPrompt(system, input), stream }
+  if (tools && tools.length > 0) {
+    requestBody.tools = chatCompletionTools(tools, toolChoice).tools
+  }
+  if (attachments && attachments.length > 0) {
+    const images = ollamaImages(attachments)
+    const last = useChat ? requestBody.messages[requestBody.messages.length - 1] : null
+    if (!useChat) requestBody.images = images
+    else if (last.role === 'user') last.images = images
+    else requestBody.messages.push({ role: 'user', content: '', images })
+  }
+  // Ollama constrains output to a JSON schema, or to any JSON with "json"
+  if (responseFormat) {
+    requestBody.format = responseFormat.type === 'json_schema' ? responseFormat.schema : 'json'
+  }
+  const options = definedOnly({
+    temperature: generation.temperature,
+    top_p: generation.top_p,
+    num_predict: generation.max_tokens,
+    stop: generation.stop
+  })
+  if (Object.keys(options).length > 0) {
+    requestBody.options = options
+  }
 
   // Try Pi bridge first, fall back to local Ollama — both $0 cost
   const urlsToTry = requestedUrl !== LOCAL_OLLAMA_URL
@@ -32,32 +103,64 @@ async function invoke({ input, system }) {
     : [requestedUrl]
 
   let lastError = null
+  let started = false
   for (const baseUrl of urlsToTry) {
     try {
-      const response = await fetch(`${baseUrl}/api/generate`, {
+      const response = await fetch(`${baseUrl}${endpoint}`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ model, prompt, stream: false }),
-        signal: AbortSignal.timeout ? AbortSignal.timeout(30000) : undefined
+        body: JSON.stringify(requestBody),
+        // Each host gets the full timeout; the caller's signal spans both
+        signal: requestSignal(signal, timeoutMs)
       })
 
+      if (stream && response.ok) {
+        let output = ''
+        for await (const chunk of readNDJSON(response)) {
+          if (chunk.error) {
+            throw new ProviderError(chunk.error)
+          }
+          const delta = typeof chunk.response === 'string' ? chunk.response : chunk.message?.content
+          if (delta) {
+            started = true
+            output += delta
+            onToken(delta)
+          }
+          if (chunk.message?.tool_calls) {
+            reportToolCalls(onToolCalls, chatCompletionToolCalls('Ollama', chunk.message))
+          }
+          if (chunk.done) {
+            reportUsage(onUsage, chunk.model || model, chunk.prompt_eval_count, chunk.eval_count)
+          }
+        }
+        return output
+      }
+
       const data = await response.json().catch(() => ({}))
       if (!response.ok) {
-        throw new Error(data.error || `Ollama error ${response.status}`)
+        throw upstreamError('Ollama', response, data.error)
       }
+      reportUsage(onUsage, data.model || model, data.prompt_eval_count, data.eval_count)
+      reportToolCalls(onToolCalls, chatCompletionToolCalls('Ollama', data.message))
 
       if (typeof data.response === 'string') return data.response
       if (data.message && typeof data.message.content === 'string') return data.message.content
       return ''
     } catch (err) {
       lastError = err
+      // Tokens already reached the caller; switching hosts would duplicate output
+      if (started) throw err
+      // Cancelled by the caller: the next host is not wanted either
+      if (signal && signal.aborted) throw err
       // Try next URL
     }
   }
 
-  throw lastError || new Error('Ollama unreachable on all endpoints')
+  throw lastError || new ProviderError('Ollama unreachable on all endpoints', 'PROVIDER_UNREACHABLE')
 }
 
 module.exports = {
-  invoke
+  invoke,
+  resolveModel,
+  acceptsAttachment
 }
@@ -1,26 +1,65 @@
 'use strict'
 
+const { collectChatCompletionStream } = require('./stream')
+const { requestSignal } = require('./signal')
+const { reportUsage } = require('./usage')
+const { upstreamError, notConfigured } = require('../errors')
+const { chatCompletionParams, jsonSchemaMode } = require('./generation')
+const {
+  chatCompletionTools,
+  chatCompletionMessages,
+  chatCompletionToolCalls,
+  reportToolCalls
+} = require('./tools')
+const { isImage, chatCompletionAttachments } = require('./media')
+
 const DEFAULT_BASE_URL = 'https://api.openai.com/v1'
 const DEFAULT_MODEL = 'gpt-4o-mini'
 
-async function invoke({ input, system }) {
+// Models that take image input; older and mini reasoning models are text-only
+const VISION_MODEL_PATTERN = /^(gpt-4o|gpt-4\.[15]|gpt-4-turbo|gpt-5|o[13](?!-mini)|o4)/
+
+// The model invoke() will call; also part of the response cache key
+function resolveModel() {
+  return process.env.BLACKROAD_OPENAI_MODEL || DEFAULT_MODEL
+}
+
+function acceptsAttachment(mimeType) {
+  return isImage(mimeType) && VISION_MODEL_PATTERN.test(resolveModel())
+}
+
+async function invoke({
+  input,
+  system,
+  history = [],
+  generation,
+  tools,
+  toolChoice,
+  responseFormat,
+  attachments,
+  onToken,
+  onUsage,
+  onToolCalls,
+  signal,
+  timeoutMs
+}) {
   if (typeof fetch !== 'function') {
     throw new Error('Global fetch is not available')
   }
 
   const apiKey = process.env.BLACKROAD_OPENAI_API_KEY
   if (!apiKey) {
-    throw new Error('Missing BLACKROAD_OPENAI_API_KEY')
+    throw notConfigured('BLACKROAD_OPENAI_API_KEY')
   }
 
   const baseUrl = process.env.BLACKROAD_OPENAI_BASE_URL || DEFAULT_BASE_URL
-  const model = process.env.BLACKROAD_OPENAI_MODEL || DEFAULT_MODEL
+  const model = resolveModel()
 
-  const messages = []
-  if (system && system.trim()) {
-    messages.push({ role: 'system', content: system })
-  }
-  messages.push({ role: 'user', content: input })
+  const messages = chatCompletionAttachments(
+    chatCompletionMessages(system, history, input),
+    attachments
+  )
+  const stream = typeof onToken === 'function'
 
   const response = await fetch(`${baseUrl}/chat/completions`, {
     method: 'POST',
@@ -30,14 +69,34 @@ async function invoke({ input, system }) {
     },
     body: JSON.stringify({
       model,
-      messages
-    })
+      messages,
+      ...chatCompletionParams(generation),
+      ...chatCompletionTools(tools, toolChoice),
+      ...jsonSchemaMode(responseFormat),
+      stream,
+      ...(stream ? { stream_options: { include_usage: true } } : {})
+    }),
+    signal: requestSignal(signal, timeoutMs)
   })
 
+  if (stream && response.ok) {
+    return await collectChatCompletionStream(response, onToken, (usage) =>
+      reportUsage(onUsage, model, usage.prompt_tokens, usage.completion_tokens)
+    )
+  }
+
   const data = await response.json().catch(() => ({}))
   if (!response.ok) {
-    throw new Error(data.error?.message || `OpenAI error ${response.status}`)
+    throw upstreamError('OpenAI', response, data.error?.message)
   }
+  reportUsage(
+    onUsage,
+    data.model || model,
+    data.usage?.prompt_tokens,
+    data.usage?.completion_tokens
+  )
+
+  reportToolCalls(onToolCalls, chatCompletionToolCalls('OpenAI', data.choices?.[0]?.message))
 
   const message = data.choices?.[0]?.message?.content
   if (typeof message === 'string') {
@@ -48,5 +107,7 @@ async function invoke({ input, system }) {
 }
 
 module.exports = {
-  invoke
+  invoke,
+  resolveModel,
+  acceptsAttachment
 }
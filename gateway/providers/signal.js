@@ -0,0 +1,16 @@
+'use strict'
+
+// Combines the caller's AbortSignal (client disconnect) with a per-call
+// timeout into the single signal handed to fetch.
+function requestSignal(signal, timeoutMs) {
+  const signals = []
+  if (signal) signals.push(signal)
+  if (timeoutMs > 0) signals.push(AbortSignal.timeout(timeoutMs))
+  if (signals.length === 0) return undefined
+  if (signals.length === 1) return signals[0]
+  return AbortSignal.any(signals)
+}
+
+module.exports = {
+  requestSignal
+}
@@ -0,0 +1,80 @@
+'use strict'
+
+// Incremental readers for streaming upstream responses.
+// SSE is used by the OpenAI-compatible APIs, Anthropic and Gemini;
+// Ollama streams newline-delimited JSON.
+
+async function* readLines(response) {
+  if (!response.body) return
+  const decoder = new TextDecoder()
+  let buffer = ''
+  for await (const chunk of response.body) {
+    buffer += decoder.decode(chunk, { stream: true })
+    let newline
+    while ((newline = buffer.indexOf('\n')) !== -1) {
+      const line = buffer.slice(0, newline).replace(/\r$/, '')
+      buffer = buffer.slice(newline + 1)
+      yield line
+    }
+  }
+  buffer += decoder.decode()
+  if (buffer) {
+    yield buffer.replace(/\r$/, '')
+  }
+}
+
+// Yields the `data:` payload of each server-sent event, joined across lines.
+async function* readSSE(response) {
+  let data = []
+  for await (const line of readLines(response)) {
+    if (line === '') {
+      if (data.length > 0) {
+        yield data.join('\n')
+        data = []
+      }
+      continue
+    }
+    if (line.startsWith('data:')) {
+      data.push(line.slice(5).replace(/^ /, ''))
+    }
+  }
+  if (data.length > 0) {
+    yield data.join('\n')
+  }
+}
+
+// Yields each parsed JSON object of an NDJSON body.
+async function* readNDJSON(response) {
+  for await (const line of readLines(response)) {
+    if (!line.trim()) continue
+    yield JSON.parse(line)
+  }
+}
+
+// Shared by the OpenAI-compatible adapters (openai, groq, mistral, deepseek).
+// Usage arrives on the final chunk (Groq nests it under x_groq).
+async function collectChatCompletionStream(response, onToken, onUsage) {
+  let output = ''
+  let usage = null
+  for await (const data of readSSE(response)) {
+    if (data === '[DONE]') break
+    const chunk = JSON.parse(data)
+    const delta = chunk.choices?.[0]?.delta?.content
+    if (typeof delta === 'string' && delta) {
+      output += delta
+      onToken(delta)
+    }
+    usage = chunk.usage || chunk.x_groq?.usage || usage
+  }
+  if (usage && typeof onUsage === 'function') {
+    onUsage(usage)
+  }
+  return output
+}
+
+module.exports = {
+  readLines,
+  readSSE,
+  readNDJSON,
+  collectChatCompletionStream
+}
@@ -0,0 +1,272 @@
+'use strict'
+
+const { randomUUID } = require('crypto')
+const { ProviderError } = require('../errors')
+
+/**
+ * Tool calling across providers
+ * Agents declare tools in the policy as { name, description, parameters }
+ * with a JSON-schema parameters object. Adapters translate them, and the
+ * conversation's tool turns, into their API's native shape:
+ *
+ *   assistant turn  { role: 'assistant', content, tool_calls: [{ id, name, arguments }] }
+ *   tool result     { role: 'tool', tool_call_id, name, content }
+ *
+ * and hand the model's tool calls back in that same { id, name, arguments }
+ * form through onToolCalls. toolChoice is 'auto' or 'required'. Tool calls
+ * are read from complete responses; the gateway does not stream requests
+ * that offer tools.
+ */
+
+function toolCallId() {
+  return `call_${randomUUID().replace(/-/g, '').slice(0, 24)}`
+}
+
+// A follow-up that only carries tool results adds no new user turn
+function endsWithToolResults(history, input) {
+  return !input && history.length > 0 && history[history.length - 1].role === 'tool'
+}
+
+function parseArguments(provider, name, value) {
+  if (value && typeof value === 'object') return value
+  try {
+    const parsed = JSON.parse(value || '{}')
+    if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) return parsed
+  } catch {}
+  throw new ProviderError(
+    `${provider} returned invalid arguments for tool ${name}`,
+    'PROVIDER_MALFORMED_RESPONSE'
+  )
+}
+
+function reportToolCalls(onToolCalls, calls) {
+  if (typeof onToolCalls === 'function' && calls.length > 0) {
+    onToolCalls(calls)
+  }
+}
+
+// ---------------------------------------------------------------------------
+// OpenAI chat completions (also Groq, Mistral and DeepSeek); Ollama's chat
+// API takes the same tool definitions
+// ---------------------------------------------------------------------------
+function chatCompletionTools(tools, toolChoice = 'auto') {
+  if (!tools || tools.length === 0) return {}
+  return {
+    tools: tools.map(({ name, description, parameters }) => ({
+      type: 'function',
+      function: { name, description, parameters }
+    })),
+    tool_choice: toolChoice
+  }
+}
+
+function chatCompletionMessages(system, history, input) {
+  const messages = []
+  if (system && system.trim()) {
+    messages.push({ role: 'system', content: system })
+  }
+  for (const message of history) {
+    if (message.role === 'tool') {
+      messages.push({ role: 'tool', tool_call_id: message.tool_call_id, content: message.content })
+    } else if (message.tool_calls) {
+      messages.push({
+        role: 'assistant',
+        content: message.content || null,
+        tool_calls: message.tool_calls.map((call) => ({
+          id: call.id,
+          type: 'function',
+          function: { name: call.name, arguments: JSON.stringify(call.arguments) }
+        }))
+      })
+    } else {
+      messages.push({ role: message.role, content: message.content })
+    }
+  }
+  if (!endsWithToolResults(history, input)) {
+    messages.push({ role: 'user', content: input })
+  }
+  return messages
+}
+
+function chatCompletionToolCalls(provider, message) {
+  return (message?.tool_calls || []).map((call) => ({
+    id: call.id || toolCallId(),
+    name: call.function?.name,
+    arguments: parseArguments(provider, call.function?.name, call.function?.arguments)
+  }))
+}
+
+// Ollama has no call ids; results go back by tool name
+function ollamaMessages(system, history, input) {
+  return chatCompletionMessages(system, history, input).map((message) => {
+    if (message.role === 'tool') {
+      const source = history.find((turn) => turn.tool_call_id === message.tool_call_id)
+      return { role: 'tool', content: message.content, tool_name: source ? source.name : undefined }
+    }
+    if (message.tool_calls) {
+      return {
+        role: 'assistant',
+        content: message.content || '',
+        tool_calls: message.tool_calls.map((call) => ({
+          function: { name: call.function.name, arguments: JSON.parse(call.function.arguments) }
+        }))
+      }
+    }
+    return message
+  })
+}
+
+// ---------------------------------------------------------------------------
+// Anthropic messages: tool_use blocks from the assistant, tool_result blocks
+// in the next user turn
+// ---------------------------------------------------------------------------
+const ANTHROPIC_TOOL_CHOICE = { auto: 'auto', required: 'any' }
+
+function anthropicTools(tools, toolChoice = 'auto') {
+  if (!tools || tools.length === 0) return {}
+  return {
+    tools: tools.map(({ name, description, parameters }) => ({
+      name,
+      description,
+      input_schema: parameters
+    })),
+    tool_choice: { type: ANTHROPIC_TOOL_CHOICE[toolChoice] || 'auto' }
+  }
+}
+
+function anthropicMessages(history, input) {
+  const messages = []
+  // Roles must alternate, so tool results and a user turn that follows them
+  // share one user message
+  const openUserTurn = () => {
+    const last = messages[messages.length - 1]
+    return last && last.role === 'user' && Array.isArray(last.content) ? last : null
+  }
+  const addUserBlock = (block) => {
+    const turn = openUserTurn()
+    if (turn) turn.content.push(block)
+    else messages.push({ role: 'user', content: [block] })
+  }
+  const addUserText = (text) => {
+    if (openUserTurn()) addUserBlock({ type: 'text', text })
+    else messages.push({ role: 'user', content: text })
+  }
+
+  for (const message of history) {
+    if (message.role === 'tool') {
+      addUserBlock({
+        type: 'tool_result',
+        tool_use_id: message.tool_call_id,
+        content: message.content
+      })
+    } else if (message.tool_calls) {
+      messages.push({
+        role: 'assistant',
+        content: [
+          ...(message.content ? [{ type: 'text', text: message.content }] : []),
+          ...message.tool_calls.map((call) => ({
+            type: 'tool_use',
+            id: call.id,
+            name: call.name,
+            input: call.arguments
+          }))
+        ]
+      })
+    } else if (message.role === 'user') {
+      addUserText(message.content)
+    } else {
+      messages.push({ role: message.role, content: message.content })
+    }
+  }
+  if (!endsWithToolResults(history, input)) {
+    addUserText(input)
+  }
+  return messages
+}
+
+function anthropicToolCalls(content) {
+  return (content || [])
+    .filter((block) => block.type === 'tool_use')
+    .map((block) => ({ id: block.id, name: block.name, arguments: block.input || {} }))
+}
+
+// ---------------------------------------------------------------------------
+// Gemini: functionDeclarations, functionCall parts from the model and
+// functionResponse parts (matched by name) in the next user turn
+// ---------------------------------------------------------------------------
+const GEMINI_TOOL_MODE = { auto: 'AUTO', required: 'ANY' }
+
+function geminiTools(tools, toolChoice = 'auto') {
+  if (!tools || tools.length === 0) return {}
+  return {
+    tools: [
+      {
+        functionDeclarations: tools.map(({ name, description, parameters }) => ({
+          name,
+          description,
+          parameters
+        }))
+      }
+    ],
+    toolConfig: { functionCallingConfig: { mode: GEMINI_TOOL_MODE[toolChoice] || 'AUTO' } }
+  }
+}
+
+function geminiContents(history) {
+  const contents = []
+  for (const message of history) {
+    if (message.role === 'tool') {
+      const part = {
+        functionResponse: { name: message.name, response: { content: message.content } }
+      }
+      const last = contents[contents.length - 1]
+      if (last && last.role === 'user' && last.parts.every((p) => p.functionResponse)) {
+        last.parts.push(part)
+      } else {
+        contents.push({ role: 'user', parts: [part] })
+      }
+    } else if (message.tool_calls) {
+      contents.push({
+        role: 'model',
+        parts: [
+          ...(message.content ? [{ text: message.content }] : []),
+          ...message.tool_calls.map((call) => ({
+            functionCall: { name: call.name, args: call.arguments }
+          }))
+        ]
+      })
+    } else {
+      // Gemini calls the assistant role "model"
+      contents.push({
+        role: message.role === 'assistant' ? 'model' : 'user',
+        parts: [{ text: message.content }]
+      })
+    }
+  }
+  return contents
+}
+
+function geminiToolCalls(parts) {
+  return (parts || [])
+    .filter((part) => part.functionCall)
+    .map(({ functionCall }) => ({
+      id: functionCall.id || toolCallId(),
+      name: functionCall.name,
+      arguments: functionCall.args || {}
+    }))
+}
+
+module.exports = {
+  endsWithToolResults,
+  reportToolCalls,
+  chatCompletionTools,
+  chatCompletionMessages,
+  chatCompletionToolCalls,
+  ollamaMessages,
+  anthropicTools,
+  anthropicMessages,
+  anthropicToolCalls,
+  geminiTools,
+  geminiContents,
+  geminiToolCalls
+}
@@ -0,0 +1,17 @@
+'use strict'
+
+// Token usage as adapters report it through invokeArgs.onUsage:
+// { model, prompt_tokens, completion_tokens }
+function reportUsage(onUsage, model, promptTokens, completionTokens) {
+  if (typeof onUsage !== 'function') return
+  if (!Number.isFinite(promptTokens) && !Number.isFinite(completionTokens)) return
+  onUsage({
+    model,
+    prompt_tokens: Number.isFinite(promptTokens) ? promptTokens : 0,
+    completion_tokens: Number.isFinite(completionTokens) ? completionTokens : 0
+  })
+}
+
+module.exports = {
+  reportUsage
+}
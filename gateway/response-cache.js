@@ -0,0 +1,178 @@
+'use strict'
+
+/**
+ * Response cache for the BlackRoad Gateway
+ * Monitors ask the same agent the same question many times an hour; within
+ * the intent's TTL the answer is served from here instead of the provider.
+ *
+ * Entries are keyed on agent, intent, resolved provider and model, and
+ * hashes of the system prompt and the input (conversation history,
+ * generation settings, response format and attachments included). An in-memory LRU
+ * holds up to maxEntries answers; with a dir set, answers are also written
+ * there as one JSON file per key, so they survive a restart and outlive LRU
+ * eviction.
+ */
+
+const crypto = require('crypto')
+const fs = require('fs/promises')
+const path = require('path')
+
+const DEFAULT_MAX_ENTRIES = 500
+
+function sha256(text) {
+  return crypto.createHash('sha256').update(text).digest('hex')
+}
+
+function cacheKey({
+  agent,
+  intent,
+  provider,
+  model,
+  system,
+  input,
+  history,
+  generation,
+  format,
+  attachments
+}) {
+  const inputHash = sha256(
+    JSON.stringify({
+      input,
+      history: history || [],
+      generation: generation || {},
+      format: format || null,
+      attachments: attachments || []
+    })
+  )
+  return sha256([agent, intent, provider, model || '', sha256(system || ''), inputHash].join('\n'))
+}
+
+// Global cache_ttl_seconds, overridden per agent; keyed by intent, with an
+// optional "default". 0 (or nothing configured) disables caching.
+function cacheTtlSeconds(policy, agentPolicy, intent) {
+  const ttls = {
+    ...((policy.global && policy.global.cache_ttl_seconds) || {}),
+    ...((agentPolicy && agentPolicy.cache_ttl_seconds) || {})
+  }
+  const ttl = ttls[intent] ?? ttls.default
+  return Number.isFinite(ttl) && ttl > 0 ? ttl : 0
+}
+
+class ResponseCache {
+  constructor({ maxEntries = DEFAULT_MAX_ENTRIES, dir = null } = {}, now = Date.now) {
+    this.maxEntries = maxEntries
+    this.dir = dir
+    this.now = now
+    // key -> { value, expiresAt }; Map order is the LRU order
+    this.entries = new Map()
+  }
+
+  // Applies the gateway's cacheMaxEntries and cacheDir settings
+  configure({ maxEntries = DEFAULT_MAX_ENTRIES, dir = null } = {}) {
+    this.maxEntries = maxEntries
+    this.dir = dir
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value)
+    }
+  }
+
+  get size() {
+    return this.entries.size
+  }
+
+  // Resolves with the cached value, or null when missing or expired
+  async get(key) {
+    let entry = this.entries.get(key)
+    if (!entry && this.dir) {
+      entry = await this._read(key)
+    }
+    if (!entry) return null
+    if (entry.expiresAt <= this.now()) {
+      this.delete(key)
+      return null
+    }
+    this._remember(key, entry)
+    return entry.value
+  }
+
+  async set(key, value, ttlSeconds) {
+    const entry = { value, expiresAt: this.now() + ttlSeconds * 1000 }
+    this._remember(key, entry)
+    if (this.dir) {
+      await this._write(key, entry)
+    }
+  }
+
+  delete(key) {
+    this.entries.delete(key)
+    if (this.dir) {
+      fs.rm(this._file(key), { force: true }).catch(() => {})
+    }
+  }
+
+  clear() {
+    this.entries.clear()
+  }
+
+  // Removes expired files from the disk tier; returns how many went
+  async prune() {
+    if (!this.dir) return 0
+    let names
+    try {
+      names = await fs.readdir(this.dir)
+    } catch (error) {
+      if (error.code === 'ENOENT') return 0
+      throw error
+    }
+    let removed = 0
+    for (const name of names.filter((file) => file.endsWith('.json'))) {
+      const key = name.slice(0, -'.json'.length)
+      const entry = await this._read(key)
+      if (!entry || entry.expiresAt <= this.now()) {
+        await fs.rm(path.join(this.dir, name), { force: true })
+        this.entries.delete(key)
+        removed++
+      }
+    }
+    return removed
+  }
+
+  _remember(key, entry) {
+    this.entries.delete(key)
+    this.entries.set(key, entry)
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value)
+    }
+  }
+
+  _file(key) {
+    return path.join(this.dir, `${key}.json`)
+  }
+
+  // An unreadable or corrupt file is a miss, not an error
+  async _read(key) {
+    try {
+      const data = JSON.parse(await fs.readFile(this._file(key), 'utf8'))
+      return Number.isFinite(data.expires_at)
+        ? { value: data.value, expiresAt: data.expires_at }
+        : null
+    } catch {
+      return null
+    }
+  }
+
+  // Written to a temp file and renamed, so readers never see half an entry
+  async _write(key, entry) {
+    await fs.mkdir(this.dir, { recursive: true })
+    const file = this._file(key)
+    const temp = `${file}.${process.pid}.tmp`
+    await fs.writeFile(temp, JSON.stringify({ expires_at: entry.expiresAt, value: entry.value }))
+    await fs.rename(temp, file)
+  }
+}
+
+module.exports = {
+  ResponseCache,
+  cacheKey,
+  cacheTtlSeconds
+}
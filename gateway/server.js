@@ -1,19 +1,118 @@
 'use strict'
 
 const http = require('http')
-const { randomUUID } = require('crypto')
+const { randomBytes, randomUUID, timingSafeEqual } = require('crypto')
 const fs = require('fs/promises')
 const path = require('path')
-const { getProvider, listProviders } = require('./providers')
+const { getProvider, listProviders, providerModel, providerAccepts } = require('./providers')
 const memory = require('./memory')
+const openaiCompat = require('./openai-compat')
+const { CircuitBreakers } = require('./circuit-breaker')
+const { AdmissionQueue } = require('./admission')
+const { PolicyStore } = require('./policy-store')
+const { checkPolicy } = require('./policy-check')
+const {
+  loadKeyring,
+  sign,
+  verifyToken,
+  bearerToken,
+  authorize,
+  permits
+} = require('./middleware/auth')
+const { estimateCost, parseCostTarget } = require('./cost')
+const { Registry, CONTENT_TYPE: PROMETHEUS_CONTENT_TYPE, wantsPrometheus } = require('./prometheus')
+const { ClientRegistry, LOCAL_CLIENT, clientPermits } = require('./clients')
+const { ResponseCache, cacheKey, cacheTtlSeconds } = require('./response-cache')
+const { invokeStructured, checkResponseFormat } = require('./structured-output')
+const { resolveAttachments } = require('./attachments')
+const { TASK_STATUSES, TaskQueue, taskView, isFinished } = require('./tasks')
+const { EventBus, OVERFLOW_POLICIES, loadNats: loadNatsClient } = require('./events')
+const { LifecycleEvents, DEFAULT_SUBJECT_PATTERN } = require('./lifecycle-events')
+const {
+  GatewayError,
+  ProviderError,
+  PolicyError,
+  ValidationError,
+  toProviderError
+} = require('./errors')
+const {
+  DEFAULT_VERSION,
+  SUPPORTED_VERSIONS,
+  negotiateVersion,
+  validateRequest,
+  normalizeRequest,
+  formatResponse,
+  validateResponse,
+  formatIssues
+} = require('./protocol')
 
 const DEFAULT_CONFIG = {
   bind: '127.0.0.1',
   port: 8787,
   policyPath: path.join(__dirname, '..', 'policies', 'agent-permissions.json'),
   promptPath: path.join(__dirname, 'system-prompts.json'),
+  // Remote callers: hashed credential, source CIDRs and agents per client
+  clientsPath: path.join(__dirname, 'clients.json'),
   logPath: path.join(__dirname, 'logs', 'gateway.jsonl'),
-  maxBodyBytes: 1024 * 1024
+  maxBodyBytes: 1024 * 1024,
+  // PS-SHA∞ journal: 'short' (16 hex) or 'full' (64 hex) hashes, and whether
+  // a broken chain at startup should 'warn' or 'refuse' to start
+  memoryHashMode: 'short',
+  memoryIntegrity: 'warn',
+  // Journal segments rotate at whichever limit is reached first
+  memorySegmentMaxEntries: 10000,
+  memorySegmentMaxBytes: 8 * 1024 * 1024,
+  // Response cache: answers held in memory, and optionally on disk as well
+  cacheMaxEntries: 500,
+  cacheDir: null,
+  // Attachments given as a path are read from this directory (off when null)
+  attachmentDir: null,
+  maxAttachmentBytes: 5 * 1024 * 1024,
+  // /v1/tasks: one JSON file per task, run taskConcurrency at a time;
+  // finished tasks are kept for taskRetentionSeconds, at most taskMaxRetained
+  taskDir: path.join(process.env.HOME || '/tmp', '.blackroad', 'gateway-tasks'),
+  taskConcurrency: 2,
+  taskRetentionSeconds: 24 * 60 * 60,
+  taskMaxRetained: 1000,
+  // Lifecycle events go to the NATS server at natsUrl (off when null; needs
+  // the optional nats package), on subjects built from eventSubjectPattern
+  // ({agent} and {event})
+  natsUrl: null,
+  eventSubjectPattern: DEFAULT_SUBJECT_PATTERN,
+  // Events wait while NATS is down, in memory and also in eventOutboxPath
+  // when set: at most eventOutboxMax of them, then eventOutboxOverflow
+  // (drop_oldest, drop_newest or reject) applies
+  eventOutboxPath: null,
+  eventOutboxMax: 10000,
+  eventOutboxOverflow: 'drop_oldest',
+  // Bearer tokens on /v1/*: 'required' for every caller, 'loopback' lets
+  // local tokenless agents through, 'off' disables the check
+  authMode: 'required'
+}
+
+const AUTH_MODES = ['required', 'loopback', 'off']
+
+// Exchanges (user + assistant message pairs) kept per session when neither
+// the agent nor the global policy sets max_session_turns
+const DEFAULT_MAX_SESSION_TURNS = 20
+
+// Task runs that get these answers wait and go back in the queue: the
+// gateway was busy, not the request wrong
+const TASK_RETRY_CODES = ['QUEUE_FULL', 'QUEUE_TIMEOUT', 'RATE_LIMITED']
+// Lifetime of the token a task run presents on its submitter's behalf
+const TASK_TOKEN_SECONDS = 300
+
+// The answer /v1/verify asks its agent for
+const VERIFY_SCHEMA = {
+  type: 'object',
+  properties: {
+    verdict: { type: 'string', enum: ['true', 'false', 'unverified', 'conflicting'] },
+    confidence: { type: 'number', minimum: 0, maximum: 1 },
+    reasoning: { type: 'string' },
+    flags: { type: 'array', items: { type: 'string' } }
+  },
+  required: ['verdict', 'confidence', 'reasoning', 'flags'],
+  additionalProperties: false
 }
 
 // ---------------------------------------------------------------------------
@@ -65,25 +164,202 @@ class RateLimiter {
 
 const rateLimiter = new RateLimiter()
 
+// Per-provider circuit breakers, tuned by policy global.circuit_breaker
+const breakers = new CircuitBreakers()
+
+// Global and per-agent concurrency limits with a fair wait queue
+const admission = new AdmissionQueue()
+
+// Answers for repeated prompts, kept for the intent's cache_ttl_seconds
+const responseCache = new ResponseCache()
+
 // ---------------------------------------------------------------------------
-// Metrics (in-memory counters)
+// Metrics (in-memory counters, plus Prometheus series for /metrics/prometheus)
 // ---------------------------------------------------------------------------
+const registry = new Registry()
+const series = {
+  uptime: registry.gauge('gateway_uptime_seconds', 'Seconds since the gateway started'),
+  requests: registry.counter(
+    'gateway_requests_total',
+    'Agent requests by outcome',
+    ['agent', 'intent', 'provider', 'status']
+  ),
+  duration: registry.histogram(
+    'gateway_request_duration_seconds',
+    'Agent request duration in seconds',
+    ['agent', 'intent', 'provider']
+  ),
+  fallbacks: registry.counter(
+    'gateway_fallbacks_total',
+    'Requests answered by a fallback provider instead of the primary',
+    ['from', 'to']
+  ),
+  rateLimited: registry.counter(
+    'gateway_rate_limited_total',
+    'Requests rejected by the per-agent rate limiter',
+    ['agent']
+  ),
+  providerErrors: registry.counter(
+    'gateway_provider_errors_total',
+    'Failed provider calls by error type',
+    ['provider', 'type']
+  ),
+  journalFailures: registry.counter(
+    'gateway_memory_journal_write_failures_total',
+    'PS-SHA∞ memory journal writes that failed'
+  ),
+  tokens: registry.counter(
+    'gateway_tokens_total',
+    'Tokens reported by providers',
+    ['agent', 'intent', 'provider', 'type']
+  ),
+  cost: registry.counter(
+    'gateway_cost_usd_total',
+    'Estimated provider cost in USD',
+    ['agent', 'intent', 'provider', 'cost_tier']
+  ),
+  circuit: registry.gauge(
+    'gateway_circuit_breaker_state',
+    'Provider circuit state: 0 closed, 1 half open, 2 open',
+    ['provider']
+  ),
+  activeRequests: registry.gauge(
+    'gateway_active_requests',
+    'Requests holding a concurrency slot',
+    ['agent']
+  ),
+  queueDepth: registry.gauge(
+    'gateway_queue_depth',
+    'Requests waiting for a concurrency slot',
+    ['agent']
+  ),
+  queueWait: registry.histogram(
+    'gateway_queue_wait_seconds',
+    'Time spent waiting for a concurrency slot',
+    ['agent'],
+    [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30]
+  ),
+  queueRejections: registry.counter(
+    'gateway_queue_rejections_total',
+    'Requests refused because the queue was full or the wait timed out',
+    ['agent', 'reason']
+  ),
+  cache: registry.counter(
+    'gateway_cache_requests_total',
+    'Cacheable requests by result: hit, miss or bypass',
+    ['agent', 'intent', 'result']
+  )
+}
+
+const CIRCUIT_STATES = { closed: 0, half_open: 1, open: 2 }
+
 const metrics = {
   totalRequests: 0,
   totalErrors: 0,
   totalOk: 0,
+  totalCancelled: 0,
+  totalFallbacks: 0,
+  totalRateLimited: 0,
+  journalWriteFailures: 0,
+  queueWaits: { count: 0, total_ms: 0, max_ms: 0 },
+  queueRejections: {},
+  cache: { hit: 0, miss: 0, bypass: 0 },
   byAgent: {},
+  byIntent: {},
   byProvider: {},
+  providerErrors: {},
+  usage: { prompt_tokens: 0, completion_tokens: 0, cost_usd: 0 },
+  usageByAgent: {},
+  usageByIntent: {},
+  usageByProvider: {},
+  usageByCostTier: {},
   startTime: Date.now(),
 
-  record(agent, provider, status) {
+  record(agent, provider, status, { intent = null, durationMs } = {}) {
     this.totalRequests++
     if (status === 'ok') this.totalOk++
+    else if (status === 'cancelled') this.totalCancelled++
     else this.totalErrors++
     this.byAgent[agent] = (this.byAgent[agent] || 0) + 1
+    if (intent) {
+      this.byIntent[intent] = (this.byIntent[intent] || 0) + 1
+    }
     if (provider) {
       this.byProvider[provider] = (this.byProvider[provider] || 0) + 1
     }
+    // Requests that never named an agent (404s, bad JSON) stay out of the series
+    if (agent) {
+      const labels = { agent, intent, provider }
+      series.requests.inc({ ...labels, status })
+      if (Number.isFinite(durationMs)) {
+        series.duration.observe(labels, durationMs / 1000)
+      }
+    }
+  },
+
+  recordFallback(from, to) {
+    this.totalFallbacks++
+    series.fallbacks.inc({ from, to })
+  },
+
+  recordRateLimited(agent) {
+    this.totalRateLimited++
+    series.rateLimited.inc({ agent })
+  },
+
+  recordProviderError(provider, type) {
+    const byType = (this.providerErrors[provider] = this.providerErrors[provider] || {})
+    byType[type] = (byType[type] || 0) + 1
+    series.providerErrors.inc({ provider, type })
+  },
+
+  recordQueueWait(agent, waitedMs) {
+    this.queueWaits.count++
+    this.queueWaits.total_ms += waitedMs
+    this.queueWaits.max_ms = Math.max(this.queueWaits.max_ms, waitedMs)
+    series.queueWait.observe({ agent }, waitedMs / 1000)
+  },
+
+  recordQueueRejection(agent, reason) {
+    this.queueRejections[reason] = (this.queueRejections[reason] || 0) + 1
+    series.queueRejections.inc({ agent, reason })
+  },
+
+  recordCache(agent, intent, result) {
+    this.cache[result]++
+    series.cache.inc({ agent, intent, result })
+  },
+
+  recordJournalFailure() {
+    this.journalWriteFailures++
+    series.journalFailures.inc()
+  },
+
+  // Accumulates token usage and estimated cost (cost_usd may be null when
+  // the price is unknown; it then counts tokens only)
+  recordUsage(agent, intent, provider, usage) {
+    const add = (bucket) => {
+      bucket.prompt_tokens += usage.prompt_tokens
+      bucket.completion_tokens += usage.completion_tokens
+      bucket.cost_usd = Math.round((bucket.cost_usd + (usage.cost_usd || 0)) * 1e6) / 1e6
+    }
+    const keyed = (table, key) => {
+      if (!key) return
+      table[key] = table[key] || { prompt_tokens: 0, completion_tokens: 0, cost_usd: 0 }
+      add(table[key])
+    }
+    add(this.usage)
+    keyed(this.usageByAgent, agent)
+    keyed(this.usageByIntent, intent)
+    keyed(this.usageByProvider, provider)
+    keyed(this.usageByCostTier, usage.cost_tier)
+
+    const labels = { agent, intent, provider }
+    series.tokens.inc({ ...labels, type: 'prompt' }, usage.prompt_tokens)
+    series.tokens.inc({ ...labels, type: 'completion' }, usage.completion_tokens)
+    if (usage.cost_usd) {
+      series.cost.inc({ ...labels, cost_tier: usage.cost_tier || 'none' }, usage.cost_usd)
+    }
   },
 
   snapshot() {
@@ -92,9 +368,52 @@ const metrics = {
       total_requests: this.totalRequests,
       total_ok: this.totalOk,
       total_errors: this.totalErrors,
+      total_cancelled: this.totalCancelled,
+      total_fallbacks: this.totalFallbacks,
+      total_rate_limited: this.totalRateLimited,
+      journal_write_failures: this.journalWriteFailures,
       by_agent: { ...this.byAgent },
-      by_provider: { ...this.byProvider }
+      by_intent: { ...this.byIntent },
+      by_provider: { ...this.byProvider },
+      provider_errors: JSON.parse(JSON.stringify(this.providerErrors)),
+      queue: {
+        waits: this.queueWaits.count,
+        avg_wait_ms: this.queueWaits.count
+          ? Math.round(this.queueWaits.total_ms / this.queueWaits.count)
+          : 0,
+        max_wait_ms: this.queueWaits.max_ms,
+        rejections: { ...this.queueRejections }
+      },
+      cache: {
+        hits: this.cache.hit,
+        misses: this.cache.miss,
+        bypassed: this.cache.bypass,
+        entries: responseCache.size
+      },
+      usage: {
+        ...this.usage,
+        by_agent: { ...this.usageByAgent },
+        by_intent: { ...this.usageByIntent },
+        by_provider: { ...this.usageByProvider },
+        by_cost_tier: { ...this.usageByCostTier }
+      }
     }
+  },
+
+  // Text exposition; gauges are sampled at scrape time
+  prometheus(circuitBreakers = {}, admissionState = { by_agent: {} }) {
+    series.uptime.set({}, Math.floor((Date.now() - this.startTime) / 1000))
+    series.circuit.reset()
+    for (const [provider, breaker] of Object.entries(circuitBreakers)) {
+      series.circuit.set({ provider }, CIRCUIT_STATES[breaker.state] ?? 0)
+    }
+    series.activeRequests.reset()
+    series.queueDepth.reset()
+    for (const [agent, state] of Object.entries(admissionState.by_agent)) {
+      series.activeRequests.set({ agent }, state.active)
+      series.queueDepth.set({ agent }, state.queued)
+    }
+    return registry.render()
   }
 }
 
@@ -120,11 +439,45 @@ function readEnvConfig() {
     port: env.BLACKROAD_GATEWAY_PORT ? Number(env.BLACKROAD_GATEWAY_PORT) : undefined,
     policyPath: env.BLACKROAD_GATEWAY_POLICY_PATH || undefined,
     promptPath: env.BLACKROAD_GATEWAY_PROMPT_PATH || undefined,
+    clientsPath: env.BLACKROAD_GATEWAY_CLIENTS_PATH || undefined,
     logPath: env.BLACKROAD_GATEWAY_LOG_PATH || undefined,
     maxBodyBytes: env.BLACKROAD_GATEWAY_MAX_BODY_BYTES
       ? Number(env.BLACKROAD_GATEWAY_MAX_BODY_BYTES)
       : undefined,
-    allowRemote: env.BLACKROAD_GATEWAY_ALLOW_REMOTE === 'true'
+    memoryHashMode: env.BLACKROAD_GATEWAY_MEMORY_HASH || undefined,
+    memoryIntegrity: env.BLACKROAD_GATEWAY_MEMORY_INTEGRITY || undefined,
+    memorySegmentMaxEntries: env.BLACKROAD_GATEWAY_MEMORY_SEGMENT_ENTRIES
+      ? Number(env.BLACKROAD_GATEWAY_MEMORY_SEGMENT_ENTRIES)
+      : undefined,
+    memorySegmentMaxBytes: env.BLACKROAD_GATEWAY_MEMORY_SEGMENT_BYTES
+      ? Number(env.BLACKROAD_GATEWAY_MEMORY_SEGMENT_BYTES)
+      : undefined,
+    cacheMaxEntries: env.BLACKROAD_GATEWAY_CACHE_ENTRIES
+      ? Number(env.BLACKROAD_GATEWAY_CACHE_ENTRIES)
+      : undefined,
+    cacheDir: env.BLACKROAD_GATEWAY_CACHE_DIR || undefined,
+    attachmentDir: env.BLACKROAD_GATEWAY_ATTACHMENT_DIR || undefined,
+    maxAttachmentBytes: env.BLACKROAD_GATEWAY_ATTACHMENT_MAX_BYTES
+      ? Number(env.BLACKROAD_GATEWAY_ATTACHMENT_MAX_BYTES)
+      : undefined,
+    taskDir: env.BLACKROAD_GATEWAY_TASK_DIR || undefined,
+    taskConcurrency: env.BLACKROAD_GATEWAY_TASK_CONCURRENCY
+      ? Number(env.BLACKROAD_GATEWAY_TASK_CONCURRENCY)
+      : undefined,
+    taskRetentionSeconds: env.BLACKROAD_GATEWAY_TASK_RETENTION_SECONDS
+      ? Number(env.BLACKROAD_GATEWAY_TASK_RETENTION_SECONDS)
+      : undefined,
+    taskMaxRetained: env.BLACKROAD_GATEWAY_TASK_MAX_RETAINED
+      ? Number(env.BLACKROAD_GATEWAY_TASK_MAX_RETAINED)
+      : undefined,
+    natsUrl: env.BLACKROAD_GATEWAY_NATS_URL || undefined,
+    eventSubjectPattern: env.BLACKROAD_GATEWAY_EVENT_SUBJECT || undefined,
+    eventOutboxPath: env.BLACKROAD_GATEWAY_EVENT_OUTBOX || undefined,
+    eventOutboxMax: env.BLACKROAD_GATEWAY_EVENT_OUTBOX_MAX
+      ? Number(env.BLACKROAD_GATEWAY_EVENT_OUTBOX_MAX)
+      : undefined,
+    eventOutboxOverflow: env.BLACKROAD_GATEWAY_EVENT_OUTBOX_OVERFLOW || undefined,
+    authMode: env.BLACKROAD_GATEWAY_AUTH || undefined
   }
 }
 
@@ -134,9 +487,39 @@ function mergeConfig(base, extra) {
     port: Number.isFinite(extra.port) ? extra.port : base.port,
     policyPath: extra.policyPath || base.policyPath,
     promptPath: extra.promptPath || base.promptPath,
+    clientsPath: extra.clientsPath || base.clientsPath,
     logPath: extra.logPath || base.logPath,
     maxBodyBytes: Number.isFinite(extra.maxBodyBytes) ? extra.maxBodyBytes : base.maxBodyBytes,
-    allowRemote: typeof extra.allowRemote === 'boolean' ? extra.allowRemote : base.allowRemote
+    memoryHashMode: extra.memoryHashMode || base.memoryHashMode,
+    memoryIntegrity: extra.memoryIntegrity || base.memoryIntegrity,
+    memorySegmentMaxEntries: Number.isFinite(extra.memorySegmentMaxEntries)
+      ? extra.memorySegmentMaxEntries
+      : base.memorySegmentMaxEntries,
+    memorySegmentMaxBytes: Number.isFinite(extra.memorySegmentMaxBytes)
+      ? extra.memorySegmentMaxBytes
+      : base.memorySegmentMaxBytes,
+    cacheMaxEntries: Number.isFinite(extra.cacheMaxEntries) ? extra.cacheMaxEntries : base.cacheMaxEntries,
+    cacheDir: extra.cacheDir || base.cacheDir,
+    attachmentDir: extra.attachmentDir || base.attachmentDir,
+    maxAttachmentBytes: Number.isFinite(extra.maxAttachmentBytes)
+      ? extra.maxAttachmentBytes
+      : base.maxAttachmentBytes,
+    taskDir: extra.taskDir || base.taskDir,
+    taskConcurrency: Number.isFinite(extra.taskConcurrency)
+      ? extra.taskConcurrency
+      : base.taskConcurrency,
+    taskRetentionSeconds: Number.isFinite(extra.taskRetentionSeconds)
+      ? extra.taskRetentionSeconds
+      : base.taskRetentionSeconds,
+    taskMaxRetained: Number.isFinite(extra.taskMaxRetained)
+      ? extra.taskMaxRetained
+      : base.taskMaxRetained,
+    natsUrl: extra.natsUrl || base.natsUrl,
+    eventSubjectPattern: extra.eventSubjectPattern || base.eventSubjectPattern,
+    eventOutboxPath: extra.eventOutboxPath || base.eventOutboxPath,
+    eventOutboxMax: Number.isFinite(extra.eventOutboxMax) ? extra.eventOutboxMax : base.eventOutboxMax,
+    eventOutboxOverflow: extra.eventOutboxOverflow || base.eventOutboxOverflow,
+    authMode: extra.authMode || base.authMode
   }
 }
 
@@ -149,6 +532,14 @@ function isLoopback(req) {
   )
 }
 
+// Where this gateway reaches itself: over loopback when it listens on every
+// address, otherwise on the one address it is bound to
+function selfHost({ address }) {
+  if (address === '0.0.0.0') return '127.0.0.1'
+  if (address === '::') return '[::1]'
+  return address.includes(':') ? `[${address}]` : address
+}
+
 function buildSystemPrompt(prompts, agent, intent, context) {
   if (!prompts) {
     return ''
@@ -178,7 +569,7 @@ async function readBody(req, maxBytes) {
     req.on('data', (chunk) => {
       bytes += chunk.length
       if (bytes > maxBytes) {
-        reject(new Error('Request body too large'))
+        reject(new ValidationError('Request body too large', 'BODY_TOO_LARGE', 413))
         req.destroy()
         return
       }
@@ -189,12 +580,124 @@ async function readBody(req, maxBytes) {
   })
 }
 
+// Error envelope for a GatewayError: a stable code next to the message, plus
+// field-level details and a retry hint when the error has them
+function errorPayload(error, requestId) {
+  const payload = { status: 'error', error: error.message, code: error.code, request_id: requestId }
+  if (error.details) {
+    payload.details = error.details
+  }
+  const metadata = { ...error.metadata }
+  if (error.retryAfter !== undefined) {
+    metadata.retry_after_seconds = error.retryAfter
+  }
+  if (Object.keys(metadata).length > 0) {
+    payload.metadata = metadata
+  }
+  return payload
+}
+
+function openEventStream(res) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  })
+}
+
+function writeEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`)
+}
+
+// Streamed /v1/agent wire format: token events, then a done or error event
+function agentEventStream(res, version = DEFAULT_VERSION) {
+  return {
+    token: (delta) => writeEvent(res, 'token', { delta }),
+    done: (payload) => {
+      const { output, ...done } = payload
+      writeEvent(res, 'done', formatResponse(done, version))
+    },
+    error: (payload) => writeEvent(res, 'error', formatResponse(payload, version))
+  }
+}
+
 async function appendLog(logPath, entry) {
   const logDir = path.dirname(logPath)
   await fs.mkdir(logDir, { recursive: true })
   await fs.appendFile(logPath, `${JSON.stringify(entry)}\n`, 'utf8')
 }
 
+function sessionTurnLimit(policy, agentPolicy) {
+  return agentPolicy.max_session_turns ||
+    (policy.global && policy.global.max_session_turns) ||
+    DEFAULT_MAX_SESSION_TURNS
+}
+
+// Per-provider call timeouts: global.timeouts_ms overridden by the agent's
+// timeouts_ms, each keyed by provider name with an optional "default"
+function resolveTimeouts(policy, agentPolicy) {
+  return {
+    ...((policy.global && policy.global.timeouts_ms) || {}),
+    ...((agentPolicy && agentPolicy.timeouts_ms) || {})
+  }
+}
+
+function providerTimeout(timeouts, provider) {
+  if (!timeouts) return undefined
+  const timeout = timeouts[provider] ?? timeouts.default
+  return Number.isFinite(timeout) && timeout > 0 ? timeout : undefined
+}
+
+// Usage metadata for one call; cost only when the policy tracks it, priced
+// by the agent's cost tier when it has one
+function buildUsage(policy, provider, reported, agentPolicy = null) {
+  if (!reported) return null
+  const usage = {
+    model: reported.model || null,
+    prompt_tokens: reported.prompt_tokens,
+    completion_tokens: reported.completion_tokens,
+    total_tokens: reported.prompt_tokens + reported.completion_tokens
+  }
+  if (policy.global && policy.global.cost_tracking) {
+    const tierName = (agentPolicy && agentPolicy.cost_tier) || null
+    const tier = tierName && policy.cost_tiers ? policy.cost_tiers[tierName] : null
+    usage.cost_usd = estimateCost(policy.pricing, provider, reported, tier)
+    usage.cost_tier = tier ? tierName : null
+  }
+  return usage
+}
+
+// Coarse provider error types for metrics, by ProviderError code
+const PROVIDER_ERROR_TYPES = {
+  PROVIDER_TIMEOUT: 'timeout',
+  PROVIDER_MALFORMED_RESPONSE: 'malformed_response',
+  PROVIDER_AUTH_FAILED: 'auth',
+  PROVIDER_NOT_CONFIGURED: 'auth',
+  PROVIDER_RATE_LIMITED: 'rate_limited',
+  PROVIDER_UNAVAILABLE: 'upstream_5xx',
+  PROVIDER_BAD_REQUEST: 'upstream_4xx',
+  PROVIDER_REJECTED: 'upstream_4xx',
+  PROVIDER_UNREACHABLE: 'network'
+}
+
+function classifyError(err) {
+  return PROVIDER_ERROR_TYPES[toProviderError(err).code] || 'other'
+}
+
+// Admission settings from policy global; unset keys keep the defaults
+function admissionOptions(policy) {
+  const global = policy.global || {}
+  const options = { ...(global.admission_queue || {}) }
+  if (Number.isFinite(global.max_concurrent_requests)) {
+    options.max_concurrent = global.max_concurrent_requests
+  }
+  return options
+}
+
+function isCancelled(invokeArgs) {
+  return Boolean(invokeArgs.signal && invokeArgs.signal.aborted)
+}
+
 function pickProvider(requested, policy, intent) {
   if (requested) {
     return requested
@@ -205,81 +708,322 @@ function pickProvider(requested, policy, intent) {
   return policy.default_provider || null
 }
 
-async function loadPolicy(policyPath) {
-  const policy = await loadJson(policyPath)
-  if (!policy || !policy.agents) {
-    throw new Error('Policy file missing or invalid')
+// Responses that drift from the protocol schema are reported, not withheld
+function protocolResponse(payload, version, requestId) {
+  const body = formatResponse(payload, version)
+  const issues = validateResponse(body, version)
+  if (issues.length > 0) {
+    console.warn(`[protocol] v${version} response ${requestId} does not match the schema: ` +
+      formatIssues(issues))
   }
-  return policy
-}
-
-function validateRequest(payload) {
-  if (!payload || typeof payload !== 'object') {
-    return 'Invalid JSON payload'
-  }
-  if (!payload.agent || typeof payload.agent !== 'string') {
-    return 'Missing agent'
-  }
-  if (!payload.intent || typeof payload.intent !== 'string') {
-    return 'Missing intent'
-  }
-  if (typeof payload.input !== 'string') {
-    return 'Missing input'
-  }
-  if (payload.context && typeof payload.context !== 'object') {
-    return 'Context must be an object'
-  }
-  return null
+  return body
 }
 
 // ---------------------------------------------------------------------------
 // Provider invocation with fallback chain
 // ---------------------------------------------------------------------------
-async function invokeWithFallback(primaryProvider, fallbackChain, invokeArgs) {
-  // Try primary first
-  const primary = getProvider(primaryProvider)
-  if (primary) {
+function attachmentTypes(attachments) {
+  return [...new Set((attachments || []).map((attachment) => attachment.mime_type))]
+}
+
+function acceptsAll(provider, mediaTypes) {
+  return mediaTypes.every((mimeType) => providerAccepts(provider, mimeType))
+}
+
+function unsupportedAttachments(providers, mediaTypes) {
+  return new ValidationError(
+    `No provider can take ${mediaTypes.join(', ')} attachments (tried ${providers.join(', ')})`,
+    'ATTACHMENT_UNSUPPORTED',
+    422,
+    {
+      details: providers.map((name) => {
+        const accepted = mediaTypes.filter((mimeType) => providerAccepts(name, mimeType))
+        return {
+          path: 'attachments',
+          message: `${name} (${providerModel(name) || 'unknown model'}) accepts ` +
+            (accepted.join(', ') || 'text only')
+        }
+      })
+    }
+  )
+}
+
+// hooks report each provider call as it happens: onAttempt(name),
+// onFailure(name, error) and onFallback(name) when a fallback answers
+async function invokeWithFallback(primaryProvider, fallbackChain, invokeArgs, hooks = {}) {
+  const { onAttempt = () => {}, onFailure = () => {}, onFallback = () => {} } = hooks
+  // A streamed response can only fall back until its first token has been sent
+  let started = false
+  const args = typeof invokeArgs.onToken === 'function'
+    ? {
+        ...invokeArgs,
+        onToken: (token) => {
+          started = true
+          invokeArgs.onToken(token)
+        }
+      }
+    : invokeArgs
+
+  // Primary first, then the fallback chain; providers whose circuit is open
+  // are skipped instead of waiting out another timeout, and those whose model
+  // cannot take the request's attachments are not tried at all
+  const chain = fallbackChain || []
+  const candidates = [primaryProvider, ...chain.filter((name) => name !== primaryProvider)]
+  const mediaTypes = attachmentTypes(invokeArgs.attachments)
+  const errors = []
+  const skipped = []
+  const incapable = []
+  for (const name of candidates) {
+    const provider = getProvider(name)
+    if (!provider) continue
+    if (!acceptsAll(name, mediaTypes)) {
+      incapable.push(name)
+      continue
+    }
+    const breaker = breakers.get(name)
+    if (!breaker.canAttempt()) {
+      skipped.push(name)
+      continue
+    }
+    onAttempt(name)
     try {
-      const output = await primary.invoke(invokeArgs)
-      return { output, provider: primaryProvider }
+      let usage = null
+      let toolCalls = null
+      const output = await provider.invoke({
+        ...args,
+        timeoutMs: providerTimeout(invokeArgs.timeouts, name),
+        onUsage: (reported) => {
+          usage = reported
+        },
+        onToolCalls: (calls) => {
+          toolCalls = calls
+        }
+      })
+      breaker.recordSuccess()
+      const result = { output, provider: name, usage, ...(toolCalls && { toolCalls }) }
+      if (name === primaryProvider) {
+        return result
+      }
+      metrics.recordFallback(primaryProvider, name)
+      onFallback(name)
+      return { ...result, fallback: true }
     } catch (err) {
-      // If no fallback chain, rethrow
-      if (!fallbackChain || fallbackChain.length === 0) {
+      // A client disconnect says nothing about the provider's health
+      if (isCancelled(invokeArgs)) {
+        breaker.release()
         throw err
       }
-      // Otherwise try fallbacks
+      const error = toProviderError(err, name)
+      // A refused request says nothing about the provider's health either
+      if (error.retryable) {
+        breaker.recordFailure()
+      } else {
+        breaker.release()
+      }
+      metrics.recordProviderError(name, classifyError(error))
+      onFailure(name, error)
+      // No fallback chain, tokens already went out, or the next provider
+      // would refuse the same request: rethrow
+      if (started || chain.length === 0 || !error.retryable) {
+        throw error
+      }
+      errors.push(error)
     }
   }
 
-  // Try fallback chain
-  if (fallbackChain && fallbackChain.length > 0) {
-    const errors = []
-    for (const name of fallbackChain) {
-      if (name === primaryProvider) continue // already tried
-      const fallback = getProvider(name)
-      if (!fallback) continue
-      try {
-        const output = await fallback.invoke(invokeArgs)
-        return { output, provider: name, fallback: true }
-      } catch (err) {
-        errors.push(`${name}: ${err.message}`)
-      }
+  // Retry-After: the soonest any failed or skipped provider may recover
+  const waits = [
+    ...errors.map((error) => error.retryAfter).filter((seconds) => seconds !== undefined),
+    ...skipped.map((name) => Math.ceil(breakers.get(name).retryAfterMs() / 1000))
+  ]
+  const retryAfter = waits.length > 0 ? Math.min(...waits) : undefined
+  const attempts = errors.map((error) => ({
+    provider: error.provider,
+    code: error.code,
+    message: error.message
+  }))
+  if (errors.length > 0) {
+    const summary = errors.map((error) => `${error.provider}: ${error.message}`)
+    if (skipped.length > 0) summary.push(`circuit open: ${skipped.join(', ')}`)
+    if (incapable.length > 0) {
+      summary.push(`no ${mediaTypes.join(', ')} support: ${incapable.join(', ')}`)
     }
-    throw new Error(`All providers failed: ${errors.join('; ')}`)
+    const allUnavailable = errors.every((error) => error.status === 503)
+    throw new ProviderError(
+      `All providers failed: ${summary.join('; ')}`,
+      'PROVIDERS_EXHAUSTED',
+      allUnavailable ? 503 : 502,
+      { retryAfter, metadata: { attempts } }
+    )
   }
+  if (skipped.length > 0) {
+    throw new ProviderError(
+      `No provider available: circuit open for ${skipped.join(', ')}`,
+      'PROVIDER_CIRCUIT_OPEN',
+      503,
+      { retryAfter }
+    )
+  }
+  if (incapable.length > 0) {
+    throw unsupportedAttachments(incapable, mediaTypes)
+  }
+  throw new ProviderError('No provider available', 'PROVIDER_UNAVAILABLE', 503)
+}
 
-  throw new Error('No provider available')
+// ---------------------------------------------------------------------------
+// Memory journal integrity
+// ---------------------------------------------------------------------------
+async function checkMemoryIntegrity(mode) {
+  const result = await memory.verify()
+  if (result.ok) return result
+  const { segment, line, reason } = result.broken
+  const where = line ? `${segment} line ${line}` : segment
+  const message = `PS-SHA∞ memory journal chain broken at ${where}: ${reason}`
+  if (mode === 'refuse') {
+    throw new Error(message)
+  }
+  console.warn('='.repeat(72))
+  console.warn(`[memory] WARNING: ${message}`)
+  console.warn('[memory] The journal may have been edited. Entries after this line are untrusted.')
+  console.warn('='.repeat(72))
+  return result
 }
 
 // ---------------------------------------------------------------------------
 // Server
 // ---------------------------------------------------------------------------
-async function start() {
+// Resolves with the listening server; closing it stops the policy watcher and
+// the event bus. overrides take precedence over the environment and
+// config.json; loadNats returns the NATS connect function, and tests swap it
+// for a stand-in.
+async function start(overrides = {}, { loadNats = loadNatsClient } = {}) {
   const configFilePath = process.env.BLACKROAD_GATEWAY_CONFIG
     ? path.resolve(process.env.BLACKROAD_GATEWAY_CONFIG)
     : path.join(__dirname, 'config.json')
   const fileConfig = (await loadJson(configFilePath)) || {}
-  const config = mergeConfig(DEFAULT_CONFIG, mergeConfig(fileConfig, readEnvConfig()))
+  const config = mergeConfig(
+    DEFAULT_CONFIG,
+    mergeConfig(fileConfig, mergeConfig(readEnvConfig(), overrides))
+  )
+
+  memory.configure({
+    hashMode: config.memoryHashMode,
+    segmentMaxEntries: config.memorySegmentMaxEntries,
+    segmentMaxBytes: config.memorySegmentMaxBytes
+  })
+  await checkMemoryIntegrity(config.memoryIntegrity)
+
+  responseCache.configure({ maxEntries: config.cacheMaxEntries, dir: config.cacheDir })
+  if (config.cacheDir) {
+    responseCache.prune().catch((error) => {
+      console.warn(`[cache] could not prune ${config.cacheDir}: ${error.message}`)
+    })
+  }
+
+  if (!AUTH_MODES.includes(config.authMode)) {
+    throw new Error(`authMode must be one of ${AUTH_MODES.join(', ')}`)
+  }
+  if (!OVERFLOW_POLICIES.includes(config.eventOutboxOverflow)) {
+    throw new Error(`eventOutboxOverflow must be one of ${OVERFLOW_POLICIES.join(', ')}`)
+  }
+  // Events asked for but never deliverable would only pile up in the outbox
+  let connectNats = null
+  if (config.natsUrl) {
+    try {
+      connectNats = loadNats()
+    } catch (error) {
+      throw new Error(`natsUrl is set but the NATS client could not be loaded (${error.message}); ` +
+        'install the optional nats dependency')
+    }
+  }
+  // Fails fast on missing keys, or on the dev secret outside dev mode
+  const keyring = config.authMode === 'off' ? null : loadKeyring()
+
+  // Parsed once, then hot-reloaded on file change, SIGHUP or the admin endpoint.
+  // Each version is linted against the schema, the providers and the prompts.
+  const policies = new PolicyStore(config.policyPath, {
+    validate: async (policy) => checkPolicy(policy, { prompts: await loadJson(config.promptPath) })
+  })
+  await policies.load()
+  policies.watch()
+
+  // A registry that fails to load on SIGHUP leaves the previous one in place
+  let clients = await ClientRegistry.load(config.clientsPath)
+  const reloadClients = async () => {
+    try {
+      clients = await ClientRegistry.load(config.clientsPath)
+      console.log(`[clients] loaded ${clients.size} client(s) from ${config.clientsPath}`)
+    } catch (error) {
+      console.warn(`[clients] reload failed, keeping ${clients.size} client(s): ${error.message}`)
+    }
+  }
+  if (fileConfig.allowRemote !== undefined || process.env.BLACKROAD_GATEWAY_ALLOW_REMOTE) {
+    console.warn('[clients] allowRemote / BLACKROAD_GATEWAY_ALLOW_REMOTE is no longer supported; ' +
+      'register remote callers with gateway/clients.js')
+  }
+
+  const onSighup = () => {
+    policies.reload('SIGHUP')
+    reloadClients()
+  }
+  process.on('SIGHUP', onSighup)
+
+  // A task runs by replaying its request against this gateway's own
+  // /v1/agent, so it goes through the same validation, policy, admission,
+  // cache and journal. It was authorized when submitted; the run presents a
+  // short-lived token with the submitter's claims (remote clients' agent
+  // lists are checked at submission only), and this process's task key,
+  // which makes it a local caller on whatever address the gateway is bound.
+  const taskKey = randomBytes(32).toString('hex')
+  const runTask = async (task, signal) => {
+    const headers = {
+      'Content-Type': 'application/json',
+      'X-Task-ID': task.id,
+      'X-BlackRoad-Task-Key': taskKey
+    }
+    if (keyring && task.caller) {
+      const { iat, exp, ...claims } = task.caller
+      headers.Authorization = `Bearer ${sign(claims, { keyring, expiresIn: TASK_TOKEN_SECONDS })}`
+    }
+    const address = server.address()
+    const response = await fetch(`http://${selfHost(address)}:${address.port}/v1/agent`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify(task.payload),
+      signal
+    })
+    const body = await response.json().catch(() => ({}))
+    if (response.ok && body.status === 'ok') {
+      return { ok: true, result: body }
+    }
+    const error = {
+      code: body.code || 'TASK_FAILED',
+      message: body.error || `Gateway answered ${response.status}`,
+      status: response.status
+    }
+    const retryAfter = TASK_RETRY_CODES.includes(body.code)
+      ? Number(response.headers.get('retry-after')) || 1
+      : undefined
+    return { ok: false, error, retryAfter }
+  }
+  const tasks = new TaskQueue(config.taskDir, runTask, {
+    concurrency: config.taskConcurrency,
+    retentionSeconds: config.taskRetentionSeconds,
+    maxRetained: config.taskMaxRetained
+  })
+
+  const events = new LifecycleEvents(
+    config.natsUrl
+      ? new EventBus({
+          natsUrl: config.natsUrl,
+          connect: connectNats,
+          outboxPath: config.eventOutboxPath,
+          outboxMax: config.eventOutboxMax,
+          overflow: config.eventOutboxOverflow
+        })
+      : null,
+    { subjectPattern: config.eventSubjectPattern }
+  )
 
   const server = http.createServer(async (req, res) => {
     const startTime = Date.now()
@@ -290,6 +1034,28 @@ async function start() {
     let status = 'error'
     let responsePayload = null
     let requestPayload = null
+    let usage = null
+    let releaseSlot = null
+    // Verified token claims; null when auth is off or a loopback caller had none
+    let caller = null
+    // Registered client the request came from; LOCAL_CLIENT for loopback callers
+    let client = null
+    // /v1/chat/completions state, and the negotiated /v1/agent protocol version;
+    // both are also needed to report a failure mid-stream
+    let chat = null
+    let protocolVersion = DEFAULT_VERSION
+
+    // Captured up front: the socket may be gone by the time the log is written
+    const remoteAddress = req.socket.remoteAddress || null
+
+    // Aborts upstream provider calls when the client goes away
+    const abortController = new AbortController()
+    res.on('close', () => {
+      if (!res.writableFinished) abortController.abort()
+    })
+
+    // Wire format of the response body; /v1/chat/completions swaps in OpenAI's
+    let render = (code, payload) => payload
 
     const send = (code, payload) => {
       if (payload.status === 'error' && typeof payload.output !== 'string') {
@@ -298,10 +1064,121 @@ async function start() {
       responsePayload = payload
       status = payload.status || status
       res.writeHead(code, { 'Content-Type': 'application/json' })
-      res.end(JSON.stringify(payload))
+      res.end(JSON.stringify(render(code, payload)))
+    }
+
+    // Throws a 401 unless the request carries a valid bearer token
+    // Loopback callers, and task runs of this gateway process
+    const isLocal = () => {
+      if (isLoopback(req)) return true
+      const key = req.headers['x-blackroad-task-key']
+      return typeof key === 'string' && key.length === taskKey.length &&
+        timingSafeEqual(Buffer.from(key), Buffer.from(taskKey))
+    }
+
+    const authenticate = () => {
+      if (config.authMode === 'off') return
+      const token = bearerToken(req)
+      if (!token) {
+        if (config.authMode === 'loopback' && isLocal()) return
+        throw new GatewayError('Missing bearer token', 'UNAUTHENTICATED', 401)
+      }
+      const { payload, error } = verifyToken(token, { keyring })
+      if (!payload) {
+        throw new GatewayError(error, 'UNAUTHENTICATED', 401)
+      }
+      caller = payload
+    }
+
+    // Local callers need nothing more; anyone else needs a registered client
+    // credential (X-BlackRoad-Key: <id>:<secret>) from one of its networks
+    const identifyClient = () => {
+      if (isLocal()) {
+        client = LOCAL_CLIENT
+        return
+      }
+      const result = clients.authenticate(req.headers['x-blackroad-key'], remoteAddress)
+      if (!result.client) {
+        throw new PolicyError(result.error, 'CLIENT_DENIED')
+      }
+      client = result.client
+    }
+
+    // The client's agent list and the token claims both narrow what a caller
+    // may touch; no token means no claim limits
+    const callerAllows = (scope) => {
+      if (client && scope.agent !== undefined && !clientPermits(client, scope.agent)) {
+        return `Client ${client.id} does not permit agent ${scope.agent}`
+      }
+      return caller ? authorize(caller, scope) : null
+    }
+    const callerMayUse = (provider) => !caller || permits(caller.providers, provider)
+    // Tasks and sessions belong to the token subject, or to the client when
+    // there is no token; call after identifyClient()
+    const requestOwner = () => (caller ? caller.sub || null : client.id)
+    const callerIsAdmin = () => Boolean(caller && caller.admin === true)
+
+    // Waits for a concurrency slot; throws a 503 if none frees up
+    const admit = async (agent, agentPolicy, policy) => {
+      admission.configure(admissionOptions(policy))
+      try {
+        const ticket = await admission.acquire(agent, {
+          limit: agentPolicy.max_concurrent_requests,
+          signal: abortController.signal
+        })
+        releaseSlot = ticket.release
+        metrics.recordQueueWait(agent, ticket.waitedMs)
+      } catch (error) {
+        if (error.code !== 'QUEUE_FULL' && error.code !== 'QUEUE_TIMEOUT') throw error
+        metrics.recordQueueRejection(agent, error.code.toLowerCase())
+        throw new GatewayError(error.message, error.code, 503, {
+          retryAfter: 1,
+          metadata: { queue_wait_ms: error.waitedMs }
+        })
+      }
+    }
+
+    // Lifecycle events for this request; what they redact follows the
+    // policy of the agent once it is known
+    let eventScope = {}
+    const publish = (event, data) => {
+      events.publish(event, { request_id: requestId, ...data }, eventScope)
     }
+    const providerHooks = (agent, intent, primary) => ({
+      onAttempt: (provider) => publish('provider_attempt', { agent, intent, provider }),
+      onFailure: (provider, error) => publish('provider_failed', {
+        agent,
+        intent,
+        provider,
+        code: error.code,
+        message: error.message,
+        retryable: error.retryable
+      }),
+      onFallback: (provider) => publish('fallback', { agent, intent, primary, provider })
+    })
 
     try {
+      // ---------------------------------------------------------------
+      // Authentication for every /v1/* route
+      // ---------------------------------------------------------------
+      if (req.url.startsWith('/v1/')) {
+        if (req.url === '/v1/models' || req.url === '/v1/chat/completions') {
+          render = (code, payload) => openaiCompat.formatError(payload, code)
+        }
+        authenticate()
+        // Only switching auth off opens these; tokenless loopback callers
+        // may not reach them
+        const adminOnly = req.url.startsWith('/v1/admin/') || req.url.startsWith('/v1/memory')
+        if (adminOnly && config.authMode !== 'off') {
+          if (!caller) {
+            throw new GatewayError('Admin routes need an admin bearer token', 'UNAUTHENTICATED', 401)
+          }
+          if (caller.admin !== true) {
+            throw new PolicyError('Token is not an admin token', 'ADMIN_REQUIRED')
+          }
+        }
+      }
+
       // ---------------------------------------------------------------
       // Health check
       // ---------------------------------------------------------------
@@ -313,6 +1190,15 @@ async function start() {
           version: 2,
           providers: providerList,
           agents: metrics ? metrics.snapshot().activeAgents || 0 : 0,
+          policy: policies.info(),
+          tasks: tasks.counts(),
+          ...(events.bus && {
+            events: {
+              connected: events.bus.connected,
+              outbox: events.bus.outbox.length,
+              dropped: events.bus.dropped
+            }
+          }),
           uptime: process.uptime(),
           timestamp: new Date().toISOString()
         })
@@ -321,30 +1207,64 @@ async function start() {
       // ---------------------------------------------------------------
       // Metrics endpoint
       // ---------------------------------------------------------------
-      if (req.method === 'GET' && req.url === '/metrics') {
-        if (!config.allowRemote && !isLoopback(req)) {
-          return send(403, { status: 'error', error: 'Remote access denied' })
+      if (req.method === 'GET' && (req.url === '/metrics' || req.url === '/metrics/prometheus')) {
+        identifyClient()
+        if (req.url === '/metrics/prometheus' || wantsPrometheus(req.headers.accept)) {
+          res.writeHead(200, { 'Content-Type': PROMETHEUS_CONTENT_TYPE })
+          status = 'ok'
+          return res.end(metrics.prometheus(breakers.snapshot(), admission.snapshot()))
         }
-        return send(200, { status: 'ok', metrics: metrics.snapshot() })
+        const snapshot = metrics.snapshot()
+        const policy = policies.policy
+        const target = policy && policy.global ? parseCostTarget(policy.global.cost_target) : null
+        return send(200, {
+          status: 'ok',
+          metrics: snapshot,
+          cost: {
+            tracking: Boolean(policy && policy.global && policy.global.cost_tracking),
+            target_usd: target,
+            spent_usd: snapshot.usage.cost_usd,
+            within_target: target === null ? null : snapshot.usage.cost_usd <= target
+          },
+          admission: admission.snapshot(),
+          circuit_breakers: breakers.snapshot()
+        })
+      }
+
+      // ---------------------------------------------------------------
+      // Policy reload - validate the file and swap it in, or keep the old one
+      // ---------------------------------------------------------------
+      if (req.method === 'POST' && req.url === '/v1/admin/policy/reload') {
+        identifyClient()
+        const result = await policies.reload('admin request')
+        return result.ok
+          ? send(200, { status: 'ok', policy: result })
+          : send(422, {
+            status: 'error',
+            error: `Policy rejected: ${result.error}`,
+            code: 'POLICY_REJECTED',
+            policy: result
+          })
       }
 
       // ---------------------------------------------------------------
       // Agent roster - list available agents
       // ---------------------------------------------------------------
       if (req.method === 'GET' && req.url === '/v1/agents') {
-        if (!config.allowRemote && !isLoopback(req)) {
-          return send(403, { status: 'error', error: 'Remote access denied' })
-        }
-        const policy = await loadPolicy(config.policyPath)
-        const roster = Object.entries(policy.agents).map(([name, cfg]) => ({
-          name,
-          description: cfg.description || '',
-          intents: cfg.allowed_intents || [],
-          providers: cfg.allowed_providers || [],
-          default_provider: cfg.default_provider || null,
-          rate_limit: cfg.rate_limit_per_minute || null,
-          usage_last_minute: rateLimiter.getUsage(name)
-        }))
+        identifyClient()
+        const policy = await policies.get()
+        const roster = Object.entries(policy.agents)
+          .filter(([name]) => !callerAllows({ agent: name }))
+          .map(([name, cfg]) => ({
+            name,
+            description: cfg.description || '',
+            intents: cfg.allowed_intents || [],
+            providers: cfg.allowed_providers || [],
+            default_provider: cfg.default_provider || null,
+            rate_limit: cfg.rate_limit_per_minute || null,
+            tools: (cfg.tools || []).map((tool) => tool.name),
+            usage_last_minute: rateLimiter.getUsage(name)
+          }))
         return send(200, { status: 'ok', agents: roster })
       }
 
@@ -357,7 +1277,7 @@ async function start() {
           const data = await res.json()
           return send(200, { status: 'ok', worlds: data })
         } catch (e) {
-          return send(502, { status: 'error', error: 'worlds feed unavailable' })
+          throw new GatewayError('worlds feed unavailable', 'WORLDS_UNAVAILABLE', 502, { cause: e })
         }
       }
 
@@ -367,10 +1287,11 @@ async function start() {
       // Memory stats + recent entries
       // ---------------------------------------------------------------
       if (req.method === 'GET' && req.url.startsWith('/v1/memory')) {
-        if (!config.allowRemote && !isLoopback(req)) {
-          return send(403, { status: 'error', error: 'Remote access denied' })
-        }
+        identifyClient()
         const url = new URL(req.url, 'http://localhost')
+        if (url.pathname === '/v1/memory/verify') {
+          return send(200, { status: 'ok', verification: await memory.verify() })
+        }
         if (url.pathname === '/v1/memory/recent') {
           const limit = parseInt(url.searchParams.get('limit') || '10')
           return send(200, { status: 'ok', entries: await memory.recent(limit) })
@@ -378,31 +1299,175 @@ async function start() {
         return send(200, { status: 'ok', memory: await memory.stats() })
       }
 
+      // ---------------------------------------------------------------
+      // Conversation sessions - list, fetch, delete
+      // ---------------------------------------------------------------
+      if (req.url.startsWith('/v1/sessions')) {
+        identifyClient()
+        const url = new URL(req.url, 'http://localhost')
+        const owner = requestOwner()
+        // Other owners' sessions, and sessions of agents the caller may not
+        // use, look like missing ones; admin tokens see every session
+        const visible = (session) => !callerAllows({ agent: session.agent }) &&
+          ((session.owner ?? null) === owner || callerIsAdmin())
+        if (req.method === 'GET' && url.pathname === '/v1/sessions') {
+          const agent = url.searchParams.get('agent') || undefined
+          const sessions = (await memory.listSessions({ agent })).filter(visible)
+          return send(200, { status: 'ok', sessions })
+        }
+        const sessionMatch = url.pathname.match(/^\/v1\/sessions\/([^/]+)$/)
+        if (sessionMatch && (req.method === 'GET' || req.method === 'DELETE')) {
+          const sessionId = decodeURIComponent(sessionMatch[1])
+          if (!memory.isValidSessionId(sessionId)) {
+            throw new ValidationError('Invalid session_id', 'INVALID_SESSION_ID')
+          }
+          const session = await memory.getSession(sessionId)
+          if (!session || !visible(session)) {
+            throw new GatewayError('Session not found', 'SESSION_NOT_FOUND', 404)
+          }
+          if (req.method === 'DELETE') {
+            const deleted = await memory.deleteSession(sessionId)
+            if (!deleted) {
+              throw new GatewayError('Session not found', 'SESSION_NOT_FOUND', 404)
+            }
+            return send(200, { status: 'ok', deleted: sessionId })
+          }
+          return send(200, { status: 'ok', session })
+        }
+        throw new GatewayError('Not found', 'NOT_FOUND', 404)
+      }
+
+      // ---------------------------------------------------------------
+      // Async tasks - submit, list, poll, cancel
+      // ---------------------------------------------------------------
+      if (req.url.startsWith('/v1/tasks')) {
+        identifyClient()
+        const url = new URL(req.url, 'http://localhost')
+        const owner = requestOwner()
+        // Other owners' tasks, and tasks of agents the caller may not use,
+        // look like missing ones; admin tokens see every task
+        const visible = (task) => !callerAllows({ agent: task.agent }) &&
+          (task.owner === owner || callerIsAdmin())
+
+        if (req.method === 'POST' && url.pathname === '/v1/tasks') {
+          const body = await readBody(req, config.maxBodyBytes)
+          let payload
+          try {
+            payload = JSON.parse(body)
+          } catch (error) {
+            throw new ValidationError('Invalid JSON', 'INVALID_JSON')
+          }
+          const negotiated = negotiateVersion(payload, req.headers)
+          if (negotiated.error) {
+            throw new ValidationError(negotiated.error, 'UNSUPPORTED_PROTOCOL_VERSION', 400, {
+              metadata: { supported_versions: SUPPORTED_VERSIONS }
+            })
+          }
+          const issues = validateRequest(payload, negotiated.version)
+          if (payload && payload.stream === true) {
+            issues.push({ path: 'stream', message: 'is not supported for tasks' })
+          }
+          if (issues.length > 0) {
+            throw new ValidationError(`Invalid request: ${formatIssues(issues)}`, 'VALIDATION_FAILED', 400, {
+              details: issues
+            })
+          }
+          checkResponseFormat(payload.response_format)
+          // Refused up front what /v1/agent would refuse anyway
+          const policy = await policies.get()
+          const agentPolicy = policy.agents[payload.agent]
+          if (!agentPolicy) {
+            throw new PolicyError('Agent not allowed', 'AGENT_NOT_ALLOWED')
+          }
+          if (!agentPolicy.allowed_intents || !agentPolicy.allowed_intents.includes(payload.intent)) {
+            throw new PolicyError('Intent not allowed', 'INTENT_NOT_ALLOWED')
+          }
+          const forbidden = callerAllows({ agent: payload.agent, intent: payload.intent })
+          if (forbidden) {
+            throw new PolicyError(forbidden)
+          }
+          // The run does not see this request's headers
+          if (payload.protocol_version === undefined && negotiated.version !== DEFAULT_VERSION) {
+            payload = { protocol_version: negotiated.version, ...payload }
+          }
+          const task = await tasks.submit({
+            payload,
+            agent: payload.agent,
+            intent: payload.intent,
+            owner,
+            caller
+          })
+          res.setHeader('Location', `/v1/tasks/${task.id}`)
+          return send(202, { status: 'accepted', task: taskView(task) })
+        }
+
+        if (req.method === 'GET' && url.pathname === '/v1/tasks') {
+          const status = url.searchParams.get('status') || undefined
+          if (status && !TASK_STATUSES.includes(status)) {
+            const message = `must be one of ${TASK_STATUSES.join(', ')}`
+            throw new ValidationError(`status ${message}`, 'VALIDATION_FAILED', 400, {
+              details: [{ path: 'status', message }]
+            })
+          }
+          const limit = Math.min(Math.max(Number(url.searchParams.get('limit')) || 50, 1), 500)
+          const list = tasks.list({
+            status,
+            agent: url.searchParams.get('agent') || undefined,
+            intent: url.searchParams.get('intent') || undefined,
+            filter: visible,
+            limit
+          })
+          return send(200, { status: 'ok', tasks: list.map((task) => taskView(task)) })
+        }
+
+        const taskMatch = url.pathname.match(/^\/v1\/tasks\/([^/]+)(\/cancel)?$/)
+        const task = taskMatch && tasks.get(decodeURIComponent(taskMatch[1]))
+        if (taskMatch && (!task || !visible(task))) {
+          throw new GatewayError('Task not found', 'TASK_NOT_FOUND', 404)
+        }
+        if (taskMatch && !taskMatch[2] && req.method === 'GET') {
+          return send(200, { status: 'ok', task: taskView(task, { detail: true }) })
+        }
+        if (taskMatch && taskMatch[2] && req.method === 'POST') {
+          if (isFinished(task)) {
+            throw new GatewayError(`Task already ${task.status}`, 'TASK_FINISHED', 409)
+          }
+          await tasks.cancel(task.id)
+          return send(200, { status: 'ok', task: taskView(task) })
+        }
+        throw new GatewayError('Not found', 'NOT_FOUND', 404)
+      }
+
       // ---------------------------------------------------------------
       // Providers list endpoint
       // ---------------------------------------------------------------
       if (req.method === 'GET' && req.url === '/v1/providers') {
-        if (!config.allowRemote && !isLoopback(req)) {
-          return send(403, { status: 'error', error: 'Remote access denied' })
-        }
-        return send(200, { status: 'ok', providers: listProviders() })
+        identifyClient()
+        return send(200, {
+          status: 'ok',
+          providers: listProviders(),
+          circuit_breakers: breakers.snapshot()
+        })
       }
 
       // ---------------------------------------------------------------
       // Verify endpoint - structured claim verification via agent system
       // ---------------------------------------------------------------
       if (req.method === 'POST' && req.url === '/v1/verify') {
+        identifyClient()
         const verifyStart = Date.now()
         try {
           const verBody = await readBody(req, 65536)
           let verPayload
           try { verPayload = JSON.parse(verBody) } catch {
-            return send(400, { status: 'error', error: 'Invalid JSON' })
+            throw new ValidationError('Invalid JSON', 'INVALID_JSON')
           }
 
           const { claim, sources = [], confidence_threshold = 0.7 } = verPayload
           if (!claim || typeof claim !== 'string' || claim.trim().length === 0) {
-            return send(400, { status: 'error', error: 'claim is required' })
+            throw new ValidationError('claim is required', 'VALIDATION_FAILED', 400, {
+              details: [{ path: 'claim', message: 'is required' }]
+            })
           }
 
           // Route security/credential claims to CIPHER (audit), all others to PRISM (analyze)
@@ -410,57 +1475,67 @@ async function start() {
           const agentName = isSecurityClaim ? 'cipher' : 'prism'
           const intent = isSecurityClaim ? 'audit' : 'analyze'
 
-          const policy = await loadPolicy(config.policyPath)
+          const policy = await policies.get()
+          breakers.configure(policy.global && policy.global.circuit_breaker)
           const agentPolicy = policy.agents[agentName]
           const providerName = pickProvider(null, agentPolicy, intent)
           if (!providerName) {
-            return send(503, { status: 'error', error: 'No provider available for verification' })
+            throw new ProviderError('No provider available for verification', 'PROVIDER_UNAVAILABLE', 503)
+          }
+          const forbidden = callerAllows({ agent: agentName, intent, provider: providerName })
+          if (forbidden) {
+            throw new PolicyError(forbidden)
           }
+          await admit(agentName, agentPolicy, policy)
+          eventScope = { policy, agentPolicy }
 
           const sourcesLine = sources.length > 0 ? `\nSources to cross-check: ${sources.join(', ')}` : ''
-          const verifyPrompt = `You are an information verification system. Analyze the following claim and respond ONLY with a single valid JSON object — no markdown fences, no surrounding text.
+          const verifyPrompt = `You are an information verification system. Analyze the following claim.
 
 Claim: "${claim.replace(/"/g, '\\"')}"${sourcesLine}
 Confidence threshold: ${confidence_threshold}
 
-Check for: numeric facts or statistics that may be hallucinated, dates and time references, proper nouns (people, places, organizations), logical consistency, and internal contradictions.
-
-Respond with ONLY this JSON shape:
-{"verdict":"true"|"false"|"unverified"|"conflicting","confidence":<0.0-1.0>,"reasoning":"<concise explanation>","flags":["<issue1>"]}`
+Check for: numeric facts or statistics that may be hallucinated, dates and time references, proper nouns (people, places, organizations), logical consistency, and internal contradictions. List each problem found in flags.`
 
           const prompts = await loadJson(config.promptPath)
           const systemPrompt = buildSystemPrompt(prompts, agentName, intent, {})
           const verifyRequestId = `verify-${randomUUID()}`
 
-          const result = await invokeWithFallback(
-            providerName,
-            agentPolicy.fallback_chain || [],
+          // An answer that never matches VERIFY_SCHEMA fails the request
+          // with STRUCTURED_OUTPUT_INVALID rather than a guessed verdict
+          const chain = (agentPolicy.fallback_chain || []).filter(callerMayUse)
+          const result = await invokeStructured(
+            (args) => invokeWithFallback(
+              providerName, chain, args, providerHooks(agentName, intent, providerName)
+            ),
             {
               input: verifyPrompt,
               system: systemPrompt,
               context: { task: 'verification' },
               requestId: verifyRequestId,
               agent: agentName,
-              intent
-            }
+              intent,
+              signal: abortController.signal,
+              timeouts: resolveTimeouts(policy, agentPolicy)
+            },
+            { type: 'json_schema', schema: VERIFY_SCHEMA }
           )
-
-          // Parse structured JSON from agent output
-          let verdict = 'unverified', confidence = 0.5, reasoning = result.output, flags = []
-          try {
-            const jsonMatch = result.output.match(/\{[\s\S]*\}/)
-            if (jsonMatch) {
-              const parsed = JSON.parse(jsonMatch[0])
-              verdict = ['true', 'false', 'unverified', 'conflicting'].includes(parsed.verdict)
-                ? parsed.verdict : 'unverified'
-              confidence = typeof parsed.confidence === 'number'
-                ? Math.min(1, Math.max(0, parsed.confidence)) : 0.5
-              reasoning = typeof parsed.reasoning === 'string' ? parsed.reasoning : result.output
-              flags = Array.isArray(parsed.flags) ? parsed.flags : []
-            }
-          } catch { /* keep defaults */ }
+          const { verdict, confidence, reasoning, flags } = result.parsed
+          publish('verify_verdict', {
+            agent: agentName,
+            intent,
+            provider: result.provider,
+            verdict,
+            confidence,
+            flags,
+            claim,
+            reasoning,
+            sources_checked: sources.length,
+            latency_ms: Date.now() - verifyStart
+          })
 
           // Log to PS-SHA∞ memory journal (non-blocking)
+          const verifyUsage = buildUsage(policy, result.provider, result.usage, agentPolicy)
           memory.record({
             type: 'verify',
             agent: agentName,
@@ -469,8 +1544,15 @@ Respond with ONLY this JSON shape:
             verdict,
             confidence,
             sources_checked: sources.length,
-            duration_ms: Date.now() - verifyStart
-          }).catch(() => {})
+            duration_ms: Date.now() - verifyStart,
+            ...(verifyUsage && {
+              model: verifyUsage.model,
+              prompt_tokens: verifyUsage.prompt_tokens,
+              completion_tokens: verifyUsage.completion_tokens,
+              cost_usd: verifyUsage.cost_usd ?? null,
+              cost_tier: verifyUsage.cost_tier ?? null
+            })
+          }).catch(() => metrics.recordJournalFailure())
 
           return send(200, {
             status: 'ok',
@@ -483,56 +1565,144 @@ Respond with ONLY this JSON shape:
             timestamp: new Date().toISOString()
           })
         } catch (e) {
-          return send(502, { status: 'error', error: e.message || 'verify failed' })
+          if (abortController.signal.aborted) {
+            status = 'cancelled'
+            responsePayload = { status: 'cancelled', error: 'Client disconnected' }
+            memory.record({
+              type: 'verify',
+              status: 'cancelled',
+              duration_ms: Date.now() - verifyStart
+            }).catch(() => metrics.recordJournalFailure())
+            return
+          }
+          throw e
         }
       }
 
       // ---------------------------------------------------------------
-      // Main agent endpoint
+      // OpenAI-compatible model list (agent and agent:intent pairs)
       // ---------------------------------------------------------------
-      if (req.method !== 'POST' || req.url !== '/v1/agent') {
-        return send(404, { status: 'error', error: 'Not found', request_id: requestId })
+      if (req.method === 'GET' && req.url === '/v1/models') {
+        render = (code, payload) => openaiCompat.formatError(payload, code)
+        identifyClient()
+        const policy = await policies.get()
+        const agents = Object.fromEntries(
+          Object.entries(policy.agents).filter(([name]) => !callerAllows({ agent: name }))
+        )
+        res.writeHead(200, { 'Content-Type': 'application/json' })
+        status = 'ok'
+        return res.end(JSON.stringify(openaiCompat.listModels({ ...policy, agents })))
       }
 
-      if (!config.allowRemote && !isLoopback(req)) {
-        return send(403, {
-          status: 'error',
-          error: 'Remote access denied',
-          request_id: requestId
-        })
+      // ---------------------------------------------------------------
+      // Main agent endpoint (and its OpenAI chat-completions facade)
+      // ---------------------------------------------------------------
+      const chatCompletions = req.method === 'POST' && req.url === '/v1/chat/completions'
+      if (!chatCompletions && (req.method !== 'POST' || req.url !== '/v1/agent')) {
+        throw new GatewayError('Not found', 'NOT_FOUND', 404)
       }
 
+      if (chatCompletions) {
+        chat = { created: Math.floor(Date.now() / 1000), model: null }
+        render = (code, payload) => (payload.status === 'error'
+          ? openaiCompat.formatError(payload, code)
+          : openaiCompat.formatCompletion(payload, chat.model, chat.created))
+      } else {
+        render = (code, payload) => protocolResponse(payload, protocolVersion, requestId)
+      }
+
+      identifyClient()
+
       const body = await readBody(req, config.maxBodyBytes)
       let payload
       try {
         payload = JSON.parse(body)
       } catch (error) {
-        return send(400, { status: 'error', error: 'Invalid JSON', request_id: requestId })
+        throw new ValidationError('Invalid JSON', 'INVALID_JSON')
       }
 
-      const validationError = validateRequest(payload)
-      if (validationError) {
-        return send(400, { status: 'error', error: validationError, request_id: requestId })
+      // Conversation turns and system text supplied by the request itself
+      // (OpenAI or v3 messages); they replace the stored session history
+      let conversation = null
+      if (chat) {
+        const translated = openaiCompat.toAgentRequest(payload, await policies.get())
+        if (translated.error) {
+          throw new ValidationError(translated.error)
+        }
+        chat.model = payload.model
+        chat.includeUsage = translated.includeUsage
+        conversation = { history: translated.history, system: translated.system }
+        payload = translated.payload
+        protocolVersion = payload.protocol_version
+      } else {
+        const negotiated = negotiateVersion(payload, req.headers)
+        if (negotiated.error) {
+          throw new ValidationError(negotiated.error, 'UNSUPPORTED_PROTOCOL_VERSION', 400, {
+            metadata: { supported_versions: SUPPORTED_VERSIONS }
+          })
+        }
+        protocolVersion = negotiated.version
+        res.setHeader('X-BlackRoad-Protocol', String(protocolVersion))
+      }
+
+      const issues = validateRequest(payload, protocolVersion)
+      if (issues.length > 0) {
+        throw new ValidationError(`Invalid request: ${formatIssues(issues)}`, 'VALIDATION_FAILED', 400, {
+          details: issues
+        })
+      }
+      checkResponseFormat(payload.response_format)
+      if (payload.attachments) {
+        payload = {
+          ...payload,
+          attachments: await resolveAttachments(payload.attachments, {
+            dir: config.attachmentDir,
+            maxBytes: config.maxAttachmentBytes
+          })
+        }
+      }
+      const normalized = normalizeRequest(payload, protocolVersion)
+      payload = normalized.payload
+      if (normalized.history) {
+        conversation = { history: normalized.history, system: normalized.system }
       }
 
       requestPayload = payload
       agentName = payload.agent
       intent = payload.intent
-      const policy = await loadPolicy(config.policyPath)
+      const policy = await policies.get()
+      breakers.configure(policy.global && policy.global.circuit_breaker)
       const agentPolicy = policy.agents[agentName]
       if (!agentPolicy) {
-        return send(403, { status: 'error', error: 'Agent not allowed', request_id: requestId })
+        throw new PolicyError('Agent not allowed', 'AGENT_NOT_ALLOWED')
       }
+      eventScope = { policy, agentPolicy }
 
       if (!agentPolicy.allowed_intents || !agentPolicy.allowed_intents.includes(intent)) {
-        return send(403, { status: 'error', error: 'Intent not allowed', request_id: requestId })
+        throw new PolicyError('Intent not allowed', 'INTENT_NOT_ALLOWED')
+      }
+
+      const forbidden = callerAllows({ agent: agentName, intent })
+      if (forbidden) {
+        throw new PolicyError(forbidden)
       }
 
       if (
         agentPolicy.max_input_bytes &&
         Buffer.byteLength(payload.input, 'utf8') > agentPolicy.max_input_bytes
       ) {
-        return send(413, { status: 'error', error: 'Input too large', request_id: requestId })
+        throw new ValidationError('Input too large', 'INPUT_TOO_LARGE', 413)
+      }
+
+      let session = null
+      if (payload.session_id) {
+        session = await memory.getSession(payload.session_id)
+        if (session && session.agent !== agentName) {
+          throw new PolicyError('Session belongs to another agent', 'SESSION_CONFLICT', 409)
+        }
+        if (session && (session.owner ?? null) !== requestOwner() && !callerIsAdmin()) {
+          throw new PolicyError('Session belongs to another caller', 'SESSION_CONFLICT', 409)
+        }
       }
 
       // ---------------------------------------------------------------
@@ -541,14 +1711,11 @@ Respond with ONLY this JSON shape:
       const agentLimit = agentPolicy.rate_limit_per_minute ||
         (policy.global && policy.global.rate_limit_per_minute) || 0
       if (agentLimit > 0 && !rateLimiter.check(agentName, agentLimit)) {
-        return send(429, {
-          status: 'error',
-          error: 'Rate limit exceeded',
-          request_id: requestId,
-          metadata: {
-            limit_per_minute: agentLimit,
-            retry_after_seconds: 60
-          }
+        metrics.recordRateLimited(agentName)
+        publish('rate_limited', { agent: agentName, intent, limit_per_minute: agentLimit })
+        throw new PolicyError('Rate limit exceeded', 'RATE_LIMITED', 429, {
+          retryAfter: 60,
+          metadata: { limit_per_minute: agentLimit }
         })
       }
 
@@ -557,67 +1724,273 @@ Respond with ONLY this JSON shape:
       // ---------------------------------------------------------------
       providerName = pickProvider(payload.provider, agentPolicy, intent)
       if (!providerName) {
-        return send(400, {
-          status: 'error',
-          error: 'Provider not configured',
-          request_id: requestId
-        })
+        throw new PolicyError('Provider not configured', 'PROVIDER_NOT_CONFIGURED', 400)
       }
 
       if (
         agentPolicy.allowed_providers &&
         !agentPolicy.allowed_providers.includes(providerName)
       ) {
-        return send(403, { status: 'error', error: 'Provider not allowed', request_id: requestId })
+        throw new PolicyError('Provider not allowed', 'PROVIDER_NOT_ALLOWED')
+      }
+      if (!callerMayUse(providerName)) {
+        throw new PolicyError(`Token does not permit provider ${providerName}`)
+      }
+      // A provider the caller asked for by name is not swapped for another
+      // one that can see the attachments
+      const mediaTypes = attachmentTypes(normalized.attachments)
+      if (payload.provider && !acceptsAll(providerName, mediaTypes)) {
+        throw unsupportedAttachments([providerName], mediaTypes)
       }
 
+      publish('accepted', {
+        agent: agentName,
+        intent,
+        provider: providerName,
+        requested_provider: payload.provider || null,
+        protocol_version: chat ? null : protocolVersion,
+        stream: payload.stream === true,
+        session_id: payload.session_id || null,
+        input: payload.input,
+        context: payload.context || {},
+        input_bytes: Buffer.byteLength(payload.input, 'utf8'),
+        attachments: normalized.attachments.length,
+        caller: caller ? caller.sub || null : null,
+        client: client ? client.id : null
+      })
+
       const prompts = await loadJson(config.promptPath)
-      const systemPrompt = buildSystemPrompt(prompts, agentName, intent, payload.context)
+      let systemPrompt = buildSystemPrompt(prompts, agentName, intent, payload.context)
+      let history = session ? session.messages.map(({ role, content }) => ({ role, content })) : []
+      if (conversation) {
+        systemPrompt = [systemPrompt, conversation.system].filter(Boolean).join('\n\n')
+        history = conversation.history
+      }
+      // The agent's tools are offered to v3 requests, whose messages can carry
+      // the results back; tool_choice "none" leaves them out
+      const tools = protocolVersion >= 3 && payload.tool_choice !== 'none' &&
+        Array.isArray(agentPolicy.tools) && agentPolicy.tools.length > 0
+        ? agentPolicy.tools
+        : null
       const invokeArgs = {
         input: payload.input,
         system: systemPrompt,
+        history,
         context: payload.context || {},
         requestId,
         agent: agentName,
-        intent
+        intent,
+        generation: normalized.generation,
+        signal: abortController.signal,
+        timeouts: resolveTimeouts(policy, agentPolicy)
       }
+      if (tools) {
+        invokeArgs.tools = tools
+        invokeArgs.toolChoice = payload.tool_choice || 'auto'
+      }
+      if (normalized.attachments.length > 0) {
+        invokeArgs.attachments = normalized.attachments
+      }
+      const responseFormat = payload.response_format || null
 
-      const result = await invokeWithFallback(
-        providerName,
-        agentPolicy.fallback_chain || [],
-        invokeArgs
-      )
+      // ---------------------------------------------------------------
+      // Response cache: a repeat within the intent's TTL skips the provider.
+      // cache: "bypass" skips the lookup but still stores the fresh answer.
+      // Requests that offer tools are not cached: a tool call acts on the world.
+      // ---------------------------------------------------------------
+      const cacheTtl = tools ? 0 : cacheTtlSeconds(policy, agentPolicy, intent)
+      const cacheEntry = cacheTtl > 0
+        ? cacheKey({
+          agent: agentName,
+          intent,
+          provider: providerName,
+          model: providerModel(providerName),
+          system: systemPrompt,
+          input: payload.input,
+          history,
+          generation: normalized.generation,
+          format: responseFormat,
+          attachments: normalized.attachments
+        })
+        : null
+      let cached = null
+      if (cacheEntry && payload.cache === 'bypass') {
+        metrics.recordCache(agentName, intent, 'bypass')
+      } else if (cacheEntry) {
+        cached = await responseCache.get(cacheEntry)
+        metrics.recordCache(agentName, intent, cached ? 'hit' : 'miss')
+      }
+
+      // ---------------------------------------------------------------
+      // Admission: global and per-agent concurrency limits
+      // ---------------------------------------------------------------
+      if (!cached) {
+        await admit(agentName, agentPolicy, policy)
+      }
+
+      // Streaming: SSE headers go out with the first token, so a provider that
+      // fails before producing anything can still fall back (or return JSON).
+      // Tool calls only come with the complete response, and JSON output is
+      // checked before it goes out, so those requests get their output as one
+      // token once it is in.
+      const streaming = payload.stream === true
+      const eventStream = chat
+        ? openaiCompat.chunkStream(res, requestId, chat.model, chat.created, {
+            includeUsage: chat.includeUsage
+          })
+        : agentEventStream(res, protocolVersion)
+      const emit = (delta) => {
+        if (!res.headersSent) openEventStream(res)
+        eventStream.token(delta)
+      }
+      const buffered = Boolean(tools || responseFormat)
+      if (streaming && !buffered) {
+        invokeArgs.onToken = emit
+      }
+
+      let result
+      if (cached) {
+        result = { ...cached, usage: null, cached: true }
+        if (streaming && result.output) {
+          emit(result.output)
+        }
+      } else {
+        const chain = (agentPolicy.fallback_chain || []).filter(callerMayUse)
+        const hooks = providerHooks(agentName, intent, providerName)
+        const invoke = (args) => invokeWithFallback(providerName, chain, args, hooks)
+        result = responseFormat
+          ? await invokeStructured(invoke, invokeArgs, responseFormat)
+          : await invoke(invokeArgs)
+        // Only the primary's own answers are kept: a fallback answer would
+        // keep being served after the primary recovers
+        if (cacheEntry && !result.fallback) {
+          const entry = { output: result.output, provider: result.provider }
+          if (responseFormat) entry.parsed = result.parsed
+          responseCache.set(cacheEntry, entry, cacheTtl)
+            .catch((error) => console.warn(`[cache] write failed: ${error.message}`))
+        }
+        if (streaming && buffered && result.output) {
+          emit(result.output)
+        }
+      }
 
       // Record rate limit hit after successful invocation
       rateLimiter.record(agentName)
 
       status = 'ok'
       providerName = result.provider
+      usage = buildUsage(policy, result.provider, result.usage, agentPolicy)
       responsePayload = {
         status,
         provider: result.provider,
         output: result.output,
+        ...(responseFormat && { parsed: result.parsed }),
+        ...(result.toolCalls && { tool_calls: result.toolCalls }),
         request_id: requestId,
         metadata: {
           latency_ms: Date.now() - startTime,
-          fallback: result.fallback || false
+          fallback: result.fallback || false,
+          cache_hit: result.cached === true,
+          usage
         }
       }
+      if (result.attempts) {
+        responsePayload.metadata.structured_attempts = result.attempts
+      }
+
+      if (payload.session_id) {
+        const updated = await memory.appendSessionTurn(
+          payload.session_id,
+          {
+            agent: agentName,
+            owner: requestOwner(),
+            intent,
+            input: payload.input,
+            output: result.output,
+            provider: result.provider
+          },
+          sessionTurnLimit(policy, agentPolicy)
+        )
+        responsePayload.metadata.session_id = payload.session_id
+        responsePayload.metadata.session_turns = Math.floor(updated.messages.length / 2)
+      }
+      if (streaming) {
+        if (!res.headersSent) openEventStream(res)
+        eventStream.done(responsePayload)
+        return res.end()
+      }
       return send(200, responsePayload)
     } catch (error) {
-      responsePayload = {
-        status: 'error',
-        error: error.message || 'Gateway error',
-        request_id: requestId,
-        metadata: { latency_ms: Date.now() - startTime }
+      // Client disconnected: nobody is left to answer, just record it
+      if (abortController.signal.aborted) {
+        status = 'cancelled'
+        responsePayload = {
+          status,
+          error: 'Client disconnected',
+          request_id: requestId,
+          metadata: { latency_ms: Date.now() - startTime }
+        }
+        if (providerName) {
+          responsePayload.provider = providerName
+        }
+        return
       }
+      const failure = error instanceof GatewayError
+        ? error
+        : new GatewayError(error.message || 'Gateway error', 'INTERNAL_ERROR', 500, { cause: error })
+      responsePayload = errorPayload(failure, requestId)
+      responsePayload.metadata = { ...responsePayload.metadata, latency_ms: Date.now() - startTime }
       if (providerName) {
         responsePayload.provider = providerName
       }
-      return send(500, responsePayload)
+      // Failed mid-stream: the 200 is already out, so report in-band
+      if (res.headersSent) {
+        status = 'error'
+        if (chat) {
+          openaiCompat.chunkStream(res, requestId, chat.model, chat.created).error(responsePayload)
+        } else {
+          agentEventStream(res, protocolVersion).error(responsePayload)
+        }
+        return res.end()
+      }
+      if (failure.retryAfter !== undefined) {
+        res.setHeader('Retry-After', String(failure.retryAfter))
+      }
+      return send(failure.status, responsePayload)
     } finally {
+      if (releaseSlot) {
+        releaseSlot()
+      }
+
       // Record metrics
-      metrics.record(agentName, providerName, status)
+      metrics.record(agentName, providerName, status, {
+        intent,
+        durationMs: Date.now() - startTime
+      })
+      if (usage) {
+        metrics.recordUsage(agentName, intent, providerName, usage)
+      }
+
+      if (agentName) {
+        const metadata = (responsePayload && responsePayload.metadata) || {}
+        publish('completed', {
+          agent: agentName,
+          intent,
+          provider: providerName,
+          status,
+          code: (responsePayload && responsePayload.code) || null,
+          latency_ms: Date.now() - startTime,
+          fallback: metadata.fallback || false,
+          cache_hit: metadata.cache_hit || false,
+          usage,
+          ...(status === 'ok' && {
+            output: responsePayload.output,
+            tool_calls: responsePayload.tool_calls
+          }),
+          caller: caller ? caller.sub || null : null,
+          client: client ? client.id : null
+        })
+      }
 
       // Record to PS-SHA∞ memory journal (non-blocking)
       if (agentName) {
@@ -626,9 +1999,17 @@ Respond with ONLY this JSON shape:
           agent: agentName,
           provider: providerName,
           intent: intent || null,
+          session_id: (requestPayload && requestPayload.session_id) || null,
           status,
-          duration_ms: Date.now() - startTime
-        }).catch(() => {})
+          duration_ms: Date.now() - startTime,
+          ...(usage && {
+            model: usage.model,
+            prompt_tokens: usage.prompt_tokens,
+            completion_tokens: usage.completion_tokens,
+            cost_usd: usage.cost_usd ?? null,
+            cost_tier: usage.cost_tier ?? null
+          })
+        }).catch(() => metrics.recordJournalFailure())
       }
 
       const requestLog = requestPayload
@@ -638,6 +2019,8 @@ Respond with ONLY this JSON shape:
             provider: requestPayload.provider || null,
             input: requestPayload.input,
             context: requestPayload.context || {},
+            stream: requestPayload.stream === true,
+            session_id: requestPayload.session_id || null,
             input_bytes: Buffer.byteLength(requestPayload.input || '', 'utf8')
           }
         : null
@@ -650,7 +2033,10 @@ Respond with ONLY this JSON shape:
         status,
         request: requestLog,
         response: responsePayload,
-        remote_address: req.socket.remoteAddress || null
+        remote_address: remoteAddress,
+        client: client ? client.id : null,
+        caller: caller ? caller.sub || null : null,
+        policy: { version: policies.policy.version ?? null, hash: policies.hash }
       }
       try {
         await appendLog(config.logPath, logEntry)
@@ -659,15 +2045,54 @@ Respond with ONLY this JSON shape:
     }
   })
 
-  server.listen(config.port, config.bind, () => {
-    console.log(`BlackRoad Gateway v2 listening on ${config.bind}:${config.port}`)
-    console.log(`  Endpoints:`)
-    console.log(`    POST /v1/agent   - Agent invocation`)
-    console.log(`    GET  /v1/worlds  - World artifact stats`)
-    console.log(`    GET  /v1/agents  - Agent roster`)
-    console.log(`    GET  /healthz    - Health check`)
-    console.log(`    GET  /metrics    - Gateway metrics`)
+  server.on('close', () => {
+    process.removeListener('SIGHUP', onSighup)
+    policies.close()
+    if (events.bus) events.bus.close()
+  })
+
+  // Tasks on disk are known before the first request; runs replay against
+  // the bound address, so they start once the server listens
+  const taskLoad = await tasks.load({ start: false }).catch((error) => {
+    console.error(`[tasks] could not load ${config.taskDir}: ${error.message}`)
+    return null
+  })
+  await new Promise((resolve, reject) => {
+    server.once('error', reject)
+    server.listen(config.port, config.bind, resolve)
   })
+  tasks.start()
+  console.log(`BlackRoad Gateway v2 listening on ${config.bind}:${config.port}`)
+  console.log(`  Auth: ${config.authMode}${keyring ? ` (signing key ${keyring.activeKid})` : ''}`)
+  console.log(`  Remote clients: ${clients.size} registered (${config.clientsPath})`)
+  console.log(`  Response cache: ${config.cacheMaxEntries} entries in memory` +
+    (config.cacheDir ? `, on disk in ${config.cacheDir}` : ''))
+  if (config.attachmentDir) {
+    console.log(`  File attachments: ${config.attachmentDir}`)
+  }
+  if (events.bus) {
+    console.log(`  Lifecycle events: ${config.natsUrl} (${config.eventSubjectPattern}), ` +
+      `${events.bus.outbox.length} waiting in ${config.eventOutboxPath || 'memory'}`)
+    events.bus.connect()
+  }
+  if (taskLoad) {
+    console.log(`  Tasks: ${taskLoad.loaded} in ${config.taskDir}` +
+      (taskLoad.recovered > 0 ? `, ${taskLoad.recovered} interrupted run(s) queued again` : '') +
+      (taskLoad.exhausted > 0 ? `, ${taskLoad.exhausted} failed after their last attempt` : ''))
+  }
+  console.log(`  Endpoints:`)
+  console.log(`    POST /v1/agent   - Agent invocation (stream: true for SSE)`)
+  console.log(`    POST /v1/chat/completions - OpenAI-compatible agent invocation`)
+  console.log(`    GET  /v1/models  - OpenAI-compatible model list`)
+  console.log(`    GET  /v1/worlds  - World artifact stats`)
+  console.log(`    GET  /v1/agents  - Agent roster`)
+  console.log(`    GET  /v1/sessions - Conversation sessions`)
+  console.log(`    POST /v1/tasks   - Async agent task (GET to list or poll, /cancel to stop)`)
+  console.log(`    GET  /healthz    - Health check`)
+  console.log(`    GET  /metrics    - Gateway metrics (JSON, or Prometheus text)`)
+  console.log(`    GET  /v1/memory/verify - Memory journal chain check`)
+  console.log(`    POST /v1/admin/policy/reload - Reload the agent policy`)
+  return server
 }
 
 // Export internals for testing
@@ -676,11 +2101,23 @@ if (process.env.NODE_ENV === 'test') {
     RateLimiter,
     validateRequest,
     pickProvider,
+    resolveTimeouts,
+    providerTimeout,
+    buildUsage,
+    classifyError,
+    sessionTurnLimit,
     buildSystemPrompt,
     isLoopback,
+    selfHost,
     invokeWithFallback,
     mergeConfig,
-    metrics
+    checkMemoryIntegrity,
+    metrics,
+    rateLimiter,
+    breakers,
+    admission,
+    responseCache,
+    start
   }
 } else {
   start().catch((error) => {
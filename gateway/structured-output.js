@@ -0,0 +1,169 @@
+'use strict'
+
+/**
+ * Structured JSON output for the BlackRoad Gateway
+ * A request's response_format asks for a JSON answer:
+ *
+ *   { type: 'json_object' }                 any JSON object
+ *   { type: 'json_schema', schema: {...} }  an answer matching the schema
+ *
+ * The schema goes into the system prompt for every provider, and adapters
+ * also switch on their native JSON mode where there is one. The answer is
+ * parsed and checked against the schema; when it does not match, the model
+ * sees its reply and the problems and is asked again, up to MAX_REPAIRS
+ * times, before the request fails with STRUCTURED_OUTPUT_INVALID. A schema
+ * using keywords the validator does not apply is refused up front with
+ * INVALID_RESPONSE_SCHEMA, before any provider is called.
+ */
+
+const { validateSchema, schemaIssues } = require('./json-schema')
+const { ProviderError, ValidationError } = require('./errors')
+
+const MAX_REPAIRS = 2
+
+const ANY_OBJECT = { type: 'object' }
+
+function schemaOf(responseFormat) {
+  return responseFormat.type === 'json_schema' ? responseFormat.schema : ANY_OBJECT
+}
+
+// Throws INVALID_RESPONSE_SCHEMA unless the json_schema can be checked in full
+function checkResponseFormat(responseFormat) {
+  if (!responseFormat || responseFormat.type !== 'json_schema') return
+  const issues = schemaIssues(responseFormat.schema).map(({ path, message }) => ({
+    path: path === '(root)' ? 'response_format.schema' : `response_format.schema.${path}`,
+    message
+  }))
+  if (issues.length > 0) {
+    const summary = issues.map((issue) => `${issue.path} ${issue.message}`).join('; ')
+    throw new ValidationError(`Invalid response_format.schema: ${summary}`, 'INVALID_RESPONSE_SCHEMA', 400, {
+      details: issues
+    })
+  }
+}
+
+function formatInstructions(responseFormat) {
+  return 'Respond with only a JSON object that matches this JSON schema, ' +
+    'with no markdown fences or text around it:\n' +
+    JSON.stringify(schemaOf(responseFormat))
+}
+
+// Index just past the JSON object or array that starts at start, or -1
+function closingIndex(text, start) {
+  const stack = []
+  let inString = false
+  for (let i = start; i < text.length; i++) {
+    const char = text[i]
+    if (inString) {
+      if (char === '\\') i++
+      else if (char === '"') inString = false
+    } else if (char === '"') {
+      inString = true
+    } else if (char === '{' || char === '[') {
+      stack.push(char === '{' ? '}' : ']')
+    } else if (char === '}' || char === ']') {
+      if (stack.pop() !== char) return -1
+      if (stack.length === 0) return i + 1
+    }
+  }
+  return -1
+}
+
+/**
+ * Returns { value } or { error } for a model reply. Takes the whole reply
+ * when it is JSON, otherwise the first complete object in it (models like
+ * to wrap JSON in fences or a sentence).
+ */
+function parseJsonOutput(text) {
+  const trimmed = String(text || '').trim()
+  try {
+    return { value: JSON.parse(trimmed) }
+  } catch {}
+  for (let start = trimmed.indexOf('{'); start !== -1; start = trimmed.indexOf('{', start + 1)) {
+    const end = closingIndex(trimmed, start)
+    if (end === -1) continue
+    try {
+      return { value: JSON.parse(trimmed.slice(start, end)) }
+    } catch {}
+  }
+  return { error: 'reply is not valid JSON' }
+}
+
+// Returns a list of { path, message } issues for a reply; empty when it fits
+function checkOutput(text, responseFormat) {
+  const { value, error } = parseJsonOutput(text)
+  if (error) {
+    return { issues: [{ path: '(root)', message: error }] }
+  }
+  let issues
+  try {
+    issues = validateSchema(schemaOf(responseFormat), value)
+  } catch (err) {
+    throw new ValidationError(`response_format.schema: ${err.message}`, 'INVALID_RESPONSE_SCHEMA')
+  }
+  return { value, issues }
+}
+
+function addUsage(total, usage) {
+  if (!usage) return total
+  if (!total) return { ...usage }
+  return {
+    ...usage,
+    prompt_tokens: (total.prompt_tokens || 0) + (usage.prompt_tokens || 0),
+    completion_tokens: (total.completion_tokens || 0) + (usage.completion_tokens || 0)
+  }
+}
+
+/**
+ * Runs invoke(args) until the reply matches the response format. Resolves
+ * with the last result plus parsed (the JSON value), attempts, and usage
+ * summed over every attempt. A reply that calls tools is not an answer yet
+ * and is returned as is.
+ */
+async function invokeStructured(invoke, invokeArgs, responseFormat, { maxRepairs = MAX_REPAIRS } = {}) {
+  let args = {
+    ...invokeArgs,
+    system: [invokeArgs.system, formatInstructions(responseFormat)].filter(Boolean).join('\n\n'),
+    responseFormat
+  }
+  let usage = null
+  let issues = []
+  for (let attempt = 1; attempt <= maxRepairs + 1; attempt++) {
+    const result = await invoke(args)
+    usage = addUsage(usage, result.usage)
+    if (result.toolCalls) {
+      return { ...result, usage, parsed: null, attempts: attempt }
+    }
+    const checked = checkOutput(result.output, responseFormat)
+    issues = checked.issues
+    if (issues.length === 0) {
+      return { ...result, usage, parsed: checked.value, attempts: attempt }
+    }
+    // Ask again with the bad reply and what was wrong with it
+    const problems = issues.map((issue) => `- ${issue.path} ${issue.message}`).join('\n')
+    args = {
+      ...args,
+      history: [
+        ...(args.history || []),
+        ...(args.input ? [{ role: 'user', content: args.input }] : []),
+        { role: 'assistant', content: result.output }
+      ],
+      input: `That reply does not match the required JSON schema:\n${problems}\n` +
+        'Reply again with only the corrected JSON object.'
+    }
+  }
+  throw new ProviderError(
+    `Model output did not match the response schema after ${maxRepairs + 1} attempts`,
+    'STRUCTURED_OUTPUT_INVALID',
+    502,
+    { details: issues, retryable: false }
+  )
+}
+
+module.exports = {
+  MAX_REPAIRS,
+  parseJsonOutput,
+  checkOutput,
+  checkResponseFormat,
+  invokeStructured
+}
@@ -0,0 +1,319 @@
+'use strict'
+
+/**
+ * Durable task queue for the BlackRoad Gateway
+ * POST /v1/tasks takes an agent request and answers with a task id at once;
+ * the request runs later from this queue. Each task is a JSON file in dir,
+ * rewritten on every state change, so queued tasks survive a restart and
+ * tasks that were running when the gateway stopped run again, unless they
+ * have used up maxAttempts.
+ *
+ *   queued -> running -> succeeded | failed
+ *   queued | running  -> cancelled
+ *
+ * run(task, signal) does the work and resolves with { ok, result, error,
+ * retryAfter }. A retryAfter (seconds) puts the task back in the queue, up
+ * to maxAttempts runs in all. Finished tasks are kept for retentionSeconds,
+ * and at most maxRetained of them.
+ */
+
+const crypto = require('crypto')
+const fs = require('fs/promises')
+const path = require('path')
+
+const DEFAULT_OPTIONS = {
+  concurrency: 2,
+  maxAttempts: 3,
+  retentionSeconds: 24 * 60 * 60,
+  maxRetained: 1000
+}
+
+const TASK_STATUSES = ['queued', 'running', 'succeeded', 'failed', 'cancelled']
+const FINISHED_STATUSES = ['succeeded', 'failed', 'cancelled']
+const TASK_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/
+const CANCELLED = { code: 'TASK_CANCELLED', message: 'Task cancelled' }
+
+function isFinished(task) {
+  return FINISHED_STATUSES.includes(task.status)
+}
+
+// What /v1/tasks shows of a task; detail adds the request and the outcome
+function taskView(task, { detail = false } = {}) {
+  const view = {
+    id: task.id,
+    status: task.status,
+    agent: task.agent,
+    intent: task.intent,
+    attempts: task.attempts,
+    created_at: task.created_at,
+    started_at: task.started_at,
+    finished_at: task.finished_at
+  }
+  if (task.run_after) view.run_after = task.run_after
+  if (task.error) view.error = task.error
+  if (detail) {
+    view.request = task.payload
+    view.result = task.result
+  }
+  return view
+}
+
+class TaskQueue {
+  constructor(dir, run, options = {}, now = Date.now) {
+    this.dir = dir
+    this.run = run
+    this.options = { ...DEFAULT_OPTIONS, ...options }
+    this.now = now
+    // id -> task, in submission order
+    this.tasks = new Map()
+    // ids ready to run, oldest first
+    this.pending = []
+    // id -> { controller, done } for tasks being run
+    this.running = new Map()
+    // id -> timer for tasks waiting out a retryAfter
+    this.delayed = new Map()
+    // Cleared by load({ start: false }) until start()
+    this.started = true
+    this._writes = Promise.resolve()
+  }
+
+  /**
+   * Reads the tasks in dir and queues the unfinished ones; tasks that were
+   * running when the gateway stopped start over, or fail with
+   * TASK_ATTEMPTS_EXHAUSTED once they have had maxAttempts runs. Resolves
+   * with { loaded, recovered, exhausted }. With start: false nothing runs,
+   * submitted tasks included, until start().
+   */
+  async load({ start = true } = {}) {
+    this.started = start
+    await fs.mkdir(this.dir, { recursive: true })
+    const loaded = []
+    for (const name of await fs.readdir(this.dir)) {
+      if (!name.endsWith('.json')) continue
+      try {
+        loaded.push(JSON.parse(await fs.readFile(path.join(this.dir, name), 'utf8')))
+      } catch (error) {
+        console.warn(`[tasks] skipping unreadable ${name}: ${error.message}`)
+      }
+    }
+    loaded.sort((a, b) => (a.created_at < b.created_at ? -1 : 1))
+    let recovered = 0
+    let exhausted = 0
+    for (const task of loaded) {
+      this.tasks.set(task.id, task)
+      if (task.status === 'running') {
+        // A task that keeps taking the gateway down must not run forever
+        if (task.attempts >= this.options.maxAttempts) {
+          exhausted++
+          await this._finish(task, 'failed', {
+            error: {
+              code: 'TASK_ATTEMPTS_EXHAUSTED',
+              message: `Interrupted after ${task.attempts} attempt(s)`
+            }
+          })
+          continue
+        }
+        task.status = 'queued'
+        recovered++
+        await this._save(task)
+      }
+      if (task.status === 'queued') this._enqueue(task)
+    }
+    await this.prune()
+    this._pump()
+    return { loaded: loaded.length, recovered, exhausted }
+  }
+
+  start() {
+    this.started = true
+    this._pump()
+  }
+
+  async submit({ payload, agent, intent, owner = null, caller = null }) {
+    const task = {
+      id: crypto.randomUUID(),
+      status: 'queued',
+      agent,
+      intent,
+      owner,
+      caller,
+      attempts: 0,
+      created_at: new Date(this.now()).toISOString(),
+      started_at: null,
+      finished_at: null,
+      payload,
+      result: null,
+      error: null
+    }
+    await this._save(task)
+    this.tasks.set(task.id, task)
+    this._enqueue(task)
+    this._pump()
+    return task
+  }
+
+  get(id) {
+    return TASK_ID_PATTERN.test(id) ? this.tasks.get(id) || null : null
+  }
+
+  // Newest first
+  list({ status, agent, intent, filter, limit = 50 } = {}) {
+    const matches = []
+    for (const task of [...this.tasks.values()].reverse()) {
+      if (status && task.status !== status) continue
+      if (agent && task.agent !== agent) continue
+      if (intent && task.intent !== intent) continue
+      if (filter && !filter(task)) continue
+      matches.push(task)
+      if (matches.length >= limit) break
+    }
+    return matches
+  }
+
+  /**
+   * Cancels a queued or running task; a running one is aborted and resolves
+   * once it has stopped. Finished tasks are returned unchanged.
+   */
+  async cancel(id) {
+    const task = this.get(id)
+    if (!task || isFinished(task)) return task
+    const running = this.running.get(id)
+    if (running) {
+      running.controller.abort()
+      await running.done
+      return task
+    }
+    clearTimeout(this.delayed.get(id))
+    this.delayed.delete(id)
+    this.pending = this.pending.filter((pendingId) => pendingId !== id)
+    await this._finish(task, 'cancelled', { error: CANCELLED })
+    return task
+  }
+
+  counts() {
+    const counts = Object.fromEntries(TASK_STATUSES.map((status) => [status, 0]))
+    for (const task of this.tasks.values()) counts[task.status]++
+    return counts
+  }
+
+  // Resolves once no task is running; tasks waiting out a retryAfter are not waited for
+  async idle() {
+    while (this.running.size > 0) {
+      await Promise.all([...this.running.values()].map((running) => running.done))
+    }
+  }
+
+  // Drops finished tasks past retentionSeconds, then the oldest beyond maxRetained
+  async prune() {
+    const cutoff = this.now() - this.options.retentionSeconds * 1000
+    const finished = [...this.tasks.values()].filter(isFinished)
+    const expired = finished.filter((task) => Date.parse(task.finished_at) <= cutoff)
+    const kept = finished.filter((task) => !expired.includes(task))
+    kept.sort((a, b) => (a.finished_at < b.finished_at ? -1 : 1))
+    const excess = kept.slice(0, Math.max(0, kept.length - this.options.maxRetained))
+    for (const task of [...expired, ...excess]) {
+      this.tasks.delete(task.id)
+      await this._remove(task.id)
+    }
+    return expired.length + excess.length
+  }
+
+  _enqueue(task) {
+    const wait = task.run_after ? Date.parse(task.run_after) - this.now() : 0
+    if (wait <= 0) {
+      this.pending.push(task.id)
+      return
+    }
+    const timer = setTimeout(() => {
+      this.delayed.delete(task.id)
+      this.pending.push(task.id)
+      this._pump()
+    }, wait)
+    timer.unref()
+    this.delayed.set(task.id, timer)
+  }
+
+  _pump() {
+    if (!this.started) return
+    while (this.running.size < this.options.concurrency && this.pending.length > 0) {
+      const task = this.tasks.get(this.pending.shift())
+      if (!task || task.status !== 'queued') continue
+      const controller = new AbortController()
+      const done = this._execute(task, controller.signal)
+        .catch((error) => console.warn(`[tasks] ${task.id}: ${error.message}`))
+        .finally(() => {
+          this.running.delete(task.id)
+          this._pump()
+        })
+      this.running.set(task.id, { controller, done })
+    }
+  }
+
+  async _execute(task, signal) {
+    task.status = 'running'
+    task.attempts++
+    task.started_at = new Date(this.now()).toISOString()
+    delete task.run_after
+    await this._save(task)
+
+    let outcome
+    try {
+      outcome = await this.run(task, signal)
+    } catch (error) {
+      outcome = { ok: false, error: { code: 'TASK_FAILED', message: error.message } }
+    }
+    if (signal.aborted) {
+      return this._finish(task, 'cancelled', { error: CANCELLED })
+    }
+    const retry = !outcome.ok && outcome.retryAfter !== undefined
+    if (retry && task.attempts < this.options.maxAttempts) {
+      task.status = 'queued'
+      task.error = outcome.error || null
+      task.run_after = new Date(this.now() + outcome.retryAfter * 1000).toISOString()
+      await this._save(task)
+      this._enqueue(task)
+      return
+    }
+    return this._finish(task, outcome.ok ? 'succeeded' : 'failed', outcome)
+  }
+
+  async _finish(task, status, { result = null, error = null } = {}) {
+    task.status = status
+    task.result = result
+    task.error = error
+    task.finished_at = new Date(this.now()).toISOString()
+    await this._save(task)
+    await this.prune()
+  }
+
+  _file(id) {
+    return path.join(this.dir, `${id}.json`)
+  }
+
+  // Writes go one at a time, each to a temp file renamed into place
+  _save(task) {
+    const data = JSON.stringify(task)
+    const write = this._writes.then(async () => {
+      await fs.mkdir(this.dir, { recursive: true })
+      const file = this._file(task.id)
+      const temp = `${file}.${process.pid}.tmp`
+      await fs.writeFile(temp, data)
+      await fs.rename(temp, file)
+    })
+    this._writes = write.catch(() => {})
+    return write
+  }
+
+  _remove(id) {
+    const removal = this._writes.then(() => fs.rm(this._file(id), { force: true }))
+    this._writes = removal.catch(() => {})
+    return removal
+  }
+}
+
+module.exports = {
+  TASK_STATUSES,
+  TaskQueue,
+  taskView,
+  isFinished
+}
@@ -5,83 +5,110 @@
 
 process.env.NODE_ENV = 'test'
 
+// Keep the memory journal and sessions out of the real home directory
+const os = require('os')
+const net = require('net')
+const fsSync = require('fs')
+const pathModule = require('path')
+process.env.HOME = fsSync.mkdtempSync(pathModule.join(os.tmpdir(), 'blackroad-gateway-test-'))
+
 const {
   RateLimiter,
   validateRequest,
   pickProvider,
+  resolveTimeouts,
+  providerTimeout,
+  buildUsage,
+  classifyError,
+  sessionTurnLimit,
   buildSystemPrompt,
+  invokeWithFallback,
   mergeConfig,
-  metrics
+  checkMemoryIntegrity,
+  metrics,
+  rateLimiter,
+  breakers,
+  selfHost,
+  start
 } = require('../gateway/server')
+const { readSSE, readNDJSON } = require('../gateway/providers/stream')
+const memory = require('../gateway/memory')
+const openaiCompat = require('../gateway/openai-compat')
+const { CircuitBreaker } = require('../gateway/circuit-breaker')
+const { priceFor, estimateCost, parseCostTarget } = require('../gateway/cost')
+const { Registry, wantsPrometheus } = require('../gateway/prometheus')
+const { AdmissionQueue } = require('../gateway/admission')
+const { PolicyStore } = require('../gateway/policy-store')
+const { checkPolicy } = require('../gateway/policy-check')
+const { validateSchema, schemaIssues } = require('../gateway/json-schema')
+const auth = require('../gateway/middleware/auth')
+const mintToken = require('../gateway/mint-token')
+const { ClientRegistry, clientPermits, hashCredential, verifyCredential } = require('../gateway/clients')
+const protocol = require('../gateway/protocol')
+const errors = require('../gateway/errors')
+const { ResponseCache, cacheKey, cacheTtlSeconds } = require('../gateway/response-cache')
+const tools = require('../gateway/providers/tools')
+const structured = require('../gateway/structured-output')
+const { resolveAttachments } = require('../gateway/attachments')
+const { TaskQueue, taskView } = require('../gateway/tasks')
+const lifecycle = require('../gateway/lifecycle-events')
+const { EventBus } = require('../gateway/events')
 
-let passed = 0
-let failed = 0
-
-function assert(condition, msg) {
-  if (condition) {
-    passed++
-    console.log(`  \x1b[32m✓\x1b[0m ${msg}`)
-  } else {
-    failed++
-    console.log(`  \x1b[31m✗\x1b[0m ${msg}`)
-  }
-}
-
-function assertEqual(actual, expected, msg) {
-  assert(actual === expected, `${msg} (got ${JSON.stringify(actual)}, expected ${JSON.stringify(expected)})`)
-}
-
-function assertNull(actual, msg) {
-  assert(actual === null, `${msg} (got ${JSON.stringify(actual)})`)
-}
-
-function suite(name, fn) {
-  console.log(`\n\x1b[1m${name}\x1b[0m`)
-  fn()
-}
+const { assert, assertEqual, assertNull, suite, run } = require('./harness')
 
 // ---------------------------------------------------------------------------
 // validateRequest
 // ---------------------------------------------------------------------------
 suite('validateRequest', () => {
-  assertNull(
-    validateRequest({ agent: 'planner', intent: 'analyze', input: 'hello' }),
-    'accepts valid request'
-  )
+  const paths = (issues) => issues.map((issue) => `${issue.path} ${issue.message}`)
 
+  assertEqual(validateRequest({ agent: 'planner', intent: 'analyze', input: 'hello' }).length, 0, 'accepts valid request')
+  assertEqual(paths(validateRequest(null))[0], '(root) must be a JSON object', 'rejects null')
   assertEqual(
-    validateRequest(null),
-    'Invalid JSON payload',
-    'rejects null'
+    paths(validateRequest({})).join('; '),
+    'agent is required; intent is required; input is required',
+    'reports every missing field'
   )
-
   assertEqual(
-    validateRequest({}),
-    'Missing agent',
-    'rejects missing agent'
+    paths(validateRequest({ agent: 'planner', intent: 'analyze', input: 'hi', context: 'bad' }))[0],
+    'context must be object, got string',
+    'rejects non-object context'
   )
-
   assertEqual(
-    validateRequest({ agent: 'planner' }),
-    'Missing intent',
-    'rejects missing intent'
+    validateRequest({ agent: 'planner', intent: 'analyze', input: 'hi', context: { foo: 1 } }).length,
+    0,
+    'accepts valid context object'
   )
-
+  assertEqual(validateRequest({ agent: 'planner', intent: 'analyze', input: 'hi', stream: true }).length, 0, 'accepts stream flag')
   assertEqual(
-    validateRequest({ agent: 'planner', intent: 'analyze' }),
-    'Missing input',
-    'rejects missing input'
+    paths(validateRequest({ agent: 'planner', intent: 'analyze', input: 'hi', stream: 'yes' }))[0],
+    'stream must be boolean, got string',
+    'rejects non-boolean stream'
   )
-
   assertEqual(
-    validateRequest({ agent: 'planner', intent: 'analyze', input: 'hi', context: 'bad' }),
-    'Context must be an object',
-    'rejects non-object context'
+    validateRequest({ agent: 'planner', intent: 'analyze', input: 'hi', session_id: 'chat-42_a' }).length,
+    0,
+    'accepts session_id'
   )
-
-  assertNull(
-    validateRequest({ agent: 'planner', intent: 'analyze', input: 'hi', context: { foo: 1 } }),
-    'accepts valid context object'
+  assertEqual(
+    validateRequest({ agent: 'planner', intent: 'analyze', input: 'hi', session_id: '../etc' })[0].path,
+    'session_id',
+    'rejects session_id with path characters'
+  )
+  assertEqual(
+    paths(validateRequest({ agent: 'planner', intent: 'analyze', input: 'hi', temprature: 1 }))[0],
+    'temprature is not an allowed property',
+    'rejects unknown fields'
+  )
+  assertEqual(
+    validateRequest({ agent: 'planner', intent: 'analyze', input: 'hi', provider: 'gemini' }).length,
+    0,
+    'accepts any registered provider'
+  )
+  assertEqual(
+    paths(validateRequest({ agent: 'planner', intent: 'analyze', input: 'hi', provider: 'skynet' }))[0],
+    'provider unknown provider "skynet"',
+    'rejects unregistered providers'
   )
 })
 
@@ -200,18 +227,44 @@ suite('mergeConfig', () => {
     promptPath: '/default/prompts.json',
     logPath: '/default/logs/gateway.jsonl',
     maxBodyBytes: 1048576,
-    allowRemote: false
+    clientsPath: '/default/clients.json'
   }
 
   const result = mergeConfig(base, { port: 9000 })
   assertEqual(result.port, 9000, 'overrides port')
   assertEqual(result.bind, '127.0.0.1', 'preserves bind')
 
-  const remoteResult = mergeConfig(base, { allowRemote: true })
-  assertEqual(remoteResult.allowRemote, true, 'overrides allowRemote')
+  const clientsResult = mergeConfig(base, { clientsPath: '/etc/blackroad/clients.json' })
+  assertEqual(clientsResult.clientsPath, '/etc/blackroad/clients.json', 'overrides clientsPath')
+  assertEqual(mergeConfig(base, { allowRemote: true }).allowRemote, undefined, 'drops the retired allowRemote option')
 
   const noOverride = mergeConfig(base, {})
   assertEqual(noOverride.port, 8787, 'preserves defaults when no override')
+
+  const authResult = mergeConfig({ ...base, authMode: 'required' }, { authMode: 'loopback' })
+  assertEqual(authResult.authMode, 'loopback', 'overrides authMode')
+
+  const cacheResult = mergeConfig({ ...base, cacheMaxEntries: 500 }, { cacheDir: '/var/cache/blackroad' })
+  assertEqual(cacheResult.cacheDir, '/var/cache/blackroad', 'overrides cacheDir')
+  assertEqual(cacheResult.cacheMaxEntries, 500, 'preserves cacheMaxEntries')
+
+  const attachmentResult = mergeConfig({ ...base, maxAttachmentBytes: 100 }, { attachmentDir: '/srv/uploads' })
+  assertEqual(attachmentResult.attachmentDir, '/srv/uploads', 'overrides attachmentDir')
+  assertEqual(attachmentResult.maxAttachmentBytes, 100, 'preserves maxAttachmentBytes')
+
+  const taskResult = mergeConfig({ ...base, taskConcurrency: 2 }, { taskDir: '/var/lib/blackroad/tasks' })
+  assertEqual(taskResult.taskDir, '/var/lib/blackroad/tasks', 'overrides taskDir')
+  assertEqual(taskResult.taskConcurrency, 2, 'preserves taskConcurrency')
+
+  const eventResult = mergeConfig({ ...base, eventSubjectPattern: 'a.{event}' }, { natsUrl: 'nats://mesh:4222' })
+  assertEqual(eventResult.natsUrl, 'nats://mesh:4222', 'overrides natsUrl')
+  assertEqual(eventResult.eventSubjectPattern, 'a.{event}', 'preserves eventSubjectPattern')
+  const outboxResult = mergeConfig({ ...base, eventOutboxMax: 10, eventOutboxPath: null }, { eventOutboxOverflow: 'reject' })
+  assertEqual(outboxResult.eventOutboxOverflow, 'reject', 'overrides eventOutboxOverflow')
+  assertEqual(outboxResult.eventOutboxMax, 10, 'preserves eventOutboxMax')
+  assertNull(outboxResult.eventOutboxPath, 'keeps the event outbox in memory unless eventOutboxPath is set')
+  const outboxFile = mergeConfig({ ...base, eventOutboxPath: null }, { eventOutboxPath: '/var/lib/blackroad/events.jsonl' })
+  assertEqual(outboxFile.eventOutboxPath, '/var/lib/blackroad/events.jsonl', 'overrides eventOutboxPath')
 })
 
 // ---------------------------------------------------------------------------
@@ -309,10 +362,3045 @@ suite('System prompts structure', () => {
   }
 })
 
+// ---------------------------------------------------------------------------
+// Stream readers
+// ---------------------------------------------------------------------------
+suite('Stream readers', async () => {
+  const sse = new Response('data: {"a":1}\n\n: comment\ndata: line1\ndata: line2\n\ndata: [DONE]\n\n')
+  const events = []
+  for await (const data of readSSE(sse)) events.push(data)
+  assertEqual(events.length, 3, 'splits SSE events')
+  assertEqual(events[0], '{"a":1}', 'reads SSE data payload')
+  assertEqual(events[1], 'line1\nline2', 'joins multi-line SSE data')
+  assertEqual(events[2], '[DONE]', 'passes through sentinel')
+
+  const ndjson = new Response('{"response":"a"}\n\n{"response":"b","done":true}')
+  const chunks = []
+  for await (const chunk of readNDJSON(ndjson)) chunks.push(chunk)
+  assertEqual(chunks.length, 2, 'reads NDJSON objects, including unterminated last line')
+  assertEqual(chunks[1].done, true, 'parses NDJSON object fields')
+})
+
+// ---------------------------------------------------------------------------
+// Streaming fallback
+// ---------------------------------------------------------------------------
+suite('Streaming fallback', async () => {
+  const originalFetch = global.fetch
+  const originalKey = process.env.BLACKROAD_OPENAI_API_KEY
+  process.env.BLACKROAD_OPENAI_API_KEY = 'test-key'
+  const openaiStream = () => new Response(
+    'data: {"choices":[{"delta":{"content":"Hel"}}]}\n\n' +
+    'data: {"choices":[{"delta":{"content":"lo"}}]}\n\n' +
+    'data: [DONE]\n\n'
+  )
+
+  try {
+    // Ollama unreachable before any token: falls back to openai
+    let calls = []
+    global.fetch = async (url) => {
+      calls.push(url)
+      if (url.includes('openai')) return openaiStream()
+      throw new Error('connect ECONNREFUSED')
+    }
+    let tokens = []
+    const result = await invokeWithFallback('ollama', ['ollama', 'openai'], {
+      input: 'hi',
+      system: '',
+      onToken: (t) => tokens.push(t)
+    })
+    assertEqual(result.provider, 'openai', 'falls back when primary fails before first token')
+    assertEqual(result.fallback, true, 'marks fallback')
+    assertEqual(result.output, 'Hello', 'returns full streamed output')
+    assertEqual(tokens.join('|'), 'Hel|lo', 'forwards tokens incrementally')
+
+    // Ollama fails mid-stream: no fallback, error propagates
+    calls = []
+    tokens = []
+    global.fetch = async (url) => {
+      calls.push(url)
+      if (url.includes('openai')) return openaiStream()
+      return new Response('{"response":"par"}\n{"error":"model crashed"}\n')
+    }
+    let error = null
+    try {
+      await invokeWithFallback('ollama', ['ollama', 'openai'], {
+        input: 'hi',
+        system: '',
+        onToken: (t) => tokens.push(t)
+      })
+    } catch (err) {
+      error = err
+    }
+    assertEqual(error && error.message, 'model crashed', 'rethrows failure after first token')
+    assertEqual(tokens.join('|'), 'par', 'keeps tokens already sent')
+    assert(!calls.some((url) => url.includes('openai')), 'does not fall back mid-stream')
+    assertEqual(calls.length, 1, 'does not retry the secondary Ollama host mid-stream')
+  } finally {
+    global.fetch = originalFetch
+    if (originalKey === undefined) delete process.env.BLACKROAD_OPENAI_API_KEY
+    else process.env.BLACKROAD_OPENAI_API_KEY = originalKey
+  }
+})
+
+// ---------------------------------------------------------------------------
+// Sessions
+// ---------------------------------------------------------------------------
+suite('Sessions', async () => {
+  assertEqual(
+    sessionTurnLimit({ global: { max_session_turns: 8 } }, { max_session_turns: 3 }),
+    3,
+    'agent turn limit overrides global'
+  )
+  assertEqual(sessionTurnLimit({ global: { max_session_turns: 8 } }, {}), 8, 'uses global turn limit')
+  assertEqual(sessionTurnLimit({}, {}), 20, 'falls back to default turn limit')
+
+  assertNull(await memory.getSession('missing'), 'unknown session is null')
+
+  for (let i = 1; i <= 3; i++) {
+    await memory.appendSessionTurn(
+      'sess-1',
+      { agent: 'lucidia', intent: 'mentor', input: `q${i}`, output: `a${i}`, provider: 'ollama' },
+      2
+    )
+  }
+  const session = await memory.getSession('sess-1')
+  assertEqual(session.agent, 'lucidia', 'session records its agent')
+  assertEqual(session.messages.length, 4, 'trims history to the turn limit')
+  assertEqual(session.messages[0].content, 'q2', 'drops the oldest exchange first')
+  assertEqual(session.messages[3].role, 'assistant', 'keeps role order')
+
+  await memory.appendSessionTurn(
+    'sess-2',
+    { agent: 'planner', intent: 'plan', input: 'x', output: 'y', provider: 'ollama' },
+    5
+  )
+  assertEqual((await memory.listSessions()).length, 2, 'lists all sessions')
+  const filtered = await memory.listSessions({ agent: 'planner' })
+  assertEqual(filtered.length, 1, 'filters sessions by agent')
+  assertEqual(filtered[0].turns, 1, 'reports turn count')
+
+  await Promise.all([1, 2, 3, 4, 5].map((i) => memory.appendSessionTurn(
+    'sess-3',
+    { agent: 'lucidia', intent: 'mentor', input: `c${i}`, output: `r${i}`, provider: 'ollama' },
+    10
+  )))
+  const concurrent = await memory.getSession('sess-3')
+  assertEqual(concurrent.messages.length, 10, 'concurrent turns on one session are all kept')
+  assertEqual(
+    concurrent.messages.filter((m) => m.role === 'user').map((m) => m.content).join(','),
+    'c1,c2,c3,c4,c5',
+    'concurrent turns land in call order'
+  )
+  assertEqual(await memory.deleteSession('sess-3'), true, 'deletes the concurrent session')
+
+  assertEqual(await memory.deleteSession('sess-2'), true, 'deletes a session')
+  assertEqual(await memory.deleteSession('sess-2'), false, 'reports missing session on delete')
+
+  await memory.appendSessionTurn(
+    'sess-4',
+    { agent: 'planner', owner: 'alice', intent: 'plan', input: 'x', output: 'y', provider: 'ollama' },
+    5
+  )
+  assertEqual((await memory.getSession('sess-4')).owner, 'alice', 'session records its owner')
+  assertEqual((await memory.listSessions({ agent: 'planner' }))[0].owner, 'alice', 'lists the owner')
+  const appending = memory.appendSessionTurn(
+    'sess-4',
+    { agent: 'planner', intent: 'plan', input: 'x2', output: 'y2', provider: 'ollama' },
+    5
+  )
+  const deleting = memory.deleteSession('sess-4')
+  await appending
+  assertEqual(await deleting, true, 'a delete waits for the write before it')
+  assertNull(await memory.getSession('sess-4'), 'and removes the session it wrote')
+})
+
+// ---------------------------------------------------------------------------
+// Session history in provider payloads
+// ---------------------------------------------------------------------------
+suite('Session history in provider payloads', async () => {
+  const { getProvider } = require('../gateway/providers')
+  const originalFetch = global.fetch
+  const originalKeys = {
+    anthropic: process.env.BLACKROAD_ANTHROPIC_API_KEY,
+    gemini: process.env.BLACKROAD_GEMINI_API_KEY
+  }
+  process.env.BLACKROAD_ANTHROPIC_API_KEY = 'test-key'
+  process.env.BLACKROAD_GEMINI_API_KEY = 'test-key'
+  const history = [
+    { role: 'user', content: 'first question' },
+    { role: 'assistant', content: 'first answer' }
+  ]
+  const requests = []
+  global.fetch = async (url, init) => {
+    requests.push({ url, body: JSON.parse(init.body) })
+    if (url.includes('anthropic')) return Response.json({ content: [{ type: 'text', text: 'ok' }] })
+    if (url.includes('googleapis')) return Response.json({ candidates: [{ content: { parts: [{ text: 'ok' }] } }] })
+    return Response.json({ message: { content: 'ok' } })
+  }
+
+  try {
+    await getProvider('claude').invoke({ input: 'follow-up', system: 'sys', history })
+    const claudeBody = requests.pop().body
+    assertEqual(claudeBody.messages.length, 3, 'anthropic replays history as messages')
+    assertEqual(claudeBody.messages[1].role, 'assistant', 'anthropic keeps assistant role')
+    assertEqual(claudeBody.system, 'sys', 'anthropic keeps system prompt separate')
+
+    await getProvider('gemini').invoke({ input: 'follow-up', system: '', history })
+    const geminiBody = requests.pop().body
+    assertEqual(geminiBody.contents[1].role, 'model', 'gemini maps assistant to model role')
+    assertEqual(geminiBody.contents[2].parts[0].text, 'follow-up', 'gemini appends current input')
+
+    await getProvider('ollama').invoke({ input: 'follow-up', system: 'sys', history })
+    const ollamaRequest = requests.pop()
+    assert(ollamaRequest.url.endsWith('/api/chat'), 'ollama uses chat API for multi-turn')
+    assertEqual(ollamaRequest.body.messages.length, 4, 'ollama sends system, history and input')
+  } finally {
+    global.fetch = originalFetch
+    for (const [name, value] of Object.entries(originalKeys)) {
+      const key = `BLACKROAD_${name.toUpperCase()}_API_KEY`
+      if (value === undefined) delete process.env[key]
+      else process.env[key] = value
+    }
+  }
+})
+
+// ---------------------------------------------------------------------------
+// OpenAI-compatible facade
+// ---------------------------------------------------------------------------
+suite('OpenAI-compatible facade', () => {
+  const policy = {
+    agents: {
+      octavia: { allowed_intents: ['architect', 'review'] }
+    }
+  }
+
+  const explicit = openaiCompat.parseModel('octavia:review', policy)
+  assertEqual(explicit.intent, 'review', 'model selects agent and intent')
+  const bare = openaiCompat.parseModel('octavia', policy)
+  assertEqual(bare.intent, 'architect', 'bare agent uses its first allowed intent')
+  assertNull(openaiCompat.parseModel('', policy), 'empty model is rejected')
+
+  const translated = openaiCompat.toAgentRequest({
+    model: 'octavia:architect',
+    stream: true,
+    messages: [
+      { role: 'system', content: 'Be brief.' },
+      { role: 'user', content: 'Design a cache.' },
+      { role: 'assistant', content: 'Use an LRU.' },
+      { role: 'user', content: [{ type: 'text', text: 'How big?' }] }
+    ]
+  }, policy)
+  assertEqual(translated.payload.agent, 'octavia', 'maps agent')
+  assertEqual(translated.payload.input, 'How big?', 'last user message becomes input')
+  assertEqual(translated.payload.stream, true, 'carries stream flag')
+  assertEqual(translated.history.length, 2, 'earlier turns become history')
+  assertEqual(translated.system, 'Be brief.', 'collects client system messages')
+
+  assertEqual(
+    openaiCompat.toAgentRequest({ model: 'octavia', messages: [] }, policy).error,
+    'messages must be a non-empty array',
+    'rejects empty messages'
+  )
+  assertEqual(
+    openaiCompat.toAgentRequest({
+      model: 'octavia',
+      messages: [{ role: 'user', content: 'a' }, { role: 'assistant', content: 'b' }]
+    }, policy).error,
+    'Last message must have role user',
+    'rejects trailing assistant message'
+  )
+
+  const tuned = openaiCompat.toAgentRequest({
+    model: 'octavia',
+    messages: [{ role: 'user', content: 'Design a cache.' }],
+    temperature: 0.2,
+    top_p: 0.9,
+    max_completion_tokens: 64,
+    stop: 'END',
+    response_format: { type: 'json_schema', json_schema: { name: 'design', schema: { type: 'object' } } },
+    n: 1,
+    presence_penalty: 0
+  }, policy)
+  assertEqual(tuned.payload.protocol_version, 3, 'runs chat requests as protocol v3')
+  assertEqual(JSON.stringify(tuned.payload.generation), '{"temperature":0.2,"top_p":0.9,"max_tokens":64,"stop":["END"]}',
+    'maps sampling parameters onto generation')
+  assertEqual(JSON.stringify(tuned.payload.response_format), '{"type":"json_schema","schema":{"type":"object"}}',
+    'maps a json_schema response_format')
+  assertEqual(tuned.payload.tool_choice, 'none', 'offers no agent tools')
+  const plain = openaiCompat.toAgentRequest({
+    model: 'octavia', messages: [{ role: 'user', content: 'a' }], response_format: { type: 'text' }
+  }, policy)
+  assertEqual(`${plain.payload.generation} ${plain.payload.response_format}`, 'undefined undefined',
+    'leaves out what the request does not set')
+  const refusedWith = (extra) => openaiCompat.toAgentRequest({
+    model: 'octavia', messages: [{ role: 'user', content: 'a' }], ...extra
+  }, policy).error
+  assert(/^tools is not supported/.test(refusedWith({ tools: [{ type: 'function', function: { name: 'f' } }] })),
+    'refuses tools by name')
+  assert(/^function_call is not supported/.test(refusedWith({ function_call: 'auto' })), 'and the legacy functions API')
+  assert(/^n is not supported/.test(refusedWith({ n: 2 })), 'refuses more than one choice')
+  assert(/^frequency_penalty is not supported/.test(refusedWith({ frequency_penalty: 0.5 })), 'refuses penalties it cannot apply')
+  assert(/^response_format must be/.test(refusedWith({ response_format: { type: 'json_schema' } })),
+    'refuses a json_schema response_format without a schema')
+
+  const models = openaiCompat.listModels(policy)
+  assertEqual(models.object, 'list', 'model list has list shape')
+  assertEqual(models.data.map((m) => m.id).join(','), 'octavia,octavia:architect,octavia:review', 'lists agents and agent:intent pairs')
+
+  const completion = openaiCompat.formatCompletion(
+    { status: 'ok', provider: 'ollama', output: 'hi', request_id: 'abc', metadata: {} },
+    'octavia',
+    1700000000
+  )
+  assertEqual(completion.id, 'chatcmpl-abc', 'completion id derives from request id')
+  assertEqual(completion.choices[0].message.content, 'hi', 'completion carries output')
+
+  const error = openaiCompat.formatError({ status: 'error', error: 'Rate limit exceeded' }, 429)
+  assertEqual(error.error.type, 'rate_limit_error', 'maps 429 to rate_limit_error')
+})
+
+// ---------------------------------------------------------------------------
+// Circuit breaker
+// ---------------------------------------------------------------------------
+suite('Circuit breaker', async () => {
+  let clock = 1000
+  const breaker = new CircuitBreaker(
+    { window_size: 4, minimum_requests: 3, failure_rate_threshold: 0.5, cooldown_ms: 5000 },
+    () => clock
+  )
+
+  assert(breaker.canAttempt(), 'starts closed')
+  breaker.recordFailure()
+  breaker.recordSuccess()
+  assertEqual(breaker.state, 'closed', 'stays closed below minimum requests')
+  breaker.recordFailure()
+  assertEqual(breaker.state, 'open', 'opens when failure rate reaches threshold')
+  assert(!breaker.canAttempt(), 'rejects calls while open')
+  assertEqual(breaker.snapshot().retry_at, new Date(6000).toISOString(), 'reports retry time')
+
+  clock += 5000
+  assert(breaker.canAttempt(), 'allows a probe after cooldown')
+  assertEqual(breaker.state, 'half_open', 'moves to half-open')
+  assert(!breaker.canAttempt(), 'allows only one concurrent probe')
+  breaker.recordFailure()
+  assertEqual(breaker.state, 'open', 'failed probe reopens')
+
+  clock += 5000
+  assert(breaker.canAttempt(), 'allows another probe after cooldown')
+  breaker.recordSuccess()
+  assertEqual(breaker.state, 'closed', 'successful probe closes')
+  assertEqual(breaker.snapshot().window_requests, 0, 'closing resets the window')
+
+  // Open circuits are skipped in the fallback chain
+  const originalFetch = global.fetch
+  const originalKey = process.env.BLACKROAD_OPENAI_API_KEY
+  process.env.BLACKROAD_OPENAI_API_KEY = 'test-key'
+  const calls = []
+  global.fetch = async (url) => {
+    calls.push(url)
+    return Response.json({ choices: [{ message: { content: 'from openai' } }] })
+  }
+  try {
+    breakers.get('ollama')._open()
+    const result = await invokeWithFallback('ollama', ['ollama', 'openai'], { input: 'hi', system: '' })
+    assertEqual(result.provider, 'openai', 'skips provider with open circuit')
+    assertEqual(result.fallback, true, 'marks skipped primary as fallback')
+    assert(!calls.some((url) => url.includes('11434') || url.includes('4010')), 'never calls the open provider')
+
+    let error = null
+    try {
+      await invokeWithFallback('ollama', [], { input: 'hi', system: '' })
+    } catch (err) {
+      error = err
+    }
+    assertEqual(
+      error && error.message,
+      'No provider available: circuit open for ollama',
+      'reports when every candidate circuit is open'
+    )
+    assertEqual(breakers.snapshot().ollama.state, 'open', 'snapshot exposes breaker state')
+  } finally {
+    breakers.breakers.clear()
+    global.fetch = originalFetch
+    if (originalKey === undefined) delete process.env.BLACKROAD_OPENAI_API_KEY
+    else process.env.BLACKROAD_OPENAI_API_KEY = originalKey
+  }
+})
+
+// ---------------------------------------------------------------------------
+// Cancellation and timeouts
+// ---------------------------------------------------------------------------
+suite('Cancellation and timeouts', async () => {
+  const timeouts = resolveTimeouts(
+    { global: { timeouts_ms: { default: 60000, ollama: 30000 } } },
+    { timeouts_ms: { ollama: 90000 } }
+  )
+  assertEqual(providerTimeout(timeouts, 'ollama'), 90000, 'agent timeout overrides global')
+  assertEqual(providerTimeout(timeouts, 'claude'), 60000, 'uses global default for other providers')
+  assertEqual(providerTimeout({}, 'claude'), undefined, 'no timeout when none configured')
+
+  const originalFetch = global.fetch
+  const originalKey = process.env.BLACKROAD_OPENAI_API_KEY
+  process.env.BLACKROAD_OPENAI_API_KEY = 'test-key'
+  let calls = []
+  // Never answers; settles only when its signal aborts
+  global.fetch = (url, init) => {
+    calls.push(url)
+    if (url.includes('openai')) {
+      return Promise.resolve(Response.json({ choices: [{ message: { content: 'fallback' } }] }))
+    }
+    return new Promise((resolve, reject) => {
+      init.signal.addEventListener('abort', () => reject(init.signal.reason))
+    })
+  }
+
+  // AbortSignal.timeout timers do not hold the event loop open on their own
+  const keepAlive = setInterval(() => {}, 1000)
+
+  try {
+    const result = await invokeWithFallback('ollama', ['ollama', 'openai'], {
+      input: 'hi',
+      system: '',
+      timeouts: { ollama: 20 }
+    })
+    assertEqual(result.provider, 'openai', 'falls back after a provider timeout')
+
+    calls = []
+    const controller = new AbortController()
+    setTimeout(() => controller.abort(), 20)
+    let error = null
+    try {
+      await invokeWithFallback('ollama', ['ollama', 'openai'], {
+        input: 'hi',
+        system: '',
+        signal: controller.signal,
+        timeouts: { ollama: 5000 }
+      })
+    } catch (err) {
+      error = err
+    }
+    assertEqual(error && error.name, 'AbortError', 'rethrows cancellation')
+    assertEqual(calls.length, 1, 'does not try other hosts or providers once cancelled')
+    assertEqual(breakers.get('ollama').snapshot().window_failures, 1, 'cancellation is not a provider failure')
+  } finally {
+    clearInterval(keepAlive)
+    breakers.breakers.clear()
+    global.fetch = originalFetch
+    if (originalKey === undefined) delete process.env.BLACKROAD_OPENAI_API_KEY
+    else process.env.BLACKROAD_OPENAI_API_KEY = originalKey
+  }
+})
+
+// ---------------------------------------------------------------------------
+// Memory journal verification
+// ---------------------------------------------------------------------------
+suite('Memory journal verification', async () => {
+  const journalDir = pathModule.join(process.env.HOME, '.blackroad', 'gateway-memory', 'journal')
+  const journalPath = pathModule.join(journalDir, 'segment-000001.jsonl')
+
+  await Promise.all([
+    memory.record({ type: 'agent_call', agent: 'planner', status: 'ok' }),
+    memory.record({ type: 'agent_call', agent: 'alice', status: 'ok' })
+  ])
+  memory.configure({ hashMode: 'full' })
+  const fullHash = await memory.record({ type: 'agent_call', agent: 'prism', status: 'ok' })
+  memory.configure({ hashMode: 'short' })
+  assertEqual(fullHash.length, 64, 'full mode keeps the whole SHA-256 digest')
+  const headHash = await memory.record({ type: 'agent_call', agent: 'prism', status: 'ok' })
+  assertEqual(headHash.length, 64, 'short mode does not shorten a full chain again')
+
+  const intact = await memory.verify()
+  assert(intact.ok, 'concurrent records keep an intact chain')
+  assertEqual(intact.entries, 4, 'verifies every entry, across hash modes')
+  assertEqual(intact.last_hash, headHash, 'reports the chain head')
+
+  // Rewriting the tail with a correctly computed short hash is a downgrade
+  const original = fsSync.readFileSync(journalPath, 'utf8')
+  const tail = original.split('\n')
+  const { hash: _tailHash, ...tailData } = JSON.parse(tail[3])
+  const shortHash = require('crypto')
+    .createHash('sha256')
+    .update(fullHash + JSON.stringify(tailData))
+    .digest('hex')
+    .slice(0, 16)
+  tail[3] = JSON.stringify({ ...tailData, hash: shortHash })
+  fsSync.writeFileSync(journalPath, tail.join('\n'))
+  const downgraded = await memory.verify()
+  assert(!downgraded.ok, 'detects a short hash after full-hash entries')
+  assertEqual(downgraded.broken.line, 4, 'reports the downgraded line')
+  assertEqual(downgraded.broken.reason, 'short hash after full-hash entries', 'explains the downgrade')
+  fsSync.writeFileSync(journalPath, original)
+
+  const lines = fsSync.readFileSync(journalPath, 'utf8').split('\n')
+  lines[1] = lines[1].replace('"alice"', '"mallory"')
+  fsSync.writeFileSync(journalPath, lines.join('\n'))
+
+  const broken = await memory.verify()
+  assert(!broken.ok, 'detects an edited entry')
+  assertEqual(broken.broken.segment, 'segment-000001.jsonl', 'reports the broken segment')
+  assertEqual(broken.broken.line, 2, 'reports the first broken line')
+  assertEqual(broken.broken.reason, 'hash does not match entry contents', 'explains the break')
+
+  let refused = null
+  try {
+    await checkMemoryIntegrity('refuse')
+  } catch (err) {
+    refused = err
+  }
+  assert(refused && refused.message.includes('line 2'), 'refuse mode blocks startup')
+
+  const originalWarn = console.warn
+  const warnings = []
+  console.warn = (message) => warnings.push(message)
+  try {
+    const result = await checkMemoryIntegrity('warn')
+    assert(!result.ok, 'warn mode returns the failed verification')
+    assert(warnings.some((w) => w.includes('line 2')), 'warn mode logs the broken line')
+  } finally {
+    console.warn = originalWarn
+  }
+
+  fsSync.rmSync(journalDir, { recursive: true, force: true })
+  memory._initialized = false
+  memory.lastHash = 'GENESIS'
+})
+
+// ---------------------------------------------------------------------------
+// Segmented journal
+// ---------------------------------------------------------------------------
+suite('Segmented journal', async () => {
+  const memoryDir = pathModule.join(process.env.HOME, '.blackroad', 'gateway-memory')
+  const journalDir = pathModule.join(memoryDir, 'journal')
+
+  // A pre-segment journal.jsonl is migrated into the first segment
+  fsSync.mkdirSync(memoryDir, { recursive: true })
+  const legacy = { ts: '2026-01-01T00:00:00.000Z', prev: 'GENESIS', type: 'legacy' }
+  legacy.hash = require('crypto')
+    .createHash('sha256')
+    .update('GENESIS' + JSON.stringify(legacy))
+    .digest('hex')
+    .slice(0, 16)
+  fsSync.writeFileSync(pathModule.join(memoryDir, 'journal.jsonl'), JSON.stringify(legacy) + '\n')
+
+  memory.configure({ segmentMaxEntries: 3 })
+  try {
+    for (let i = 1; i <= 7; i++) {
+      await memory.record({ type: 'agent_call', agent: 'alice', n: i })
+    }
+    const index = JSON.parse(fsSync.readFileSync(pathModule.join(journalDir, 'index.json'), 'utf8'))
+    assertEqual(index.total_entries, 8, 'index counts migrated and new entries')
+    assertEqual(index.segments.length, 3, 'rotates segments at the entry limit')
+    assertEqual(index.segments[0].first_hash, legacy.hash, 'legacy journal becomes the first segment')
+    assertEqual(
+      index.segments[1].first_hash,
+      JSON.parse(fsSync.readFileSync(pathModule.join(journalDir, index.segments[1].file), 'utf8').split('\n')[0]).hash,
+      'index records first hash per segment'
+    )
+
+    const stats = await memory.stats()
+    assertEqual(stats.journal_entries, 8, 'stats reads entry count from the index')
+    assertEqual(stats.journal_segments, 3, 'stats reports segment count')
+
+    const recent = await memory.recent(5)
+    assertEqual(recent.map((entry) => entry.n).join(','), '7,6,5,4,3', 'recent reads newest first across segments')
+    assertEqual((await memory.recent(50)).length, 8, 'recent stops at the start of the journal')
+
+    const verification = await memory.verify()
+    assert(verification.ok, 'chain continues across segment boundaries')
+    assertEqual(verification.entries, 8, 'verifies every segment')
+
+    // A restart rebuilds a lost index from the segments
+    fsSync.unlinkSync(pathModule.join(journalDir, 'index.json'))
+    memory._initialized = false
+    const rebuilt = await memory.stats()
+    assertEqual(rebuilt.journal_entries, 8, 'rebuilds a missing index')
+    assertEqual(rebuilt.last_hash, verification.last_hash, 'resumes the chain from the last segment')
+  } finally {
+    memory.configure({ segmentMaxEntries: 10000 })
+  }
+})
+
+// ---------------------------------------------------------------------------
+// Token usage and cost
+// ---------------------------------------------------------------------------
+suite('Token usage and cost', async () => {
+  const policy = require('../policies/agent-permissions.json')
+  const { getProvider } = require('../gateway/providers')
+
+  assertEqual(priceFor(policy.pricing, 'openai', 'gpt-4o-2024-08-06').input_per_mtok, 2.5, 'matches dated model variants')
+  assertEqual(priceFor(policy.pricing, 'openai', 'gpt-4o-mini').input_per_mtok, 0.15, 'prefers the longest model prefix')
+  assertEqual(priceFor(policy.pricing, 'anthropic', 'claude-sonnet-4').output_per_mtok, 15, 'aliases anthropic to claude')
+  assertNull(priceFor(policy.pricing, 'unknown', 'x'), 'unknown provider has no price')
+  assertEqual(
+    estimateCost(policy.pricing, 'openai', { model: 'gpt-4o', prompt_tokens: 1000, completion_tokens: 500 }),
+    0.0075,
+    'estimates USD from per-million prices'
+  )
+  assertEqual(estimateCost(policy.pricing, 'ollama', { prompt_tokens: 900, completion_tokens: 90 }), 0, 'local models are free')
+  assertEqual(parseCostTarget('$1.50'), 1.5, 'parses dollar cost targets')
+  assertNull(parseCostTarget('cheap'), 'rejects malformed cost targets')
+
+  const usage = buildUsage(policy, 'openai', { model: 'gpt-4o', prompt_tokens: 10, completion_tokens: 5 })
+  assertEqual(usage.total_tokens, 15, 'totals prompt and completion tokens')
+  assert(usage.cost_usd > 0, 'prices usage when cost tracking is on')
+  const untracked = buildUsage({ ...policy, global: { cost_tracking: false } }, 'openai', usage)
+  assert(!('cost_usd' in untracked), 'omits cost when cost tracking is off')
+
+  const tiered = {
+    ...policy,
+    cost_tiers: {
+      ...policy.cost_tiers,
+      premium: {
+        ...policy.cost_tiers.premium,
+        pricing: { openai: { 'gpt-4o': { input_per_mtok: 10, output_per_mtok: 20 } } }
+      }
+    }
+  }
+  const reportedUsage = { model: 'gpt-4o', prompt_tokens: 1000, completion_tokens: 500 }
+  const premium = buildUsage(tiered, 'openai', reportedUsage, { cost_tier: 'premium' })
+  assertEqual(premium.cost_usd, 0.02, 'prices calls with the agent cost tier')
+  assertEqual(premium.cost_tier, 'premium', 'reports the cost tier applied')
+  assertEqual(
+    buildUsage(tiered, 'claude', { ...reportedUsage, model: 'claude-sonnet-4' }, { cost_tier: 'premium' }).cost_usd,
+    estimateCost(policy.pricing, 'claude', { ...reportedUsage, model: 'claude-sonnet-4' }),
+    'falls back to top-level pricing for providers the tier leaves out'
+  )
+  const standard = buildUsage(tiered, 'openai', reportedUsage, { cost_tier: 'standard' })
+  assertEqual(standard.cost_usd, 0.0075, 'tiers without pricing use top-level pricing')
+  assertEqual(standard.cost_tier, 'standard', 'reports a tier without its own pricing')
+  assertNull(buildUsage(tiered, 'openai', reportedUsage, { cost_tier: 'gold' }).cost_tier, 'ignores undefined tiers')
+  assertNull(buildUsage(tiered, 'openai', reportedUsage).cost_tier, 'agents without a tier report none')
+
+  const originalFetch = global.fetch
+  const originalKeys = {
+    openai: process.env.BLACKROAD_OPENAI_API_KEY,
+    anthropic: process.env.BLACKROAD_ANTHROPIC_API_KEY
+  }
+  process.env.BLACKROAD_OPENAI_API_KEY = 'test-key'
+  process.env.BLACKROAD_ANTHROPIC_API_KEY = 'test-key'
+  let lastBody = null
+  global.fetch = async (url, init) => {
+    lastBody = JSON.parse(init.body)
+    if (url.includes('anthropic')) {
+      return Response.json({
+        content: [{ type: 'text', text: 'ok' }],
+        usage: { input_tokens: 12, output_tokens: 3 }
+      })
+    }
+    if (url.includes('openai')) {
+      return new Response(
+        'data: {"choices":[{"delta":{"content":"ok"}}]}\n\n' +
+        'data: {"choices":[],"usage":{"prompt_tokens":7,"completion_tokens":2}}\n\n' +
+        'data: [DONE]\n\n'
+      )
+    }
+    return Response.json({ response: 'ok', prompt_eval_count: 20, eval_count: 4 })
+  }
+
+  try {
+    let reported = null
+    await getProvider('claude').invoke({ input: 'hi', system: '', onUsage: (u) => { reported = u } })
+    assertEqual(reported.prompt_tokens, 12, 'anthropic reports input tokens')
+    assertEqual(reported.completion_tokens, 3, 'anthropic reports output tokens')
+
+    reported = null
+    await getProvider('openai').invoke({
+      input: 'hi',
+      system: '',
+      onToken: () => {},
+      onUsage: (u) => { reported = u }
+    })
+    assertEqual(lastBody.stream_options.include_usage, true, 'openai asks for usage on streams')
+    assertEqual(reported.completion_tokens, 2, 'openai reports usage from the final chunk')
+
+    const result = await invokeWithFallback('ollama', ['ollama'], { input: 'hi', system: '' })
+    assertEqual(result.usage.prompt_tokens, 20, 'invokeWithFallback returns ollama usage')
+    assertEqual(result.usage.completion_tokens, 4, 'maps eval_count to completion tokens')
+  } finally {
+    global.fetch = originalFetch
+    for (const [name, value] of Object.entries(originalKeys)) {
+      const key = `BLACKROAD_${name.toUpperCase()}_API_KEY`
+      if (value === undefined) delete process.env[key]
+      else process.env[key] = value
+    }
+  }
+
+  metrics.recordUsage('planner', 'plan', 'openai', { prompt_tokens: 10, completion_tokens: 5, cost_usd: 0.25 })
+  metrics.recordUsage('planner', 'analyze', 'ollama', { prompt_tokens: 4, completion_tokens: 1, cost_usd: 0 })
+  const snap = metrics.snapshot().usage
+  assertEqual(snap.by_agent.planner.prompt_tokens, 14, 'accumulates tokens by agent')
+  assertEqual(snap.by_intent.plan.completion_tokens, 5, 'accumulates tokens by intent')
+  assertEqual(snap.by_provider.openai.cost_usd, 0.25, 'accumulates cost by provider')
+  metrics.recordUsage('planner', 'plan', 'openai', { prompt_tokens: 1, completion_tokens: 1, cost_usd: 0.5, cost_tier: 'premium' })
+  assertEqual(metrics.snapshot().usage.by_cost_tier.premium.cost_usd, 0.5, 'accumulates cost by cost tier')
+  assert(
+    metrics.prometheus().includes('gateway_cost_usd_total{agent="planner",intent="plan",provider="openai",cost_tier="premium"} 0.5'),
+    'exports cost by cost tier to Prometheus'
+  )
+
+  const completion = openaiCompat.formatCompletion(
+    { request_id: 'r1', output: 'ok', provider: 'openai', metadata: { usage: { ...usage } } },
+    'planner',
+    0
+  )
+  assertEqual(completion.usage.total_tokens, 15, 'chat completions carry usage')
+})
+
+// ---------------------------------------------------------------------------
+// Prometheus exposition
+// ---------------------------------------------------------------------------
+suite('Prometheus exposition', async () => {
+  const registry = new Registry()
+  const requests = registry.counter('test_requests_total', 'Requests', ['agent'])
+  const latency = registry.histogram('test_latency_seconds', 'Latency', ['agent'], [0.1, 1])
+  requests.inc({ agent: 'planner' })
+  requests.inc({ agent: 'planner' })
+  requests.inc({ agent: 'say "hi"\n' })
+  latency.observe({ agent: 'planner' }, 0.05)
+  latency.observe({ agent: 'planner' }, 0.5)
+  latency.observe({ agent: 'planner' }, 3)
+  const text = registry.render()
+  assert(text.includes('# TYPE test_requests_total counter'), 'declares metric types')
+  assert(text.includes('test_requests_total{agent="planner"} 2'), 'renders labelled counters')
+  assert(text.includes('agent="say \\"hi\\"\\n"'), 'escapes label values')
+  assert(text.includes('test_latency_seconds_bucket{agent="planner",le="0.1"} 1'), 'renders first bucket')
+  assert(text.includes('test_latency_seconds_bucket{agent="planner",le="1"} 2'), 'buckets are cumulative')
+  assert(text.includes('test_latency_seconds_bucket{agent="planner",le="+Inf"} 3'), 'renders +Inf bucket')
+  assert(text.includes('test_latency_seconds_sum{agent="planner"} 3.55'), 'renders histogram sum')
+  assert(text.includes('test_latency_seconds_count{agent="planner"} 3'), 'renders histogram count')
+
+  assert(wantsPrometheus('text/plain;version=0.0.4;q=0.9,*/*;q=0.1'), 'negotiates Prometheus scrapes')
+  assert(wantsPrometheus('application/openmetrics-text; version=1.0.0'), 'negotiates OpenMetrics scrapes')
+  assert(!wantsPrometheus('*/*'), 'keeps JSON for plain clients')
+  assert(!wantsPrometheus(undefined), 'keeps JSON without Accept')
+
+  const timeout = new Error('The operation was aborted due to timeout')
+  timeout.name = 'TimeoutError'
+  assertEqual(classifyError(timeout), 'timeout', 'classifies timeouts')
+  assertEqual(classifyError(errors.upstreamError('Groq', { status: 503 }, 'busy')), 'upstream_5xx', 'classifies 5xx')
+  assertEqual(
+    classifyError(errors.upstreamError('Mistral', { status: 429, headers: new Headers() }, 'slow down')),
+    'rate_limited',
+    'classifies 429'
+  )
+  assertEqual(classifyError(errors.notConfigured('BLACKROAD_OPENAI_API_KEY')), 'auth', 'classifies missing keys')
+  assertEqual(classifyError(new Error('Groq error 503: busy')), 'other', 'does not read statuses out of messages')
+  assertEqual(classifyError(new TypeError('fetch failed')), 'network', 'classifies network errors')
+
+  const originalFetch = global.fetch
+  const originalKey = process.env.BLACKROAD_OPENAI_API_KEY
+  process.env.BLACKROAD_OPENAI_API_KEY = 'test-key'
+  global.fetch = async (url) => {
+    if (url.includes('openai')) return Response.json({ choices: [{ message: { content: 'ok' } }] })
+    throw new TypeError('fetch failed')
+  }
+  try {
+    const before = metrics.snapshot().total_fallbacks
+    await invokeWithFallback('ollama', ['ollama', 'openai'], { input: 'hi', system: '' })
+    const snap = metrics.snapshot()
+    assertEqual(snap.total_fallbacks, before + 1, 'counts fallbacks')
+    assert(snap.provider_errors.ollama.network >= 1, 'counts provider errors by type')
+  } finally {
+    global.fetch = originalFetch
+    if (originalKey === undefined) delete process.env.BLACKROAD_OPENAI_API_KEY
+    else process.env.BLACKROAD_OPENAI_API_KEY = originalKey
+  }
+
+  metrics.record('planner', 'ollama', 'ok', { intent: 'plan', durationMs: 420 })
+  metrics.recordRateLimited('planner')
+  metrics.recordJournalFailure()
+  const exposition = metrics.prometheus({ ollama: { state: 'open' } })
+  assert(
+    exposition.includes('gateway_requests_total{agent="planner",intent="plan",provider="ollama",status="ok"}'),
+    'exposes requests by agent, intent and provider'
+  )
+  assert(
+    exposition.includes('gateway_request_duration_seconds_bucket{agent="planner",intent="plan",provider="ollama",le="0.5"}'),
+    'exposes request duration histograms'
+  )
+  assert(exposition.includes('gateway_fallbacks_total{from="ollama",to="openai"}'), 'exposes fallbacks')
+  assert(exposition.includes('gateway_rate_limited_total{agent="planner"}'), 'exposes rate-limit rejections')
+  assert(exposition.includes('gateway_provider_errors_total{provider="ollama",type="network"}'), 'exposes provider errors')
+  assert(/gateway_memory_journal_write_failures_total [1-9]/.test(exposition), 'exposes journal write failures')
+  assert(exposition.includes('gateway_circuit_breaker_state{provider="ollama"} 2'), 'exposes circuit state')
+  assertEqual(metrics.snapshot().by_intent.plan >= 1, true, 'tracks requests by intent')
+})
+
+// ---------------------------------------------------------------------------
+// Admission queue
+// ---------------------------------------------------------------------------
+suite('Admission queue', async () => {
+  const queue = new AdmissionQueue({ max_concurrent: 2, max_depth: 3, timeout_ms: 1000 })
+  const first = await queue.acquire('cipher')
+  const second = await queue.acquire('cipher')
+  assertEqual(first.waitedMs, 0, 'admits immediately while slots are free')
+
+  // Cipher floods the queue before planner arrives; planner still goes next
+  const order = []
+  const waiters = [
+    queue.acquire('cipher').then((t) => { order.push('cipher-3'); return t }),
+    queue.acquire('cipher').then((t) => { order.push('cipher-4'); return t }),
+    queue.acquire('planner').then((t) => { order.push('planner-1'); return t })
+  ]
+  assertEqual(queue.snapshot().queued, 3, 'queues requests over the global limit')
+  let full = null
+  try {
+    await queue.acquire('alice')
+  } catch (err) {
+    full = err
+  }
+  assertEqual(full && full.code, 'QUEUE_FULL', 'refuses requests once the queue is full')
+
+  first.release()
+  first.release()
+  await new Promise((resolve) => setImmediate(resolve))
+  assertEqual(queue.snapshot().active, 2, 'releasing twice frees one slot')
+  second.release()
+  const [third] = await Promise.all([waiters[0], waiters[2]])
+  assertEqual(order.join(','), 'cipher-3,planner-1', 'rotates freed slots across agents')
+  third.release()
+  ;(await waiters[1]).release()
+
+  // Per-agent limits hold a busy agent back without blocking the others
+  const limited = new AdmissionQueue({ max_concurrent: 10, max_depth: 10, timeout_ms: 50 })
+  const held = await limited.acquire('cipher', { limit: 1 })
+  const other = await limited.acquire('planner', { limit: 1 })
+  assertEqual(other.waitedMs, 0, 'other agents run while one is at its limit')
+  let timeout = null
+  try {
+    await limited.acquire('cipher', { limit: 1 })
+  } catch (err) {
+    timeout = err
+  }
+  assertEqual(timeout && timeout.code, 'QUEUE_TIMEOUT', 'times out requests that wait too long')
+  assert(timeout.waitedMs >= 40, 'reports how long the request waited')
+  assertEqual(limited.snapshot().queued, 0, 'timed-out requests leave the queue')
+
+  const controller = new AbortController()
+  const pending = limited.acquire('cipher', { limit: 1, signal: controller.signal })
+  controller.abort()
+  let aborted = null
+  try {
+    await pending
+  } catch (err) {
+    aborted = err
+  }
+  assertEqual(aborted && aborted.name, 'AbortError', 'drops waiters whose client disconnected')
+  assertEqual(limited.snapshot().queued, 0, 'cancelled requests leave the queue')
+  held.release()
+  other.release()
+  assertEqual(limited.snapshot().active, 0, 'returns every slot')
+
+  metrics.recordQueueWait('cipher', 120)
+  metrics.recordQueueRejection('cipher', 'queue_timeout')
+  const exposition = metrics.prometheus({}, { by_agent: { cipher: { active: 4, queued: 7 } } })
+  assert(exposition.includes('gateway_queue_depth{agent="cipher"} 7'), 'exposes queue depth')
+  assert(exposition.includes('gateway_active_requests{agent="cipher"} 4'), 'exposes active requests')
+  assert(exposition.includes('gateway_queue_wait_seconds_count{agent="cipher"}'), 'exposes queue wait times')
+  assert(
+    exposition.includes('gateway_queue_rejections_total{agent="cipher",reason="queue_timeout"} 1'),
+    'exposes queue rejections'
+  )
+  assertEqual(metrics.snapshot().queue.max_wait_ms, 120, 'tracks the longest queue wait')
+})
+
+// ---------------------------------------------------------------------------
+// Policy store
+// ---------------------------------------------------------------------------
+suite('Policy store', async () => {
+  const dir = fsSync.mkdtempSync(pathModule.join(process.env.HOME, 'policy-'))
+  const file = pathModule.join(dir, 'agent-permissions.json')
+  const write = (policy) => fsSync.writeFileSync(file, JSON.stringify(policy))
+  const warnings = []
+  const logger = { log: () => {}, warn: (message) => warnings.push(message) }
+  const agent = (intents) => ({
+    allowed_intents: intents,
+    allowed_providers: ['ollama'],
+    default_provider: 'ollama'
+  })
+  write({ version: 2, agents: { planner: agent(['plan']) } })
+
+  const store = new PolicyStore(file, { logger })
+  const policy = await store.get()
+  assertEqual(policy.agents.planner.allowed_intents[0], 'plan', 'loads the policy on first use')
+  const first = store.info()
+  assertEqual(first.version, 2, 'reports the policy version')
+  assertEqual(first.hash.length, 16, 'reports a short content hash')
+  assert((await store.get()) === policy, 'serves the cached policy')
+
+  fsSync.writeFileSync(file, '{"version": 3, "agents": {')
+  const broken = await store.reload('test')
+  assertEqual(broken.ok, false, 'rejects a half-saved file')
+  assert(broken.error.startsWith('invalid JSON'), 'explains the rejection')
+  assert((await store.get()) === policy, 'keeps the last good policy')
+  assertEqual(store.info().hash, first.hash, 'keeps the last good hash')
+  assert(warnings.length === 1 && warnings[0].includes(first.hash), 'warns which policy stays active')
+
+  write({ version: 3, agents: { planner: { ...agent(['plan']), default_provider: 'claude' } } })
+  const invalid = await store.reload('test')
+  assert(
+    invalid.error.includes('agents.planner.default_provider: "claude" is not in allowed_providers'),
+    'rejects a policy with lint errors'
+  )
+
+  write({ version: 3, agents: { planner: agent(['plan', 'analyze']) } })
+  const swapped = await store.reload('test')
+  assertEqual(swapped.changed, true, 'swaps in a valid new version')
+  assertEqual(store.info().version, 3, 'reports the new version')
+  assertEqual(store.info().revision, 2, 'counts loaded revisions')
+  assertEqual(store.info().warnings, 0, 'counts lint warnings')
+  assertNull(store.info().last_error, 'clears the last error')
+  assertEqual((await store.reload('test')).changed, false, 'skips unchanged files')
+
+  // File changes are picked up by the directory watcher
+  write({ version: 4, agents: { planner: agent(['plan']) } })
+  const watched = new PolicyStore(file, { logger, debounceMs: 10 })
+  await watched.load()
+  watched.watch()
+  write({ version: 5, agents: { planner: agent(['plan']) } })
+  const keepAlive = setInterval(() => {}, 50)
+  try {
+    for (let i = 0; i < 40 && watched.info().version !== 5; i++) {
+      await new Promise((resolve) => setTimeout(resolve, 25))
+    }
+  } finally {
+    clearInterval(keepAlive)
+    watched.close()
+  }
+  assertEqual(watched.info().version, 5, 'reloads when the file changes')
+
+  let startupError = null
+  fsSync.writeFileSync(file, 'not json')
+  try {
+    await new PolicyStore(file, { logger }).load()
+  } catch (err) {
+    startupError = err
+  }
+  assert(startupError && startupError.message.includes('rejected'), 'refuses an invalid policy at startup')
+})
+
+// ---------------------------------------------------------------------------
+// Policy linter
+// ---------------------------------------------------------------------------
+suite('Policy linter', () => {
+  const schema = {
+    type: 'object',
+    required: ['name'],
+    additionalProperties: false,
+    properties: {
+      name: { $ref: '#/definitions/name' },
+      tags: { type: 'array', uniqueItems: true, items: { $ref: '#/definitions/name' } },
+      limit: { type: 'integer', minimum: 1 }
+    },
+    definitions: { name: { type: 'string', pattern: '^[a-z]+$' } }
+  }
+  assertEqual(validateSchema(schema, { name: 'ok', tags: ['a'], limit: 2 }).length, 0, 'accepts valid values')
+  const issues = validateSchema(schema, { tags: ['a', 'B', 'a'], limit: 0.5, extra: true })
+  const byPath = Object.fromEntries(issues.map((issue) => [issue.path, issue.message]))
+  assertEqual(byPath.name, 'is required', 'reports missing properties')
+  assert(byPath['tags[1]'].startsWith('must match'), 'follows $ref into array items')
+  assert(byPath['tags[2]'].startsWith('duplicate item'), 'reports duplicate items')
+  assertEqual(byPath.limit, 'must be integer, got number', 'reports type mismatches')
+  assertEqual(byPath.extra, 'is not an allowed property', 'reports unknown properties')
+
+  const valid = (keywords, value) => validateSchema(keywords, value).length === 0
+  assert(!valid({ type: 'object', required: ['toString'] }, {}), 'required ignores inherited names')
+  assert(!valid({ type: 'object', properties: { constructor: { type: 'string' } }, additionalProperties: false }, { toString: 1 }),
+    'properties ignores inherited names')
+  assert(valid({ oneOf: [{ type: 'string' }, { type: 'integer' }] }, 3) &&
+    !valid({ oneOf: [{ type: 'number' }, { type: 'integer' }] }, 3), 'oneOf needs exactly one match')
+  assert(!valid({ allOf: [{ minimum: 1 }, { maximum: 2 }] }, 3), 'allOf needs every match')
+  assert(!valid({ not: { type: 'string' } }, 'x'), 'not refuses a match')
+  assert(!valid({ exclusiveMaximum: 3 }, 3), 'applies exclusiveMaximum')
+  assert(valid({ multipleOf: 0.1 }, 0.3) && !valid({ multipleOf: 2 }, 3), 'applies multipleOf')
+  assert(!valid({ minProperties: 1 }, {}) && !valid({ maxProperties: 0 }, { a: 1 }), 'applies min/maxProperties')
+
+  assertEqual(schemaIssues(schema).length, 0, 'accepts a schema it can apply in full')
+  const unsupported = schemaIssues({
+    type: 'object',
+    properties: { email: { type: 'string', format: 'email' }, pair: { items: [{}, {}] } },
+    dependencies: {},
+    anyOf: [],
+    pattern: '(',
+    $ref: '#/definitions/missing'
+  })
+  const unsupportedByPath = unsupported.map((issue) => `${issue.path} ${issue.message}`)
+  assert(unsupportedByPath.includes('properties.email unsupported keyword "format"'), 'reports unsupported keywords in subschemas')
+  assert(unsupportedByPath.includes('(root) unsupported keyword "dependencies"'), 'and at the root')
+  assert(unsupportedByPath.includes('properties.pair tuple items (an array of schemas) are not supported'), 'reports tuple items')
+  assert(unsupportedByPath.includes('(root) anyOf must be a non-empty array of schemas'), 'reports empty anyOf')
+  assert(unsupportedByPath.includes('(root) invalid pattern "("'), 'reports patterns that do not compile')
+  assert(unsupportedByPath.includes('(root) unresolved $ref #/definitions/missing'), 'reports unresolved $refs')
+  for (const file of ['request.json', 'request.v3.json', 'response.json', 'response.v3.json']) {
+    assertEqual(schemaIssues(require(`../protocol/${file}`)).length, 0, `protocol/${file} uses only supported keywords`)
+  }
+  assertEqual(schemaIssues(require('../policies/agent-permissions.schema.json')).length, 0,
+    'the policy schema uses only supported keywords')
+
+  const shipped = require('../policies/agent-permissions.json')
+  const prompts = require('../gateway/system-prompts.json')
+  const result = checkPolicy(shipped, { prompts })
+  assertEqual(result.errors.length, 0, 'shipped policy has no lint errors')
+
+  const policy = JSON.parse(JSON.stringify(shipped))
+  policy.agents.cipher.fallback_chain.push('gpt5')
+  policy.agents.cipher.intent_routes.forge = 'ollama'
+  policy.agents.cipher.default_provider = 'gemini'
+  policy.agents.cipher.fallback_chain[1] = 'groq'
+  policy.agents.cipher.alowed_intents = []
+  policy.agents.planner.cost_tier = 'gold'
+  policy.agents.planner.allowed_intents.push('dream')
+  policy.agents.planner.cache_ttl_seconds = { plan: 60, monitor: 300 }
+  const lint = checkPolicy(policy, { prompts })
+  const errors = lint.errors.map((issue) => `${issue.path}: ${issue.message}`)
+  const warnings = lint.warnings.map((issue) => `${issue.path}: ${issue.message}`)
+  assert(errors.some((e) => e.startsWith('agents.cipher.fallback_chain[3]: unknown provider "gpt5"')), 'flags unknown fallback providers')
+  assert(errors.includes('agents.cipher.fallback_chain[1]: "groq" is not in allowed_providers'), 'flags fallbacks outside the allow-list')
+  assert(errors.includes('agents.cipher.intent_routes.forge: intent "forge" is not in allowed_intents'), 'flags routes for disallowed intents')
+  assert(errors.includes('agents.cipher.default_provider: "gemini" is not in allowed_providers'), 'flags default providers outside the allow-list')
+  assert(errors.includes('agents.cipher.alowed_intents: is not an allowed property'), 'flags misspelled keys')
+  assert(warnings.includes('agents.planner.cost_tier: cost tier "gold" is not defined in cost_tiers'), 'warns about unknown cost tiers')
+  assert(warnings.includes('agents.planner.allowed_intents[2]: no system prompt for intent "dream"'), 'warns about intents without prompts')
+  assert(warnings.includes('agents.planner.cache_ttl_seconds.monitor: cache TTL for intent "monitor" outside allowed_intents'), 'warns about cache TTLs for disallowed intents')
+  assert(warnings.some((w) => w.startsWith('agents.aria: no system prompt')), 'warns about agents without prompts')
+  assertEqual(checkPolicy(policy).warnings.some((w) => w.message.includes('system prompt')), false, 'skips prompt checks without prompts')
+})
+
+// ---------------------------------------------------------------------------
+// Bearer-token auth
+// ---------------------------------------------------------------------------
+suite('Bearer-token auth', () => {
+  const now = 1700000000
+  const rotated = auth.loadKeyring({ JWT_KEYS: 'k2:new-secret, k1:old-secret' })
+  assertEqual(rotated.activeKid, 'k2', 'first key signs by default')
+  assertEqual(auth.loadKeyring({ JWT_KEYS: 'k2:a,k1:b', JWT_ACTIVE_KID: 'k1' }).activeKid, 'k1', 'honours JWT_ACTIVE_KID')
+  const oldKeyring = auth.loadKeyring({ JWT_KEYS: 'k1:old-secret' })
+
+  const token = auth.sign({ sub: 'ci', agents: ['planner'] }, { keyring: rotated, now })
+  const header = JSON.parse(Buffer.from(token.split('.')[0], 'base64url').toString())
+  assertEqual(header.kid, 'k2', 'stamps the key id in the header')
+  assertEqual(auth.verify(token, { keyring: rotated, now }).sub, 'ci', 'verifies its own tokens')
+  const legacy = auth.sign({ sub: 'old' }, { keyring: oldKeyring, now })
+  assertEqual(auth.verify(legacy, { keyring: rotated, now }).sub, 'old', 'verifies tokens from a rotated-out key')
+  assertEqual(auth.verifyToken(token, { keyring: oldKeyring, now }).error, 'Unknown signing key', 'refuses unknown key ids')
+
+  const [h, body] = token.split('.')
+  const forged = `${h}.${Buffer.from(JSON.stringify({ sub: 'ci', agents: ['*'] })).toString('base64url')}.${token.split('.')[2]}`
+  assertEqual(auth.verifyToken(forged, { keyring: rotated, now }).error, 'Invalid token signature', 'refuses tampered claims')
+  assertEqual(auth.verifyToken(`${h}.${body}.AAAA`, { keyring: rotated, now }).error, 'Invalid token signature', 'refuses short signatures')
+  const none = `${Buffer.from('{"alg":"none"}').toString('base64url')}.${body}.`
+  assertEqual(auth.verifyToken(none, { keyring: rotated, now }).error, 'Unsupported token algorithm', 'refuses alg none')
+
+  // exp and nbf get a 60 second allowance either way
+  const expiring = auth.sign({ sub: 'ci' }, { keyring: rotated, now, expiresIn: 10 })
+  assert(auth.verify(expiring, { keyring: rotated, now: now + 60 }), 'accepts tokens within the clock skew')
+  assertEqual(auth.verifyToken(expiring, { keyring: rotated, now: now + 71 }).error, 'Token expired', 'refuses expired tokens')
+  const future = auth.sign({ sub: 'ci', nbf: now + 120 }, { keyring: rotated, now })
+  assertEqual(auth.verifyToken(future, { keyring: rotated, now }).error, 'Token not yet valid', 'refuses tokens before nbf')
+  assert(auth.verify(future, { keyring: rotated, now: now + 60 }), 'allows nbf within the clock skew')
+  const withoutExp = (claims) => {
+    const head = Buffer.from(JSON.stringify({ alg: 'HS256', typ: 'JWT', kid: 'k2' })).toString('base64url')
+    const payload = Buffer.from(JSON.stringify(claims)).toString('base64url')
+    const mac = require('crypto').createHmac('sha256', 'new-secret').update(`${head}.${payload}`).digest('base64url')
+    return `${head}.${payload}.${mac}`
+  }
+  assertEqual(auth.verifyToken(withoutExp({ sub: 'ci' }), { keyring: rotated, now }).error, 'Token has no expiry', 'refuses tokens without exp')
+  assertEqual(
+    auth.verifyToken(withoutExp({ sub: 'ci', exp: String(now + 60) }), { keyring: rotated, now }).error,
+    'Token has no expiry',
+    'refuses a non-numeric exp'
+  )
+
+  let refused = null
+  try {
+    auth.loadKeyring({ NODE_ENV: 'production' })
+  } catch (err) {
+    refused = err
+  }
+  assert(refused && refused.message.includes('JWT_SECRET'), 'requires a key outside dev mode')
+  refused = null
+  try {
+    auth.loadKeyring({ NODE_ENV: 'production', JWT_SECRET: 'blackroad-dev-secret' })
+  } catch (err) {
+    refused = err
+  }
+  assert(refused && refused.message.includes('dev JWT secret'), 'refuses the dev secret outside dev mode')
+  assertEqual(auth.loadKeyring({ NODE_ENV: 'development' }).activeKid, 'dev', 'falls back to the dev secret in dev mode')
+
+  const claims = { agents: ['planner'], intents: ['plan'], providers: ['ollama'] }
+  assertNull(auth.authorize(claims, { agent: 'planner', intent: 'plan', provider: 'ollama' }), 'allows claimed scope')
+  assertEqual(auth.authorize(claims, { agent: 'cipher' }), 'Token does not permit agent cipher', 'restricts agents')
+  assertEqual(auth.authorize(claims, { intent: 'analyze' }), 'Token does not permit intent analyze', 'restricts intents')
+  assertEqual(auth.authorize(claims, { provider: 'claude' }), 'Token does not permit provider claude', 'restricts providers')
+  assertNull(auth.authorize({ agents: '*' }, { agent: 'cipher', intent: 'audit' }), 'missing and wildcard claims allow all')
+
+  const minted = mintToken.parseArgs(['--sub', 'ci', '--agents', 'planner,prism', '--ttl', '600', '--admin'])
+  assertEqual(minted.claims.agents.join(','), 'planner,prism', 'mint splits list claims')
+  assertEqual(minted.expiresIn, 600, 'mint reads the ttl')
+  assertEqual(minted.claims.admin, true, 'mint sets the admin claim')
+})
+
+// ---------------------------------------------------------------------------
+// Client registry
+// ---------------------------------------------------------------------------
+suite('Client registry', async () => {
+  const stored = hashCredential('s3cret')
+  assert(/^sha256\$[0-9a-f]{32}\$[0-9a-f]{64}$/.test(stored), 'stores a salted hash')
+  assert(!stored.includes('s3cret'), 'never stores the secret')
+  assert(verifyCredential(stored, 's3cret'), 'verifies the secret')
+  assertEqual(verifyCredential(stored, 's3cret!'), false, 'refuses a wrong secret')
+  assert(hashCredential('s3cret') !== stored, 'salts each credential')
+
+  const registry = new ClientRegistry({
+    'octavia-pi': { credential: stored, cidrs: ['192.168.4.0/24', 'fd00::/8'], agents: ['planner'] },
+    'lucidia-pi': { credential: hashCredential('other'), cidrs: ['10.0.0.7'] }
+  })
+  assertEqual(registry.authenticate('octavia-pi:s3cret', '192.168.4.38').client.id, 'octavia-pi', 'accepts a key from an allowed network')
+  assertEqual(registry.authenticate('octavia-pi:s3cret', '::ffff:192.168.4.38').client.id, 'octavia-pi', 'matches IPv4-mapped addresses')
+  assert(registry.authenticate('octavia-pi:s3cret', 'fd00::12').client, 'matches IPv6 networks')
+  assertEqual(registry.authenticate('octavia-pi:s3cret', '192.168.5.1').error, 'Client octavia-pi is not allowed from 192.168.5.1', 'refuses other networks')
+  assertEqual(registry.authenticate('octavia-pi:nope', '192.168.4.38').error, 'Invalid client credential', 'refuses a wrong secret')
+  assertEqual(registry.authenticate('ghost:s3cret', '192.168.4.38').error, 'Invalid client credential', 'refuses unknown clients')
+  assert(registry.authenticate(undefined, '192.168.4.38').error.includes('credential required'), 'requires a credential')
+  assert(registry.authenticate('lucidia-pi:other', '10.0.0.7').client, 'treats a bare address as a single host')
+
+  const octavia = registry.authenticate('octavia-pi:s3cret', '192.168.4.38').client
+  assert(clientPermits(octavia, 'planner'), 'permits listed agents')
+  assertEqual(clientPermits(octavia, 'cipher'), false, 'refuses unlisted agents')
+  assert(clientPermits(registry.authenticate('lucidia-pi:other', '10.0.0.7').client, 'cipher'), 'no agent list permits all agents')
+
+  let invalid = null
+  try {
+    new ClientRegistry({ bad: { credential: stored, cidrs: ['192.168.4.0/33'] } })
+  } catch (err) {
+    invalid = err
+  }
+  assert(invalid && invalid.message.includes('invalid CIDR'), 'rejects invalid CIDRs')
+
+  const dir = fsSync.mkdtempSync(pathModule.join(os.tmpdir(), 'clients-'))
+  try {
+    assertEqual((await ClientRegistry.load(pathModule.join(dir, 'missing.json'))).size, 0, 'a missing file means no remote clients')
+    const filePath = pathModule.join(dir, 'clients.json')
+    fsSync.writeFileSync(filePath, JSON.stringify({ clients: { 'octavia-pi': { credential: stored, cidrs: ['192.168.4.38/32'] } } }))
+    assertEqual((await ClientRegistry.load(filePath)).size, 1, 'loads clients from file')
+  } finally {
+    fsSync.rmSync(dir, { recursive: true, force: true })
+  }
+})
+
+// ---------------------------------------------------------------------------
+// Protocol versions
+// ---------------------------------------------------------------------------
+suite('Protocol versions', async () => {
+  assertEqual(protocol.negotiateVersion({ agent: 'planner' }).version, 2, 'defaults to v2')
+  assertEqual(protocol.negotiateVersion({ protocol_version: 3 }).version, 3, 'reads protocol_version')
+  assertEqual(protocol.negotiateVersion({}, { 'x-blackroad-protocol': '3' }).version, 3, 'reads the protocol header')
+  assertEqual(
+    protocol.negotiateVersion({ protocol_version: 2 }, { 'x-blackroad-protocol': '3' }).version,
+    2,
+    'the body wins over the header'
+  )
+  assert(protocol.negotiateVersion({ protocol_version: 4 }).error.includes('supported: 2, 3'), 'refuses unknown versions')
+
+  const v3 = {
+    protocol_version: 3,
+    agent: 'planner',
+    intent: 'plan',
+    messages: [
+      { role: 'system', content: 'Be brief.' },
+      { role: 'user', content: 'first' },
+      { role: 'assistant', content: 'answer' },
+      { role: 'user', content: 'second' }
+    ],
+    generation: { temperature: 0.2, max_tokens: 256, stop: ['END'] }
+  }
+  assertEqual(protocol.validateRequest(v3, 3).length, 0, 'accepts a v3 messages request')
+  assertEqual(protocol.validateRequest({ agent: 'planner', intent: 'plan', input: 'hi' }, 2).length, 0, 'still accepts v2 payloads')
+  const { messages, ...withoutMessages } = v3
+  assert(protocol.validateRequest(withoutMessages, 3)[0].message.startsWith('must match one of'), 'v3 needs input or messages')
+  const issues = protocol.validateRequest({ ...v3, generation: { temperature: 3, top_k: 5 } }, 3)
+  assertEqual(issues.map((issue) => issue.path).join(','), 'generation.temperature,generation.top_k', 'reports field paths')
+  assertEqual(
+    protocol.validateRequest({ ...v3, messages: v3.messages.slice(0, 3) }, 3)[0].path,
+    'messages[2].role',
+    'without input the last message must be from the user'
+  )
+  assertEqual(
+    protocol.validateRequest({ ...v3, attachments: [{ mime_type: 'application/zip', data: 'AAAA' }] }, 3)[0].path,
+    'attachments[0].mime_type',
+    'refuses unsupported binary attachments'
+  )
+  assert(
+    protocol.validateRequest({ ...v3, input: 'hi' }, 2).some((issue) => issue.path === 'messages'),
+    'v3 fields are not v2'
+  )
+
+  const normalized = protocol.normalizeRequest({
+    ...v3,
+    attachments: [{ name: 'notes.md', mime_type: 'text/markdown', data: Buffer.from('# Notes').toString('base64') }]
+  }, 3)
+  assertEqual(normalized.payload.input, 'second\n\n[Attachment: notes.md (text/markdown)]\n# Notes', 'uses the last user message and inlines text attachments')
+  assertEqual(normalized.history.length, 2, 'earlier turns become history')
+  assertEqual(normalized.system, 'Be brief.', 'system messages become system text')
+  assertEqual(normalized.generation.max_tokens, 256, 'passes generation settings through')
+  assertEqual(normalized.payload.messages, undefined, 'the normalized payload is v2-shaped')
+  assertNull(protocol.normalizeRequest({ agent: 'planner', intent: 'plan', input: 'hi' }, 2).history, 'v2 requests have no conversation')
+
+  const ok = { status: 'ok', provider: 'gemini', output: 'hi', request_id: 'r1', metadata: {} }
+  assertEqual(protocol.validateResponse(ok, 2).length, 0, 'v2 responses match the v2 schema')
+  assertEqual(protocol.validateResponse(protocol.formatResponse(ok, 3), 3).length, 0, 'v3 responses carry protocol_version')
+  assertEqual(protocol.validateResponse({ ...ok, extra: 1 }, 2)[0].path, 'extra', 'flags responses outside the schema')
+
+  // Generation settings reach the providers under their own names
+  const { getProvider } = require('../gateway/providers')
+  const originalFetch = global.fetch
+  const originalKey = process.env.BLACKROAD_ANTHROPIC_API_KEY
+  process.env.BLACKROAD_ANTHROPIC_API_KEY = 'test-key'
+  const bodies = []
+  global.fetch = async (url, init) => {
+    bodies.push(JSON.parse(init.body))
+    if (url.includes('anthropic')) return Response.json({ content: [{ type: 'text', text: 'ok' }] })
+    return Response.json({ response: 'ok' })
+  }
+  try {
+    await getProvider('claude').invoke({ input: 'hi', generation: normalized.generation })
+    assertEqual(bodies[0].max_tokens, 256, 'anthropic takes max_tokens')
+    assertEqual(bodies[0].stop_sequences[0], 'END', 'anthropic maps stop to stop_sequences')
+    await getProvider('ollama').invoke({ input: 'hi', generation: normalized.generation })
+    assertEqual(bodies[1].options.num_predict, 256, 'ollama maps max_tokens to num_predict')
+    assertEqual(bodies[1].options.temperature, 0.2, 'ollama takes temperature')
+    await getProvider('ollama').invoke({ input: 'hi' })
+    assertEqual(bodies[2].options, undefined, 'ollama sends no options by default')
+  } finally {
+    global.fetch = originalFetch
+    if (originalKey === undefined) delete process.env.BLACKROAD_ANTHROPIC_API_KEY
+    else process.env.BLACKROAD_ANTHROPIC_API_KEY = originalKey
+  }
+})
+
+// ---------------------------------------------------------------------------
+// Error taxonomy
+// ---------------------------------------------------------------------------
+suite('Error taxonomy', async () => {
+  const { GatewayError, ProviderError, PolicyError, ValidationError } = errors
+  const policy = new PolicyError('Agent not allowed', 'AGENT_NOT_ALLOWED')
+  assert(policy instanceof GatewayError, 'PolicyError is a GatewayError')
+  assertEqual(policy.status, 403, 'PolicyError defaults to 403')
+  assertEqual(new ValidationError('bad').code, 'VALIDATION_FAILED', 'ValidationError has a default code')
+  assertEqual(new ValidationError('bad').status, 400, 'ValidationError defaults to 400')
+  assertEqual(
+    JSON.stringify(policy),
+    '{"error":{"code":"AGENT_NOT_ALLOWED","message":"Agent not allowed","status":403}}',
+    'serializes to an error envelope'
+  )
+  assert(new ProviderError('down').retryable, 'provider errors are retryable by default')
+
+  const limited = errors.upstreamError('Groq', new Response('', {
+    status: 429,
+    headers: { 'retry-after': '12' }
+  }), 'slow down')
+  assertEqual(limited.code, 'PROVIDER_RATE_LIMITED', 'maps upstream 429')
+  assertEqual(limited.status, 503, 'answers an upstream 429 with 503')
+  assertEqual(limited.retryAfter, 12, 'keeps the upstream Retry-After')
+  assertEqual(limited.message, 'Groq error 429: slow down', 'keeps the upstream detail')
+  const refused = errors.upstreamError('OpenAI', { status: 400 })
+  assertEqual(refused.code, 'PROVIDER_BAD_REQUEST', 'maps upstream 400')
+  assert(!refused.retryable, 'upstream 400 is not retryable')
+  assertEqual(errors.upstreamError('Gemini', { status: 401 }).code, 'PROVIDER_AUTH_FAILED', 'maps upstream 401')
+  assertEqual(errors.upstreamError('Gemini', { status: 500 }).code, 'PROVIDER_UNAVAILABLE', 'maps upstream 5xx')
+  assertEqual(errors.parseRetryAfter('Thu, 01 Jan 1970 00:00:30 GMT', 0), 30, 'parses an HTTP-date Retry-After')
+
+  const timeout = new Error('timed out')
+  timeout.name = 'TimeoutError'
+  const wrapped = errors.toProviderError(timeout, 'ollama')
+  assertEqual(wrapped.code, 'PROVIDER_TIMEOUT', 'wraps timeouts')
+  assertEqual(wrapped.status, 504, 'answers timeouts with 504')
+  assertEqual(wrapped.provider, 'ollama', 'records the provider')
+  assertEqual(errors.toProviderError(new TypeError('fetch failed')).code, 'PROVIDER_UNREACHABLE', 'wraps network errors')
+  const plain = errors.toProviderError(new Error('connect to port 443 refused by proxy'))
+  assertEqual(plain.code, 'PROVIDER_REQUEST_FAILED', 'numbers in a message are not statuses')
+  assertEqual(
+    errors.toProviderError(new Error('Missing BLACKROAD_OPENAI_API_KEY')).code,
+    'PROVIDER_REQUEST_FAILED',
+    'plain errors naming a key are not read as missing keys'
+  )
+
+  // The fallback chain only moves on when the failure is retryable
+  const originalFetch = global.fetch
+  const originalKeys = {
+    openai: process.env.BLACKROAD_OPENAI_API_KEY,
+    groq: process.env.BLACKROAD_GROQ_API_KEY
+  }
+  process.env.BLACKROAD_OPENAI_API_KEY = 'test-key'
+  process.env.BLACKROAD_GROQ_API_KEY = 'test-key'
+  const calls = []
+  let openaiStatus = 400
+  global.fetch = async (url) => {
+    calls.push(url)
+    if (url.includes('api.openai.com')) {
+      return new Response('{"error":"nope"}', { status: openaiStatus, headers: { 'retry-after': '7' } })
+    }
+    return new Response('busy', { status: 429, headers: { 'retry-after': '3' } })
+  }
+  const attempt = async () => {
+    try {
+      await invokeWithFallback('openai', ['openai', 'groq'], { input: 'hi', system: '' })
+      return null
+    } catch (error) {
+      return error
+    }
+  }
+  try {
+    let error = await attempt()
+    assertEqual(error && error.code, 'PROVIDER_BAD_REQUEST', 'surfaces a non-retryable provider error')
+    assertEqual(calls.length, 1, 'does not fall back after an upstream 400')
+
+    openaiStatus = 429
+    calls.length = 0
+    error = await attempt()
+    assertEqual(calls.length, 2, 'falls back after an upstream 429')
+    assertEqual(error && error.code, 'PROVIDERS_EXHAUSTED', 'reports an exhausted chain')
+    assertEqual(error && error.status, 503, 'answers 503 when every provider is rate limited')
+    assertEqual(error && error.retryAfter, 3, 'suggests the shortest upstream wait')
+  } finally {
+    breakers.breakers.clear()
+    global.fetch = originalFetch
+    for (const [name, value] of Object.entries(originalKeys)) {
+      const variable = `BLACKROAD_${name.toUpperCase()}_API_KEY`
+      if (value === undefined) delete process.env[variable]
+      else process.env[variable] = value
+    }
+  }
+})
+
+// ---------------------------------------------------------------------------
+// Response cache
+// ---------------------------------------------------------------------------
+suite('Response cache', async () => {
+  const request = {
+    agent: 'alice',
+    intent: 'monitor',
+    provider: 'ollama',
+    model: 'qwen2.5:3b',
+    system: 'You are Alice.',
+    input: 'status?',
+    history: [],
+    generation: {}
+  }
+  const key = cacheKey(request)
+  assertEqual(cacheKey({ ...request }), key, 'keys are stable')
+  assertEqual(cacheKey({ ...request, history: undefined, generation: undefined }), key, 'missing history and generation key like empty ones')
+  assert(cacheKey({ ...request, model: 'llama3.2' }) !== key, 'model is part of the key')
+  assert(cacheKey({ ...request, system: 'You are Prism.' }) !== key, 'system prompt is part of the key')
+  assert(cacheKey({ ...request, generation: { temperature: 0 } }) !== key, 'generation settings are part of the key')
+  assert(cacheKey({ ...request, history: [{ role: 'user', content: 'hi' }] }) !== key, 'history is part of the key')
+
+  const policy = { global: { cache_ttl_seconds: { monitor: 300, default: 0 } } }
+  assertEqual(cacheTtlSeconds(policy, {}, 'monitor'), 300, 'reads the global intent TTL')
+  assertEqual(cacheTtlSeconds(policy, { cache_ttl_seconds: { monitor: 30 } }, 'monitor'), 30, 'agent TTL overrides global')
+  assertEqual(cacheTtlSeconds(policy, {}, 'deploy'), 0, 'falls back to the default TTL')
+  assertEqual(cacheTtlSeconds({}, {}, 'monitor'), 0, 'caching is off when nothing is configured')
+
+  let clock = 1000
+  const cache = new ResponseCache({ maxEntries: 2 }, () => clock)
+  await cache.set('a', { output: 'A', provider: 'ollama' }, 10)
+  await cache.set('b', { output: 'B', provider: 'ollama' }, 10)
+  assertEqual((await cache.get('a')).output, 'A', 'returns a cached answer')
+  await cache.set('c', { output: 'C', provider: 'ollama' }, 10)
+  assertNull(await cache.get('b'), 'evicts the least recently used entry')
+  assertEqual((await cache.get('a')).output, 'A', 'keeps recently used entries')
+  clock += 10000
+  assertNull(await cache.get('a'), 'expires entries after their TTL')
+  assertEqual(cache.size, 1, 'drops expired entries')
+
+  const dir = fsSync.mkdtempSync(pathModule.join(os.tmpdir(), 'blackroad-cache-test-'))
+  try {
+    const disk = new ResponseCache({ maxEntries: 1, dir }, () => clock)
+    await disk.set('x', { output: 'X', provider: 'ollama' }, 60)
+    await disk.set('y', { output: 'Y', provider: 'ollama' }, 1)
+    assertEqual((await disk.get('x')).output, 'X', 'falls back to disk after LRU eviction')
+    const restarted = new ResponseCache({ dir }, () => clock)
+    assertEqual((await restarted.get('x')).output, 'X', 'disk entries survive a restart')
+    fsSync.writeFileSync(pathModule.join(dir, 'z.json'), '{not json')
+    assertNull(await restarted.get('z'), 'treats a corrupt file as a miss')
+    clock += 5000
+    assertEqual(await restarted.prune(), 2, 'prunes expired and corrupt files')
+    assertEqual(fsSync.readdirSync(dir).join(','), 'x.json', 'keeps live files')
+  } finally {
+    fsSync.rmSync(dir, { recursive: true, force: true })
+  }
+
+  const before = metrics.snapshot().cache
+  metrics.recordCache('alice', 'monitor', 'hit')
+  metrics.recordCache('alice', 'monitor', 'bypass')
+  const after = metrics.snapshot().cache
+  assertEqual(after.hits - before.hits, 1, 'counts cache hits')
+  assertEqual(after.bypassed - before.bypassed, 1, 'counts bypassed lookups')
+  assert(
+    metrics.prometheus().includes('gateway_cache_requests_total{agent="alice",intent="monitor",result="hit"} 1'),
+    'exports cache results to Prometheus'
+  )
+})
+
+// ---------------------------------------------------------------------------
+// Tool calling
+// ---------------------------------------------------------------------------
+suite('Tool calling', async () => {
+  const deployTool = {
+    name: 'trigger_deploy',
+    description: 'Trigger a deploy hook',
+    parameters: { type: 'object', properties: { service: { type: 'string' } }, required: ['service'] }
+  }
+  const call = { id: 'call_1', name: 'trigger_deploy', arguments: { service: 'gateway' } }
+  const followUp = {
+    protocol_version: 3,
+    agent: 'alice',
+    intent: 'deploy',
+    messages: [
+      { role: 'user', content: 'Ship the gateway' },
+      { role: 'assistant', content: '', tool_calls: [call] },
+      { role: 'tool', tool_call_id: 'call_1', content: '{"status":"queued"}' }
+    ]
+  }
+  assertEqual(protocol.validateRequest(followUp, 3).length, 0, 'accepts a tool-result follow-up')
+  const orphan = protocol.validateRequest({
+    ...followUp,
+    messages: [...followUp.messages.slice(0, 1), followUp.messages[2]]
+  }, 3)
+  assertEqual(orphan[0] && orphan[0].path, 'messages[1].tool_call_id', 'tool results must answer an earlier call')
+  assertEqual(
+    protocol.validateRequest({ ...followUp, tool_choice: 'always' }, 3)[0].path,
+    'tool_choice',
+    'validates tool_choice'
+  )
+
+  const normalized = protocol.normalizeRequest(followUp, 3)
+  assertEqual(normalized.payload.input, '', 'a tool-result follow-up has no new input')
+  assertEqual(normalized.history.length, 3, 'keeps the tool turns as history')
+  assertEqual(normalized.history[2].name, 'trigger_deploy', 'names tool results after their call')
+
+  const history = normalized.history
+  const openaiMessages = tools.chatCompletionMessages('sys', history, '')
+  assertEqual(openaiMessages.length, 4, 'adds no empty user turn after tool results')
+  assertEqual(openaiMessages[2].tool_calls[0].function.arguments, '{"service":"gateway"}', 'serializes call arguments for OpenAI')
+  assertEqual(openaiMessages[3].tool_call_id, 'call_1', 'sends tool results as tool messages')
+  assertEqual(tools.chatCompletionTools([deployTool]).tools[0].function.name, 'trigger_deploy', 'wraps tools as OpenAI functions')
+
+  const anthropicMessages = tools.anthropicMessages(history, 'and staging too')
+  assertEqual(anthropicMessages[1].content[0].type, 'tool_use', 'sends calls as tool_use blocks')
+  assertEqual(
+    anthropicMessages[2].content.map((block) => block.type).join(','),
+    'tool_result,text',
+    'merges tool results and the next user turn into one message'
+  )
+  assertEqual(tools.anthropicTools([deployTool], 'required').tool_choice.type, 'any', 'maps required to any')
+
+  const contents = tools.geminiContents(history)
+  assertEqual(contents[1].parts[0].functionCall.name, 'trigger_deploy', 'sends calls as functionCall parts')
+  assertEqual(contents[2].parts[0].functionResponse.name, 'trigger_deploy', 'matches results to calls by name')
+  assertEqual(tools.geminiTools([deployTool]).tools[0].functionDeclarations.length, 1, 'declares Gemini functions')
+
+  // Each adapter hands back normalized { id, name, arguments } calls
+  const { getProvider } = require('../gateway/providers')
+  const originalFetch = global.fetch
+  const originalKeys = {
+    BLACKROAD_OPENAI_API_KEY: process.env.BLACKROAD_OPENAI_API_KEY,
+    BLACKROAD_ANTHROPIC_API_KEY: process.env.BLACKROAD_ANTHROPIC_API_KEY,
+    BLACKROAD_GEMINI_API_KEY: process.env.BLACKROAD_GEMINI_API_KEY
+  }
+  for (const variable of Object.keys(originalKeys)) process.env[variable] = 'test-key'
+  const requests = []
+  global.fetch = async (url, init) => {
+    requests.push({ url, body: JSON.parse(init.body) })
+    if (url.includes('anthropic')) {
+      return Response.json({
+        content: [{ type: 'tool_use', id: 'toolu_1', name: 'trigger_deploy', input: { service: 'gateway' } }]
+      })
+    }
+    if (url.includes('generativelanguage')) {
+      return Response.json({
+        candidates: [{ content: { parts: [{ functionCall: { name: 'trigger_deploy', args: { service: 'gateway' } } }] } }]
+      })
+    }
+    if (url.includes('api.openai.com')) {
+      return Response.json({
+        choices: [{
+          message: {
+            content: null,
+            tool_calls: [{ id: 'call_9', type: 'function', function: { name: 'trigger_deploy', arguments: '{"service":"gateway"}' } }]
+          }
+        }]
+      })
+    }
+    return Response.json({
+      message: { role: 'assistant', content: '', tool_calls: [{ function: { name: 'trigger_deploy', arguments: { service: 'gateway' } } }] }
+    })
+  }
+  try {
+    for (const name of ['openai', 'claude', 'gemini', 'ollama']) {
+      let calls = null
+      const output = await getProvider(name).invoke({
+        input: 'Ship the gateway',
+        system: '',
+        tools: [deployTool],
+        toolChoice: 'auto',
+        onToolCalls: (reported) => {
+          calls = reported
+        }
+      })
+      assertEqual(output, '', `${name} returns no text with a tool call`)
+      assertEqual(calls && calls[0].name, 'trigger_deploy', `${name} reports the tool call`)
+      assertEqual(calls && calls[0].arguments.service, 'gateway', `${name} parses the call arguments`)
+      assert(calls && typeof calls[0].id === 'string' && calls[0].id.length > 0, `${name} gives the call an id`)
+    }
+    assertEqual(requests[0].body.tools[0].type, 'function', 'openai receives tools')
+    assertEqual(requests[1].body.tools[0].input_schema.type, 'object', 'anthropic receives input_schema')
+    assertEqual(requests[2].body.toolConfig.functionCallingConfig.mode, 'AUTO', 'gemini receives a calling mode')
+    assert(requests[3].url.endsWith('/api/chat'), 'ollama uses the chat API for tools')
+
+    requests.length = 0
+    const result = await invokeWithFallback('openai', [], {
+      input: '',
+      system: '',
+      history,
+      tools: [deployTool],
+      toolChoice: 'auto'
+    })
+    assertEqual(result.toolCalls && result.toolCalls[0].id, 'call_9', 'invokeWithFallback returns the tool calls')
+    assertEqual(requests[0].body.messages[requests[0].body.messages.length - 1].role, 'tool', 'ends the follow-up with the tool result')
+
+    global.fetch = async () => Response.json({
+      choices: [{ message: { tool_calls: [{ id: 'c', function: { name: 'trigger_deploy', arguments: '{oops' } }] } }]
+    })
+    let error = null
+    try {
+      await getProvider('openai').invoke({ input: 'hi', tools: [deployTool], onToolCalls: () => {} })
+    } catch (err) {
+      error = err
+    }
+    assertEqual(error && error.code, 'PROVIDER_MALFORMED_RESPONSE', 'refuses unparseable call arguments')
+  } finally {
+    breakers.breakers.clear()
+    global.fetch = originalFetch
+    for (const [variable, value] of Object.entries(originalKeys)) {
+      if (value === undefined) delete process.env[variable]
+      else process.env[variable] = value
+    }
+  }
+
+  const response = protocol.formatResponse({ status: 'ok', output: '', tool_calls: [call], request_id: 'r1', metadata: {} }, 3)
+  assertEqual(protocol.validateResponse(response, 3).length, 0, 'v3 responses may carry tool_calls')
+
+  const policy = JSON.parse(JSON.stringify(require('../policies/agent-permissions.json')))
+  policy.agents.alice.tools.push({ ...policy.agents.alice.tools[0] })
+  assert(
+    checkPolicy(policy).errors.some((issue) => issue.path === 'agents.alice.tools[1].name'),
+    'the linter flags duplicate tool names'
+  )
+})
+
+// ---------------------------------------------------------------------------
+// Structured output
+// ---------------------------------------------------------------------------
+suite('Structured output', async () => {
+  assertEqual(structured.parseJsonOutput('{"a":1}').value.a, 1, 'parses a bare JSON reply')
+  assertEqual(
+    structured.parseJsonOutput('```json\n{"a":{"b":"}"}}\n```').value.a.b,
+    '}',
+    'unwraps fenced JSON, braces in strings included'
+  )
+  assertEqual(
+    structured.parseJsonOutput('Sure! {not json} Here: {"ok":true} Done.').value.ok,
+    true,
+    'finds the first complete object in prose'
+  )
+  assert(structured.parseJsonOutput('no json here').error, 'reports a reply without JSON')
+
+  const format = {
+    type: 'json_schema',
+    schema: {
+      type: 'object',
+      properties: { status: { type: 'string', enum: ['up', 'down'] } },
+      required: ['status']
+    }
+  }
+  const replies = ['The service is up.', '{"status":"sideways"}', '{"status":"up"}']
+  const calls = []
+  const invoke = async (args) => {
+    calls.push(args)
+    return { output: replies[calls.length - 1], provider: 'ollama', usage: { prompt_tokens: 10, completion_tokens: 5 } }
+  }
+  const result = await structured.invokeStructured(invoke, { input: 'Status?', system: 'sys', history: [] }, format)
+  assertEqual(result.parsed.status, 'up', 'returns the parsed value')
+  assertEqual(result.output, '{"status":"up"}', 'keeps the raw text')
+  assertEqual(result.attempts, 3, 'repairs until the reply matches')
+  assertEqual(result.usage.prompt_tokens, 30, 'sums usage over attempts')
+  assert(calls[0].system.startsWith('sys\n\n') && calls[0].system.includes('"enum":["up","down"]'), 'puts the schema in the system prompt')
+  assertEqual(calls[0].responseFormat, format, 'hands adapters the response format')
+  assertEqual(calls[1].history.length, 2, 'replays the question and the bad reply')
+  assertEqual(calls[1].history[1].content, 'The service is up.', 'shows the model its bad reply')
+  assert(calls[2].input.includes('status'), 'names what was wrong in the repair prompt')
+
+  let error = null
+  try {
+    await structured.invokeStructured(async () => ({ output: 'nope', provider: 'ollama' }), { input: 'x' }, format, { maxRepairs: 1 })
+  } catch (err) {
+    error = err
+  }
+  assertEqual(error && error.code, 'STRUCTURED_OUTPUT_INVALID', 'fails once the repairs run out')
+  assertEqual(error && error.retryable, false, 'does not fall back on invalid output')
+  assert(error && Array.isArray(error.details) && error.details.length > 0, 'reports the remaining issues')
+
+  let refused = null
+  try {
+    structured.checkResponseFormat({ type: 'json_schema', schema: { type: 'object', properties: { at: { type: 'string', format: 'date-time' } } } })
+  } catch (err) {
+    refused = err
+  }
+  assertEqual(refused && refused.code, 'INVALID_RESPONSE_SCHEMA', 'refuses a schema with keywords it cannot check')
+  assertEqual(refused && refused.details[0].path, 'response_format.schema.properties.at', 'naming where they are')
+  structured.checkResponseFormat(format)
+  structured.checkResponseFormat({ type: 'json_object' })
+  assert(true, 'accepts schemas it can check, and json_object')
+
+  const anyObject = await structured.invokeStructured(async () => ({ output: '{"x":1}' }), { input: 'x' }, { type: 'json_object' })
+  assertEqual(anyObject.parsed.x, 1, 'json_object accepts any object')
+
+  // Native JSON modes in the adapters' request bodies
+  const { getProvider } = require('../gateway/providers')
+  const originalFetch = global.fetch
+  const originalKeys = {
+    BLACKROAD_OPENAI_API_KEY: process.env.BLACKROAD_OPENAI_API_KEY,
+    BLACKROAD_GEMINI_API_KEY: process.env.BLACKROAD_GEMINI_API_KEY
+  }
+  for (const variable of Object.keys(originalKeys)) process.env[variable] = 'test-key'
+  const requests = []
+  global.fetch = async (url, init) => {
+    requests.push({ url, body: JSON.parse(init.body) })
+    if (url.includes('generativelanguage')) {
+      return Response.json({ candidates: [{ content: { parts: [{ text: '{"status":"up"}' }] } }] })
+    }
+    if (url.includes('api.openai.com')) {
+      return Response.json({ choices: [{ message: { content: '{"status":"up"}' } }] })
+    }
+    return Response.json({ response: '{"status":"up"}' })
+  }
+  try {
+    for (const name of ['openai', 'gemini', 'ollama']) {
+      await getProvider(name).invoke({ input: 'Status?', system: '', responseFormat: format })
+    }
+    assertEqual(requests[0].body.response_format.type, 'json_schema', 'openai uses json_schema mode')
+    assertEqual(JSON.stringify(requests[0].body.response_format.json_schema.schema), JSON.stringify(format.schema), 'openai receives the schema')
+    assertEqual(requests[1].body.generationConfig.responseMimeType, 'application/json', 'gemini asks for JSON')
+    assertEqual(JSON.stringify(requests[2].body.format), JSON.stringify(format.schema), 'ollama receives the schema as format')
+  } finally {
+    global.fetch = originalFetch
+    for (const [variable, value] of Object.entries(originalKeys)) {
+      if (value === undefined) delete process.env[variable]
+      else process.env[variable] = value
+    }
+  }
+
+  const request = { agent: 'prism', intent: 'analyze', input: 'x', response_format: { type: 'json_schema' } }
+  assertEqual(
+    protocol.validateRequest(request, 2).some((issue) => issue.path === 'response_format.schema'),
+    true,
+    'json_schema requires a schema'
+  )
+  assertEqual(
+    protocol.validateRequest({ ...request, response_format: format }, 2).length,
+    0,
+    'accepts a json_schema response format'
+  )
+  for (const version of [2, 3]) {
+    const response = protocol.formatResponse({ status: 'ok', output: '{"status":"up"}', parsed: { status: 'up' }, request_id: 'r1', metadata: {} }, version)
+    assertEqual(protocol.validateResponse(response, version).length, 0, `v${version} responses may carry parsed`)
+  }
+  assertEqual(
+    cacheKey({ agent: 'a', intent: 'i', provider: 'p', input: 'x' }) === cacheKey({ agent: 'a', intent: 'i', provider: 'p', input: 'x', format }),
+    false,
+    'the response format is part of the cache key'
+  )
+})
+
+// ---------------------------------------------------------------------------
+// Attachments
+// ---------------------------------------------------------------------------
+suite('Attachments', async () => {
+  const png = Buffer.from('fake png').toString('base64')
+  const request = {
+    protocol_version: 3,
+    agent: 'prism',
+    intent: 'analyze',
+    input: 'What does this diagram show?',
+    attachments: [
+      { name: 'diagram.png', mime_type: 'image/png', data: png },
+      { name: 'notes.txt', mime_type: 'text/plain', text: 'draft' }
+    ]
+  }
+  assertEqual(protocol.validateRequest(request, 3).length, 0, 'accepts image attachments')
+  assertEqual(
+    protocol.validateRequest({ ...request, attachments: [{ mime_type: 'application/pdf', path: 'spec.pdf' }] }, 3).length,
+    0,
+    'accepts file references'
+  )
+  const normalized = protocol.normalizeRequest(request, 3)
+  assertEqual(normalized.attachments.length, 1, 'hands media attachments to the provider')
+  assertEqual(normalized.attachments[0].data, png, 'keeps the base64 data')
+  assert(normalized.payload.input.endsWith('[Attachment: notes.txt (text/plain)]\ndraft'), 'still inlines text attachments')
+  assertEqual(normalized.payload.attachments, undefined, 'takes attachments out of the payload')
+
+  // File references resolve under attachmentDir only
+  const dir = fsSync.mkdtempSync(pathModule.join(os.tmpdir(), 'blackroad-attachments-'))
+  fsSync.writeFileSync(pathModule.join(dir, 'diagram.png'), 'fake png')
+  fsSync.writeFileSync(pathModule.join(os.tmpdir(), 'blackroad-outside.png'), 'secret')
+  const refusal = async (attachments, options) => {
+    try {
+      await resolveAttachments(attachments, options)
+      return null
+    } catch (err) {
+      return err
+    }
+  }
+  try {
+    const [resolved] = await resolveAttachments([{ mime_type: 'image/png', path: 'diagram.png' }], { dir })
+    assertEqual(resolved.data, png, 'reads file references as base64')
+    assertEqual(resolved.name, 'diagram.png', 'names the attachment after its file')
+    assertEqual(resolved.path, undefined, 'drops the path')
+    const inline = [{ mime_type: 'image/png', data: png }]
+    assertEqual(await resolveAttachments(inline, {}), inline, 'leaves inline attachments alone')
+    const disabled = await refusal([{ mime_type: 'image/png', path: 'diagram.png' }], {})
+    assertEqual(disabled && disabled.code, 'ATTACHMENT_NOT_ALLOWED', 'refuses file references without attachmentDir')
+    const escape = await refusal([{ mime_type: 'image/png', path: '../blackroad-outside.png' }], { dir })
+    assertEqual(escape && escape.code, 'ATTACHMENT_NOT_ALLOWED', 'refuses paths outside attachmentDir')
+    const absent = await refusal([{ mime_type: 'image/png', path: '../blackroad-absent.png' }], { dir })
+    assertEqual(
+      absent && `${absent.code} ${absent.details[0].message}`,
+      `${escape.code} ${escape.details[0].message}`,
+      'refuses missing and existing files outside attachmentDir alike'
+    )
+    fsSync.symlinkSync(pathModule.join(os.tmpdir(), 'blackroad-outside.png'), pathModule.join(dir, 'link.png'))
+    const linked = await refusal([{ mime_type: 'image/png', path: 'link.png' }], { dir })
+    assertEqual(linked && linked.code, 'ATTACHMENT_NOT_ALLOWED', 'refuses symlinks out of attachmentDir')
+    const missing = await refusal([{ mime_type: 'image/png', path: 'nope.png' }], { dir })
+    assertEqual(missing && missing.details[0].path, 'attachments[0].path', 'reports a missing file')
+    const large = await refusal([{ mime_type: 'image/png', path: 'diagram.png' }], { dir, maxBytes: 4 })
+    assertEqual(large && large.status, 413, 'refuses files over maxAttachmentBytes')
+  } finally {
+    fsSync.rmSync(dir, { recursive: true, force: true })
+    fsSync.rmSync(pathModule.join(os.tmpdir(), 'blackroad-outside.png'), { force: true })
+  }
+
+  // Capabilities follow the configured model
+  const { getProvider, providerAccepts } = require('../gateway/providers')
+  const originalFetch = global.fetch
+  const originalEnv = {
+    BLACKROAD_OPENAI_API_KEY: process.env.BLACKROAD_OPENAI_API_KEY,
+    BLACKROAD_ANTHROPIC_API_KEY: process.env.BLACKROAD_ANTHROPIC_API_KEY,
+    BLACKROAD_GEMINI_API_KEY: process.env.BLACKROAD_GEMINI_API_KEY,
+    BLACKROAD_OLLAMA_MODEL: process.env.BLACKROAD_OLLAMA_MODEL,
+    BLACKROAD_OPENAI_MODEL: process.env.BLACKROAD_OPENAI_MODEL
+  }
+  for (const variable of Object.keys(originalEnv)) delete process.env[variable]
+  process.env.BLACKROAD_OPENAI_API_KEY = 'test-key'
+  process.env.BLACKROAD_ANTHROPIC_API_KEY = 'test-key'
+  process.env.BLACKROAD_GEMINI_API_KEY = 'test-key'
+  const requests = []
+  global.fetch = async (url, init) => {
+    requests.push({ url, body: JSON.parse(init.body) })
+    if (url.includes('anthropic')) return Response.json({ content: [{ type: 'text', text: 'a chart' }] })
+    if (url.includes('generativelanguage')) {
+      return Response.json({ candidates: [{ content: { parts: [{ text: 'a chart' }] } }] })
+    }
+    if (url.includes('api.openai.com')) return Response.json({ choices: [{ message: { content: 'a chart' } }] })
+    return Response.json({ response: 'a chart' })
+  }
+  try {
+    assertEqual(providerAccepts('ollama', 'image/png'), false, 'the default Ollama model is text-only')
+    assertEqual(providerAccepts('openai', 'image/png'), true, 'gpt-4o-mini takes images')
+    assertEqual(providerAccepts('openai', 'application/pdf'), false, 'OpenAI chat completions takes no PDFs')
+    assertEqual(providerAccepts('claude', 'application/pdf'), true, 'Claude takes PDFs')
+    assertEqual(providerAccepts('groq', 'image/png'), false, 'adapters without media support are text-only')
+    process.env.BLACKROAD_OPENAI_MODEL = 'gpt-3.5-turbo'
+    assertEqual(providerAccepts('openai', 'image/png'), false, 'older OpenAI models are text-only')
+    delete process.env.BLACKROAD_OPENAI_MODEL
+    process.env.BLACKROAD_OLLAMA_MODEL = 'llava:7b'
+    assertEqual(providerAccepts('ollama', 'image/png'), true, 'Ollama vision models take images')
+
+    const pdf = { name: 'spec.pdf', mime_type: 'application/pdf', data: png }
+    const attachments = [normalized.attachments[0]]
+    for (const name of ['openai', 'claude', 'gemini', 'ollama']) {
+      await getProvider(name).invoke({
+        input: 'What does this diagram show?',
+        system: '',
+        attachments: name === 'claude' ? [...attachments, pdf] : attachments
+      })
+    }
+    const [openaiBody, anthropicBody, geminiBody, ollamaBody] = requests.map((request) => request.body)
+    const openaiParts = openaiBody.messages[openaiBody.messages.length - 1].content
+    assertEqual(openaiParts.map((part) => part.type).join(','), 'text,image_url', 'openai receives image_url parts')
+    assertEqual(openaiParts[1].image_url.url, `data:image/png;base64,${png}`, 'as a data URL')
+    const anthropicBlocks = anthropicBody.messages[0].content
+    assertEqual(anthropicBlocks.map((block) => block.type).join(','), 'text,image,document', 'anthropic receives image and document blocks')
+    assertEqual(anthropicBlocks[1].source.media_type, 'image/png', 'with their media type')
+    assertEqual(geminiBody.contents[0].parts[1].inline_data.mime_type, 'image/png', 'gemini receives inline_data parts')
+    assertEqual(ollamaBody.images[0], png, 'ollama receives images')
+
+    // The fallback chain passes over providers that cannot see the attachment
+    delete process.env.BLACKROAD_OLLAMA_MODEL
+    requests.length = 0
+    const result = await invokeWithFallback('ollama', ['groq', 'gemini'], { input: 'Describe', system: '', attachments })
+    assertEqual(result.provider, 'gemini', 'skips text-only providers')
+    assertEqual(result.fallback, true, 'reports the answer as a fallback')
+    assertEqual(requests.length, 1, 'never calls the text-only providers')
+    let error = null
+    try {
+      await invokeWithFallback('ollama', ['groq'], { input: 'Describe', system: '', attachments })
+    } catch (err) {
+      error = err
+    }
+    assertEqual(error && error.code, 'ATTACHMENT_UNSUPPORTED', 'fails clearly when no provider can take it')
+    assertEqual(error && error.status, 422, 'as an unprocessable request')
+    assertEqual(error && error.details.length, 2, 'naming each provider passed over')
+  } finally {
+    breakers.breakers.clear()
+    global.fetch = originalFetch
+    for (const [variable, value] of Object.entries(originalEnv)) {
+      if (value === undefined) delete process.env[variable]
+      else process.env[variable] = value
+    }
+  }
+
+  assert(
+    cacheKey({ agent: 'a', intent: 'i', provider: 'p', input: 'x' }) !==
+      cacheKey({ agent: 'a', intent: 'i', provider: 'p', input: 'x', attachments: normalized.attachments }),
+    'attachments are part of the cache key'
+  )
+})
+
+// ---------------------------------------------------------------------------
+// Task queue
+// ---------------------------------------------------------------------------
+suite('Task queue', async () => {
+  const dir = fsSync.mkdtempSync(pathModule.join(os.tmpdir(), 'blackroad-tasks-'))
+  const request = (input) => ({ payload: { agent: 'prism', intent: 'analyze', input }, agent: 'prism', intent: 'analyze', owner: 'ci' })
+  try {
+    const runs = []
+    const queue = new TaskQueue(dir, async (task) => {
+      runs.push(task.payload.input)
+      if (task.payload.input === 'broken') {
+        return { ok: false, error: { code: 'PROVIDERS_EXHAUSTED', message: 'All providers failed' } }
+      }
+      return { ok: true, result: { status: 'ok', output: `re: ${task.payload.input}` } }
+    })
+    await queue.load()
+    const task = await queue.submit(request('hello'))
+    assert(fsSync.existsSync(pathModule.join(dir, `${task.id}.json`)), 'writes a new task to disk before answering')
+    await queue.idle()
+    assertEqual(queue.get(task.id).status, 'succeeded', 'runs the task')
+    assertEqual(queue.get(task.id).result.output, 're: hello', 'keeps the result')
+    assertEqual(readJson(dir, task.id).status, 'succeeded', 'persists the outcome')
+    assertEqual(queue.get(task.id).attempts, 1, 'counts attempts')
+
+    const failed = await queue.submit(request('broken'))
+    await queue.idle()
+    assertEqual(queue.get(failed.id).status, 'failed', 'a failed run fails the task')
+    assertEqual(queue.get(failed.id).error.code, 'PROVIDERS_EXHAUSTED', 'with the run error')
+
+    assertEqual(queue.list().map((t) => t.id).join(), [failed.id, task.id].join(), 'lists newest first')
+    assertEqual(queue.list({ status: 'failed' }).length, 1, 'filters by status')
+    assertEqual(queue.list({ agent: 'cipher' }).length, 0, 'filters by agent')
+    assertEqual(queue.list({ limit: 1 }).length, 1, 'honours the limit')
+    assertEqual(queue.counts().succeeded, 1, 'counts tasks by status')
+    assertEqual(queue.get('../etc/passwd'), null, 'ignores ids that are not task ids')
+
+    const summary = taskView(queue.get(task.id))
+    assertEqual(summary.result, undefined, 'summaries leave out the result')
+    assertEqual(summary.caller, undefined, 'and the submitter claims')
+    assertEqual(taskView(queue.get(task.id), { detail: true }).result.output, 're: hello', 'details include it')
+  } finally {
+    fsSync.rmSync(dir, { recursive: true, force: true })
+  }
+
+  // Cancellation, busy retries and retention
+  const dir2 = fsSync.mkdtempSync(pathModule.join(os.tmpdir(), 'blackroad-tasks-'))
+  try {
+    let release
+    const blocked = new Promise((resolve) => {
+      release = resolve
+    })
+    let busy = 1
+    const queue = new TaskQueue(dir2, async (task, signal) => {
+      if (task.payload.input === 'slow') {
+        await new Promise((resolve) => signal.addEventListener('abort', resolve, { once: true }))
+        return { ok: false, error: { code: 'CANCELLED', message: 'aborted' } }
+      }
+      if (task.payload.input === 'busy' && busy-- > 0) {
+        return { ok: false, error: { code: 'QUEUE_FULL', message: 'busy' }, retryAfter: 0 }
+      }
+      if (task.payload.input === 'wait') await blocked
+      return { ok: true, result: { status: 'ok' } }
+    }, { concurrency: 1, maxRetained: 2 })
+    await queue.load()
+
+    const slow = await queue.submit(request('slow'))
+    const waiting = await queue.submit(request('never'))
+    await queue.cancel(waiting.id)
+    assertEqual(queue.get(waiting.id).status, 'cancelled', 'cancels a queued task')
+    await queue.cancel(slow.id)
+    assertEqual(queue.get(slow.id).status, 'cancelled', 'aborts and cancels a running task')
+    assertEqual(queue.get(slow.id).error.code, 'TASK_CANCELLED', 'as a cancellation')
+
+    const retried = await queue.submit(request('busy'))
+    await queue.idle()
+    await new Promise((resolve) => setTimeout(resolve, 10))
+    await queue.idle()
+    assertEqual(queue.get(retried.id).status, 'succeeded', 'requeues a run the gateway was too busy for')
+    assertEqual(queue.get(retried.id).attempts, 2, 'and runs it again')
+    const dropped = [slow, waiting].filter((t) => !queue.get(t.id))
+    assertEqual(dropped.length, 1, 'keeps at most maxRetained finished tasks')
+    assert(!fsSync.existsSync(pathModule.join(dir2, `${dropped[0].id}.json`)), 'removes their files')
+
+    // A task that was running when the gateway stopped runs again
+    const pending = await queue.submit(request('wait'))
+    for (let i = 0; i < 50 && readJson(dir2, pending.id).status !== 'running'; i++) {
+      await new Promise((resolve) => setTimeout(resolve, 5))
+    }
+    assertEqual(readJson(dir2, pending.id).status, 'running', 'records the running state')
+    const recoveredRuns = []
+    const restarted = new TaskQueue(dir2, async (task) => {
+      recoveredRuns.push(task.id)
+      return { ok: true, result: { status: 'ok' } }
+    })
+    const loaded = await restarted.load({ start: false })
+    assertEqual(loaded.recovered, 1, 'finds the interrupted run')
+    await restarted.idle()
+    assertEqual(recoveredRuns.length, 0, 'holds it until the queue starts')
+    assertEqual(restarted.get(pending.id).status, 'queued', 'keeping it queued')
+    restarted.start()
+    await restarted.idle()
+    assertEqual(recoveredRuns.join(), pending.id, 'runs it again after a restart')
+    assertEqual(restarted.get(pending.id).status, 'succeeded', 'and finishes it')
+    assertEqual(restarted.get(pending.id).attempts, 2, 'counting the interrupted attempt')
+
+    // One that was on its last attempt fails instead of crashing the gateway again
+    const crashing = { ...readJson(dir2, pending.id), id: require('crypto').randomUUID(), status: 'running', attempts: 3 }
+    fsSync.writeFileSync(pathModule.join(dir2, `${crashing.id}.json`), JSON.stringify(crashing))
+    const reruns = []
+    const again = new TaskQueue(dir2, async (task) => {
+      reruns.push(task.id)
+      return { ok: true, result: {} }
+    })
+    const reloaded = await again.load()
+    await again.idle()
+    assertEqual(reloaded.exhausted, 1, 'finds the run that used up its attempts')
+    assertEqual(reruns.length, 0, 'does not run it again')
+    assertEqual(again.get(crashing.id).status, 'failed', 'fails it')
+    assertEqual(again.get(crashing.id).error.code, 'TASK_ATTEMPTS_EXHAUSTED', 'as exhausted')
+    assertEqual(readJson(dir2, crashing.id).status, 'failed', 'and records the failure')
+    release()
+    await queue.idle()
+  } finally {
+    fsSync.rmSync(dir2, { recursive: true, force: true })
+  }
+
+  // Retention by age
+  const dir3 = fsSync.mkdtempSync(pathModule.join(os.tmpdir(), 'blackroad-tasks-'))
+  try {
+    let clock = Date.parse('2026-10-01T00:00:00Z')
+    const queue = new TaskQueue(dir3, async () => ({ ok: true, result: {} }), { retentionSeconds: 60 }, () => clock)
+    const old = await queue.submit(request('old'))
+    await queue.idle()
+    clock += 61 * 1000
+    assertEqual(await queue.prune(), 1, 'drops finished tasks past the retention period')
+    assertNull(queue.get(old.id), 'forgets them')
+  } finally {
+    fsSync.rmSync(dir3, { recursive: true, force: true })
+  }
+})
+
+// ---------------------------------------------------------------------------
+// Lifecycle events
+// ---------------------------------------------------------------------------
+suite('Lifecycle events', async () => {
+  const pattern = lifecycle.DEFAULT_SUBJECT_PATTERN
+  assertEqual(lifecycle.eventSubject(pattern, 'completed', 'prism'), 'blackroad.gateway.agent.prism.completed', 'fills in the subject pattern')
+  assertEqual(lifecycle.eventSubject(pattern, 'accepted', 'a.b>*'), 'blackroad.gateway.agent.a_b__.accepted', 'keeps agent names to one subject token')
+  assertEqual(lifecycle.eventSubject('gw.{event}', 'fallback', 'prism'), 'gw.fallback', 'takes a custom pattern')
+
+  const policy = { global: { event_redaction: ['input'] }, agents: { prism: { event_redaction: [] } } }
+  assertEqual(lifecycle.redactedFields(null, null).join(), lifecycle.CONTENT_FIELDS.join(), 'redacts content fields by default')
+  assertEqual(lifecycle.redactedFields(policy, {}).join(), 'input', 'follows the global policy')
+  assertEqual(lifecycle.redactedFields(policy, policy.agents.prism).length, 0, 'an agent policy overrides the global one')
+
+  const published = []
+  const bus = { publish: (subject, data) => published.push({ subject, data }) }
+  const events = new lifecycle.LifecycleEvents(bus, { now: () => Date.parse('2026-10-01T00:00:00Z') })
+  events.publish('accepted', { agent: 'prism', input: 'secret plans', context: {}, stream: false })
+  assertEqual(published[0].subject, 'blackroad.gateway.agent.prism.accepted', 'publishes on the agent subject')
+  assertEqual(published[0].data.event, 'accepted', 'names the event')
+  assertEqual(published[0].data.timestamp, '2026-10-01T00:00:00.000Z', 'stamps the time')
+  assertEqual(published[0].data.input, '[redacted]', 'redacts the input')
+  assertEqual(published[0].data.stream, false, 'keeps other fields')
+  events.publish('completed', { agent: 'prism', output: 'done' }, { policy, agentPolicy: policy.agents.prism })
+  assertEqual(published[1].data.output, 'done', 'publishes content the policy leaves unredacted')
+
+  const failing = new lifecycle.LifecycleEvents({ publish: () => { throw new Error('bus down') } })
+  const originalWarn = console.warn
+  console.warn = () => {}
+  try {
+    failing.publish('completed', { agent: 'prism' })
+    assert(true, 'does not throw when the bus fails')
+  } finally {
+    console.warn = originalWarn
+  }
+  new lifecycle.LifecycleEvents(null).publish('completed', { agent: 'prism' })
+  assert(true, 'publishes nothing without a bus')
+
+  const shipped = require('../policies/agent-permissions.json')
+  const withRedaction = JSON.parse(JSON.stringify(shipped))
+  withRedaction.global.event_redaction = ['input', 'output']
+  withRedaction.agents.prism.event_redaction = ['imput']
+  const lint = checkPolicy(withRedaction).errors.map((issue) => issue.path)
+  assert(!lint.includes('global.event_redaction'), 'the linter accepts event_redaction')
+  assert(lint.includes('agents.prism.event_redaction[0]'), 'and flags unknown fields in it')
+
+  // Provider hooks: every attempt, the failure and the fallback that answered
+  const originalFetch = global.fetch
+  const originalKey = process.env.BLACKROAD_OPENAI_API_KEY
+  process.env.BLACKROAD_OPENAI_API_KEY = 'test-key'
+  breakers.breakers.clear()
+  try {
+    global.fetch = async (url) => {
+      if (url.includes('api.openai.com')) {
+        return new Response(JSON.stringify({ choices: [{ message: { content: 'ok' } }] }))
+      }
+      throw new Error('connect ECONNREFUSED')
+    }
+    const seen = []
+    const result = await invokeWithFallback('ollama', ['ollama', 'openai'], { input: 'hi', system: '' }, {
+      onAttempt: (name) => seen.push(`attempt:${name}`),
+      onFailure: (name, error) => seen.push(`failed:${name}:${error.code}`),
+      onFallback: (name) => seen.push(`fallback:${name}`)
+    })
+    assertEqual(result.provider, 'openai', 'falls back as before with hooks')
+    assertEqual(seen.join(' '), 'attempt:ollama failed:ollama:PROVIDER_UNREACHABLE attempt:openai fallback:openai', 'reports each attempt, failure and fallback')
+  } finally {
+    global.fetch = originalFetch
+    breakers.breakers.clear()
+    if (originalKey === undefined) delete process.env.BLACKROAD_OPENAI_API_KEY
+    else process.env.BLACKROAD_OPENAI_API_KEY = originalKey
+  }
+})
+
+// ---------------------------------------------------------------------------
+// Event bus
+// ---------------------------------------------------------------------------
+suite('Event bus', async () => {
+  const dir = fsSync.mkdtempSync(pathModule.join(os.tmpdir(), 'blackroad-events-'))
+  const outboxPath = pathModule.join(dir, 'outbox.jsonl')
+  const nats = fakeNats()
+  const options = { connect: nats.connect, outboxPath, outboxMax: 2, reconnectInitialMs: 5, persistDelayMs: 0 }
+  // Quiet the bus's own connection notices
+  const originalLog = console.log
+  const originalWarn = console.warn
+  console.log = (...args) => String(args[0]).startsWith('[EventBus]') || originalLog(...args)
+  console.warn = (...args) => String(args[0]).startsWith('[EventBus]') || originalWarn(...args)
+  const buses = []
+  try {
+    // NATS down: messages wait in the bounded outbox, on disk
+    nats.up = false
+    const bus = new EventBus(options)
+    buses.push(bus)
+    assertEqual(await bus.connect(), false, 'reports a failed connect')
+    const local = []
+    bus.on('a', (data) => local.push(data.n))
+    bus.publish('a', { n: 1 })
+    bus.publish('a', { n: 2 })
+    bus.publish('a', { n: 3 })
+    assertEqual(local.join(), '1,2,3', 'still emits locally')
+    assertEqual(bus.outbox.map((m) => m.data.n).join(), '2,3', 'drops the oldest message when full')
+    assertEqual(bus.dropped, 1, 'counts dropped messages')
+    await waitFor(() => outboxLines(outboxPath).length === 2)
+    assertEqual(outboxLines(outboxPath).map((m) => m.data.n).join(), '2,3', 'keeps the outbox on disk')
+
+    // A restart picks the outbox up again
+    const restarted = new EventBus({ ...options, connect: nats.connect })
+    buses.push(restarted)
+    assertEqual(restarted.outbox.map((m) => m.data.n).join(), '2,3', 'loads the outbox after a restart')
+    await restarted.close()
+
+    // Reconnect with back-off, then flush in order
+    assert(nats.connects >= 1 && bus._reconnectTimer !== null, 'schedules a reconnect')
+    nats.up = true
+    await waitFor(() => bus.connected && bus.outbox.length === 0)
+    assertEqual(nats.published.map((m) => m.data.n).join(), '2,3', 'flushes the outbox in order on reconnect')
+    bus.publish('a', { n: 4 })
+    assertEqual(nats.published.map((m) => m.data.n).join(), '2,3,4', 'publishes directly once connected')
+    await waitFor(() => outboxLines(outboxPath).length === 0)
+    assertEqual(outboxLines(outboxPath).length, 0, 'empties the outbox file once flushed')
+
+    // Connection lost: queue again, reconnect and deliver
+    nats.drop()
+    await waitFor(() => !bus.connected)
+    bus.publish('a', { n: 5 })
+    assertEqual(bus.outbox.length, 1, 'queues while the connection is down')
+    nats.up = true
+    await waitFor(() => bus.connected && bus.outbox.length === 0)
+    assertEqual(nats.published.map((m) => m.data.n).join(), '2,3,4,5', 'delivers after reconnecting')
+
+    // Several handlers per subject; bad messages and failing handlers are survived
+    const first = []
+    const second = []
+    const unsubscribeFirst = bus.subscribe('b', (data) => first.push(data.n))
+    const unsubscribeFailing = bus.subscribe('b', () => {
+      throw new Error('handler bug')
+    })
+    const unsubscribe = bus.subscribe('b', (data) => second.push(data.n))
+    nats.deliver('b', '{"n":1}')
+    nats.deliver('b', 'not json')
+    nats.deliver('b', '{"n":2}')
+    await waitFor(() => first.length === 2)
+    assertEqual(first.join(), '1,2', 'keeps serving a subject after malformed JSON and a throwing handler')
+    assertEqual(second.join(), '1,2', 'delivers to every handler on the subject')
+    assertEqual(nats.subscriptions.b, 1, 'shares one NATS subscription per subject')
+    unsubscribe()
+    nats.deliver('b', '{"n":3}')
+    await waitFor(() => first.length === 3)
+    assertEqual(second.join(), '1,2', 'stops calling a removed handler')
+    unsubscribeFirst()
+    assertEqual(nats.unsubscribed.b, undefined, 'keeps the NATS subscription while the subject has handlers')
+    unsubscribeFailing()
+    assertEqual(nats.unsubscribed.b, 1, 'unsubscribes from NATS with the last handler')
+    assert(!bus.subjects.has('b'), 'and forgets the subject')
+    unsubscribeFailing()
+    assertEqual(nats.unsubscribed.b, 1, 'removing a handler twice is harmless')
+    const again = []
+    bus.subscribe('b', (data) => again.push(data.n))
+    nats.deliver('b', '{"n":4}')
+    await waitFor(() => again.length === 1)
+    assertEqual(`${nats.subscriptions.b} ${again.join()}`, '2 4', 'subscribes again for a new handler')
+    await bus.close()
+
+    // Other overflow policies
+    const newest = new EventBus({ connect: nats.connect, outboxMax: 1, overflow: 'drop_newest' })
+    newest.publish('a', { n: 1 })
+    newest.publish('a', { n: 2 })
+    assertEqual(newest.outbox.map((m) => m.data.n).join(), '1', 'drop_newest keeps the queued messages')
+    const strict = new EventBus({ connect: nats.connect, outboxMax: 1, overflow: 'reject' })
+    strict.publish('a', { n: 1 })
+    let error = null
+    try {
+      strict.publish('a', { n: 2 })
+    } catch (err) {
+      error = err
+    }
+    assertEqual(error && error.code, 'OUTBOX_FULL', 'reject throws when the outbox is full')
+    let invalid = null
+    try {
+      new EventBus({ overflow: 'drop_all' })
+    } catch (err) {
+      invalid = err
+    }
+    assert(invalid !== null, 'refuses unknown overflow policies')
+
+    // Without the nats package there is nothing to reconnect to
+    const offlinePath = pathModule.join(dir, 'offline.jsonl')
+    fsSync.writeFileSync(offlinePath, '{"subject":"a","data":{"n":0}}\n')
+    const offline = new EventBus({
+      natsUrl: 'nats://127.0.0.1:1',
+      outboxPath: offlinePath,
+      persistDelayMs: 0,
+      loadNats: () => {
+        throw new Error("Cannot find module 'nats'")
+      }
+    })
+    offline.publish('a', { n: 1 })
+    assertEqual(await offline.connect(), false, 'stays local without the NATS client')
+    assertNull(offline._reconnectTimer, 'and does not retry')
+    assertEqual(offline.outbox.length, 0, 'drops what it had queued')
+    const offlineLocal = []
+    offline.on('a', (data) => offlineLocal.push(data.n))
+    offline.publish('a', { n: 2 })
+    assertEqual(`${offlineLocal.join()} ${offline.outbox.length}`, '2 0', 'emits later events locally without queueing them')
+    await offline.close()
+    assertEqual(outboxLines(offlinePath).map((m) => m.data.n).join(), '0,1',
+      'leaves the outbox file for a process that can send it')
+  } finally {
+    for (const bus of buses) await bus.close()
+    console.log = originalLog
+    console.warn = originalWarn
+    fsSync.rmSync(dir, { recursive: true, force: true })
+  }
+})
+
+// A stand-in NATS server: up decides whether connects and publishes work
+// ---------------------------------------------------------------------------
+// Journal write failures
+// ---------------------------------------------------------------------------
+suite('Journal write failures', async () => {
+  const fsPromises = require('fs/promises')
+  const originalAppend = fsPromises.appendFile
+  const originalFetch = global.fetch
+  const failJournal = () => {
+    fsPromises.appendFile = async (file, ...rest) => {
+      if (String(file).includes('gateway-memory')) {
+        throw Object.assign(new Error('EROFS: read-only file system'), { code: 'EROFS' })
+      }
+      return originalAppend(file, ...rest)
+    }
+  }
+
+  const head = await memory.record({ type: 'agent_call', agent: 'planner', status: 'ok' })
+  failJournal()
+  let rejected = null
+  try {
+    await memory.record({ type: 'agent_call', agent: 'planner', status: 'ok' })
+  } catch (err) {
+    rejected = err
+  } finally {
+    fsPromises.appendFile = originalAppend
+  }
+  assertEqual(rejected && rejected.code, 'EROFS', 'record rejects when the append fails')
+  assertEqual(memory.lastHash, head, 'a failed append leaves the chain head in place')
+  const next = await memory.record({ type: 'agent_call', agent: 'planner', status: 'ok' })
+  const verification = await memory.verify()
+  assert(verification.ok, 'the chain stays intact after a failed append')
+  assertEqual(verification.last_hash, next, 'the next entry links to the last one written')
+
+  const gateway = await startGateway({ authMode: 'off' })
+  global.fetch = async (url, init) => {
+    if (String(url).startsWith(gateway.url)) return originalFetch(url, init)
+    return Response.json({ response: 'ok', prompt_eval_count: 3, eval_count: 1 })
+  }
+  const failures = () => metrics.journalWriteFailures
+  const before = failures()
+  failJournal()
+  try {
+    const response = await fetch(`${gateway.url}/v1/agent`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ agent: 'planner', intent: 'analyze', input: 'hello' })
+    })
+    assertEqual(response.status, 200, 'the call still succeeds without its journal entry')
+    await waitFor(() => failures() > before)
+    const text = await (await fetch(`${gateway.url}/metrics`, { headers: { Accept: 'text/plain' } })).text()
+    assert(
+      text.includes(`gateway_memory_journal_write_failures_total ${before + 1}\n`),
+      'counts the failed journal write in Prometheus'
+    )
+  } finally {
+    fsPromises.appendFile = originalAppend
+    global.fetch = originalFetch
+    await gateway.close()
+  }
+})
+
+// ---------------------------------------------------------------------------
+// Admin routes
+// ---------------------------------------------------------------------------
+suite('Admin routes', async () => {
+  const keyring = auth.loadKeyring({ NODE_ENV: 'test' })
+  const bearer = (claims) => ({ Authorization: `Bearer ${auth.sign(claims, { keyring })}` })
+
+  let gateway = await startGateway({ authMode: 'loopback' })
+  try {
+    const verifyStatus = async (headers = {}) =>
+      (await fetch(`${gateway.url}/v1/memory/verify`, { headers })).status
+    assertEqual(await verifyStatus(), 401, 'loopback mode refuses tokenless local callers on admin routes')
+    assertEqual(await verifyStatus(bearer({ sub: 'ci' })), 403, 'refuses tokens without admin')
+    assertEqual(await verifyStatus(bearer({ sub: 'ops', admin: true })), 200, 'admits admin tokens')
+    const reload = await fetch(`${gateway.url}/v1/admin/policy/reload`, { method: 'POST' })
+    assertEqual(reload.status, 401, 'guards /v1/admin/ the same way')
+  } finally {
+    await gateway.close()
+  }
+
+  gateway = await startGateway({ authMode: 'off' })
+  try {
+    const response = await fetch(`${gateway.url}/v1/memory/verify`)
+    assertEqual(response.status, 200, 'auth off leaves admin routes open')
+  } finally {
+    await gateway.close()
+  }
+})
+
+// ---------------------------------------------------------------------------
+// Task API
+// ---------------------------------------------------------------------------
+suite('Task API', async () => {
+  assertEqual(selfHost({ address: '0.0.0.0', port: 1 }), '127.0.0.1', 'task runs use loopback on a wildcard bind')
+  assertEqual(selfHost({ address: '::', port: 1 }), '[::1]', 'and IPv6 loopback on an IPv6 wildcard bind')
+  assertEqual(selfHost({ address: '192.168.4.20', port: 1 }), '192.168.4.20', 'and the bound address otherwise')
+  assertEqual(selfHost({ address: 'fd00::20', port: 1 }), '[fd00::20]', 'bracketing IPv6 addresses')
+
+  const keyring = auth.loadKeyring({ NODE_ENV: 'test' })
+  const as = (claims) => ({
+    'Content-Type': 'application/json',
+    Authorization: `Bearer ${auth.sign(claims, { keyring })}`
+  })
+  const alice = as({ sub: 'alice', agents: ['planner'] })
+  const bob = as({ sub: 'bob', agents: ['planner'] })
+  const admin = as({ sub: 'ops', admin: true })
+
+  const originalFetch = global.fetch
+  const gateway = await startGateway({ authMode: 'required' })
+  global.fetch = async (url, init) => {
+    if (String(url).startsWith(gateway.url)) return originalFetch(url, init)
+    return Response.json({ response: 'done', prompt_eval_count: 3, eval_count: 1 })
+  }
+  const get = async (path, headers) => {
+    const response = await fetch(`${gateway.url}${path}`, { headers })
+    return { status: response.status, body: await response.json() }
+  }
+  try {
+    const submitted = await fetch(`${gateway.url}/v1/tasks`, {
+      method: 'POST',
+      headers: alice,
+      body: JSON.stringify({ agent: 'planner', intent: 'analyze', input: 'summarize' })
+    })
+    const { task } = await submitted.json()
+    assertEqual(submitted.status, 202, 'accepts a task')
+    assertEqual(submitted.headers.get('location'), `/v1/tasks/${task.id}`, 'points Location at the task')
+
+    let polled = null
+    for (let i = 0; i < 200; i++) {
+      polled = await get(`/v1/tasks/${task.id}`, alice)
+      if (polled.body.task && ['succeeded', 'failed'].includes(polled.body.task.status)) break
+      await new Promise((resolve) => setTimeout(resolve, 10))
+    }
+    assertEqual(polled.body.task.status, 'succeeded', 'runs the task through /v1/agent')
+    assertEqual(polled.body.task.result.output, 'done', 'keeps the agent answer')
+    // The request log is written after the answer goes out
+    const logPath = pathModule.join(gateway.dir, 'gateway.jsonl')
+    const loggedRuns = () => (fsSync.existsSync(logPath) ? fsSync.readFileSync(logPath, 'utf8') : '')
+      .split('\n').filter(Boolean).map((line) => JSON.parse(line))
+      .filter((entry) => entry.agent === 'planner' && entry.status === 'ok')
+    await waitFor(() => loggedRuns().length > 0)
+    const runs = loggedRuns()
+    assertEqual(runs.length, 1, 'logs the run')
+    assertEqual(runs[0].caller, 'alice', 'runs it with a token minted for the submitter')
+
+    assertEqual((await get(`/v1/tasks/${task.id}`, bob)).status, 404, 'hides tasks from other owners')
+    const bobList = await get('/v1/tasks', bob)
+    assertEqual(bobList.body.tasks.length, 0, 'leaves them out of their list')
+    assertEqual((await get(`/v1/tasks/${task.id}`, admin)).status, 200, 'shows every task to admin tokens')
+    assertEqual((await get('/v1/tasks', admin)).body.tasks[0].id, task.id, 'lists them for admins')
+    assertEqual((await get(`/v1/tasks/${task.id}`)).status, 401, 'requires a token')
+
+    const cancel = await fetch(`${gateway.url}/v1/tasks/${task.id}/cancel`, { method: 'POST', headers: alice })
+    assertEqual(cancel.status, 409, 'refuses to cancel a finished task')
+    assertEqual((await cancel.json()).code, 'TASK_FINISHED', 'as already finished')
+
+    // Tasks on disk are there for the first request after a restart
+    await gateway.close()
+    const restarted = await startGateway({ authMode: 'required', taskDir: pathModule.join(gateway.dir, 'tasks') })
+    try {
+      const response = await originalFetch(`${restarted.url}/v1/tasks/${task.id}`, { headers: alice })
+      assertEqual(response.status, 200, 'loads tasks before listening')
+      assertEqual((await response.json()).task.status, 'succeeded', 'with their outcome')
+    } finally {
+      await restarted.close()
+    }
+  } finally {
+    global.fetch = originalFetch
+    if (gateway.server.listening) await gateway.close()
+  }
+})
+
+// ---------------------------------------------------------------------------
+// Sessions over HTTP
+// ---------------------------------------------------------------------------
+suite('Sessions over HTTP', async () => {
+  const keyring = auth.loadKeyring({ NODE_ENV: 'test' })
+  const as = (claims) => ({
+    'Content-Type': 'application/json',
+    Authorization: `Bearer ${auth.sign(claims, { keyring })}`
+  })
+  const alice = as({ sub: 'alice', agents: ['planner'] })
+  const bob = as({ sub: 'bob', agents: ['planner'] })
+  const admin = as({ sub: 'ops', admin: true })
+  const sessionId = `owned-${Date.now()}`
+
+  const originalFetch = global.fetch
+  global.fetch = async () => Response.json({ response: 'noted', prompt_eval_count: 1, eval_count: 1 })
+  rateLimiter.windows.delete('planner')
+  const gateway = await startGateway({ authMode: 'required' })
+  const call = async (method, path, headers, body) => {
+    const response = await originalFetch(`${gateway.url}${path}`, {
+      method,
+      headers,
+      body: body && JSON.stringify(body)
+    })
+    return { status: response.status, body: await response.json() }
+  }
+  const ask = (headers) => call('POST', '/v1/agent', headers, {
+    agent: 'planner', intent: 'analyze', input: 'remember this', session_id: sessionId
+  })
+  try {
+    assertEqual((await ask(alice)).status, 200, 'starts a session')
+    const own = await call('GET', `/v1/sessions/${sessionId}`, alice)
+    assertEqual(own.status, 200, 'shows the session to its creator')
+    assertEqual(own.body.session.owner, 'alice', 'recording the creator as owner')
+    assert((await call('GET', '/v1/sessions', alice)).body.sessions.some((s) => s.id === sessionId),
+      'lists it for its creator')
+
+    const read = await call('GET', `/v1/sessions/${sessionId}`, bob)
+    assertEqual(read.status, 404, 'hides it from other callers')
+    assertEqual(read.body.code, 'SESSION_NOT_FOUND', 'as a missing session')
+    assert(!(await call('GET', '/v1/sessions', bob)).body.sessions.some((s) => s.id === sessionId),
+      'leaves it out of their list')
+    assertEqual((await call('DELETE', `/v1/sessions/${sessionId}`, bob)).status, 404, 'does not let them delete it')
+    const hijack = await ask(bob)
+    assertEqual(hijack.status, 409, 'or continue it')
+    assertEqual(hijack.body.code, 'SESSION_CONFLICT', 'as a session conflict')
+    assertEqual((await call('GET', `/v1/sessions/${sessionId}`, alice)).body.session.messages.length, 2,
+      'leaving its history untouched')
+
+    assertEqual((await call('GET', `/v1/sessions/${sessionId}`, admin)).status, 200, 'shows every session to admin tokens')
+    assert((await call('GET', '/v1/sessions', admin)).body.sessions.some((s) => s.id === sessionId), 'lists them for admins')
+    const deleted = await call('DELETE', `/v1/sessions/${sessionId}`, alice)
+    assertEqual(deleted.status, 200, 'lets the creator delete it')
+    assertNull(await memory.getSession(sessionId), 'removing it')
+  } finally {
+    global.fetch = originalFetch
+    rateLimiter.windows.delete('planner')
+    await gateway.close()
+  }
+})
+
+// ---------------------------------------------------------------------------
+// Lifecycle events over HTTP
+// ---------------------------------------------------------------------------
+suite('Lifecycle events over HTTP', async () => {
+  const missing = () => {
+    throw new Error("Cannot find module 'nats'")
+  }
+  let refused = null
+  try {
+    const gateway = await startGateway({ natsUrl: 'nats://127.0.0.1:4222' }, { loadNats: missing })
+    await gateway.close()
+  } catch (err) {
+    refused = err
+  }
+  assert(refused && /NATS client could not be loaded/.test(refused.message),
+    'refuses to start with natsUrl set and no NATS client')
+
+  // Planner may take one call a minute
+  const policyDir = fsSync.mkdtempSync(pathModule.join(process.env.HOME, 'policy-'))
+  const policy = JSON.parse(fsSync.readFileSync(pathModule.join(__dirname, '..', 'policies', 'agent-permissions.json'), 'utf8'))
+  policy.agents.planner.rate_limit_per_minute = 1
+  const policyPath = pathModule.join(policyDir, 'agent-permissions.json')
+  fsSync.writeFileSync(policyPath, JSON.stringify(policy))
+  rateLimiter.windows.delete('planner')
+
+  const nats = fakeNats()
+  const keyring = auth.loadKeyring({ NODE_ENV: 'test' })
+  const headers = {
+    'Content-Type': 'application/json',
+    Authorization: `Bearer ${auth.sign({ sub: 'alice', agents: ['planner'] }, { keyring })}`
+  }
+  const originalFetch = global.fetch
+  const gateway = await startGateway(
+    { authMode: 'required', policyPath, natsUrl: 'nats://127.0.0.1:4222' },
+    { loadNats: () => nats.connect }
+  )
+  global.fetch = async (url, init) => {
+    if (String(url).startsWith(gateway.url)) return originalFetch(url, init)
+    return Response.json({ response: 'done', prompt_eval_count: 3, eval_count: 1 })
+  }
+  const call = (input) => fetch(`${gateway.url}/v1/agent`, {
+    method: 'POST',
+    headers,
+    body: JSON.stringify({ agent: 'planner', intent: 'analyze', input })
+  })
+  const published = (event) => nats.published.filter(({ subject }) => subject.endsWith(`.${event}`))
+  try {
+    const answered = await call('summarize the backlog')
+    await answered.json()
+    assertEqual(answered.status, 200, 'answers the first call')
+    await waitFor(() => published('completed').length > 0)
+    const [accepted] = published('accepted')
+    const [completed] = published('completed')
+    assertEqual(accepted && accepted.subject, 'blackroad.gateway.agent.planner.accepted', 'publishes accepted for the agent')
+    assertEqual(completed && completed.data.status, 'ok', 'and completed once it answers')
+    assertEqual(completed && completed.data.request_id, accepted && accepted.data.request_id, 'for the same request')
+    assertEqual(accepted && accepted.data.input, '[redacted]', 'redacting the input')
+
+    const limited = await call('and again')
+    await limited.json()
+    assertEqual(limited.status, 429, 'rate limits the second call')
+    await waitFor(() => published('completed').length > 1)
+    const [rateLimited] = published('rate_limited')
+    assertEqual(rateLimited && rateLimited.subject, 'blackroad.gateway.agent.planner.rate_limited', 'publishes rate_limited')
+    assertEqual(rateLimited && rateLimited.data.limit_per_minute, 1, 'with the limit')
+    assertEqual(published('accepted').length, 1, 'without accepting the call')
+    assertEqual(published('completed')[1].data.status, 'error', 'and completes it as an error')
+    assertEqual(nats.connects, 1, 'through the injected NATS client')
+  } finally {
+    global.fetch = originalFetch
+    await gateway.close()
+    rateLimiter.windows.delete('planner')
+  }
+})
+
+// ---------------------------------------------------------------------------
+// Response format over HTTP
+// ---------------------------------------------------------------------------
+suite('Response format over HTTP', async () => {
+  const keyring = auth.loadKeyring({ NODE_ENV: 'test' })
+  const headers = {
+    'Content-Type': 'application/json',
+    Authorization: `Bearer ${auth.sign({ sub: 'alice', agents: ['planner'] }, { keyring })}`
+  }
+  const originalFetch = global.fetch
+  const gateway = await startGateway({ authMode: 'required' })
+  let providerCalls = 0
+  global.fetch = async (url, init) => {
+    if (String(url).startsWith(gateway.url)) return originalFetch(url, init)
+    providerCalls++
+    return Response.json({ response: '{"email":"a@b.c"}', prompt_eval_count: 3, eval_count: 1 })
+  }
+  try {
+    const response = await fetch(`${gateway.url}/v1/agent`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({
+        agent: 'planner',
+        intent: 'analyze',
+        input: 'contact?',
+        response_format: { type: 'json_schema', schema: { type: 'object', properties: { email: { type: 'string', format: 'email' } } } }
+      })
+    })
+    const body = await response.json()
+    assertEqual(response.status, 400, 'refuses a response_format schema it cannot check')
+    assertEqual(body.code, 'INVALID_RESPONSE_SCHEMA', 'as INVALID_RESPONSE_SCHEMA')
+    assertEqual(providerCalls, 0, 'before calling a provider')
+  } finally {
+    global.fetch = originalFetch
+    await gateway.close()
+  }
+})
+
+// ---------------------------------------------------------------------------
+// Streaming over HTTP
+// ---------------------------------------------------------------------------
+suite('Streaming over HTTP', async () => {
+  const keyring = auth.loadKeyring({ NODE_ENV: 'test' })
+  const headers = {
+    'Content-Type': 'application/json',
+    Authorization: `Bearer ${auth.sign({ sub: 'alice', agents: ['planner'] }, { keyring })}`
+  }
+  // What the fake Ollama streams back: NDJSON lines, then the end of the
+  // body unless hang keeps it open until the gateway gives up on it
+  let upstream = { lines: [], hang: false }
+  let upstreamSignal = null
+  const originalFetch = global.fetch
+  const gateway = await startGateway({ authMode: 'required' })
+  global.fetch = async (url, init) => {
+    if (String(url).startsWith(gateway.url)) return originalFetch(url, init)
+    upstreamSignal = init.signal
+    const { lines, hang } = upstream
+    const encoder = new TextEncoder()
+    return new Response(new ReadableStream({
+      start(controller) {
+        for (const line of lines) controller.enqueue(encoder.encode(`${JSON.stringify(line)}\n`))
+        if (!hang) return controller.close()
+        init.signal.addEventListener('abort', () => controller.error(init.signal.reason))
+      }
+    }))
+  }
+  const events = (text) => text.split('\n\n').filter(Boolean).map((block) => {
+    const [, event] = block.match(/^event: (.*)$/m)
+    const [, data] = block.match(/^data: (.*)$/m)
+    return { event, data: JSON.parse(data) }
+  })
+  const stream = (input, signal) => fetch(`${gateway.url}/v1/agent`, {
+    method: 'POST',
+    headers,
+    body: JSON.stringify({ agent: 'planner', intent: 'analyze', input, stream: true }),
+    signal
+  })
+  const logged = () => {
+    const logPath = pathModule.join(gateway.dir, 'gateway.jsonl')
+    if (!fsSync.existsSync(logPath)) return []
+    return fsSync.readFileSync(logPath, 'utf8').split('\n').filter(Boolean).map((line) => JSON.parse(line))
+  }
+  try {
+    upstream = {
+      lines: [
+        { response: 'Hel', done: false },
+        { response: 'lo', done: false },
+        { response: '', done: true, prompt_eval_count: 4, eval_count: 2 }
+      ]
+    }
+    const ok = await stream('stream a greeting')
+    assertEqual(ok.status, 200, 'answers a stream with 200')
+    assertEqual(ok.headers.get('content-type'), 'text/event-stream', 'as an event stream')
+    const okEvents = events(await ok.text())
+    assertEqual(okEvents.map((e) => e.event).join(), 'token,token,done', 'sends token events, then done')
+    assertEqual(okEvents.slice(0, 2).map((e) => e.data.delta).join(''), 'Hello', 'with the deltas in order')
+    const done = okEvents[2].data
+    assertEqual(done.status, 'ok', 'ends with an ok done event')
+    assertEqual(done.output, undefined, 'that leaves out the output already streamed')
+    assertEqual(done.metadata.usage.completion_tokens, 2, 'and reports usage in it')
+
+    upstream = { lines: [{ response: 'Par', done: false }, { error: 'model crashed' }] }
+    const broken = await stream('stream and fail')
+    const brokenEvents = events(await broken.text())
+    assertEqual(broken.status, 200, 'has sent 200 before a mid-stream failure')
+    assertEqual(brokenEvents.map((e) => e.event).join(), 'token,error', 'so reports it as an error event')
+    assertEqual(brokenEvents[1].data.status, 'error', 'with the error envelope')
+    assert(/model crashed/.test(brokenEvents[1].data.error), 'carrying the provider error')
+
+    upstream = { lines: [{ response: 'Wait', done: false }], hang: true }
+    const client = new AbortController()
+    const hanging = await stream('stream until I leave', client.signal)
+    const reader = hanging.body.getReader()
+    const first = new TextDecoder().decode((await reader.read()).value)
+    assert(first.startsWith('event: token'), 'streams the first token of a long answer')
+    client.abort()
+    await waitFor(() => upstreamSignal.aborted)
+    assert(upstreamSignal.aborted, 'aborts the provider call when the client disconnects')
+    await waitFor(() => logged().some((entry) => entry.status === 'cancelled'))
+    const cancelled = logged().find((entry) => entry.status === 'cancelled')
+    assertEqual(cancelled && cancelled.agent, 'planner', 'and logs the request as cancelled')
+  } finally {
+    global.fetch = originalFetch
+    await gateway.close()
+    rateLimiter.windows.delete('planner')
+  }
+})
+
+// ---------------------------------------------------------------------------
+// OpenAI-compatible API over HTTP
+// ---------------------------------------------------------------------------
+suite('OpenAI-compatible API over HTTP', async () => {
+  const keyring = auth.loadKeyring({ NODE_ENV: 'test' })
+  const headers = {
+    'Content-Type': 'application/json',
+    Authorization: `Bearer ${auth.sign({ sub: 'alice', agents: ['planner'] }, { keyring })}`
+  }
+  const upstream = []
+  const originalFetch = global.fetch
+  const gateway = await startGateway({ authMode: 'required' })
+  global.fetch = async (url, init) => {
+    if (String(url).startsWith(gateway.url)) return originalFetch(url, init)
+    const body = JSON.parse(init.body)
+    upstream.push(body)
+    const response = body.format ? '{"steps":["plan"]}' : 'Plan it.'
+    if (!body.stream) return Response.json({ response, prompt_eval_count: 5, eval_count: 3 })
+    return new Response(`${JSON.stringify({ response, done: false })}\n` +
+      `${JSON.stringify({ response: '', done: true, prompt_eval_count: 5, eval_count: 3 })}\n`)
+  }
+  const complete = (body) => fetch(`${gateway.url}/v1/chat/completions`, {
+    method: 'POST',
+    headers,
+    body: JSON.stringify({ model: 'planner:analyze', ...body })
+  })
+  try {
+    const models = await fetch(`${gateway.url}/v1/models`, { headers })
+    const modelList = await models.json()
+    assertEqual(models.status, 200, 'lists models')
+    assertEqual(modelList.object, 'list', 'in OpenAI list shape')
+    assert(modelList.data.some((model) => model.id === 'planner:analyze'), 'including agent:intent pairs')
+    assert(modelList.data.every((model) => model.id.split(':')[0] === 'planner'), 'only for agents the token covers')
+
+    const answered = await complete({
+      messages: [{ role: 'system', content: 'Be brief.' }, { role: 'user', content: 'Plan the launch.' }],
+      temperature: 0.3,
+      max_tokens: 40,
+      stop: ['END'],
+      response_format: { type: 'json_schema', json_schema: { name: 'plan', schema: { type: 'object', required: ['steps'] } } }
+    })
+    const completion = await answered.json()
+    assertEqual(answered.status, 200, 'answers a chat completion')
+    assertEqual(completion.object, 'chat.completion', 'in OpenAI completion shape')
+    assertEqual(completion.choices[0].message.content, '{"steps":["plan"]}', 'with the structured answer as content')
+    assertEqual(completion.usage.completion_tokens, 3, 'and usage')
+    assertEqual(JSON.stringify(upstream[0].options), '{"temperature":0.3,"num_predict":40,"stop":["END"]}',
+      'passes the sampling parameters to the provider')
+    assertEqual(JSON.stringify(upstream[0].format), '{"type":"object","required":["steps"]}', 'and the response schema')
+    assert(upstream[0].prompt.includes('Be brief.'), 'with the client system message')
+
+    const streamed = await complete({ messages: [{ role: 'user', content: 'Stream the plan.' }], stream: true })
+    const chunks = (await streamed.text()).split('\n\n').filter(Boolean).map((line) => line.replace(/^data: /, ''))
+    assertEqual(streamed.headers.get('content-type'), 'text/event-stream', 'streams as server-sent events')
+    assertEqual(chunks[chunks.length - 1], '[DONE]', 'ending with [DONE]')
+    assertEqual(chunks.slice(0, -1).map((chunk) => JSON.parse(chunk).choices[0].delta.content || '').join(''), 'Plan it.',
+      'in chat.completion.chunk deltas')
+
+    const tools = await complete({
+      messages: [{ role: 'user', content: 'Call a tool.' }],
+      tools: [{ type: 'function', function: { name: 'lookup', parameters: { type: 'object' } } }]
+    })
+    const toolsError = await tools.json()
+    assertEqual(tools.status, 400, 'refuses tools')
+    assert(/^tools is not supported/.test(toolsError.error.message), 'naming the parameter')
+    assertEqual(toolsError.error.type, 'invalid_request_error', 'as an OpenAI invalid_request_error')
+    assertEqual(upstream.length, 2, 'without calling the provider')
+  } finally {
+    global.fetch = originalFetch
+    await gateway.close()
+    rateLimiter.windows.delete('planner')
+  }
+})
+
+// ---------------------------------------------------------------------------
+// Agent route auth
+// ---------------------------------------------------------------------------
+suite('Agent route auth', async () => {
+  const keyring = auth.loadKeyring({ NODE_ENV: 'test' })
+  const bearer = (claims, options = {}) => ({ Authorization: `Bearer ${auth.sign(claims, { keyring, ...options })}` })
+  const originalFetch = global.fetch
+  const ask = async (url, headers = {}) => {
+    const response = await originalFetch(`${url}/v1/agent`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify({ agent: 'planner', intent: 'analyze', input: `auth check ${Math.random()}` })
+    })
+    return { status: response.status, body: await response.json() }
+  }
+  global.fetch = async () => Response.json({ response: 'ok', prompt_eval_count: 1, eval_count: 1 })
+  rateLimiter.windows.delete('planner')
+
+  let gateway = await startGateway({ authMode: 'required' })
+  try {
+    const missing = await ask(gateway.url)
+    assertEqual(missing.status, 401, 'required mode refuses a request without a token')
+    assertEqual(missing.body.code, 'UNAUTHENTICATED', 'as UNAUTHENTICATED')
+    const hourAgo = Math.floor(Date.now() / 1000) - 3600
+    const expired = await ask(gateway.url, bearer({ sub: 'alice', agents: ['planner'] }, { now: hourAgo, expiresIn: 60 }))
+    assertEqual(expired.status, 401, 'refuses an expired token')
+    assert(/expired/i.test(expired.body.error), 'saying it has expired')
+    const forged = await ask(gateway.url, { Authorization: `Bearer ${auth.sign({ sub: 'mallory' }, { keyring: { activeKid: keyring.activeKid, keys: new Map([[keyring.activeKid, 'wrong-secret']]) } })}` })
+    assertEqual(forged.status, 401, 'refuses a token signed with another key')
+    const otherAgent = await ask(gateway.url, bearer({ sub: 'alice', agents: ['cipher'] }))
+    assertEqual(otherAgent.status, 403, 'refuses a token for another agent')
+    const allowed = await ask(gateway.url, bearer({ sub: 'alice', agents: ['planner'] }))
+    assertEqual(allowed.status, 200, 'answers a token for the agent')
+  } finally {
+    await gateway.close()
+  }
+
+  gateway = await startGateway({ authMode: 'loopback' })
+  const relay = await remoteRelay(gateway.server, '192.0.2.10')
+  try {
+    assertEqual((await ask(gateway.url)).status, 200, 'loopback mode lets tokenless local callers through')
+    const remote = await ask(relay.url, { 'X-BlackRoad-Key': 'nobody:secret' })
+    assertEqual(remote.status, 401, 'but not tokenless remote ones')
+    assertEqual(remote.body.code, 'UNAUTHENTICATED', 'which need a token')
+    const scoped = await ask(gateway.url, bearer({ sub: 'alice', agents: ['cipher'] }))
+    assertEqual(scoped.status, 403, 'and still applies the claims of a token a local caller sends')
+  } finally {
+    await relay.close()
+    await gateway.close()
+  }
+
+  gateway = await startGateway({ authMode: 'off' })
+  try {
+    assertEqual((await ask(gateway.url)).status, 200, 'off mode needs no token')
+    const ignored = await ask(gateway.url, { Authorization: 'Bearer not-a-token' })
+    assertEqual(ignored.status, 200, 'and ignores whatever token is sent')
+  } finally {
+    await gateway.close()
+    global.fetch = originalFetch
+    rateLimiter.windows.delete('planner')
+  }
+})
+
+// ---------------------------------------------------------------------------
+// Remote clients over HTTP
+// ---------------------------------------------------------------------------
+suite('Remote clients over HTTP', async () => {
+  const { hashCredential } = require('../gateway/clients')
+  const keyring = auth.loadKeyring({ NODE_ENV: 'test' })
+  const token = `Bearer ${auth.sign({ sub: 'octavia-pi', agents: ['planner', 'cipher'] }, { keyring })}`
+  const registryDir = fsSync.mkdtempSync(pathModule.join(process.env.HOME, 'clients-'))
+  const clientsPath = pathModule.join(registryDir, 'clients.json')
+  fsSync.writeFileSync(clientsPath, JSON.stringify({
+    clients: {
+      'octavia-pi': { credential: hashCredential('pi-secret'), cidrs: ['192.0.2.0/24'], agents: ['planner'] }
+    }
+  }))
+  const originalFetch = global.fetch
+  const ask = async (url, headers = {}, agent = 'planner') => {
+    const response = await originalFetch(`${url}/v1/agent`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Authorization: token, ...headers },
+      body: JSON.stringify({ agent, intent: agent === 'cipher' ? 'audit' : 'analyze', input: `remote ${Math.random()}` })
+    })
+    return { status: response.status, body: await response.json() }
+  }
+  global.fetch = async () => Response.json({ response: 'ok', prompt_eval_count: 1, eval_count: 1 })
+  rateLimiter.windows.delete('planner')
+  // The retired switch must not open the gateway to remote callers
+  process.env.BLACKROAD_GATEWAY_ALLOW_REMOTE = '1'
+  const gateway = await startGateway({ authMode: 'required', clientsPath })
+  const lan = await remoteRelay(gateway.server, '192.0.2.10')
+  const elsewhere = await remoteRelay(gateway.server, '198.51.100.7')
+  try {
+    const anonymous = await ask(lan.url)
+    assertEqual(anonymous.status, 403, 'refuses a remote caller without a client key, allowRemote set or not')
+    assertEqual(anonymous.body.code, 'CLIENT_DENIED', 'as CLIENT_DENIED')
+    assertEqual((await ask(lan.url, { 'X-BlackRoad-Key': 'octavia-pi:wrong' })).status, 403, 'refuses a bad client secret')
+    assertEqual((await ask(lan.url, { 'X-BlackRoad-Key': 'ghost:pi-secret' })).status, 403, 'refuses an unknown client')
+    assertEqual((await ask(elsewhere.url, { 'X-BlackRoad-Key': 'octavia-pi:pi-secret' })).status, 403,
+      'refuses a registered client outside its networks')
+    const registered = await ask(lan.url, { 'X-BlackRoad-Key': 'octavia-pi:pi-secret' })
+    assertEqual(registered.status, 200, 'answers a registered client from its network')
+    const otherAgent = await ask(lan.url, { 'X-BlackRoad-Key': 'octavia-pi:pi-secret' }, 'cipher')
+    assertEqual(otherAgent.status, 403, 'but only for the agents it is registered for')
+    assertEqual((await ask(gateway.url)).status, 200, 'local callers need no client key')
+  } finally {
+    delete process.env.BLACKROAD_GATEWAY_ALLOW_REMOTE
+    await lan.close()
+    await elsewhere.close()
+    await gateway.close()
+    global.fetch = originalFetch
+    rateLimiter.windows.delete('planner')
+  }
+})
+
+// ---------------------------------------------------------------------------
+// Admission over HTTP
+// ---------------------------------------------------------------------------
+suite('Admission over HTTP', async () => {
+  // Planner runs one request at a time; the next waits at most 50ms
+  const policyDir = fsSync.mkdtempSync(pathModule.join(process.env.HOME, 'policy-'))
+  const policy = JSON.parse(fsSync.readFileSync(pathModule.join(__dirname, '..', 'policies', 'agent-permissions.json'), 'utf8'))
+  policy.global.admission_queue = { max_depth: 10, timeout_ms: 50 }
+  policy.agents.planner.max_concurrent_requests = 1
+  const policyPath = pathModule.join(policyDir, 'agent-permissions.json')
+  fsSync.writeFileSync(policyPath, JSON.stringify(policy))
+
+  let finish
+  const held = new Promise((resolve) => {
+    finish = resolve
+  })
+  let providerCalls = 0
+  const originalFetch = global.fetch
+  const gateway = await startGateway({ authMode: 'loopback', policyPath })
+  global.fetch = async (url, init) => {
+    if (String(url).startsWith(gateway.url)) return originalFetch(url, init)
+    providerCalls++
+    await held
+    return Response.json({ response: 'slow answer', prompt_eval_count: 1, eval_count: 1 })
+  }
+  const ask = (input) => fetch(`${gateway.url}/v1/agent`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ agent: 'planner', intent: 'analyze', input })
+  })
+  rateLimiter.windows.delete('planner')
+  try {
+    const first = ask('take the only slot')
+    await waitFor(() => providerCalls === 1)
+    const queued = await ask('wait for it')
+    const body = await queued.json()
+    assertEqual(queued.status, 503, 'answers 503 when a request times out in the queue')
+    assertEqual(queued.headers.get('retry-after'), '1', 'with Retry-After')
+    assertEqual(`${body.status} ${body.code}`, 'error QUEUE_TIMEOUT', 'and a QUEUE_TIMEOUT error')
+    assertEqual(body.metadata.retry_after_seconds, 1, 'repeating the retry delay in metadata')
+    assert(body.metadata.queue_wait_ms >= 50, 'reporting how long it waited')
+    assert(typeof body.request_id === 'string' && body.request_id.length > 0, 'with the request id')
+    assertEqual(protocol.validateResponse(body).length, 0, 'in the documented error envelope')
+    assertEqual(providerCalls, 1, 'without calling the provider')
+    finish()
+    assertEqual((await first).status, 200, 'while the admitted request finishes')
+  } finally {
+    finish()
+    global.fetch = originalFetch
+    await gateway.close()
+    rateLimiter.windows.delete('planner')
+  }
+})
+
+// ---------------------------------------------------------------------------
+// Policy reload over HTTP
+// ---------------------------------------------------------------------------
+suite('Policy reload over HTTP', async () => {
+  const keyring = auth.loadKeyring({ NODE_ENV: 'test' })
+  const admin = { Authorization: `Bearer ${auth.sign({ sub: 'ops', admin: true }, { keyring })}` }
+  const policyDir = fsSync.mkdtempSync(pathModule.join(process.env.HOME, 'policy-'))
+  const policyPath = pathModule.join(policyDir, 'agent-permissions.json')
+  const shipped = fsSync.readFileSync(pathModule.join(__dirname, '..', 'policies', 'agent-permissions.json'), 'utf8')
+  const writePolicy = (change) => {
+    const policy = JSON.parse(shipped)
+    change(policy)
+    fsSync.writeFileSync(policyPath, JSON.stringify(policy))
+  }
+  writePolicy(() => {})
+  const gateway = await startGateway({ authMode: 'required', policyPath })
+  const reload = async () => {
+    const response = await fetch(`${gateway.url}/v1/admin/policy/reload`, { method: 'POST', headers: admin })
+    return { status: response.status, body: await response.json() }
+  }
+  const plannerDescription = async () => {
+    const response = await fetch(`${gateway.url}/v1/agents`, { headers: admin })
+    const { agents } = await response.json()
+    return agents.find((agent) => agent.name === 'planner').description
+  }
+  try {
+    const original = await plannerDescription()
+
+    writePolicy((policy) => {
+      policy.agents.planner.description = 'Broken planner'
+      policy.agents.planner.rate_limit_per_minute = 'fast'
+    })
+    const rejected = await reload()
+    assertEqual(rejected.status, 422, 'refuses a policy that fails validation')
+    assertEqual(rejected.body.code, 'POLICY_REJECTED', 'as POLICY_REJECTED')
+    assert(/rate_limit_per_minute/.test(rejected.body.error), 'naming the problem')
+    assertEqual(await plannerDescription(), original, 'and keeps serving the previous policy')
+
+    fsSync.writeFileSync(policyPath, '{ "version": 2, "agents": ')
+    assertEqual((await reload()).status, 422, 'refuses a policy file that is not JSON')
+    assertEqual(await plannerDescription(), original, 'again keeping the previous one')
+
+    writePolicy((policy) => {
+      policy.agents.planner.description = 'Reloaded planner'
+    })
+    const accepted = await reload()
+    assertEqual(accepted.status, 200, 'accepts a valid policy')
+    assertEqual(accepted.body.status, 'ok', 'reporting success')
+    assertEqual(await plannerDescription(), 'Reloaded planner', 'which takes effect at once')
+  } finally {
+    await gateway.close()
+  }
+})
+
+function fakeNats() {
+  const nats = { up: true, connects: 0, published: [], subscriptions: {}, unsubscribed: {}, listeners: {} }
+  let current = null
+  nats.connect = async () => {
+    nats.connects++
+    if (!nats.up) throw new Error('connect ECONNREFUSED')
+    let close
+    const closed = new Promise((resolve) => {
+      close = resolve
+    })
+    const check = () => {
+      if (!nats.up || current !== connection) throw new Error('connection closed')
+    }
+    const connection = {
+      publish: (subject, data) => {
+        check()
+        nats.published.push({ subject, data: JSON.parse(data) })
+      },
+      flush: async () => check(),
+      subscribe: (subject) => {
+        nats.subscriptions[subject] = (nats.subscriptions[subject] || 0) + 1
+        const queue = []
+        let wake = null
+        let done = false
+        nats.listeners[subject] = (raw) => {
+          queue.push({ data: Buffer.from(raw) })
+          if (wake) wake()
+        }
+        const sub = (async function * () {
+          while (!done) {
+            while (queue.length > 0) yield queue.shift()
+            if (done) return
+            await new Promise((resolve) => {
+              wake = resolve
+            })
+            wake = null
+          }
+        })()
+        sub.unsubscribe = () => {
+          done = true
+          nats.unsubscribed[subject] = (nats.unsubscribed[subject] || 0) + 1
+          delete nats.listeners[subject]
+          if (wake) wake()
+        }
+        return sub
+      },
+      closed: () => closed,
+      close: async () => close()
+    }
+    nats.drop = () => {
+      nats.up = false
+      close(new Error('connection lost'))
+    }
+    current = connection
+    return connection
+  }
+  nats.deliver = (subject, raw) => nats.listeners[subject](raw)
+  return nats
+}
+
+function outboxLines(file) {
+  if (!fsSync.existsSync(file)) return []
+  return fsSync.readFileSync(file, 'utf8').split('\n').filter(Boolean).map((line) => JSON.parse(line))
+}
+
+async function waitFor(condition, timeoutMs = 1000) {
+  const deadline = Date.now() + timeoutMs
+  while (!condition() && Date.now() < deadline) {
+    await new Promise((resolve) => setTimeout(resolve, 5))
+  }
+}
+
+// Starts a gateway on a free loopback port, with its logs and tasks in a
+// temporary directory. Its console output is held back until close().
+async function startGateway(overrides = {}, options = {}) {
+  const dir = fsSync.mkdtempSync(pathModule.join(process.env.HOME, 'gateway-'))
+  const { log: originalLog, warn: originalWarn } = console
+  const restore = () => {
+    console.log = originalLog
+    console.warn = originalWarn
+  }
+  console.log = (message, ...rest) => {
+    // Suite headings and assertions only
+    if (/^\n?( {2})?\x1b\[/.test(String(message))) originalLog(message, ...rest)
+  }
+  console.warn = () => {}
+  let server
+  try {
+    server = await start({
+      bind: '127.0.0.1',
+      port: 0,
+      logPath: pathModule.join(dir, 'gateway.jsonl'),
+      clientsPath: pathModule.join(dir, 'clients.json'),
+      taskDir: pathModule.join(dir, 'tasks'),
+      ...overrides
+    }, options)
+  } catch (err) {
+    restore()
+    throw err
+  }
+  return {
+    dir,
+    server,
+    url: `http://127.0.0.1:${server.address().port}`,
+    close: async () => {
+      await new Promise((resolve) => server.close(resolve))
+      restore()
+    }
+  }
+}
+
+// Serves server on another port as if its callers came from address: each
+// connection is accepted here and handed over with the remote address
+// swapped, so remote-caller checks can run without a second interface
+async function remoteRelay(server, address) {
+  const relay = net.createServer((socket) => {
+    Object.defineProperty(socket, 'remoteAddress', { value: address })
+    server.emit('connection', socket)
+  })
+  await new Promise((resolve) => relay.listen(0, '127.0.0.1', resolve))
+  return {
+    url: `http://127.0.0.1:${relay.address().port}`,
+    close: () => new Promise((resolve) => relay.close(resolve))
+  }
+}
+
+function readJson(dir, id) {
+  return JSON.parse(fsSync.readFileSync(pathModule.join(dir, `${id}.json`), 'utf8'))
+}
+
 // ---------------------------------------------------------------------------
 // Summary
 // ---------------------------------------------------------------------------
-console.log(`\n${'='.repeat(50)}`)
-console.log(`\x1b[1mResults: ${passed} passed, ${failed} failed\x1b[0m`)
-console.log(`${'='.repeat(50)}`)
-process.exit(failed > 0 ? 1 : 0)
+run(() => fsSync.rmSync(process.env.HOME, { recursive: true, force: true }))
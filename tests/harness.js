@@ -0,0 +1,47 @@
+'use strict'
+
+// Assertions and suites shared by the test files: register suites with
+// suite(), then call run() once at the end of the file
+
+let passed = 0
+let failed = 0
+
+function assert(condition, msg) {
+  if (condition) {
+    passed++
+    console.log(`  \x1b[32m✓\x1b[0m ${msg}`)
+  } else {
+    failed++
+    console.log(`  \x1b[31m✗\x1b[0m ${msg}`)
+  }
+}
+
+function assertEqual(actual, expected, msg) {
+  assert(actual === expected, `${msg} (got ${JSON.stringify(actual)}, expected ${JSON.stringify(expected)})`)
+}
+
+function assertNull(actual, msg) {
+  assert(actual === null, `${msg} (got ${JSON.stringify(actual)})`)
+}
+
+const suites = []
+
+function suite(name, fn) {
+  suites.push({ name, fn })
+}
+
+// Runs the suites in order, then cleanup, then prints the results and exits
+// non-zero if anything failed
+async function run(cleanup = () => {}) {
+  for (const { name, fn } of suites) {
+    console.log(`\n\x1b[1m${name}\x1b[0m`)
+    await fn()
+  }
+  cleanup()
+  console.log(`\n${'='.repeat(50)}`)
+  console.log(`\x1b[1mResults: ${passed} passed, ${failed} failed\x1b[0m`)
+  console.log(`${'='.repeat(50)}`)
+  process.exit(failed > 0 ? 1 : 0)
+}
+
+module.exports = { assert, assertEqual, assertNull, suite, run }
@@ -0,0 +1,366 @@
+'use strict'
+
+// Tests for the BlackRoad task worker (workers/, Cloudflare Workers ESM)
+// Run: node tests/task-worker.test.js
+
+const { assert, assertEqual, assertNull, suite, run } = require('./harness')
+
+// The worker modules are ESM (workers/package.json)
+const loadStore = () => import('../workers/task-store.js')
+const loadWorker = async () => (await import('../workers/task-worker.js')).default
+
+// ---------------------------------------------------------------------------
+// Task store
+// ---------------------------------------------------------------------------
+suite('Task store', async () => {
+  const { MemoryTaskStore, summarize } = await loadStore()
+  let clock = Date.parse('2026-10-01T00:00:00Z')
+  const store = new MemoryTaskStore({ ttlSeconds: 60, now: () => clock })
+  const task = (n, status) => ({
+    task_id: `${String(n).padStart(12, '0')}${'0'.repeat(20)}`,
+    status,
+    agent: 'planner',
+    intent: 'analyze',
+    createdAt: new Date(clock).toISOString(),
+    payload: { input: `task ${n}` }
+  })
+
+  await store.put(task(1, 'pending'))
+  assertEqual((await store.get(task(1).task_id)).payload.input, 'task 1', 'reads a task back')
+  assertNull(await store.get('0'.repeat(32)), 'unknown tasks are null')
+  const stored = await store.get(task(1).task_id)
+  stored.status = 'complete'
+  assertEqual((await store.get(task(1).task_id)).status, 'pending', 'hands out copies')
+
+  clock += 59 * 1000
+  assert(await store.get(task(1).task_id), 'keeps a task until its TTL')
+  await store.put(task(1, 'complete'))
+  clock += 59 * 1000
+  assert(await store.get(task(1).task_id), 'a write restarts the TTL')
+  clock += 2 * 1000
+  assertNull(await store.get(task(1).task_id), 'expires a task after its TTL')
+  assertEqual((await store.list()).tasks.length, 0, 'leaves expired tasks out of lists')
+
+  // Oldest first, a page at a time, with the status filter applied before paging
+  const statuses = ['complete', 'pending', 'complete', 'error', 'complete', 'complete', 'pending']
+  for (let i = 0; i < statuses.length; i++) {
+    await store.put(task(10 + i, statuses[i]))
+  }
+  const first = await store.list({ status: 'complete', limit: 2 })
+  assertEqual(first.tasks.map((t) => t.task_id.slice(10, 12)).join(), '10,12', 'pages through matching tasks oldest first')
+  assert(first.cursor !== null, 'returns a cursor while there are more')
+  const second = await store.list({ status: 'complete', limit: 2, cursor: first.cursor })
+  assertEqual(second.tasks.map((t) => t.task_id.slice(10, 12)).join(), '14,15', 'continues after the cursor')
+  assertNull(second.cursor, 'and returns a null cursor after the last match')
+  const unfiltered = await store.list({ limit: 3 })
+  assertEqual(unfiltered.tasks.map((t) => t.task_id.slice(10, 12)).join(), '10,11,12', 'pages through every task')
+  const rest = await store.list({ limit: 3, cursor: unfiltered.cursor })
+  assertEqual(rest.tasks.map((t) => t.task_id.slice(10, 12)).join(), '13,14,15', 'a page at a time')
+  await store.put({ ...task(11), status: 'complete' })
+  assertEqual((await store.list({ status: 'complete' })).tasks.length, 5, 'lists a task under its new status')
+  assertEqual((await store.list({ status: 'pending' })).tasks.length, 1, 'and no longer under its old one')
+  await store.put({ ...task(11), status: 'pending' })
+  const pending = await store.list({ status: 'pending' })
+  assertEqual(pending.tasks.length, 2, 'filters by status')
+  assertNull(pending.cursor, 'fits in one page under the limit')
+  assertEqual(
+    JSON.stringify(Object.keys(pending.tasks[0])),
+    JSON.stringify(Object.keys(summarize(task(0, 'pending')))),
+    'lists summaries, not payloads'
+  )
+  assertEqual((await store.list({ limit: 1000 })).tasks.length, 7, 'caps the page size at 100')
+
+  await store.delete(task(10).task_id)
+  assertNull(await store.get(task(10).task_id), 'deletes a task')
+  assertEqual((await store.list({ status: 'complete' })).tasks.length, 3, 'and its summary')
+  clock += 61 * 1000
+  await store.put(task(20, 'pending'))
+  assertEqual(store.storage.map.size, 3 * 7, 'writes leave expired tasks alone')
+  assertEqual((await store.list()).tasks.length, 1, 'listing skips them')
+  assertEqual(store.storage.map.size, 3, 'and clears them out')
+  clock += 30 * 1000
+  assertEqual(await store.purge(), clock + 30 * 1000, 'purges report the next expiry')
+})
+
+// ---------------------------------------------------------------------------
+// Worker fetch handler
+// ---------------------------------------------------------------------------
+
+// A Durable Object namespace backed by one TaskStoreObject over a Map,
+// so every test gets a store of its own
+async function durableObjectEnv(extra = {}) {
+  const { TaskStoreObject } = await loadStore()
+  const map = new Map()
+  let alarm = null
+  const storage = {
+    get: async (key) => structuredClone(map.get(key)),
+    put: async (key, value) => { map.set(key, structuredClone(value)) },
+    delete: async (key) => map.delete(key),
+    list: async ({ prefix = '', startAfter, limit = Infinity } = {}) => new Map(
+      [...map.keys()]
+        .filter((key) => key.startsWith(prefix) && (!startAfter || key > startAfter))
+        .sort()
+        .slice(0, limit)
+        .map((key) => [key, structuredClone(map.get(key))])
+    ),
+    getAlarm: async () => alarm,
+    setAlarm: async (time) => { alarm = time }
+  }
+  const object = new TaskStoreObject({ storage })
+  return {
+    BLACKROAD_GATEWAY_URL: 'https://gateway.test',
+    TASK_RETRY_DELAY_MS: '0',
+    TASK_STORE: {
+      idFromName: (name) => name,
+      get: () => ({ fetch: (url, init) => object.fetch(new Request(url, init)) })
+    },
+    ...extra
+  }
+}
+
+function context() {
+  const pending = []
+  return {
+    waitUntil: (promise) => pending.push(promise),
+    settled: () => Promise.all(pending)
+  }
+}
+
+suite('Worker fetch handler', async () => {
+  const worker = await loadWorker()
+  const originalFetch = global.fetch
+  const gatewayCalls = []
+  const gatewayHeaders = []
+  let gateway = async () => Response.json({ status: 'ok', output: 'done' })
+  global.fetch = async (url, init) => {
+    if (String(url).startsWith('https://gateway.test/')) {
+      gatewayCalls.push(JSON.parse(init.body))
+      gatewayHeaders.push(new Headers(init.headers))
+      return gateway(init)
+    }
+    throw new Error(`Unexpected fetch ${url}`)
+  }
+  const call = async (env, method, path, body) => {
+    const ctx = context()
+    const response = await worker.fetch(new Request(`https://worker.test${path}`, {
+      method,
+      ...(body && { headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) })
+    }), env, ctx)
+    return { status: response.status, body: await response.json(), ctx }
+  }
+  const dispatch = (env, input = 'hi') =>
+    call(env, 'POST', '/dispatch', { agent: 'planner', intent: 'analyze', input })
+
+  try {
+    let env = await durableObjectEnv({
+      BLACKROAD_GATEWAY_TOKEN: 'worker-token',
+      BLACKROAD_GATEWAY_CLIENT_KEY: 'task-worker:secret'
+    })
+    const health = await call(env, 'GET', '/healthz')
+    assertEqual(health.body.storage, 'durable_object', 'reports the task store in use')
+
+    const accepted = await dispatch(env)
+    assertEqual(accepted.status, 202, 'accepts a dispatch')
+    assert(/^[0-9a-f]{32}$/.test(accepted.body.task_id), 'answers with the task id')
+    await accepted.ctx.settled()
+    const done = await call(env, 'GET', `/task/${accepted.body.task_id}`)
+    // The task's own status takes the place of "ok"
+    assertEqual(done.body.status, 'complete', 'polls a finished task')
+    assertEqual(done.body.task_id, accepted.body.task_id, 'by id')
+    assertEqual(done.body.result.output, 'done', 'keeps the gateway result')
+    assertEqual(done.body.attempts, 1, 'records the attempts')
+    assertEqual(done.body.payload, undefined, 'drops the payload once finished')
+    assertEqual(gatewayCalls[0].input, 'hi', 'forwards the request to the gateway')
+    assertEqual(gatewayHeaders[0].get('authorization'), 'Bearer worker-token', 'with the BLACKROAD_GATEWAY_TOKEN bearer token')
+    assertEqual(gatewayHeaders[0].get('x-blackroad-key'), 'task-worker:secret', 'and the client registry credential')
+    assertEqual((await dispatch(env, 42)).status, 400, 'refuses a dispatch without string input')
+
+    // DELETE of a finished task deletes it
+    const deleted = await call(env, 'DELETE', `/task/${accepted.body.task_id}`)
+    assertEqual(deleted.body.deleted, true, 'deletes a finished task')
+    assertEqual((await call(env, 'GET', `/task/${accepted.body.task_id}`)).status, 404, 'which is then gone')
+
+    // DELETE of a pending task cancels it and aborts its dispatch
+    let aborted = false
+    gateway = (init) => new Promise((resolve, reject) => {
+      init.signal.addEventListener('abort', () => {
+        aborted = true
+        reject(init.signal.reason)
+      })
+    })
+    const slow = await dispatch(env)
+    const cancelled = await call(env, 'DELETE', `/task/${slow.body.task_id}`)
+    assertEqual(cancelled.body.cancelled, true, 'cancels a pending task')
+    await slow.ctx.settled()
+    assert(aborted, 'aborts its gateway call')
+    const afterCancel = await call(env, 'GET', `/task/${slow.body.task_id}`)
+    assertEqual(afterCancel.body.status, 'cancelled', 'keeps it cancelled once the dispatch stops')
+    assert(afterCancel.body.completedAt, 'stamps the cancellation')
+
+    // A task finished elsewhere between attempts is not dispatched again
+    env = await durableObjectEnv({ TASK_MAX_ATTEMPTS: '3' })
+    gatewayCalls.length = 0
+    let finishElsewhere = null
+    gateway = async () => {
+      finishElsewhere()
+      return Response.json({ error: 'busy' }, { status: 503 })
+    }
+    const raced = await dispatch(env)
+    const { createTaskStore } = await loadStore()
+    const sameStore = createTaskStore(env)
+    finishElsewhere = () => {
+      finishElsewhere = () => {}
+      return sameStore.get(raced.body.task_id).then((task) =>
+        sameStore.put({ ...task, status: 'complete', result: { output: 'from elsewhere' } }))
+    }
+    await raced.ctx.settled()
+    const racedTask = await call(env, 'GET', `/task/${raced.body.task_id}`)
+    assertEqual(gatewayCalls.length, 1, 'does not dispatch a completed task again')
+    assertEqual(racedTask.body.result.output, 'from elsewhere', 'and does not overwrite its result')
+
+    // Retryable failures are retried, others are not
+    env = await durableObjectEnv({ TASK_MAX_ATTEMPTS: '3' })
+    gatewayCalls.length = 0
+    gateway = async () => Response.json({ error: 'bad request' }, { status: 400 })
+    const refused = await dispatch(env)
+    await refused.ctx.settled()
+    const refusedTask = (await call(env, 'GET', `/task/${refused.body.task_id}`)).body
+    assertEqual(`${refusedTask.status} ${gatewayCalls.length}`, 'error 1', 'does not retry a 4xx')
+    assertEqual(refusedTask.error, 'bad request', 'records the gateway error')
+    gatewayCalls.length = 0
+    gateway = async () => Response.json({ error: 'down' }, { status: 502 })
+    const down = await dispatch(env)
+    await down.ctx.settled()
+    assertEqual(gatewayCalls.length, 3, 'retries 5xx up to TASK_MAX_ATTEMPTS')
+
+    // Listing over the handler
+    const listed = await call(env, 'GET', '/tasks?status=error&limit=1')
+    assertEqual(listed.body.tasks.length, 1, 'lists a page of tasks by status')
+    assertEqual(listed.body.tasks[0].task_id, refused.body.task_id, 'oldest first')
+    const next = await call(env, 'GET', `/tasks?status=error&limit=1&cursor=${listed.body.cursor}`)
+    assertEqual(next.body.tasks[0].task_id, down.body.task_id, 'follows the cursor')
+    assertEqual((await call(env, 'GET', '/tasks?status=done')).status, 400, 'refuses unknown statuses')
+  } finally {
+    global.fetch = originalFetch
+  }
+})
+
+// ---------------------------------------------------------------------------
+// Webhook callbacks
+// ---------------------------------------------------------------------------
+suite('Webhook callbacks', async () => {
+  const { createHmac } = require('crypto')
+  const worker = await loadWorker()
+  const originalFetch = global.fetch
+  const hadScheduler = 'scheduler' in globalThis
+  const originalScheduler = globalThis.scheduler
+  // The worker waits through scheduler.wait when there is one
+  const waits = []
+  globalThis.scheduler = { wait: async (ms) => { waits.push(ms) } }
+  const deliveries = []
+  let receiver = async () => new Response('ok')
+  global.fetch = async (url, init) => {
+    if (String(url).startsWith('https://gateway.test/')) {
+      return Response.json({ status: 'ok', output: 'done' })
+    }
+    deliveries.push({ url: String(url), headers: new Headers(init.headers), body: init.body })
+    return receiver()
+  }
+  const secret = 'callback-secret'
+  const run = async (env, body) => {
+    const ctx = context()
+    const response = await worker.fetch(new Request('https://worker.test/dispatch', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ agent: 'planner', intent: 'analyze', input: 'hi', ...body })
+    }), env, ctx)
+    await ctx.settled()
+    const result = { status: response.status, body: await response.json() }
+    if (response.status === 202) {
+      const poll = await worker.fetch(new Request(`https://worker.test/task/${result.body.task_id}`), env, context())
+      result.task = await poll.json()
+    }
+    return result
+  }
+  const callbackEnv = (extra = {}) => durableObjectEnv({
+    CALLBACK_SIGNING_SECRET: secret,
+    CALLBACK_RETRY_DELAY_MS: '100',
+    ...extra
+  })
+  const reset = () => {
+    waits.length = 0
+    deliveries.length = 0
+  }
+
+  try {
+    // Delivered on the third attempt
+    let attempt = 0
+    receiver = async () => new Response('', { status: ++attempt < 3 ? 503 : 200 })
+    const delivered = await run(await callbackEnv(), { callback_url: 'https://hooks.test/done' })
+    assertEqual(deliveries.length, 3, 'retries a callback the receiver could not take')
+    assertEqual(waits.join(), '100,200', 'backs off exponentially between attempts')
+    for (const { headers, body } of deliveries) {
+      const timestamp = headers.get('x-blackroad-timestamp')
+      const expected = createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')
+      assert(/^\d+$/.test(timestamp), 'sends the signing time in unix seconds')
+      assertEqual(headers.get('x-blackroad-signature'), `sha256=${expected}`, 'signs "<timestamp>.<body>" with HMAC-SHA256')
+    }
+    const sent = JSON.parse(deliveries[0].body)
+    assertEqual(deliveries[0].headers.get('x-task-id'), delivered.body.task_id, 'names the task in X-Task-ID')
+    assertEqual(`${sent.status} ${sent.result.output}`, 'complete done', 'posts the finished task')
+    assertEqual(sent.callback, undefined, 'without its callback record')
+    assertEqual(sent.payload, undefined, 'or its request')
+    const record = delivered.task.callback
+    assertEqual(record.status, 'delivered', 'records the delivery')
+    assertEqual(record.attempts, 3, 'with the attempts it took')
+    assert(record.delivered_at, 'and when it was delivered')
+    assertEqual(record.last_error, undefined, 'clears the earlier failure')
+    assertEqual(record.url, 'https://hooks.test/done', 'keeps the callback url')
+
+    // A non-retryable refusal ends delivery at once
+    reset()
+    receiver = async () => new Response('', { status: 410 })
+    const gone = await run(await callbackEnv(), { callback_url: 'https://hooks.test/gone' })
+    assertEqual(deliveries.length, 1, 'does not retry a 4xx')
+    assertEqual(waits.length, 0, 'nor waits for one')
+    assertEqual(gone.task.callback.status, 'failed', 'records the failed delivery')
+    assertEqual(gone.task.callback.last_error, 'Callback returned 410', 'with the refusal')
+
+    // Retryable failures stop at CALLBACK_MAX_ATTEMPTS
+    reset()
+    receiver = async () => { throw new TypeError('fetch failed') }
+    const unreachable = await run(
+      await callbackEnv({ CALLBACK_MAX_ATTEMPTS: '4' }),
+      { callback_url: 'https://hooks.test/down' }
+    )
+    assertEqual(deliveries.length, 4, 'retries network errors up to CALLBACK_MAX_ATTEMPTS')
+    assertEqual(waits.join(), '100,200,400', 'doubling the wait each time')
+    assertEqual(
+      `${unreachable.task.callback.status} ${unreachable.task.callback.attempts} ${unreachable.task.callback.last_error}`,
+      'failed 4 fetch failed',
+      'then records the failure'
+    )
+
+    // Dispatch-time checks
+    reset()
+    const plain = await run(await callbackEnv(), { callback_url: 'http://hooks.test/done' })
+    assertEqual(plain.status, 400, 'refuses plain http callbacks')
+    const local = await run(await callbackEnv(), { callback_url: 'http://localhost:8080/done' })
+    assertEqual(local.status, 202, 'except to this machine')
+    const unsigned = await run(await durableObjectEnv(), { callback_url: 'https://hooks.test/done' })
+    assertEqual(unsigned.status, 400, 'refuses callbacks without CALLBACK_SIGNING_SECRET')
+    reset()
+    const none = await run(await callbackEnv(), {})
+    assertEqual(deliveries.length, 0, 'calls nothing back without a callback_url')
+    assertEqual(none.task.callback, undefined, 'and records no callback')
+  } finally {
+    global.fetch = originalFetch
+    if (hadScheduler) globalThis.scheduler = originalScheduler
+    else delete globalThis.scheduler
+  }
+})
+
+// ---------------------------------------------------------------------------
+// Summary
+// ---------------------------------------------------------------------------
+run()
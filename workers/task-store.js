@@ -0,0 +1,337 @@
+/**
+ * Task storage for the BlackRoad task worker
+ *
+ * Every store keeps task records for ttlSeconds after their last write:
+ *
+ *   get(id)                          task, or null when missing or expired
+ *   put(task)                        create or replace (restarts the TTL)
+ *   delete(id)
+ *   list({ status, limit, cursor })  { tasks, cursor } of task summaries,
+ *                                    oldest first; cursor is null at the end
+ *
+ * KVTaskStore     Workers KV (binding TASKS); eventually consistent, so a
+ *                 cancel may take a moment to reach other locations
+ * DurableObjectTaskStore
+ *                 one TaskStoreObject (binding TASK_STORE) holds every task;
+ *                 strongly consistent
+ * MemoryTaskStore this isolate only; for local tests
+ */
+
+const KEY_PREFIX = 'task:'
+const DEFAULT_TTL_SECONDS = 24 * 60 * 60
+// Workers KV refuses shorter expirations
+const MIN_KV_TTL_SECONDS = 60
+const DEFAULT_LIST_LIMIT = 50
+const MAX_LIST_LIMIT = 100
+// Expired records deleted per storage read while purging
+const PURGE_BATCH = 128
+
+export const TASK_STATUSES = ['pending', 'complete', 'error', 'cancelled']
+
+// What GET /tasks shows of a task; also the KV metadata, so listing needs
+// no reads
+export function summarize(task) {
+  return {
+    task_id: task.task_id,
+    status: task.status,
+    agent: task.agent ?? null,
+    intent: task.intent ?? null,
+    createdAt: task.createdAt,
+    completedAt: task.completedAt ?? null
+  }
+}
+
+function listLimit(limit) {
+  return Math.min(Math.max(Number(limit) || DEFAULT_LIST_LIMIT, 1), MAX_LIST_LIMIT)
+}
+
+// ---------------------------------------------------------------------------
+// Records with an expiry over a Durable Object style storage (get, put,
+// delete and list({ prefix, startAfter, limit }) in key order). Task ids
+// start with their creation time, so key order is creation order. Beside
+// each record the table keeps its summary under its status, for filtered
+// lists, and its id under its expiry, so purges read only what expired.
+// ---------------------------------------------------------------------------
+const STATUS_PREFIX = 'status:'
+const EXPIRY_PREFIX = 'expires:'
+
+const statusKey = (status, id) => `${STATUS_PREFIX}${status}:${id}`
+// Zero-padded so key order is expiry order
+const expiryKey = (expiresAt, id) => `${EXPIRY_PREFIX}${String(expiresAt).padStart(15, '0')}:${id}`
+
+class TableTaskStore {
+  constructor(storage, { ttlSeconds = DEFAULT_TTL_SECONDS, now = Date.now } = {}) {
+    this.storage = storage
+    this.ttlSeconds = ttlSeconds
+    this.now = now
+  }
+
+  async get(id) {
+    const record = await this.storage.get(KEY_PREFIX + id)
+    if (!record) return null
+    if (record.expiresAt <= this.now()) {
+      await this._remove(id, record)
+      return null
+    }
+    return record.task
+  }
+
+  async put(task) {
+    const id = task.task_id
+    const expiresAt = this.now() + this.ttlSeconds * 1000
+    const previous = await this.storage.get(KEY_PREFIX + id)
+    if (previous) {
+      if (previous.task.status !== task.status) {
+        await this.storage.delete(statusKey(previous.task.status, id))
+      }
+      await this.storage.delete(expiryKey(previous.expiresAt, id))
+    }
+    await this.storage.put(KEY_PREFIX + id, { task, expiresAt })
+    await this.storage.put(statusKey(task.status, id), { summary: summarize(task), expiresAt })
+    await this.storage.put(expiryKey(expiresAt, id), id)
+    return expiresAt
+  }
+
+  async delete(id) {
+    const record = await this.storage.get(KEY_PREFIX + id)
+    if (record) await this._remove(id, record)
+  }
+
+  async _remove(id, record) {
+    await this.storage.delete(KEY_PREFIX + id)
+    await this.storage.delete(statusKey(record.task.status, id))
+    await this.storage.delete(expiryKey(record.expiresAt, id))
+  }
+
+  // Reads a page and one more record at a time, so a long table is never
+  // loaded at once; a status filter reads only that status's summaries
+  async list({ status, limit, cursor } = {}) {
+    const max = listLimit(limit)
+    const prefix = status ? `${STATUS_PREFIX}${status}:` : KEY_PREFIX
+    const tasks = []
+    let last = cursor || null
+    for (;;) {
+      const records = await this.storage.list({
+        prefix,
+        limit: max + 1,
+        ...(last && { startAfter: prefix + last })
+      })
+      for (const [key, record] of records) {
+        if (tasks.length >= max) {
+          return { tasks, cursor: last }
+        }
+        last = key.slice(prefix.length)
+        if (record.expiresAt <= this.now()) continue
+        tasks.push(status ? record.summary : summarize(record.task))
+      }
+      if (records.size <= max) {
+        return { tasks, cursor: null }
+      }
+    }
+  }
+
+  // Deletes expired records; returns the earliest expiry left, or null
+  async purge() {
+    for (;;) {
+      const expiries = await this.storage.list({ prefix: EXPIRY_PREFIX, limit: PURGE_BATCH })
+      for (const [key, id] of expiries) {
+        const expiresAt = Number(key.slice(EXPIRY_PREFIX.length, key.lastIndexOf(':')))
+        if (expiresAt > this.now()) return expiresAt
+        const record = await this.storage.get(KEY_PREFIX + id)
+        if (record && record.expiresAt <= this.now()) await this._remove(id, record)
+        await this.storage.delete(key)
+      }
+      if (expiries.size < PURGE_BATCH) return null
+    }
+  }
+}
+
+// A Map behind the Durable Object storage calls the table uses
+class MapStorage {
+  constructor() {
+    this.map = new Map()
+  }
+
+  async get(key) {
+    const value = this.map.get(key)
+    return value === undefined ? undefined : structuredClone(value)
+  }
+
+  async put(key, value) {
+    this.map.set(key, structuredClone(value))
+  }
+
+  async delete(key) {
+    return this.map.delete(key)
+  }
+
+  async list({ prefix = '', startAfter, limit = Infinity } = {}) {
+    const keys = [...this.map.keys()]
+      .filter((key) => key.startsWith(prefix) && (!startAfter || key > startAfter))
+      .sort()
+      .slice(0, limit)
+    return new Map(keys.map((key) => [key, structuredClone(this.map.get(key))]))
+  }
+}
+
+// ---------------------------------------------------------------------------
+// In-memory
+// ---------------------------------------------------------------------------
+export class MemoryTaskStore extends TableTaskStore {
+  constructor(options) {
+    super(new MapStorage(), options)
+    this.kind = 'memory'
+  }
+
+  // Nothing else clears out expired tasks here; reads skip them until then
+  async list(options) {
+    await this.purge()
+    return super.list(options)
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Workers KV: expiry is KV's own, summaries ride along as key metadata
+// ---------------------------------------------------------------------------
+export class KVTaskStore {
+  constructor(kv, { ttlSeconds = DEFAULT_TTL_SECONDS } = {}) {
+    this.kv = kv
+    this.ttlSeconds = Math.max(ttlSeconds, MIN_KV_TTL_SECONDS)
+    this.kind = 'kv'
+  }
+
+  get(id) {
+    return this.kv.get(KEY_PREFIX + id, 'json')
+  }
+
+  put(task) {
+    return this.kv.put(KEY_PREFIX + task.task_id, JSON.stringify(task), {
+      expirationTtl: this.ttlSeconds,
+      metadata: summarize(task)
+    })
+  }
+
+  delete(id) {
+    return this.kv.delete(KEY_PREFIX + id)
+  }
+
+  async list({ status, limit, cursor } = {}) {
+    const page = await this.kv.list({
+      prefix: KEY_PREFIX,
+      limit: listLimit(limit),
+      ...(cursor && { cursor })
+    })
+    const tasks = page.keys
+      .map((key) => key.metadata)
+      .filter((summary) => summary && (!status || summary.status === status))
+    return { tasks, cursor: page.list_complete ? null : page.cursor }
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Durable Object: the worker side sends each call to the one TaskStoreObject
+// ---------------------------------------------------------------------------
+export class DurableObjectTaskStore {
+  constructor(namespace, { ttlSeconds = DEFAULT_TTL_SECONDS } = {}) {
+    this.stub = namespace.get(namespace.idFromName('tasks'))
+    this.ttlSeconds = ttlSeconds
+    this.kind = 'durable_object'
+  }
+
+  async _call(op, args) {
+    const response = await this.stub.fetch('https://task-store/', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ op, ttlSeconds: this.ttlSeconds, ...args })
+    })
+    if (!response.ok) {
+      throw new Error(`Task store error ${response.status}`)
+    }
+    return response.json()
+  }
+
+  async get(id) {
+    return (await this._call('get', { id })).task
+  }
+
+  async put(task) {
+    await this._call('put', { task })
+  }
+
+  async delete(id) {
+    await this._call('delete', { id })
+  }
+
+  list({ status, limit, cursor } = {}) {
+    return this._call('list', { status, limit, cursor })
+  }
+}
+
+export class TaskStoreObject {
+  constructor(state) {
+    this.storage = state.storage
+  }
+
+  async fetch(request) {
+    const { op, ttlSeconds, id, task, status, limit, cursor } = await request.json()
+    const table = new TableTaskStore(this.storage, { ttlSeconds })
+    switch (op) {
+      case 'get':
+        return Response.json({ task: await table.get(id) })
+      case 'put': {
+        const expiresAt = await table.put(task)
+        // The alarm clears out expired tasks; keep it at the earliest expiry
+        const alarm = await this.storage.getAlarm()
+        if (alarm === null || expiresAt < alarm) {
+          await this.storage.setAlarm(expiresAt)
+        }
+        return Response.json({ ok: true })
+      }
+      case 'delete':
+        await table.delete(id)
+        return Response.json({ ok: true })
+      case 'list':
+        return Response.json(await table.list({ status, limit, cursor }))
+      default:
+        return Response.json({ error: `Unknown operation: ${op}` }, { status: 400 })
+    }
+  }
+
+  async alarm() {
+    const next = await new TableTaskStore(this.storage).purge()
+    if (next !== null) {
+      await this.storage.setAlarm(next)
+    }
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Store selection: TASK_STORAGE (kv, durable_object or memory) when set,
+// otherwise whichever binding is present
+// ---------------------------------------------------------------------------
+let memoryStore = null
+
+export function createTaskStore(env) {
+  const ttlSeconds = Number(env.TASK_RESULT_TTL_SECONDS) || DEFAULT_TTL_SECONDS
+  const kind = env.TASK_STORAGE ||
+    (env.TASK_STORE ? 'durable_object' : env.TASKS ? 'kv' : 'memory')
+  if (kind === 'durable_object') {
+    if (!env.TASK_STORE) {
+      throw new Error('TASK_STORAGE is durable_object but TASK_STORE is not bound')
+    }
+    return new DurableObjectTaskStore(env.TASK_STORE, { ttlSeconds })
+  }
+  if (kind === 'kv') {
+    if (!env.TASKS) throw new Error('TASK_STORAGE is kv but TASKS is not bound')
+    return new KVTaskStore(env.TASKS, { ttlSeconds })
+  }
+  if (kind !== 'memory') {
+    throw new Error(`Unknown TASK_STORAGE: ${kind}`)
+  }
+  // One per isolate, so tasks outlive the request that created them
+  if (!memoryStore) {
+    memoryStore = new MemoryTaskStore({ ttlSeconds })
+  }
+  memoryStore.ttlSeconds = ttlSeconds
+  return memoryStore
+}
@@ -6,61 +6,240 @@
  * and returns a task ID immediately. Clients poll /task/:id for results.
  *
  * Endpoints:
- *   POST /dispatch  — submit a long-running agent task
- *   GET  /task/:id  — poll task status/result
- *   GET  /healthz   — health check
+ *   POST   /dispatch  — submit a long-running agent task (optional callback_url)
+ *   GET    /task/:id  — poll task status/result
+ *   DELETE /task/:id  — cancel a pending task, or delete a finished one
+ *   GET    /tasks     — list tasks (?status=&limit=&cursor=), oldest first
+ *   GET    /healthz   — health check
  *
  * Tasks are forwarded to the BlackRoad Gateway.
- * Gateway URL is set via BLACKROAD_GATEWAY_URL env var (Workers secret).
+ * Gateway URL is set via BLACKROAD_GATEWAY_URL env var (Workers secret), and
+ * BLACKROAD_GATEWAY_TOKEN holds the bearer token the worker calls it with.
+ * The gateway sees the worker as a remote client, so BLACKROAD_GATEWAY_CLIENT_KEY
+ * holds its client registry credential ("<client id>:<secret>").
+ *
+ * Task state lives in a task store (see task-store.js): the TASK_STORE
+ * Durable Object or the TASKS KV namespace when bound, in memory otherwise.
+ * Results are kept for TASK_RESULT_TTL_SECONDS (default one day).
+ *
+ * Webhook callbacks: a dispatch with callback_url gets the finished task
+ * (complete or error) POSTed to it as JSON, with
+ *   X-BlackRoad-Timestamp  unix seconds when the request was signed
+ *   X-BlackRoad-Signature  sha256=<hex HMAC-SHA256 of "<timestamp>.<body>">
+ * keyed with the CALLBACK_SIGNING_SECRET secret. Receivers should check the
+ * signature and refuse stale timestamps (say, over five minutes) so a
+ * captured callback cannot be replayed. Failed deliveries are retried with
+ * exponential back-off; the task's callback field records the outcome.
  */
 
-// ---------------------------------------------------------------------------
-// In-memory task store (Durable Objects / KV can be used for persistence)
-// ---------------------------------------------------------------------------
-const tasks = new Map()
+import { TASK_STATUSES, createTaskStore } from './task-store.js'
+
+export { TaskStoreObject } from './task-store.js'
 
+const DEFAULT_MAX_ATTEMPTS = 3
+const DEFAULT_RETRY_DELAY_MS = 1000
+const DEFAULT_CALLBACK_ATTEMPTS = 5
+const DEFAULT_CALLBACK_DELAY_MS = 500
+
+// Dispatches running in this isolate, so a cancel can abort them
+const inflight = new Map()
+
+// 12 hex digits of creation time, then 20 random: ids sort by age
 function generateId() {
-  const bytes = new Uint8Array(16)
+  const bytes = new Uint8Array(10)
   crypto.getRandomValues(bytes)
-  return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('')
+  return Date.now().toString(16).padStart(12, '0') +
+    Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('')
+}
+
+function sleep(ms) {
+  // Workers scheduler API where there is one (local tests run on Node)
+  return typeof scheduler !== 'undefined'
+    ? scheduler.wait(ms)
+    : new Promise(resolve => setTimeout(resolve, ms))
+}
+
+function isRetryableStatus(status) {
+  return status === 408 || status === 429 || status >= 500
+}
+
+// Where the gateway is and the credentials the worker presents to it
+function gatewayFromEnv(env) {
+  const headers = {}
+  if (env.BLACKROAD_GATEWAY_TOKEN) {
+    headers.Authorization = `Bearer ${env.BLACKROAD_GATEWAY_TOKEN}`
+  }
+  if (env.BLACKROAD_GATEWAY_CLIENT_KEY) {
+    headers['X-BlackRoad-Key'] = env.BLACKROAD_GATEWAY_CLIENT_KEY
+  }
+  return { url: env.BLACKROAD_GATEWAY_URL || 'http://127.0.0.1:8787', headers }
+}
+
+// ---------------------------------------------------------------------------
+// Dispatch a task to the BlackRoad Gateway (one attempt). Failures worth
+// another attempt carry retryable: network errors, timeouts, 408, 429, 5xx.
+// ---------------------------------------------------------------------------
+async function dispatchToGateway(gateway, payload, taskId, attempt, signal) {
+  let res
+  try {
+    res = await fetch(`${gateway.url}/v1/agent`, {
+      method: 'POST',
+      headers: {
+        ...gateway.headers,
+        'Content-Type': 'application/json',
+        'X-Task-ID': taskId,
+        'X-Task-Attempt': String(attempt),
+        'X-Worker-Dispatch': '1'
+      },
+      body: JSON.stringify(payload),
+      // 25s per attempt, stay under CF 30s CPU limit
+      signal: AbortSignal.any([signal, AbortSignal.timeout(25000)])
+    })
+  } catch (err) {
+    err.retryable = true
+    throw err
+  }
+
+  const data = await res.json().catch(() => ({}))
+
+  if (!res.ok) {
+    const message = data.error?.message || data.error || `Gateway error ${res.status}`
+    const err = new Error(message)
+    err.retryable = isRetryableStatus(res.status)
+    throw err
+  }
+
+  return data
+}
+
+// ---------------------------------------------------------------------------
+// Run a task with retries. The stored state is read before every attempt
+// and before the outcome is written, so a task that has completed or been
+// cancelled (here or in another isolate) is never dispatched again and its
+// state is never overwritten.
+// ---------------------------------------------------------------------------
+async function dispatchTask(store, gateway, taskId, { maxAttempts, retryDelayMs }) {
+  const controller = new AbortController()
+  inflight.set(taskId, controller)
+  try {
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      const task = await store.get(taskId)
+      if (!task || task.status !== 'pending') return
+
+      try {
+        const result = await dispatchToGateway(
+          gateway, task.payload, taskId, attempt, controller.signal
+        )
+        return await finishTask(store, taskId, { status: 'complete', attempts: attempt, result })
+      } catch (err) {
+        if (controller.signal.aborted) return
+        if (!err.retryable || attempt === maxAttempts) {
+          return await finishTask(store, taskId, {
+            status: 'error',
+            attempts: attempt,
+            error: err.message
+          })
+        }
+        await sleep(retryDelayMs * attempt) // back-off grows with each attempt
+      }
+    }
+  } finally {
+    inflight.delete(taskId)
+  }
+}
+
+// Resolves with the finished task, or undefined when it was already finished
+async function finishTask(store, taskId, outcome) {
+  const task = await store.get(taskId)
+  if (!task || task.status !== 'pending') return
+  const { payload, ...rest } = task
+  const finished = { ...rest, ...outcome, completedAt: new Date().toISOString() }
+  await store.put(finished)
+  return finished
 }
 
 // ---------------------------------------------------------------------------
-// Dispatch a task to the BlackRoad Gateway with retry logic
+// Signed webhook callbacks
 // ---------------------------------------------------------------------------
-async function dispatchToGateway(gatewayUrl, payload, taskId) {
-  const maxAttempts = 3
-  let lastError = null
+function isCallbackUrl(value) {
+  let url
+  try {
+    url = new URL(value)
+  } catch {
+    return false
+  }
+  // Plain http only for a receiver on this machine (local development)
+  return url.protocol === 'https:' ||
+    (url.protocol === 'http:' && ['localhost', '127.0.0.1', '[::1]'].includes(url.hostname))
+}
+
+async function signCallback(secret, timestamp, body) {
+  const encoder = new TextEncoder()
+  const key = await crypto.subtle.importKey(
+    'raw', encoder.encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']
+  )
+  const signature = await crypto.subtle.sign('HMAC', key, encoder.encode(`${timestamp}.${body}`))
+  return Array.from(new Uint8Array(signature), b => b.toString(16).padStart(2, '0')).join('')
+}
+
+// POSTs the finished task to its callback_url, retrying with exponential
+// back-off, then records how delivery went on the task
+async function deliverCallback(store, task, { secret, maxAttempts, retryDelayMs }) {
+  const { callback, ...view } = task
+  const body = JSON.stringify(view)
+  const delivery = { url: callback.url, status: 'failed', attempts: 0 }
 
   for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    delivery.attempts = attempt
+    // Signed per attempt, so a retry carries a fresh timestamp
+    const timestamp = String(Math.floor(Date.now() / 1000))
+    let retryable = true
     try {
-      const res = await fetch(`${gatewayUrl}/v1/agent`, {
+      const res = await fetch(callback.url, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
-          'X-Task-ID': taskId,
-          'X-Worker-Dispatch': '1'
+          'X-Task-ID': task.task_id,
+          'X-BlackRoad-Timestamp': timestamp,
+          'X-BlackRoad-Signature': `sha256=${await signCallback(secret, timestamp, body)}`
         },
-        body: JSON.stringify(payload),
-        signal: AbortSignal.timeout(25000) // 25s per attempt, stay under CF 30s CPU limit
+        body,
+        signal: AbortSignal.timeout(10000)
       })
-
-      const data = await res.json().catch(() => ({}))
-
-      if (!res.ok) {
-        throw new Error(data.error || `Gateway error ${res.status}`)
+      if (res.ok) {
+        delivery.status = 'delivered'
+        delivery.delivered_at = new Date().toISOString()
+        delete delivery.last_error
+        break
       }
-
-      return { ok: true, data }
+      delivery.last_error = `Callback returned ${res.status}`
+      retryable = isRetryableStatus(res.status)
     } catch (err) {
-      lastError = err
-      if (attempt < maxAttempts) {
-        await scheduler.wait(1000 * attempt) // exponential back-off using Workers scheduler API
-      }
+      delivery.last_error = err.message
     }
+    if (!retryable || attempt === maxAttempts) break
+    await sleep(retryDelayMs * 2 ** (attempt - 1))
   }
 
-  throw lastError || new Error('Gateway unreachable after retries')
+  // The task may have been deleted meanwhile; don't bring it back
+  const current = await store.get(task.task_id)
+  if (current) {
+    await store.put({ ...current, callback: delivery })
+  }
+}
+
+async function runTask(store, gateway, taskId, env) {
+  const finished = await dispatchTask(store, gateway, taskId, {
+    maxAttempts: Number(env.TASK_MAX_ATTEMPTS) || DEFAULT_MAX_ATTEMPTS,
+    retryDelayMs: Number(env.TASK_RETRY_DELAY_MS ?? DEFAULT_RETRY_DELAY_MS)
+  })
+  if (finished?.callback) {
+    await deliverCallback(store, finished, {
+      secret: env.CALLBACK_SIGNING_SECRET,
+      maxAttempts: Number(env.CALLBACK_MAX_ATTEMPTS) || DEFAULT_CALLBACK_ATTEMPTS,
+      retryDelayMs: Number(env.CALLBACK_RETRY_DELAY_MS ?? DEFAULT_CALLBACK_DELAY_MS)
+    })
+  }
 }
 
 // ---------------------------------------------------------------------------
@@ -69,7 +248,14 @@ async function dispatchToGateway(gatewayUrl, payload, taskId) {
 export default {
   async fetch(request, env, ctx) {
     const url = new URL(request.url)
-    const gatewayUrl = env.BLACKROAD_GATEWAY_URL || 'http://127.0.0.1:8787'
+    const gateway = gatewayFromEnv(env)
+
+    let store
+    try {
+      store = createTaskStore(env)
+    } catch (err) {
+      return Response.json({ status: 'error', error: err.message }, { status: 500 })
+    }
 
     // ------------------------------------------------------------------
     // Health check
@@ -78,7 +264,8 @@ export default {
       return Response.json({
         status: 'ok',
         worker: 'blackroad-task-worker',
-        version: '1.0.0',
+        version: '1.1.0',
+        storage: store.kind,
         timestamp: new Date().toISOString()
       })
     }
@@ -101,33 +288,39 @@ export default {
         )
       }
 
+      // The callback is the worker's business, not the gateway's
+      const { callback_url: callbackUrl, ...agentPayload } = payload
+      if (callbackUrl !== undefined) {
+        if (typeof callbackUrl !== 'string' || !isCallbackUrl(callbackUrl)) {
+          return Response.json(
+            { status: 'error', error: 'callback_url must be an https URL' },
+            { status: 400 }
+          )
+        }
+        if (!env.CALLBACK_SIGNING_SECRET) {
+          return Response.json(
+            { status: 'error', error: 'Callbacks are not enabled on this worker' },
+            { status: 400 }
+          )
+        }
+      }
+
       const taskId = generateId()
       const createdAt = new Date().toISOString()
 
       // Store task as pending
-      tasks.set(taskId, { status: 'pending', createdAt, payload })
-
-      // Dispatch to gateway asynchronously (non-blocking response)
-      const dispatchPromise = dispatchToGateway(gatewayUrl, payload, taskId)
-        .then(result => {
-          tasks.set(taskId, {
-            status: 'complete',
-            createdAt,
-            completedAt: new Date().toISOString(),
-            result: result.data
-          })
-        })
-        .catch(err => {
-          tasks.set(taskId, {
-            status: 'error',
-            createdAt,
-            completedAt: new Date().toISOString(),
-            error: err.message
-          })
-        })
+      await store.put({
+        task_id: taskId,
+        status: 'pending',
+        agent: payload.agent,
+        intent: payload.intent,
+        createdAt,
+        payload: agentPayload,
+        ...(callbackUrl && { callback: { url: callbackUrl, status: 'pending', attempts: 0 } })
+      })
 
       // Use waitUntil to allow async work to complete after response is sent
-      ctx.waitUntil(dispatchPromise)
+      ctx.waitUntil(runTask(store, gateway, taskId, env))
 
       return Response.json(
         { status: 'accepted', task_id: taskId, created_at: createdAt },
@@ -135,19 +328,51 @@ export default {
       )
     }
 
+    // ------------------------------------------------------------------
+    // GET /tasks — list tasks, optionally by status
+    // ------------------------------------------------------------------
+    if (request.method === 'GET' && url.pathname === '/tasks') {
+      const status = url.searchParams.get('status')
+      if (status && !TASK_STATUSES.includes(status)) {
+        return Response.json(
+          { status: 'error', error: `status must be one of: ${TASK_STATUSES.join(', ')}` },
+          { status: 400 }
+        )
+      }
+      const page = await store.list({
+        status,
+        limit: url.searchParams.get('limit'),
+        cursor: url.searchParams.get('cursor')
+      })
+      return Response.json({ status: 'ok', ...page })
+    }
+
     // ------------------------------------------------------------------
     // GET /task/:id — poll task result
+    // DELETE /task/:id — cancel a pending task; a finished one is deleted
     // ------------------------------------------------------------------
     const taskMatch = url.pathname.match(/^\/task\/([0-9a-f]{32})$/)
-    if (request.method === 'GET' && taskMatch) {
+    if (taskMatch && (request.method === 'GET' || request.method === 'DELETE')) {
       const taskId = taskMatch[1]
-      const task = tasks.get(taskId)
+      const task = await store.get(taskId)
 
       if (!task) {
         return Response.json({ status: 'error', error: 'Task not found' }, { status: 404 })
       }
 
-      return Response.json({ status: 'ok', task_id: taskId, ...task })
+      if (request.method === 'GET') {
+        return Response.json({ status: 'ok', task_id: taskId, ...task })
+      }
+
+      if (task.status !== 'pending') {
+        await store.delete(taskId)
+        return Response.json({ status: 'ok', task_id: taskId, deleted: true })
+      }
+
+      const { payload, ...rest } = task
+      await store.put({ ...rest, status: 'cancelled', completedAt: new Date().toISOString() })
+      inflight.get(taskId)?.abort()
+      return Response.json({ status: 'ok', task_id: taskId, cancelled: true })
     }
 
     // ------------------------------------------------------------------